@@ -0,0 +1,307 @@
+/**
+ * The Camera class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./gl-matrix.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root.glMatrix));
+  }
+})(this, function(glMatrix) {
+  /**
+   * Ways of moving the camera.
+   *
+   * @enum {number}
+   */
+  const CAMERA_MODE = {
+    // Orbit around, pan and dolly towards a target
+    ORBIT: 0,
+    // Fly through the scene, turning about the eye
+    FLY: 1,
+  };
+  const CAMERA_MODE_STRINGS = [
+    "Orbit",
+    "Fly",
+  ];
+
+  // Vertical field of view (radians), and near and far clipping planes
+  const FOV = 30 * Math.PI / 180;
+  const NEAR = 1;
+  const FAR = 100;
+  // Time for the camera to cover most (63%) of the way to where it was moved,
+  // in seconds
+  const DEFAULT_SMOOTHING = 0.1;
+  // Keeps the camera from looking straight up or down, where "up" is undefined
+  const MAX_PITCH = Math.PI / 2 - 0.01;
+  const MIN_DISTANCE = 0.1;
+  const MAX_DISTANCE = 80;
+
+  /**
+   * A perspective camera, which orbits a target or flies through the scene.
+   *
+   * The camera is kept as the point it looks at (the target), the yaw and
+   * pitch of the direction it looks in, and its distance from the target. Up
+   * is always +z. Every movement changes where the camera is heading, and
+   * update() moves it smoothly there.
+   */
+  class Camera {
+    /**
+     * @param {Array<number>=} eye Where the camera is.
+     * @param {Array<number>=} target Where the camera is looking.
+     */
+    constructor(eye = [16, 0, 1], target = [0, 0, 1]) {
+      this._mode = CAMERA_MODE.ORBIT;
+      this._smoothing = DEFAULT_SMOOTHING;
+      // Where the camera is heading, and where it is now
+      this._goal = {target: [0, 0, 0], yaw: 0, pitch: 0, distance: 1};
+      this._current = {target: [0, 0, 0], yaw: 0, pitch: 0, distance: 1};
+      this.lookAt(eye, target);
+    }
+
+    get mode() {
+      return this._mode;
+    }
+    get smoothing() {
+      return this._smoothing;
+    }
+    get eye() {
+      return eyeOf(this._current);
+    }
+    get target() {
+      return [...this._current.target];
+    }
+    get up() {
+      return [0, 0, 1];
+    }
+    get fov() {
+      return FOV;
+    }
+
+    set mode(mode) {
+      this._mode = Number(mode);
+    }
+    set smoothing(smoothing) {
+      this._smoothing = Math.max(smoothing, 0);
+    }
+
+    /**
+     * Moves the camera straight to a position, looking at a target.
+     *
+     * @param {Array<number>} eye Where the camera is.
+     * @param {Array<number>} target Where the camera is looking.
+     */
+    lookAt(eye, target) {
+      const dx = target[0] - eye[0];
+      const dy = target[1] - eye[1];
+      const dz = target[2] - eye[2];
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz), MIN_DISTANCE);
+      this._goal.target = [...target];
+      this._goal.yaw = Math.atan2(dy, dx);
+      this._goal.pitch = clamp(Math.asin(clamp(dz / distance, -1, 1)), -MAX_PITCH, MAX_PITCH);
+      this._goal.distance = distance;
+      this.jump();
+    }
+
+    /**
+     * Finishes any movement in progress at once.
+     */
+    jump() {
+      this._current = copy(this._goal);
+    }
+
+    /**
+     * Moves the camera part of the way to where it's heading.
+     *
+     * @param {number} dt The time since the last update, in seconds.
+     */
+    update(dt) {
+      const a = this._smoothing > 0 ? 1 - Math.exp(-dt / this._smoothing) : 1;
+      const current = this._current;
+      const goal = this._goal;
+      for (var i = 0; i < 3; i++) {
+        current.target[i] += (goal.target[i] - current.target[i]) * a;
+      }
+      current.yaw += (goal.yaw - current.yaw) * a;
+      current.pitch += (goal.pitch - current.pitch) * a;
+      current.distance += (goal.distance - current.distance) * a;
+    }
+
+    /**
+     * Rotates the camera around its target.
+     *
+     * @param {number} yaw The angle to turn left by (radians).
+     * @param {number} pitch The angle to look down by (radians), which moves
+     *        the camera up.
+     */
+    orbit(yaw, pitch) {
+      this._goal.yaw += yaw;
+      this._goal.pitch = clamp(this._goal.pitch - pitch, -MAX_PITCH, MAX_PITCH);
+    }
+
+    /**
+     * Moves the camera and its target across the view.
+     *
+     * @param {number} right How far to move right, in multiples of the
+     *        distance to the target.
+     * @param {number} up How far to move up, in multiples of the distance to
+     *        the target.
+     */
+    pan(right, up) {
+      const [, r, u] = basis(this._goal);
+      for (var i = 0; i < 3; i++) {
+        this._goal.target[i] += (r[i] * right + u[i] * up) * this._goal.distance;
+      }
+    }
+
+    /**
+     * Moves the camera towards or away from its target.
+     *
+     * @param {number} scale The factor to scale the distance to the target by.
+     */
+    dolly(scale) {
+      this._goal.distance = clamp(this._goal.distance * scale, MIN_DISTANCE, MAX_DISTANCE);
+    }
+
+    /**
+     * Moves the camera and its target together.
+     *
+     * @param {number} forward How far to move in the direction the camera
+     *        looks.
+     * @param {number} right How far to move right, staying level.
+     */
+    fly(forward, right) {
+      const [f, r] = basis(this._goal);
+      for (var i = 0; i < 3; i++) {
+        this._goal.target[i] += f[i] * forward + r[i] * right;
+      }
+    }
+
+    /**
+     * Turns the camera about its own position, moving its target.
+     *
+     * @param {number} yaw The angle to turn left by (radians).
+     * @param {number} pitch The angle to look up by (radians).
+     */
+    turn(yaw, pitch) {
+      const eye = eyeOf(this._goal);
+      this._goal.yaw += yaw;
+      this._goal.pitch = clamp(this._goal.pitch + pitch, -MAX_PITCH, MAX_PITCH);
+      const [forward] = basis(this._goal);
+      for (var i = 0; i < 3; i++) {
+        this._goal.target[i] = eye[i] + forward[i] * this._goal.distance;
+      }
+    }
+
+    /**
+     * Orbits the center of a box, far enough away to see all of it.
+     *
+     * @param {Array<number>} min The smallest corner of the box.
+     * @param {Array<number>} max The largest corner of the box.
+     */
+    focus(min, max) {
+      const radius = 0.5 * Math.sqrt(
+        Math.pow(max[0] - min[0], 2) + Math.pow(max[1] - min[1], 2) + Math.pow(max[2] - min[2], 2));
+      this._mode = CAMERA_MODE.ORBIT;
+      this._goal.target = [0, 1, 2].map(i => (min[i] + max[i]) * 0.5);
+      this._goal.distance = clamp(radius / Math.sin(FOV * 0.5), MIN_DISTANCE, MAX_DISTANCE);
+    }
+
+    /**
+     * Finds the view matrix of the camera.
+     *
+     * @param {!mat4} out The matrix to write to.
+     * @return {!mat4} out
+     */
+    view(out) {
+      return glMatrix.mat4.lookAt(out, this.eye, this._current.target, this.up);
+    }
+
+    /**
+     * Finds the projection matrix of the camera.
+     *
+     * @param {!mat4} out The matrix to write to.
+     * @param {number} aspect The width of the view divided by its height.
+     * @return {!mat4} out
+     */
+    projection(out, aspect) {
+      return glMatrix.mat4.perspective(out, FOV, aspect, NEAR, FAR);
+    }
+
+    /**
+     * Saves where the camera is, for a snapshot.
+     *
+     * @return {!Object} The camera, as JSON-safe values.
+     */
+    save() {
+      return {
+        mode: this._mode,
+        smoothing: this._smoothing,
+        eye: eyeOf(this._goal),
+        target: [...this._goal.target],
+      };
+    }
+
+    /**
+     * Loads a camera saved by Camera.save().
+     *
+     * Snapshots from before the camera could orbit saved where it was looking
+     * as lookat, a point in front of it, which it is turned to face.
+     *
+     * @param {!Object} saved The saved camera.
+     */
+    load(saved) {
+      this._mode = saved.mode !== undefined ? saved.mode : CAMERA_MODE.FLY;
+      this._smoothing = saved.smoothing !== undefined ? saved.smoothing : DEFAULT_SMOOTHING;
+      this.lookAt(saved.eye, saved.target || saved.lookat);
+    }
+  }
+
+  /**
+   * Finds where a camera is, from its target, direction and distance.
+   */
+  function eyeOf(view) {
+    const [forward] = basis(view);
+    return [0, 1, 2].map(i => view.target[i] - forward[i] * view.distance);
+  }
+
+  /**
+   * Finds the forward, right and up directions of a camera.
+   *
+   * @return {!Array<!Array<number>>} [forward, right, up].
+   */
+  function basis(view) {
+    const forward = [
+      Math.cos(view.pitch) * Math.cos(view.yaw),
+      Math.cos(view.pitch) * Math.sin(view.yaw),
+      Math.sin(view.pitch),
+    ];
+    // forward × +z, which is level
+    const right = [Math.sin(view.yaw), -Math.cos(view.yaw), 0];
+    // right × forward
+    const up = [
+      right[1] * forward[2] - right[2] * forward[1],
+      right[2] * forward[0] - right[0] * forward[2],
+      right[0] * forward[1] - right[1] * forward[0],
+    ];
+    return [forward, right, up];
+  }
+
+  function copy(view) {
+    return {target: [...view.target], yaw: view.yaw, pitch: view.pitch, distance: view.distance};
+  }
+
+  function clamp(x, min, max) {
+    return Math.max(min, Math.min(x, max));
+  }
+
+  return {
+    Camera,
+    CAMERA_MODE,
+    CAMERA_MODE_STRINGS,
+  };
+});
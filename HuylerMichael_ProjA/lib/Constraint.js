@@ -4,579 +4,850 @@
  * @author Michael Huyler
  */
 
-/**
- * Types of Constraints.
- *
- * @enum {number}
- */
-const CONSTRAINT_TYPE = {
-  VOLUME_IMPULSIVE: 0,
-  VOLUME_VELOCITY_REVERSE: 1,
-  SPHERE: 2,
-  ABSOLUTE: 3,
-  VOLUME_WRAP: 4,
-  EXTERNAL_VOLUME_IMPULSIVE: 5,
-};
-const CONSTRAINT_STRINGS = [
-  "Volume [Impulsive]",
-  "Volume [Velocity Reverse]",
-  "Sphere",
-  "Absolute Position",
-  "Wraparound [Impulsive]",
-  "Rectangular Prism Obstacle [Impulsive]",
-];
-
-/**
- * Shortcut values for enabling only particular walls in a volume constraint.
- *
- * @enum {number}
- */
-const WALL = {
-  ALL: 0b111111,
-  NONE: 0b000000,
-  TOP: 0b000001,
-  BOTTOM: 0b000010,
-  FRONT: 0b000100,
-  BACK: 0b001000,
-  LEFT: 0b010000,
-  RIGHT: 0b100000,
-};
-
-const VISIBLE_CONSTRAINTS = [
-  CONSTRAINT_TYPE.VOLUME_IMPULSIVE,
-  CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE,
-  CONSTRAINT_TYPE.SPHERE,
-  CONSTRAINT_TYPE.VOLUME_WRAP,
-  CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE,
-];
-// Used to keep track of what index this constraint is in the VBO
-var __constraint_volume_index = 0;
-
-/**
- * Creates rules for a constraint, and a function to be called to fix the
- * state vector if a constraint is not met.
- */
-class Constraint {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./gl-matrix.js'), require('./State.js'), require('./SpatialHash.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root.glMatrix, root, root));
+  }
+})(this, function(glMatrix, {STATE, DEFAULT_LAYOUT}, {SpatialHash}) {
   /**
-   * @param {!CONSTRAINT_TYPE} type The type of constraint to represent.
-   * @param {Array<number>} affected_particles The list of particles to constrain.
-   * @param {vec3} color The color of this constraint.
-   * @param {WALL=} enabled_walls The walls to enable for this constraint.
-   * @param {...number} bounds The rest of the arguments are all numbers which bound the constraint.
+   * Types of Constraints.
+   *
+   * @enum {number}
    */
-  constructor(type, affected_particles, color, enabled_walls = WALL.NONE, restitution, ...bounds) {
-    this._type = type;
-    this._index = -1;
-    switch (this._type) {
-      case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
-      case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
-      case CONSTRAINT_TYPE.VOLUME_WRAP:
-      case CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE:
-        this._x_min = bounds[0];
-        this._x_max = bounds[1];
-        this._y_min = bounds[2];
-        this._y_max = bounds[3];
-        this._z_min = bounds[4];
-        this._z_max = bounds[5];
-        this._index = __constraint_volume_index;
-        __constraint_volume_index++;
-        break;
-      case CONSTRAINT_TYPE.SPHERE:
-        this._c = glMatrix.vec3.fromValues(bounds[0], bounds[1], bounds[2]);
-        this._r = bounds[3];
-        this._index = __constraint_volume_index;
-        __constraint_volume_index += 2;
-        break;
-      case CONSTRAINT_TYPE.ABSOLUTE:
-        this._x = bounds[0];
-        this._y = bounds[1];
-        this._z = bounds[2];
-        break;
-      default:
-        console.log("invalid constraint type: " + type);
-        break;
-    }
-    this._p = affected_particles;
-    this._color = color;
-    this._walls = enabled_walls;
-    this._restitution = restitution;
-    this._enabled = true;
-  }
-
-  get radius() {
-    return this._r;
-  }
-  get type() {
-    return this._type;
-  }
-  get bounds() {
-    var out;
-    switch (this.type) {
-      case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
-      case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
-      case CONSTRAINT_TYPE.VOLUME_WRAP:
-        out = [this._x_min, this._x_max, this._y_min, this._y_max, this._z_min, this._z_max];
-        break;
-      case CONSTRAINT_TYPE.SPHERE:
-        out = [this._c[0], this._c[1], this._c[2], this._r];
-        break;
-      default:
-        out = [];
-        break;
-    }
-    return out;
-  }
-  get restitution() {
-    return this._restitution;
-  }
-
-  set x(new_x) {
-    switch (this._type) {
-      case CONSTRAINT_TYPE.SPHERE:
-        this._c[0] = new_x;
-        break;
-      default:
-        break;
-    }
-  }
-  set y(new_y) {
-    switch (this._type) {
-      case CONSTRAINT_TYPE.SPHERE:
-        this._c[1] = new_y;
-        break;
-      default:
-        break;
-    }
-  }
-  set z(new_z) {
-    switch (this._type) {
-      case CONSTRAINT_TYPE.SPHERE:
-        this._c[2] = new_z;
-        break;
-      default:
-        break;
-    }
-  }
-  set r(new_r) {
-    this._r = new_r;
-  }
-  set x_min(x) {
-    this._x_min = x;
-  }
-  set x_max(x) {
-    this._x_max = x;
-  }
-  set y_min(y) {
-    this._y_min = y;
-  }
-  set y_max(y) {
-    this._y_max = y;
-  }
-  set z_min(z) {
-    this._z_min = z;
-  }
-  set z_max(z) {
-    this._z_max = z;
-  }
-  set restitution(r) {
-    this._restitution = r;
-  }
-  set color(color) {
-    this._color = glMatrix.vec3.clone(color);
-  }
+  const CONSTRAINT_TYPE = {
+    VOLUME_IMPULSIVE: 0,
+    VOLUME_VELOCITY_REVERSE: 1,
+    SPHERE: 2,
+    ABSOLUTE: 3,
+    VOLUME_WRAP: 4,
+    EXTERNAL_VOLUME_IMPULSIVE: 5,
+    PARTICLE_COLLISION: 6,
+  };
+  const CONSTRAINT_STRINGS = [
+    "Volume [Impulsive]",
+    "Volume [Velocity Reverse]",
+    "Sphere",
+    "Absolute Position",
+    "Wraparound [Impulsive]",
+    "Rectangular Prism Obstacle [Impulsive]",
+    "Particle Collisions",
+  ];
 
   /**
-   * Enables this constraint.
+   * Shortcut values for enabling only particular walls in a volume constraint.
+   *
+   * @enum {number}
    */
-  enable() {
-    this._enabled = true;
-  }
+  const WALL = {
+    ALL: 0b111111,
+    NONE: 0b000000,
+    TOP: 0b000001,
+    BOTTOM: 0b000010,
+    FRONT: 0b000100,
+    BACK: 0b001000,
+    LEFT: 0b010000,
+    RIGHT: 0b100000,
+  };
+
+  const VISIBLE_CONSTRAINTS = [
+    CONSTRAINT_TYPE.VOLUME_IMPULSIVE,
+    CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE,
+    CONSTRAINT_TYPE.SPHERE,
+    CONSTRAINT_TYPE.VOLUME_WRAP,
+    CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE,
+  ];
+  // Used to keep track of what index this constraint is in the VBO
+  var __constraint_volume_index = 0;
+  // Spatial hash shared by every particle collision constraint, rebuilt on
+  // each use
+  const __spatial_hash = new SpatialHash();
+  // How far other constraints last moved each particle, 3 floats per particle
+  // index, shared by every particle collision constraint
+  var __held = new Float32Array(0);
 
   /**
-   * Disables this constraint.
+   * Moves two particles apart along one axis, or changes their velocities
+   * along it, each by a share of the change inversely proportional to its mass.
+   *
+   * Along an axis where another constraint had to push one of them back, that
+   * particle is held where it is, and the other takes the whole change.
+   *
+   * @param {!Float32Array} s The state vector.
+   * @param {!Float32Array} held How far other constraints last moved each particle.
+   * @param {number} a The index of the first particle.
+   * @param {number} b The index of the second particle.
+   * @param {number} size The number of floats each particle takes in s.
+   * @param {!STATE} slot The first slot to change, P_X or V_X.
+   * @param {number} axis The axis to change along, 0 to 2.
+   * @param {number} change The change of b relative to a, before weighting.
+   * @param {number} w_a The inverse mass of a.
+   * @param {number} w_b The inverse mass of b.
    */
-  disable() {
-    this._enabled = false;
+  function share(s, held, a, b, size, slot, axis, change, w_a, w_b) {
+    var change_a = -change * w_a;
+    var change_b = change * w_b;
+    const held_a = held[a * 3 + axis] * change_a < 0;
+    const held_b = held[b * 3 + axis] * change_b < 0;
+    if (held_a && !held_b && w_b > 0) {
+      change_b -= change_a;
+      change_a = 0;
+    } else if (held_b && !held_a && w_a > 0) {
+      change_a -= change_b;
+      change_b = 0;
+    }
+    s[a * size + slot + axis] += change_a;
+    s[b * size + slot + axis] += change_b;
   }
 
   /**
-   * Ensures the current state vector meets this constraint.
+   * Resolves a collision between two particles, if their spheres overlap.
    *
-   * @param {!Float32Array} s1 The previous state vector.
-   * @param {!Float32Array} s2 The current state vector.
+   * The particles are pushed apart along the line between their centers, each
+   * by a share of the overlap inversely proportional to its mass. If they are
+   * approaching, an impulse along that line removes their approach speed (and
+   * reverses the restitution's fraction of it), and friction slows their
+   * sliding past each other by up to the friction's fraction of that impulse.
+   * Momentum is conserved, except where another constraint holds a particle
+   * (see share()).
+   *
+   * @param {!Float32Array} s The state vector.
+   * @param {number} a The index of the first particle.
+   * @param {number} b The index of the second particle.
+   * @param {number} size The number of floats each particle takes in s.
+   * @param {number} restitution The fraction of approach speed kept.
+   * @param {number} friction The Coulomb friction coefficient.
+   * @param {!Float32Array} held How far other constraints last moved each particle.
    */
-  constrain(s1, s2) {
-    if (!this._enabled)
+  function collide(s, a, b, size, restitution, friction, held) {
+    const i = a * size;
+    const j = b * size;
+    var nx = s[j + STATE.P_X] - s[i + STATE.P_X];
+    var ny = s[j + STATE.P_Y] - s[i + STATE.P_Y];
+    var nz = s[j + STATE.P_Z] - s[i + STATE.P_Z];
+    const reach = s[i + STATE.RADIUS] + s[j + STATE.RADIUS];
+    const d2 = nx * nx + ny * ny + nz * nz;
+    if (d2 >= reach * reach)
       return;
-    switch (this._type) {
-      case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
-        for (var i = 0; i < this._p.length; i++) {
-          // bounce on left wall
-          if ((this._walls & WALL.LEFT) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] < this._x_min &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] <= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x_min;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] =
-              Math.abs(s1[(this._p[i] * STATE_SIZE) + STATE.V_X]) * tracker.drag * this._restitution;
-          }
-          // bounce on right wall
-          if ((this._walls & WALL.RIGHT) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] > this._x_max &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] >= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x_max;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] =
-              Math.abs(s1[(this._p[i] * STATE_SIZE) + STATE.V_X]) * tracker.drag * this._restitution * -1;
-          }
-          // bounce on front wall
-          if ((this._walls & WALL.FRONT) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] < this._y_min &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] <= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y_min;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] =
-              Math.abs(s1[(this._p[i] * STATE_SIZE) + STATE.V_Y]) * tracker.drag * this._restitution;
-          }
-          // bounce on back wall
-          if ((this._walls & WALL.BACK) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] > this._y_max &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] >= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y_max;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] =
-              Math.abs(s1[(this._p[i] * STATE_SIZE) + STATE.V_Y]) * tracker.drag * this._restitution * -1;
-          }
-          // bounce on floor
-          if ((this._walls & WALL.BOTTOM) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] < this._z_min &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] <= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_min;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] =
-              Math.abs(s1[(this._p[i] * STATE_SIZE) + STATE.V_Z]) * tracker.drag * this._restitution;
-          }
-          // bounce on ceiling
-          if ((this._walls & WALL.TOP) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] > this._z_max &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] >= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_max;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] =
-              Math.abs(s1[(this._p[i] * STATE_SIZE) + STATE.V_Z]) * tracker.drag * this._restitution * -1;
-          }
-        }
-        break;
-      case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
-        for (var i = 0; i < this._p.length; i++) {
-          // bounce on left wall
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_X] < this._x_min && s2[(this._p[i] * STATE_SIZE) + STATE.V_X] < 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] = -this._restitution * s2[(this._p[i] * STATE_SIZE) + STATE.V_X];
-          }
-          // bounce on right wall
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_X] > this._x_max && s2[(this._p[i] * STATE_SIZE) + STATE.V_X] > 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] = -this._restitution * s2[(this._p[i] * STATE_SIZE) + STATE.V_X];
-          }
-          // bounce on front wall
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] < this._y_min && s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] < 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] = -this._restitution * s2[(this._p[i] * STATE_SIZE) + STATE.V_Y];
-          }
-          // bounce on back wall
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] > this._y_max && s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] > 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] = -this._restitution * s2[(this._p[i] * STATE_SIZE) + STATE.V_Y];
-          }
-          // bounce on floor
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] < this._z_min && s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] < 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] = -this._restitution * s2[(this._p[i] * STATE_SIZE) + STATE.V_Z];
-          }
-          // bounce on ceiling
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] > this._z_max && s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] > 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] = -this._restitution * s2[(this._p[i] * STATE_SIZE) + STATE.V_Z];
-          }
-          // hard limit on 'floor' keeps z position >= 0;
-          if (s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] < this._z_min) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_min;
+    // Particles weighing nothing (or less) are treated as immovable
+    const w_a = s[i + STATE.MASS] > 0 ? 1 / s[i + STATE.MASS] : 0;
+    const w_b = s[j + STATE.MASS] > 0 ? 1 / s[j + STATE.MASS] : 0;
+    const w = w_a + w_b;
+    if (w == 0)
+      return;
+    const d = Math.sqrt(d2);
+    if (d > 0) {
+      nx /= d;
+      ny /= d;
+      nz /= d;
+    } else {
+      // Particles at the same position are pushed apart vertically, the first
+      // of the pair downwards
+      nx = 0;
+      ny = 0;
+      nz = 1;
+    }
+    // Separate the particles
+    const overlap = (reach - d) / w;
+    share(s, held, a, b, size, STATE.P_X, 0, nx * overlap, w_a, w_b);
+    share(s, held, a, b, size, STATE.P_X, 1, ny * overlap, w_a, w_b);
+    share(s, held, a, b, size, STATE.P_X, 2, nz * overlap, w_a, w_b);
+    // Relative velocity of b to a, split into its normal and tangential parts
+    const vx = s[j + STATE.V_X] - s[i + STATE.V_X];
+    const vy = s[j + STATE.V_Y] - s[i + STATE.V_Y];
+    const vz = s[j + STATE.V_Z] - s[i + STATE.V_Z];
+    const v_n = vx * nx + vy * ny + vz * nz;
+    if (v_n >= 0)
+      return;
+    const j_n = -(1 + restitution) * v_n / w;
+    var jx = nx * j_n;
+    var jy = ny * j_n;
+    var jz = nz * j_n;
+    const tx = vx - v_n * nx;
+    const ty = vy - v_n * ny;
+    const tz = vz - v_n * nz;
+    const v_t = Math.sqrt(tx * tx + ty * ty + tz * tz);
+    if (v_t > 0 && friction > 0) {
+      // Never more than enough to stop them sliding
+      const j_t = Math.min(v_t / w, friction * j_n) / v_t;
+      jx -= tx * j_t;
+      jy -= ty * j_t;
+      jz -= tz * j_t;
+    }
+    share(s, held, a, b, size, STATE.V_X, 0, jx, w_a, w_b);
+    share(s, held, a, b, size, STATE.V_X, 1, jy, w_a, w_b);
+    share(s, held, a, b, size, STATE.V_X, 2, jz, w_a, w_b);
+  }
+
+  /**
+   * Creates rules for a constraint, and a function to be called to fix the
+   * state vector if a constraint is not met.
+   */
+  class Constraint {
+    /**
+     * @param {!CONSTRAINT_TYPE} type The type of constraint to represent.
+     * @param {Array<number>} affected_particles The list of particles to constrain.
+     * @param {vec3} color The color of this constraint.
+     * @param {WALL=} enabled_walls The walls to enable for this constraint.
+     * @param {...number} bounds The rest of the arguments are all numbers which bound the constraint.
+     */
+    constructor(type, affected_particles, color, enabled_walls = WALL.NONE, restitution, ...bounds) {
+      this._type = type;
+      this._index = -1;
+      switch (this._type) {
+        case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
+        case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
+        case CONSTRAINT_TYPE.VOLUME_WRAP:
+        case CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE:
+          this._x_min = bounds[0];
+          this._x_max = bounds[1];
+          this._y_min = bounds[2];
+          this._y_max = bounds[3];
+          this._z_min = bounds[4];
+          this._z_max = bounds[5];
+          this._index = __constraint_volume_index;
+          __constraint_volume_index++;
+          break;
+        case CONSTRAINT_TYPE.SPHERE:
+          this._c = glMatrix.vec3.fromValues(bounds[0], bounds[1], bounds[2]);
+          this._r = bounds[3];
+          this._index = __constraint_volume_index;
+          __constraint_volume_index += 2;
+          break;
+        case CONSTRAINT_TYPE.ABSOLUTE:
+          this._x = bounds[0];
+          this._y = bounds[1];
+          this._z = bounds[2];
+          break;
+        case CONSTRAINT_TYPE.PARTICLE_COLLISION:
+          this._friction = bounds[0] === undefined ? 0 : bounds[0];
+          this._iterations = bounds[1] === undefined ? 2 : bounds[1];
+          break;
+        default:
+          console.log("invalid constraint type: " + type);
+          break;
+      }
+      this._p = affected_particles;
+      // The layout of the particles' states, set by their particle system
+      this._layout = DEFAULT_LAYOUT;
+      this._color = color;
+      this._walls = enabled_walls;
+      this._restitution = restitution;
+      this._enabled = true;
+    }
+
+    /**
+     * The number of volume slots (24 vertices each) used by all constraints so
+     * far, for sizing the VBO they are drawn in.
+     */
+    static get volume_count() {
+      return __constraint_volume_index;
+    }
+
+    /**
+     * Resets the volume count, before rebuilding every constraint.
+     */
+    static set volume_count(count) {
+      __constraint_volume_index = count;
+    }
+
+    get radius() {
+      return this._r;
+    }
+    get particles() {
+      return this._p;
+    }
+    get layout() {
+      return this._layout;
+    }
+    get type() {
+      return this._type;
+    }
+    get bounds() {
+      var out;
+      switch (this.type) {
+        case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
+        case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
+        case CONSTRAINT_TYPE.VOLUME_WRAP:
+          out = [this._x_min, this._x_max, this._y_min, this._y_max, this._z_min, this._z_max];
+          break;
+        case CONSTRAINT_TYPE.SPHERE:
+          out = [this._c[0], this._c[1], this._c[2], this._r];
+          break;
+        default:
+          out = [];
+          break;
+      }
+      return out;
+    }
+    get restitution() {
+      return this._restitution;
+    }
+    get friction() {
+      return this._friction;
+    }
+    get iterations() {
+      return this._iterations;
+    }
+
+    set layout(layout) {
+      this._layout = layout;
+    }
+    set x(new_x) {
+      switch (this._type) {
+        case CONSTRAINT_TYPE.SPHERE:
+          this._c[0] = new_x;
+          break;
+        default:
+          break;
+      }
+    }
+    set y(new_y) {
+      switch (this._type) {
+        case CONSTRAINT_TYPE.SPHERE:
+          this._c[1] = new_y;
+          break;
+        default:
+          break;
+      }
+    }
+    set z(new_z) {
+      switch (this._type) {
+        case CONSTRAINT_TYPE.SPHERE:
+          this._c[2] = new_z;
+          break;
+        default:
+          break;
+      }
+    }
+    set r(new_r) {
+      this._r = new_r;
+    }
+    set x_min(x) {
+      this._x_min = x;
+    }
+    set x_max(x) {
+      this._x_max = x;
+    }
+    set y_min(y) {
+      this._y_min = y;
+    }
+    set y_max(y) {
+      this._y_max = y;
+    }
+    set z_min(z) {
+      this._z_min = z;
+    }
+    set z_max(z) {
+      this._z_max = z;
+    }
+    set restitution(r) {
+      this._restitution = r;
+    }
+    set friction(f) {
+      this._friction = f;
+    }
+    set iterations(n) {
+      this._iterations = n;
+    }
+    set color(color) {
+      this._color = glMatrix.vec3.clone(color);
+    }
+
+    /**
+     * Enables this constraint.
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disables this constraint.
+     */
+    disable() {
+      this._enabled = false;
+    }
+
+    /**
+     * Saves this constraint's parameters (bounds, restitution, etc.), for a
+     * snapshot.
+     *
+     * @return {!Object} The parameters, as JSON-safe values.
+     */
+    save() {
+      const saved = {};
+      for (const key in this) {
+        if (key == '_type' || key == '_p' || key == '_index' || key == '_layout')
+          continue;
+        saved[key] = ArrayBuffer.isView(this[key]) ? Array.from(this[key]) : this[key];
+      }
+      return saved;
+    }
+
+    /**
+     * Loads parameters saved by Constraint.save().
+     *
+     * @param {!Object} saved The saved parameters.
+     */
+    load(saved) {
+      for (const key in saved) {
+        this[key] = ArrayBuffer.isView(this[key]) ? new Float32Array(saved[key]) : saved[key];
+      }
+    }
+
+    /**
+     * Ensures the current state vector meets this constraint.
+     *
+     * @param {!Float32Array} s1 The previous state vector.
+     * @param {!Float32Array} s2 The current state vector.
+     * @param {!Object} settings The simulation settings (for drag).
+     * @param {Array<Constraint>=} constraint_set Every constraint of the system,
+     *        which particle collisions keep meeting as they push particles apart.
+     */
+    constrain(s1, s2, settings, constraint_set = []) {
+      const size = this._layout.size;
+      if (!this._enabled)
+        return;
+      switch (this._type) {
+        case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
+          for (var i = 0; i < this._p.length; i++) {
+            // bounce on left wall
+            if ((this._walls & WALL.LEFT) &&
+              s2[(this._p[i] * size) + STATE.P_X] < this._x_min) {
+              s2[(this._p[i] * size) + STATE.P_X] = this._x_min;
+              if (s2[(this._p[i] * size) + STATE.V_X] <= 0.0)
+                s2[(this._p[i] * size) + STATE.V_X] =
+                  Math.abs(s1[(this._p[i] * size) + STATE.V_X]) * settings.drag * this._restitution;
+            }
+            // bounce on right wall
+            if ((this._walls & WALL.RIGHT) &&
+              s2[(this._p[i] * size) + STATE.P_X] > this._x_max) {
+              s2[(this._p[i] * size) + STATE.P_X] = this._x_max;
+              if (s2[(this._p[i] * size) + STATE.V_X] >= 0.0)
+                s2[(this._p[i] * size) + STATE.V_X] =
+                  Math.abs(s1[(this._p[i] * size) + STATE.V_X]) * settings.drag * this._restitution * -1;
+            }
+            // bounce on front wall
+            if ((this._walls & WALL.FRONT) &&
+              s2[(this._p[i] * size) + STATE.P_Y] < this._y_min) {
+              s2[(this._p[i] * size) + STATE.P_Y] = this._y_min;
+              if (s2[(this._p[i] * size) + STATE.V_Y] <= 0.0)
+                s2[(this._p[i] * size) + STATE.V_Y] =
+                  Math.abs(s1[(this._p[i] * size) + STATE.V_Y]) * settings.drag * this._restitution;
+            }
+            // bounce on back wall
+            if ((this._walls & WALL.BACK) &&
+              s2[(this._p[i] * size) + STATE.P_Y] > this._y_max) {
+              s2[(this._p[i] * size) + STATE.P_Y] = this._y_max;
+              if (s2[(this._p[i] * size) + STATE.V_Y] >= 0.0)
+                s2[(this._p[i] * size) + STATE.V_Y] =
+                  Math.abs(s1[(this._p[i] * size) + STATE.V_Y]) * settings.drag * this._restitution * -1;
+            }
+            // bounce on floor
+            if ((this._walls & WALL.BOTTOM) &&
+              s2[(this._p[i] * size) + STATE.P_Z] < this._z_min) {
+              s2[(this._p[i] * size) + STATE.P_Z] = this._z_min;
+              if (s2[(this._p[i] * size) + STATE.V_Z] <= 0.0)
+                s2[(this._p[i] * size) + STATE.V_Z] =
+                  Math.abs(s1[(this._p[i] * size) + STATE.V_Z]) * settings.drag * this._restitution;
+            }
+            // bounce on ceiling
+            if ((this._walls & WALL.TOP) &&
+              s2[(this._p[i] * size) + STATE.P_Z] > this._z_max) {
+              s2[(this._p[i] * size) + STATE.P_Z] = this._z_max;
+              if (s2[(this._p[i] * size) + STATE.V_Z] >= 0.0)
+                s2[(this._p[i] * size) + STATE.V_Z] =
+                  Math.abs(s1[(this._p[i] * size) + STATE.V_Z]) * settings.drag * this._restitution * -1;
+            }
           }
-        }
-        break;
-      case CONSTRAINT_TYPE.SPHERE:
-        var part_pos = glMatrix.vec3.create();
-        var part_vel = glMatrix.vec3.create();
-        for (var i = 0; i < this._p.length; i++) {
-          part_pos = glMatrix.vec3.fromValues(
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X],
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y],
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z]);
-          // Particle is inside the sphere
-          if (glMatrix.vec3.dist(part_pos, this._c) < this._r) {
-            // Place particle on the sphere's surface
-            glMatrix.vec3.subtract(part_pos, part_pos, this._c);
-            glMatrix.vec3.normalize(part_pos, part_pos);
-            glMatrix.vec3.scale(part_pos, part_pos, this._r);
-            glMatrix.vec3.add(part_pos, part_pos, this._c);
-            // Make the particle's velocity normal to the sphere's surface
-            glMatrix.vec3.subtract(part_vel, part_pos, this._c);
-            glMatrix.vec3.normalize(part_vel, part_vel);
-            glMatrix.vec3.scale(part_vel, part_vel, glMatrix.vec3.len(glMatrix.vec3.fromValues(
-              s2[(this._p[i] * STATE_SIZE) + STATE.V_X],
-              s2[(this._p[i] * STATE_SIZE) + STATE.V_Y],
-              s2[(this._p[i] * STATE_SIZE) + STATE.V_Z]
-            )));
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = part_pos[0];
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = part_pos[1];
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = part_pos[2];
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] = part_vel[0] * this._restitution;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] = part_vel[1] * this._restitution;
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] = part_vel[2] * this._restitution;
+          break;
+        case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
+          for (var i = 0; i < this._p.length; i++) {
+            // bounce on left wall
+            if (s2[(this._p[i] * size) + STATE.P_X] < this._x_min && s2[(this._p[i] * size) + STATE.V_X] < 0.0) {
+              s2[(this._p[i] * size) + STATE.V_X] = -this._restitution * s2[(this._p[i] * size) + STATE.V_X];
+            }
+            // bounce on right wall
+            if (s2[(this._p[i] * size) + STATE.P_X] > this._x_max && s2[(this._p[i] * size) + STATE.V_X] > 0.0) {
+              s2[(this._p[i] * size) + STATE.V_X] = -this._restitution * s2[(this._p[i] * size) + STATE.V_X];
+            }
+            // bounce on front wall
+            if (s2[(this._p[i] * size) + STATE.P_Y] < this._y_min && s2[(this._p[i] * size) + STATE.V_Y] < 0.0) {
+              s2[(this._p[i] * size) + STATE.V_Y] = -this._restitution * s2[(this._p[i] * size) + STATE.V_Y];
+            }
+            // bounce on back wall
+            if (s2[(this._p[i] * size) + STATE.P_Y] > this._y_max && s2[(this._p[i] * size) + STATE.V_Y] > 0.0) {
+              s2[(this._p[i] * size) + STATE.V_Y] = -this._restitution * s2[(this._p[i] * size) + STATE.V_Y];
+            }
+            // bounce on floor
+            if (s2[(this._p[i] * size) + STATE.P_Z] < this._z_min && s2[(this._p[i] * size) + STATE.V_Z] < 0.0) {
+              s2[(this._p[i] * size) + STATE.V_Z] = -this._restitution * s2[(this._p[i] * size) + STATE.V_Z];
+            }
+            // bounce on ceiling
+            if (s2[(this._p[i] * size) + STATE.P_Z] > this._z_max && s2[(this._p[i] * size) + STATE.V_Z] > 0.0) {
+              s2[(this._p[i] * size) + STATE.V_Z] = -this._restitution * s2[(this._p[i] * size) + STATE.V_Z];
+            }
+            // hard limit on 'floor' keeps z position >= 0;
+            if (s2[(this._p[i] * size) + STATE.P_Z] < this._z_min) {
+              s2[(this._p[i] * size) + STATE.P_Z] = this._z_min;
+            }
           }
-        }
-        break;
-      case CONSTRAINT_TYPE.ABSOLUTE:
-        for (var i = 0; i < this._p.length; i++) {
-          s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x;
-          s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y;
-          s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z;
-          s2[(this._p[i] * STATE_SIZE) + STATE.V_X] = 0;
-          s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] = 0;
-          s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] = 0;
-        }
-        break;
-      case CONSTRAINT_TYPE.VOLUME_WRAP:
-        for (var i = 0; i < this._p.length; i++) {
-          // wrap to right wall
-          if ((this._walls & WALL.LEFT) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] < this._x_min &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] <= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x_max;
+          break;
+        case CONSTRAINT_TYPE.SPHERE:
+          var part_pos = glMatrix.vec3.create();
+          var part_vel = glMatrix.vec3.create();
+          for (var i = 0; i < this._p.length; i++) {
+            part_pos = glMatrix.vec3.fromValues(
+              s2[(this._p[i] * size) + STATE.P_X],
+              s2[(this._p[i] * size) + STATE.P_Y],
+              s2[(this._p[i] * size) + STATE.P_Z]);
+            // Particle is inside the sphere
+            if (glMatrix.vec3.dist(part_pos, this._c) < this._r) {
+              // Place particle on the sphere's surface
+              glMatrix.vec3.subtract(part_pos, part_pos, this._c);
+              glMatrix.vec3.normalize(part_pos, part_pos);
+              glMatrix.vec3.scale(part_pos, part_pos, this._r);
+              glMatrix.vec3.add(part_pos, part_pos, this._c);
+              // Make the particle's velocity normal to the sphere's surface
+              glMatrix.vec3.subtract(part_vel, part_pos, this._c);
+              glMatrix.vec3.normalize(part_vel, part_vel);
+              glMatrix.vec3.scale(part_vel, part_vel, glMatrix.vec3.len(glMatrix.vec3.fromValues(
+                s2[(this._p[i] * size) + STATE.V_X],
+                s2[(this._p[i] * size) + STATE.V_Y],
+                s2[(this._p[i] * size) + STATE.V_Z]
+              )));
+              s2[(this._p[i] * size) + STATE.P_X] = part_pos[0];
+              s2[(this._p[i] * size) + STATE.P_Y] = part_pos[1];
+              s2[(this._p[i] * size) + STATE.P_Z] = part_pos[2];
+              s2[(this._p[i] * size) + STATE.V_X] = part_vel[0] * this._restitution;
+              s2[(this._p[i] * size) + STATE.V_Y] = part_vel[1] * this._restitution;
+              s2[(this._p[i] * size) + STATE.V_Z] = part_vel[2] * this._restitution;
+            }
           }
-          // wrap to left wall
-          if ((this._walls & WALL.RIGHT) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] > this._x_max &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_X] >= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x_min;
+          break;
+        case CONSTRAINT_TYPE.ABSOLUTE:
+          for (var i = 0; i < this._p.length; i++) {
+            s2[(this._p[i] * size) + STATE.P_X] = this._x;
+            s2[(this._p[i] * size) + STATE.P_Y] = this._y;
+            s2[(this._p[i] * size) + STATE.P_Z] = this._z;
+            s2[(this._p[i] * size) + STATE.V_X] = 0;
+            s2[(this._p[i] * size) + STATE.V_Y] = 0;
+            s2[(this._p[i] * size) + STATE.V_Z] = 0;
           }
-          // wrap to back wall
-          if ((this._walls & WALL.FRONT) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] < this._y_min &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] <= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y_max;
+          break;
+        case CONSTRAINT_TYPE.VOLUME_WRAP:
+          for (var i = 0; i < this._p.length; i++) {
+            // wrap to right wall
+            if ((this._walls & WALL.LEFT) &&
+              s2[(this._p[i] * size) + STATE.P_X] < this._x_min &&
+              s2[(this._p[i] * size) + STATE.V_X] <= 0.0) {
+              s2[(this._p[i] * size) + STATE.P_X] = this._x_max;
+            }
+            // wrap to left wall
+            if ((this._walls & WALL.RIGHT) &&
+              s2[(this._p[i] * size) + STATE.P_X] > this._x_max &&
+              s2[(this._p[i] * size) + STATE.V_X] >= 0.0) {
+              s2[(this._p[i] * size) + STATE.P_X] = this._x_min;
+            }
+            // wrap to back wall
+            if ((this._walls & WALL.FRONT) &&
+              s2[(this._p[i] * size) + STATE.P_Y] < this._y_min &&
+              s2[(this._p[i] * size) + STATE.V_Y] <= 0.0) {
+              s2[(this._p[i] * size) + STATE.P_Y] = this._y_max;
+            }
+            // wrap to front wall
+            if ((this._walls & WALL.BACK) &&
+              s2[(this._p[i] * size) + STATE.P_Y] > this._y_max &&
+              s2[(this._p[i] * size) + STATE.V_Y] >= 0.0) {
+              s2[(this._p[i] * size) + STATE.P_Y] = this._y_min;
+            }
+            // wrap to ceiling
+            if ((this._walls & WALL.BOTTOM) &&
+              s2[(this._p[i] * size) + STATE.P_Z] < this._z_min &&
+              s2[(this._p[i] * size) + STATE.V_Z] <= 0.0) {
+              s2[(this._p[i] * size) + STATE.P_Z] = this._z_max;
+            }
+            // wrap to floor
+            if ((this._walls & WALL.TOP) &&
+              s2[(this._p[i] * size) + STATE.P_Z] > this._z_max &&
+              s2[(this._p[i] * size) + STATE.V_Z] >= 0.0) {
+              s2[(this._p[i] * size) + STATE.P_Z] = this._z_min;
+            }
           }
-          // wrap to front wall
-          if ((this._walls & WALL.BACK) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] > this._y_max &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] >= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y_min;
+          break;
+        case CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE:
+          const x_min = this._x_min;
+          const x_max = this._x_max;
+          const y_min = this._y_min;
+          const y_max = this._y_max;
+          const z_min = this._z_min;
+          const z_max = this._z_max;
+          var in_x = function(x) {
+            return (x_min < x && x < x_max);
           }
-          // wrap to ceiling
-          if ((this._walls & WALL.BOTTOM) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] < this._z_min &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] <= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_max;
+          var in_y = function(y) {
+            return (y_min < y && y < y_max);
           }
-          // wrap to floor
-          if ((this._walls & WALL.TOP) &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] > this._z_max &&
-            s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] >= 0.0) {
-            s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_min;
+          var in_z = function(z) {
+            return (z_min < z && z < z_max);
           }
-        }
-        break;
-      case CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE:
-        const x_min = this._x_min;
-        const x_max = this._x_max;
-        const y_min = this._y_min;
-        const y_max = this._y_max;
-        const z_min = this._z_min;
-        const z_max = this._z_max;
-        var in_x = function(x) {
-          return (x_min < x && x < x_max);
-        }
-        var in_y = function(y) {
-          return (y_min < y && y < y_max);
-        }
-        var in_z = function(z) {
-          return (z_min < z && z < z_max);
-        }
-        for (var i = 0; i < this._p.length; i++) {
-          // If p is completely inside the volume
-          if (in_x(s2[(this._p[i] * STATE_SIZE) + STATE.P_X]) &&
-            in_y(s2[(this._p[i] * STATE_SIZE) + STATE.P_Y]) &&
-            in_z(s2[(this._p[i] * STATE_SIZE) + STATE.P_Z])) {
-            // If moving in the x direction caused a collision
-            if (in_y(s1[(this._p[i] * STATE_SIZE) + STATE.P_Y]) &&
-              in_z(s1[(this._p[i] * STATE_SIZE) + STATE.P_Z])) {
-              // If the previous state's x was less than the min x
-              if (s1[(this._p[i] * STATE_SIZE) + STATE.P_X] < this._x_min) {
-                // Place current state's x at min x
-                s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x_min;
-              } else {
-                // Otherwise place it at max x
-                s2[(this._p[i] * STATE_SIZE) + STATE.P_X] = this._x_max;
+          for (var i = 0; i < this._p.length; i++) {
+            // If p is completely inside the volume
+            if (in_x(s2[(this._p[i] * size) + STATE.P_X]) &&
+              in_y(s2[(this._p[i] * size) + STATE.P_Y]) &&
+              in_z(s2[(this._p[i] * size) + STATE.P_Z])) {
+              // If moving in the x direction caused a collision
+              if (in_y(s1[(this._p[i] * size) + STATE.P_Y]) &&
+                in_z(s1[(this._p[i] * size) + STATE.P_Z])) {
+                // If the previous state's x was less than the min x
+                if (s1[(this._p[i] * size) + STATE.P_X] < this._x_min) {
+                  // Place current state's x at min x
+                  s2[(this._p[i] * size) + STATE.P_X] = this._x_min;
+                } else {
+                  // Otherwise place it at max x
+                  s2[(this._p[i] * size) + STATE.P_X] = this._x_max;
+                }
+                // FLip the velocity
+                s2[(this._p[i] * size) + STATE.V_X] = s1[(this._p[i] * size) + STATE.V_X] * settings.drag * this._restitution * -1;
               }
-              // FLip the velocity
-              s2[(this._p[i] * STATE_SIZE) + STATE.V_X] = s1[(this._p[i] * STATE_SIZE) + STATE.V_X] * tracker.drag * this._restitution * -1;
-            }
-            // If moving in the y direction caused a collision
-            if (in_x(s1[(this._p[i] * STATE_SIZE) + STATE.P_X]) &&
-              in_z(s1[(this._p[i] * STATE_SIZE) + STATE.P_Z])) {
-              // If the previous state's y was less than the min y
-              if (s1[(this._p[i] * STATE_SIZE) + STATE.P_Y] < this._y_min) {
-                // Place current state's y at min y
-                s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y_min;
-              } else {
-                // Otherwise place it at max y
-                s2[(this._p[i] * STATE_SIZE) + STATE.P_Y] = this._y_max;
+              // If moving in the y direction caused a collision
+              if (in_x(s1[(this._p[i] * size) + STATE.P_X]) &&
+                in_z(s1[(this._p[i] * size) + STATE.P_Z])) {
+                // If the previous state's y was less than the min y
+                if (s1[(this._p[i] * size) + STATE.P_Y] < this._y_min) {
+                  // Place current state's y at min y
+                  s2[(this._p[i] * size) + STATE.P_Y] = this._y_min;
+                } else {
+                  // Otherwise place it at max y
+                  s2[(this._p[i] * size) + STATE.P_Y] = this._y_max;
+                }
+                // FLip the velocity
+                s2[(this._p[i] * size) + STATE.V_Y] = s1[(this._p[i] * size) + STATE.V_Y] * settings.drag * this._restitution * -1;
+              }
+              // If moving in the z direction caused a collision
+              if (in_x(s1[(this._p[i] * size) + STATE.P_X]) &&
+                in_y(s1[(this._p[i] * size) + STATE.P_Y])) {
+                // If the previous state's z was less than the min z
+                if (s1[(this._p[i] * size) + STATE.P_Z] < this._z_min) {
+                  // Place current state's z at min z
+                  s2[(this._p[i] * size) + STATE.P_Z] = this._z_min;
+                } else {
+                  // Otherwise place it at max z
+                  s2[(this._p[i] * size) + STATE.P_Z] = this._z_max;
+                }
+                // FLip the velocity
+                s2[(this._p[i] * size) + STATE.V_Z] = s1[(this._p[i] * size) + STATE.V_Z] * settings.drag * this._restitution * -1;
               }
-              // FLip the velocity
-              s2[(this._p[i] * STATE_SIZE) + STATE.V_Y] = s1[(this._p[i] * STATE_SIZE) + STATE.V_Y] * tracker.drag * this._restitution * -1;
             }
-            // If moving in the z direction caused a collision
-            if (in_x(s1[(this._p[i] * STATE_SIZE) + STATE.P_X]) &&
-              in_y(s1[(this._p[i] * STATE_SIZE) + STATE.P_Y])) {
-              // If the previous state's z was less than the min z
-              if (s1[(this._p[i] * STATE_SIZE) + STATE.P_Z] < this._z_min) {
-                // Place current state's z at min z
-                s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_min;
-              } else {
-                // Otherwise place it at max z
-                s2[(this._p[i] * STATE_SIZE) + STATE.P_Z] = this._z_max;
+          }
+          break;
+        case CONSTRAINT_TYPE.PARTICLE_COLLISION:
+          // Any two particles touching are at most twice the largest radius
+          // apart, so a cell that wide holds all of a particle's contacts
+          var r_max = 0;
+          for (var i = 0; i < this._p.length; i++)
+            r_max = Math.max(r_max, s2[(this._p[i] * size) + STATE.RADIUS]);
+          if (r_max <= 0)
+            return;
+          // Pushing particles apart can push them through a wall, so the
+          // system's other constraints are met before and after every sweep,
+          // whichever order they are listed in
+          var others = constraint_set.filter(constraint => constraint.type != CONSTRAINT_TYPE.PARTICLE_COLLISION);
+          // Nothing is held for the first sweep, as what the others move then
+          // depends on whether they were listed first
+          var held = this._hold(s1, s2, settings, others).fill(0);
+          // Resolving one contact can cause another, so sweep over them all
+          // a few times, letting stacked particles settle
+          for (var n = 0; n < this._iterations; n++) {
+            __spatial_hash.build(s2, this._p, 2 * r_max, size);
+            for (var i = 0; i < this._p.length; i++) {
+              const a = this._p[i];
+              const neighbors = __spatial_hash.neighbors(a, s2[(a * size) + STATE.RADIUS] + r_max);
+              for (var j = 0; j < neighbors.length; j++) {
+                // Resolve each pair once
+                if (neighbors[j] > a)
+                  collide(s2, a, neighbors[j], size, this._restitution, this._friction, held);
               }
-              // FLip the velocity
-              s2[(this._p[i] * STATE_SIZE) + STATE.V_Z] = s1[(this._p[i] * STATE_SIZE) + STATE.V_Z] * tracker.drag * this._restitution * -1;
             }
+            held = this._hold(s1, s2, settings, others);
           }
-        }
-        break;
-      default:
-        return;
+          break;
+        default:
+          return;
+      }
     }
-  }
 
-  /**
-   * Toggles drawing of this constraint, and updates vertices when bounds change.
-   *
-   * @param {!VBOBox} vbo The VBO to update.
-   * @param {boolean} enabled Whether this constraint should be drawn.
-   */
-  draw(vbo, visible) {
-    visible = visible && this._enabled;
-    switch (this._type) {
-      case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
-      case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
-      case CONSTRAINT_TYPE.VOLUME_WRAP:
-      case CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE:
-        vbo_boxes[vbo].reload(
-          new Float32Array([
-            this._x_min, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 1
-            this._x_min, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 2
-
-            this._x_min, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 2
-            this._x_max, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 3
-
-            this._x_max, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 3
-            this._x_max, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 4
-
-            this._x_max, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 4
-            this._x_min, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 1
-
-            this._x_max, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 5
-            this._x_max, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 6
-
-            this._x_max, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 6
-            this._x_min, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 7
-
-            this._x_min, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 7
-            this._x_min, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 8
-
-            this._x_min, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 8
-            this._x_max, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 5
-
-            this._x_min, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 1
-            this._x_min, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 8
-
-            this._x_min, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 2
-            this._x_min, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 7
-
-            this._x_max, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.FRONT) > 0)  | 0, // 3
-            this._x_max, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.FRONT) > 0)  | 0, // 6
-
-            this._x_max, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.FRONT) > 0) | 0, // 4
-            this._x_max, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.FRONT) > 0) | 0, // 5
-          ]),
-          this._index * 7 * 24);
-        break;
-      case CONSTRAINT_TYPE.SPHERE:
-        var out = glMatrix.vec3.create();
-        var corner = Math.sqrt(2) / 2;
-        vbo_boxes[vbo].reload(
-          new Float32Array([
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
-            ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
-          ]),
-          this._index * 7 * 24);
-        break;
-      default:
-        break;
+    /**
+     * Meets other constraints on this constraint's particles, recording how far
+     * each particle had to be moved to meet them.
+     *
+     * @param {!Float32Array} s1 The previous state vector.
+     * @param {!Float32Array} s2 The current state vector.
+     * @param {!Object} settings The simulation settings (for drag).
+     * @param {!Array<Constraint>} others The constraints to meet.
+     * @return {!Float32Array} How far each particle was moved, 3 floats per
+     *         particle index, in __held.
+     */
+    _hold(s1, s2, settings, others) {
+      const size = this._layout.size;
+      const length = (s2.length / size) * 3;
+      if (__held.length < length)
+        __held = new Float32Array(length);
+      for (var i = 0; i < this._p.length; i++) {
+        for (var k = 0; k < 3; k++)
+          __held[this._p[i] * 3 + k] = s2[(this._p[i] * size) + STATE.P_X + k];
+      }
+      others.forEach(constraint => constraint.constrain(s1, s2, settings));
+      for (var i = 0; i < this._p.length; i++) {
+        for (var k = 0; k < 3; k++)
+          __held[this._p[i] * 3 + k] = s2[(this._p[i] * size) + STATE.P_X + k] - __held[this._p[i] * 3 + k];
+      }
+      return __held;
     }
-  }
 
-  /**
-   * Returns a string representation of this constraint.
-   *
-   * @return {string} A concatination of the constraint's type and bounds.
-   */
-  toString() {
-    return "" + this._index + "" + this.type + "" + this.bounds;
+    /**
+     * Toggles drawing of this constraint, and updates vertices when bounds change.
+     *
+     * @param {!VBOBox} vbo The VBO to update.
+     * @param {boolean} visible Whether this constraint should be drawn.
+     */
+    draw(vbo, visible) {
+      visible = visible && this._enabled;
+      switch (this._type) {
+        case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
+        case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
+        case CONSTRAINT_TYPE.VOLUME_WRAP:
+        case CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE:
+          vbo.reload(
+            new Float32Array([
+              this._x_min, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 1
+              this._x_min, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 2
+
+              this._x_min, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 2
+              this._x_max, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 3
+
+              this._x_max, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 3
+              this._x_max, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 4
+
+              this._x_max, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 4
+              this._x_min, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BOTTOM) > 0) | 0, // 1
+
+              this._x_max, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 5
+              this._x_max, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.FRONT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 6
+
+              this._x_max, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 6
+              this._x_min, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 7
+
+              this._x_min, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 7
+              this._x_min, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.BACK) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 8
+
+              this._x_min, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 8
+              this._x_max, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.TOP) > 0) | 0, // 5
+
+              this._x_min, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 1
+              this._x_min, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 8
+
+              this._x_min, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 2
+              this._x_min, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.BACK) > 0) | 0, // 7
+
+              this._x_max, this._y_max, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.FRONT) > 0)  | 0, // 3
+              this._x_max, this._y_max, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.RIGHT) > 0 || (this._walls & WALL.FRONT) > 0)  | 0, // 6
+
+              this._x_max, this._y_min, this._z_min, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.FRONT) > 0) | 0, // 4
+              this._x_max, this._y_min, this._z_max, this._color[0], this._color[1], this._color[2], visible & ((this._walls & WALL.LEFT) > 0 || (this._walls & WALL.FRONT) > 0) | 0, // 5
+            ]),
+            this._index * 7 * 24);
+          break;
+        case CONSTRAINT_TYPE.SPHERE:
+          var out = glMatrix.vec3.create();
+          var corner = Math.sqrt(2) / 2;
+          vbo.reload(
+            new Float32Array([
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, 0, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(-this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r * corner, -this._r * corner, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(this._r, 0, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, -this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, 0, -this._r))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r * corner, -this._r * corner))], this._color[0], this._color[1], this._color[2], visible | 0,
+              ...[...glMatrix.vec3.add(out, this._c, glMatrix.vec3.fromValues(0, this._r, 0))], this._color[0], this._color[1], this._color[2], visible | 0,
+            ]),
+            this._index * 7 * 24);
+          break;
+        default:
+          break;
+      }
+    }
+
+    /**
+     * Returns a string representation of this constraint.
+     *
+     * @return {string} A concatination of the constraint's type and bounds.
+     */
+    toString() {
+      return "" + this._index + "" + this.type + "" + this.bounds;
+    }
   }
-}
+
+  return {
+    Constraint,
+    CONSTRAINT_TYPE,
+    CONSTRAINT_STRINGS,
+    WALL,
+    VISIBLE_CONSTRAINTS,
+  };
+});
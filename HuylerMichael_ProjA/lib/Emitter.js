@@ -0,0 +1,500 @@
+/**
+ * The Emitter class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./State.js'), require('./Random.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root, root));
+  }
+})(this, function({STATE, DEFAULT_LAYOUT}, {Random}) {
+  /**
+   * Shapes particles can be emitted from.
+   *
+   * @enum {number}
+   */
+  const EMITTER_SHAPE = {
+    // A single point
+    POINT: 0,
+    // Anywhere inside a box
+    BOX: 1,
+    // Anywhere on the surface of a sphere
+    SPHERE: 2,
+    // Anywhere on a flat disc
+    DISC: 3,
+    // Anywhere on the surface of a triangle mesh
+    MESH: 4,
+  };
+  const EMITTER_SHAPE_STRINGS = [
+    "Point",
+    "Box",
+    "Sphere Surface",
+    "Disc",
+    "Mesh",
+  ];
+
+  /**
+   * Gives birth to particles, and ages them until they die.
+   *
+   * Each particle's AGE slot counts down the frames it has left to live. When
+   * it runs out the particle dies, and is born again from the emitter's shape
+   * with a new velocity and lifetime. Over its life, a particle's color and
+   * radius can follow curves.
+   *
+   * With a spawn rate, dead particles wait (hidden) to be born again, so that
+   * no more than that many are born per second. Otherwise each particle is
+   * born again as soon as it dies. In pooled particle systems, particles left
+   * dead are removed instead, and new ones are born as the rate allows (see
+   * births()).
+   */
+  class Emitter {
+    /**
+     * @param {!EMITTER_SHAPE} shape The shape to emit particles from.
+     * @param {Array<number>} affected_particles The particles to emit.
+     */
+    constructor(shape, affected_particles) {
+      this._shape = shape;
+      this._p = affected_particles;
+      // The layout of the particles' states, set by their particle system
+      this._layout = DEFAULT_LAYOUT;
+      this._enabled = true;
+      this._rate = 0;
+      // Particles owed by the spawn rate, but not yet born
+      this._pending = 0;
+      this._lifetime = [60, 60];
+      this._direction = [0, 0, 1];
+      this._spread = 0;
+      this._speed = [0, 0];
+      this._color_curve = null;
+      this._size_curve = null;
+      // The lifetime each particle was born with, and the alpha of each dead
+      // particle before it was hidden, by the particle's index
+      this._lifetimes = [];
+      this._alphas = [];
+    }
+
+    get shape() {
+      return this._shape;
+    }
+    get particles() {
+      return this._p;
+    }
+    get layout() {
+      return this._layout;
+    }
+    get enabled() {
+      return this._enabled;
+    }
+    get rate() {
+      return this._rate;
+    }
+
+    set layout(layout) {
+      this._layout = layout;
+    }
+    set rate(rate) {
+      this._rate = Math.max(0, rate);
+    }
+
+    /**
+     * Emits particles from a single point.
+     *
+     * @param {Array<number>} position The point, [x, y, z].
+     */
+    init_point(position) {
+      this._position = [...position];
+      return this;
+    }
+
+    /**
+     * Emits particles from anywhere inside a box.
+     *
+     * @param {Array<number>} min The lowest corner of the box, [x, y, z].
+     * @param {Array<number>} max The highest corner of the box, [x, y, z].
+     */
+    init_box(min, max) {
+      this._min = [...min];
+      this._max = [...max];
+      return this;
+    }
+
+    /**
+     * Emits particles from anywhere on the surface of a sphere.
+     *
+     * @param {Array<number>} center The center of the sphere, [x, y, z].
+     * @param {number} radius The radius of the sphere.
+     */
+    init_sphere(center, radius) {
+      this._position = [...center];
+      this._radius = radius;
+      return this;
+    }
+
+    /**
+     * Emits particles from anywhere on a flat disc.
+     *
+     * @param {Array<number>} center The center of the disc, [x, y, z].
+     * @param {Array<number>} normal The direction the disc faces, [x, y, z].
+     * @param {number} radius The radius of the disc.
+     */
+    init_disc(center, normal, radius) {
+      this._position = [...center];
+      this._normal = normalize(normal);
+      this._radius = radius;
+      return this;
+    }
+
+    /**
+     * Emits particles from anywhere on the surface of a triangle mesh, evenly
+     * by area.
+     *
+     * @param {Array<Array<number>>} vertices The vertices, as [x, y, z].
+     * @param {Array<Array<number>>} triangles The triangles, as the indices of
+     *        their three vertices.
+     */
+    init_mesh(vertices, triangles) {
+      this._vertices = vertices.map(vertex => [...vertex]);
+      this._triangles = triangles.map(triangle => [...triangle]);
+      // The total area of each triangle and every one before it
+      var total = 0;
+      this._areas = this._triangles.map(([a, b, c]) => {
+        const A = this._vertices[a];
+        const B = this._vertices[b];
+        const C = this._vertices[c];
+        total += 0.5 * length(cross([0, 1, 2].map(j => B[j] - A[j]), [0, 1, 2].map(j => C[j] - A[j])));
+        return total;
+      });
+      return this;
+    }
+
+    /**
+     * Sets the velocity particles are born with, in a cone about a direction.
+     *
+     * @param {Array<number>} direction The direction of the cone, [x, y, z].
+     * @param {number} spread The angle between the cone's edge and its
+     *        direction (radians). Particles are spread evenly within it.
+     * @param {number} min_speed The slowest speed particles are born with.
+     * @param {number=} max_speed The fastest speed particles are born with.
+     */
+    init_velocity(direction, spread, min_speed, max_speed = min_speed) {
+      this._direction = normalize(direction);
+      this._spread = spread;
+      this._speed = [min_speed, max_speed];
+      return this;
+    }
+
+    /**
+     * Sets how long particles live, chosen evenly from a range.
+     *
+     * @param {number} min The shortest lifetime, in frames.
+     * @param {number=} max The longest lifetime, in frames.
+     */
+    init_lifetime(min, max = min) {
+      this._lifetime = [min, max];
+      return this;
+    }
+
+    /**
+     * Sets the color of particles over their lives.
+     *
+     * @param {?Array<Array<number>>} curve Keys of the curve, as
+     *        [t, r, g, b, a] in order of t, where t runs from 0 at birth to 1
+     *        at death. Colors between keys are interpolated. Null leaves
+     *        colors alone.
+     */
+    init_color_curve(curve) {
+      this._color_curve = curve;
+      return this;
+    }
+
+    /**
+     * Sets the radius of particles over their lives.
+     *
+     * @param {?Array<Array<number>>} curve Keys of the curve, as [t, radius]
+     *        in order of t, where t runs from 0 at birth to 1 at death. Null
+     *        leaves radii alone.
+     */
+    init_size_curve(curve) {
+      this._size_curve = curve;
+      return this;
+    }
+
+    /**
+     * Enables this emitter.
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disables this emitter, so that particles which die aren't born again.
+     */
+    disable() {
+      this._enabled = false;
+    }
+
+    /**
+     * Takes the particles' current ages as their remaining lives, e.g. when
+     * the system is (re-)initialized.
+     *
+     * Particles already alive are taken to have been born with at least the
+     * longest lifetime, so that their ages stay staggered along the curves.
+     *
+     * @param {!Float32Array} s The state of the particle system.
+     */
+    reset(s) {
+      this._p.forEach(i => {
+        this._lifetimes[i] = Math.max(s[i * this._layout.size + STATE.AGE], this._lifetime[1]);
+      });
+      this._pending = 0;
+    }
+
+    /**
+     * Ages the particles, and gives birth to any which died.
+     *
+     * @param {!Float32Array} s The state to modify.
+     * @param {number} h The timestep, in seconds.
+     * @param {number} age_step How much to age the particles by, in frames.
+     */
+    emit(s, h, age_step) {
+      const size = this._layout.size;
+      if (this._enabled && this._rate > 0)
+        this._pending += this._rate * h;
+      this._p.forEach(i => {
+        s[i * size + STATE.AGE] -= age_step;
+        if (s[i * size + STATE.AGE] < 0) {
+          if (this._enabled && (this._rate == 0 || this._pending >= 1)) {
+            this.spawn(s, i);
+            if (this._rate > 0)
+              this._pending--;
+          } else {
+            // Dead, so hide it until it's born again
+            if (s[i * size + STATE.A] > 0)
+              this._alphas[i] = s[i * size + STATE.A];
+            s[i * size + STATE.A] = 0;
+            return;
+          }
+        }
+        this.follow(s, i);
+      });
+    }
+
+    /**
+     * Finds how many new particles to give birth to, after emit() has given
+     * birth to as many dead ones as it could.
+     *
+     * Without a spawn rate, there's no limit. Particles owed while there was
+     * no room aren't born all at once later.
+     *
+     * @param {number} room The most particles there's room for.
+     * @return {number} The number of particles to give birth to, with spawn().
+     */
+    births(room) {
+      var born = 0;
+      if (this._enabled)
+        born = this._rate == 0 ? room : Math.min(Math.floor(this._pending), room);
+      this._pending = Math.min(this._pending - born, 1);
+      return born;
+    }
+
+    /**
+     * Moves a particle's lifetime, when the particle is moved to another
+     * index.
+     *
+     * @param {number} from The particle's old index.
+     * @param {number} to The particle's new index.
+     */
+    move(from, to) {
+      this._lifetimes[to] = this._lifetimes[from];
+      this._alphas[to] = this._alphas[from];
+    }
+
+    /**
+     * Gives birth to a particle.
+     *
+     * @param {!Float32Array} s The state to modify.
+     * @param {number} i The index of the particle.
+     */
+    spawn(s, i) {
+      const size = this._layout.size;
+      const p = this.point();
+      const v = this.velocity();
+      for (var j = 0; j < 3; j++) {
+        s[i * size + STATE.P_X + j] = p[j];
+        s[i * size + STATE.V_X + j] = v[j];
+      }
+      const lifetime = Random.sim.random() * (this._lifetime[1] - this._lifetime[0]) + this._lifetime[0];
+      s[i * size + STATE.AGE] = lifetime;
+      this._lifetimes[i] = lifetime;
+      if (s[i * size + STATE.A] == 0 && this._alphas[i] != null)
+        s[i * size + STATE.A] = this._alphas[i];
+    }
+
+    /**
+     * Sets a particle's color and radius from the curves, by its age.
+     *
+     * @param {!Float32Array} s The state to modify.
+     * @param {number} i The index of the particle.
+     */
+    follow(s, i) {
+      const size = this._layout.size;
+      if (this._color_curve == null && this._size_curve == null)
+        return;
+      const lifetime = this._lifetimes[i];
+      const t = lifetime > 0 ? 1 - s[i * size + STATE.AGE] / lifetime : 1;
+      if (this._color_curve != null)
+        sample(this._color_curve, t, s, i * size + STATE.R);
+      if (this._size_curve != null)
+        sample(this._size_curve, t, s, i * size + STATE.RADIUS);
+    }
+
+    /**
+     * Picks a random point on this emitter's shape.
+     *
+     * @return {Array<number>} The point, [x, y, z].
+     */
+    point() {
+      switch (this._shape) {
+        case EMITTER_SHAPE.POINT:
+          return [...this._position];
+        case EMITTER_SHAPE.BOX:
+          return [0, 1, 2].map(j => Random.sim.random() * (this._max[j] - this._min[j]) + this._min[j]);
+        case EMITTER_SHAPE.SPHERE:
+          var z = Random.sim.random() * 2 - 1;
+          var φ = Random.sim.random() * 2 * Math.PI;
+          var r = Math.sqrt(1 - z * z);
+          return [
+            this._position[0] + this._radius * r * Math.cos(φ),
+            this._position[1] + this._radius * r * Math.sin(φ),
+            this._position[2] + this._radius * z,
+          ];
+        case EMITTER_SHAPE.DISC:
+          var [u, v] = perpendicular(this._normal);
+          // The square root spreads points evenly by area, not by radius
+          var r = this._radius * Math.sqrt(Random.sim.random());
+          var φ = Random.sim.random() * 2 * Math.PI;
+          return [0, 1, 2].map(j => this._position[j] + r * (Math.cos(φ) * u[j] + Math.sin(φ) * v[j]));
+        case EMITTER_SHAPE.MESH:
+          var total = this._areas[this._areas.length - 1];
+          var area = Random.sim.random() * total;
+          var t = this._areas.findIndex(a => area < a);
+          var [A, B, C] = this._triangles[t < 0 ? this._areas.length - 1 : t].map(index => this._vertices[index]);
+          // Evenly distributed barycentric coordinates
+          var r1 = Math.sqrt(Random.sim.random());
+          var r2 = Random.sim.random();
+          return [0, 1, 2].map(j => (1 - r1) * A[j] + r1 * (1 - r2) * B[j] + r1 * r2 * C[j]);
+        default:
+          console.log("Unknown emitter shape: " + this._shape);
+          return [0, 0, 0];
+      }
+    }
+
+    /**
+     * Picks a random velocity in this emitter's cone.
+     *
+     * @return {Array<number>} The velocity, [x, y, z].
+     */
+    velocity() {
+      const speed = Random.sim.random() * (this._speed[1] - this._speed[0]) + this._speed[0];
+      // Pick evenly by solid angle, within the spread of the direction
+      const cos_θ = 1 - Random.sim.random() * (1 - Math.cos(this._spread));
+      const sin_θ = Math.sqrt(Math.max(1 - cos_θ * cos_θ, 0));
+      const φ = Random.sim.random() * 2 * Math.PI;
+      const [u, v] = perpendicular(this._direction);
+      const d = this._direction;
+      return [0, 1, 2].map(j => speed * (cos_θ * d[j] + sin_θ * (Math.cos(φ) * u[j] + Math.sin(φ) * v[j])));
+    }
+
+    /**
+     * Saves this emitter's parameters and progress, for a snapshot.
+     *
+     * The emitted particles are part of the scene rather than the emitter, so
+     * they aren't saved.
+     *
+     * @return {!Object} The parameters, as JSON-safe values.
+     */
+    save() {
+      const saved = {};
+      for (const key in this) {
+        if (key == '_shape' || key == '_p' || key == '_layout')
+          continue;
+        saved[key] = ArrayBuffer.isView(this[key]) || Array.isArray(this[key]) ? Array.from(this[key]) : this[key];
+      }
+      return saved;
+    }
+
+    /**
+     * Loads parameters saved by Emitter.save().
+     *
+     * @param {!Object} saved The saved parameters.
+     */
+    load(saved) {
+      for (const key in saved) {
+        this[key] = Array.isArray(saved[key]) ? Array.from(saved[key]) : saved[key];
+      }
+    }
+
+    /**
+     * Creates a string representation of this emitter.
+     *
+     * @return {string} This emitter's text representation.
+     */
+    toString() {
+      return EMITTER_SHAPE_STRINGS[this._shape] + " emitter of " + this._p.length + " particles";
+    }
+  }
+
+  /**
+   * Interpolates a curve, writing its values into a state.
+   *
+   * @param {Array<Array<number>>} curve Keys of the curve, as [t, ...values]
+   *        in order of t.
+   * @param {number} t Where to interpolate the curve.
+   * @param {!Float32Array} s The state to write to.
+   * @param {number} offset Where in s to write the values.
+   */
+  function sample(curve, t, s, offset) {
+    var b = curve.findIndex(key => t < key[0]);
+    if (b < 0)
+      b = curve.length - 1;
+    const a = Math.max(b - 1, 0);
+    const u = curve[b][0] > curve[a][0] ? Math.min(Math.max((t - curve[a][0]) / (curve[b][0] - curve[a][0]), 0), 1) : 1;
+    for (var j = 1; j < curve[a].length; j++) {
+      s[offset + j - 1] = curve[a][j] + (curve[b][j] - curve[a][j]) * u;
+    }
+  }
+
+  /**
+   * Finds two unit vectors perpendicular to each other and a direction.
+   *
+   * @return {!Array<!Array<number>>} [u, v].
+   */
+  function perpendicular(n) {
+    const u = normalize(cross(Math.abs(n[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0], n));
+    return [u, cross(n, u)];
+  }
+
+  function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  }
+
+  function length(a) {
+    return Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+  }
+
+  function normalize(a) {
+    const l = length(a);
+    return l > 0 ? a.map(x => x / l) : [0, 0, 1];
+  }
+
+  return {
+    Emitter,
+    EMITTER_SHAPE,
+    EMITTER_SHAPE_STRINGS,
+  };
+});
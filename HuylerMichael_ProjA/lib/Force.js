@@ -4,529 +4,979 @@
  * @author Michael Huyler
  */
 
-/**
- * Types of Forces.
- *
- * @enum {number}
- */
-const FORCE_TYPE = {
-  FORCE_SIMP_GRAVITY: 0,
-  FORCE_DRAG: 1,
-  FORCE_WIND: 2,
-  FORCE_SPRING: 3,
-  FORCE_FLOCK: 4,
-  FORCE_PLANETARY_GRAVITY: 5,
-  FORCE_LINE_ATTRACTOR: 6,
-  FORCE_VORTEX: 7,
-  FORCE_UNIFORM_POINT_ATTRACTOR: 8,
-  FORCE_POINT_ATTRACTOR: 9,
-};
-
-// How long the force should stay active
-var TIMEOUT_NO_TIMEOUT = -1;
-var TIMEOUT_INSTANT = 1;
-
-/**
- * Creates a force in a particular direction for a specific duration.
- */
-class Force {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./gl-matrix.js'), require('./State.js'), require('./Random.js'),
+      require('./Octree.js'), require('./SpatialHash.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root.glMatrix, root, root, root, root));
+  }
+})(this, function(glMatrix, {STATE, DEFAULT_LAYOUT}, {Random}, {Octree}, {SpatialHash}) {
   /**
-   * @param {!FORCE_TYPE} type The type of force to implement.
-   * @param {Array<number>} affected_particles The list of affected particles.
+   * Types of Forces.
+   *
+   * @enum {number}
    */
-  constructor(type, affected_particles) {
-    this._type = type;
-    this._p = affected_particles;
-    this._enabled = true;
-  }
+  const FORCE_TYPE = {
+    FORCE_SIMP_GRAVITY: 0,
+    FORCE_DRAG: 1,
+    FORCE_WIND: 2,
+    FORCE_SPRING: 3,
+    FORCE_FLOCK: 4,
+    FORCE_PLANETARY_GRAVITY: 5,
+    FORCE_LINE_ATTRACTOR: 6,
+    FORCE_VORTEX: 7,
+    FORCE_UNIFORM_POINT_ATTRACTOR: 8,
+    FORCE_POINT_ATTRACTOR: 9,
+    FORCE_PICK: 10,
+    FORCE_SPH: 11,
+  };
 
-  get x() {
-    return this._x;
-  }
-  get y() {
-    return this._y;
-  }
-  get z() {
-    return this._z;
-  }
-  get magnitude() {
-    return this._magnitude;
-  }
-  get type() {
-    return this._type;
-  }
-  get particles() {
-    return this._p;
-  }
-  get pow() {
-    return this._pow;
-  }
+  // How long the force should stay active
+  var TIMEOUT_NO_TIMEOUT = -1;
+  var TIMEOUT_INSTANT = 1;
 
-  set x(new_x) {
-    this._x = new_x;
-    if ("undefined" !== typeof(this._x_a)) {
-      this._x_a[0] = new_x;
-    }
-  }
-  set y(new_y) {
-    this._y = new_y;
-    if ("undefined" !== typeof(this._x_a)) {
-      this._x_a[1] = new_y;
-    }
-  }
-  set z(new_z) {
-    this._z = new_z;
-    if ("undefined" !== typeof(this._x_a)) {
-      this._x_a[2] = new_z;
-    }
-  }
-  set magnitude(new_mag) {
-    this._magnitude = new_mag;
-  }
-  set pow(new_pow) {
-    this._pow = new_pow;
-  }
+  // Smallest length of the color field's gradient, relative to 1 / h, at
+  // which a fluid particle is treated as being on the surface
+  const SPH_SURFACE_THRESHOLD = 0.1;
 
-  /**
-   * Creates a constant vector force.
-   *
-   * @param {number} magnitude The magnitude of the force vector.
-   * @param {number=} x The x component of the force vector.
-   * @param {number=} y The y component of the force vector.
-   * @param {number=} z The z component of the force vector.
-   */
-  init_vectored(magnitude = 1, x = 1, y = 1, z = 1) {
-    this._magnitude = magnitude;
-    this._x = x;
-    this._y = y;
-    this._z = z;
-    return this;
-  }
+  // Octree shared by every planetary gravity force, rebuilt on each use
+  const __octree = new Octree();
+  // Spatial hash shared by every flocking and fluid force, rebuilt on each use
+  const __spatial_hash = new SpatialHash();
+  // Neighbors of each fluid particle, found once and reused by each pass over
+  // them: those of the i-th are [start[i], start[i + 1]) of list. Both only
+  // grow, so steps don't allocate once they're big enough
+  const __neighbors = {start: new Int32Array(64), list: new Int32Array(1024)};
 
   /**
-   * Creates a spring force.
+   * Picks a direction to push two particles at the same position apart in,
+   * which only depends on the pair, and is opposite for each of them.
    *
-   * @param {number} k The spring constant.
-   * @param {number} length The natural length of this spring.
-   * @param {number} damp The damping of this spring.
+   * @param {number} a The particle being pushed.
+   * @param {number} b The other particle.
+   * @param {Array<number>} out The unit vector to set.
    */
-  init_spring(k, length, damp) {
-    this._k = k;
-    this._lr = length;
-    this._d = damp;
-    return this;
+  function separation(a, b, out) {
+    // Irrational multiples spread the pairs' directions over the sphere
+    const pair = Math.min(a, b) * 0.6180339887 + Math.max(a, b) * 0.4142135624;
+    const z = 2 * (pair % 1) - 1;
+    const angle = 2 * Math.PI * ((pair * 7.3) % 1);
+    const r = Math.sqrt(1 - z * z) * (a < b ? 1 : -1);
+    out[0] = r * Math.cos(angle);
+    out[1] = r * Math.sin(angle);
+    out[2] = z * (a < b ? 1 : -1);
   }
 
   /**
-   * Creates a flocking force.
-   *
-   * This approach follows Reynolds' "boids" method of flocking particles,
-   * which is affected by 3* independent, and often competing forces:
-   *  - Separation
-   *  - Alignment
-   *  - Cohesion
-   *
-   * * there can be more forces applied to boids, such as obstacle avoidance
-   * and goal seeking, which are in fact used by this implementation.
-   *
-   * @param {number} min_rad The bois' small (focused) visual radius.
-   * @param {number} max_rad The bois' large (boundary) visual radius.
-   * @param {number} binocular_angle The bois' range of binocular vision (radians).
-   * @param {number} monocular_angle The bois' range of monocular vision (radians).
-   * @param {number} k_a The avoidance hyperparameter.
-   * @param {number} k_v The velocity matching hyperparameter.
-   * @param {number} k_c The centering hyperparameter.
-   * @param {number} k_oa The obstacle-avoidance hyperparameter.
-   * @param {number} k_gs The goal-seeking hyperparameter.
+   * Creates a force in a particular direction for a specific duration.
    */
-  init_boid(min_rad, max_rad, binocular_angle, monocular_angle, k_a, k_v, k_c, k_oa, k_gs) {
-    this._r1 = min_rad;
-    this._r2 = max_rad;
-    this._t1 = binocular_angle; // θ1
-    this._t2 = monocular_angle; // θ2
-    this._ka = k_a;
-    this._kv = k_v;
-    this._kc = k_c;
-    this._koa = k_oa;
-    this._kgs = k_gs;
-    return this;
-  }
+  class Force {
+    /**
+     * @param {!FORCE_TYPE} type The type of force to implement.
+     * @param {Array<number>} affected_particles The list of affected particles.
+     */
+    constructor(type, affected_particles) {
+      this._type = type;
+      this._p = affected_particles;
+      // The layout of the particles' states, set by their particle system
+      this._layout = DEFAULT_LAYOUT;
+      this._enabled = true;
+    }
 
-  /**
-   * Initializes an attractor force.
-   *
-   * @param {number} x The x position of the attractor.
-   * @param {number} y The y position of the attractor.
-   * @param {number} z The z position of the attractor.
-   * @param {number} x The x component of the vector in the direction of the attractor.
-   * @param {number} y The y component of the vector in the direction of the attractor.
-   * @param {number} z The z component of the vector in the direction of the attractor.
-   * @param {number=} p The "tightness" of the pull towards the attractor.
-   * @param {number=} L The length of influence of the attractor.
-   * @param {number=} r The radius of influence of the attractor.
-   */
-  init_attractor(x, y, z, a_x, a_y, a_z, p = 2, L = 0, r = 0) {
-    this._x_a = glMatrix.vec3.fromValues(x, y, z);
-    this._a = glMatrix.vec3.fromValues(a_x, a_y, a_z);
-    this._pow = p;
-    this._L = L;
-    this._r = r;
-    return this;
-  }
+    get x() {
+      return this._x;
+    }
+    get y() {
+      return this._y;
+    }
+    get z() {
+      return this._z;
+    }
+    get magnitude() {
+      return this._magnitude;
+    }
+    get type() {
+      return this._type;
+    }
+    get particles() {
+      return this._p;
+    }
+    get layout() {
+      return this._layout;
+    }
+    get pow() {
+      return this._pow;
+    }
+    get predators() {
+      return this._predators;
+    }
+    get goals() {
+      return this._goals;
+    }
+    get max_strain() {
+      return this._max_strain;
+    }
+    get torn() {
+      return this._torn === true;
+    }
 
-  init_set(force_set) {
-    this._set = force_set;
-    return this;
-  }
+    set layout(layout) {
+      this._layout = layout;
+    }
+    set x(new_x) {
+      this._x = new_x;
+      if ("undefined" !== typeof(this._x_a)) {
+        this._x_a[0] = new_x;
+      }
+    }
+    set y(new_y) {
+      this._y = new_y;
+      if ("undefined" !== typeof(this._x_a)) {
+        this._x_a[1] = new_y;
+      }
+    }
+    set z(new_z) {
+      this._z = new_z;
+      if ("undefined" !== typeof(this._x_a)) {
+        this._x_a[2] = new_z;
+      }
+    }
+    set magnitude(new_mag) {
+      this._magnitude = new_mag;
+    }
+    set pow(new_pow) {
+      this._pow = new_pow;
+    }
+    set predators(new_predators) {
+      this._predators = new_predators;
+    }
+    set goals(new_goals) {
+      this._goals = new_goals;
+    }
+    set max_strain(new_max_strain) {
+      this._max_strain = new_max_strain;
+    }
 
-  /**
-   * Enables this force.
-   */
-  enable() {
-    this._enabled = true;
-  }
+    /**
+     * Creates a constant vector force.
+     *
+     * @param {number} magnitude The magnitude of the force vector.
+     * @param {number=} x The x component of the force vector.
+     * @param {number=} y The y component of the force vector.
+     * @param {number=} z The z component of the force vector.
+     */
+    init_vectored(magnitude = 1, x = 1, y = 1, z = 1) {
+      this._magnitude = magnitude;
+      this._x = x;
+      this._y = y;
+      this._z = z;
+      return this;
+    }
 
-  /**
-   * Disables this force.
-   */
-  disable() {
-    this._enabled = false;
-  }
+    /**
+     * Creates a spring force.
+     *
+     * @param {number} k The spring constant.
+     * @param {number} length The natural length of this spring.
+     * @param {number} damp The damping of this spring, against the relative
+     *        velocity of its particles along it.
+     * @param {number=} limit The largest force this spring can apply, or 0
+     *        for no limit.
+     * @param {number=} max_strain The most this spring can stretch, as a
+     *        fraction of its natural length, before it tears. 0 never tears.
+     */
+    init_spring(k, length, damp, limit = 0, max_strain = 0) {
+      this._k = k;
+      this._lr = length;
+      this._d = damp;
+      this._limit = limit;
+      this._max_strain = max_strain;
+      this._torn = false;
+      return this;
+    }
 
-  /**
-   * Applies this force to a given state vector.
-   *
-   * @param {!Float32Array} s The state vector to apply this force to.
-   */
-  apply(s) {
-    if (!this._enabled)
-      return;
-    switch (this._type) {
-      case FORCE_TYPE.FORCE_SIMP_GRAVITY:
-        for (var i = 0; i < this._p.length; i++) {
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Z] += s[(this._p[i] * STATE_SIZE) + STATE.MASS] * this.magnitude;
-        }
-        break;
-      case FORCE_TYPE.FORCE_DRAG:
-        for (var i = 0; i < this._p.length; i++) {
-          s[(this._p[i] * STATE_SIZE) + STATE.F_X] -= s[(this._p[i] * STATE_SIZE) + STATE.V_X] * (this.x * this.magnitude);
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Y] -= s[(this._p[i] * STATE_SIZE) + STATE.V_Y] * (this.y * this.magnitude);
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Z] -= s[(this._p[i] * STATE_SIZE) + STATE.V_Z] * (this.z * this.magnitude);
-        }
-        break;
-      case FORCE_TYPE.FORCE_WIND:
-        for (var i = 0; i < this._p.length; i++) {
-          s[(this._p[i] * STATE_SIZE) + STATE.F_X] += this.x * this.magnitude * (Math.random() * 2 - 1);
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Y] += this.y * this.magnitude * (Math.random() * 2 - 1);
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Z] += this.z * this.magnitude * (Math.random() * 2 - 1);
-        }
-        break;
-      case FORCE_TYPE.FORCE_SPRING:
-        // Find the distance between pairs of points
-        var Lx = s[(this._p[1] * STATE_SIZE) + STATE.P_X] - s[(this._p[0] * STATE_SIZE) + STATE.P_X];
-        var Ly = s[(this._p[1] * STATE_SIZE) + STATE.P_Y] - s[(this._p[0] * STATE_SIZE) + STATE.P_Y];
-        var Lz = s[(this._p[1] * STATE_SIZE) + STATE.P_Z] - s[(this._p[0] * STATE_SIZE) + STATE.P_Z];
-        var distance = Math.sqrt(Math.pow(Lx, 2) + Math.pow(Ly, 2) + Math.pow(Lz, 2));
-        // Find L, the spring displacement length
-        var L = distance - this._lr;
-        // Apply Hook's Law
-        // Normalize the vector [Lx, Ly, Lz], multiply L by the spring constant
-        // and limit the force for stability
-        var Fx = Math.min(this._k * L * Lx / distance, 12);
-        var Fy = Math.min(this._k * L * Ly / distance, 12);
-        var Fz = Math.min(this._k * L * Lz / distance, 12);
-        // Dampen the forces
-        // Multiply damping coeff. by difference in velocities of particles and
-        // by the square of the normalized L vector
-        // TODO Wrong implementation: currently dampens the entire velocity vector, not the relative velocity between two particles
-        // Fx += -1 * this._d * s[(this._p[0] * STATE_SIZE) + STATE.V_X] - s[(this._p[1] * STATE_SIZE) + STATE.V_X] * Math.pow(Lx / distance, 2);
-        // Fy += -1 * this._d * s[(this._p[0] * STATE_SIZE) + STATE.V_Y] - s[(this._p[1] * STATE_SIZE) + STATE.V_Y] * Math.pow(Ly / distance, 2);
-        // Fz += -1 * this._d * s[(this._p[0] * STATE_SIZE) + STATE.V_Z] - s[(this._p[1] * STATE_SIZE) + STATE.V_Z] * Math.pow(Lz / distance, 2);
-        // Apply force to P0, and inverse force to P1
-        s[(this._p[0] * STATE_SIZE) + STATE.F_X] += Fx;
-        s[(this._p[0] * STATE_SIZE) + STATE.F_Y] += Fy;
-        s[(this._p[0] * STATE_SIZE) + STATE.F_Z] += Fz;
-        s[(this._p[1] * STATE_SIZE) + STATE.F_X] += -Fx;
-        s[(this._p[1] * STATE_SIZE) + STATE.F_Y] += -Fy;
-        s[(this._p[1] * STATE_SIZE) + STATE.F_Z] += -Fz;
-        break;
-      case FORCE_TYPE.FORCE_FLOCK:
-        // Our current boid
-        var x_i = glMatrix.vec3.create();
-        // Our 'other' boid
-        var x_j = glMatrix.vec3.create();
-        // The 'predator'
-        const x_p = glMatrix.vec3.fromValues(
-          s[(BOID_PARTICLE_COUNT - 1) * STATE_SIZE + STATE.P_X],
-          s[(BOID_PARTICLE_COUNT - 1) * STATE_SIZE + STATE.P_Y],
-          s[(BOID_PARTICLE_COUNT - 1) * STATE_SIZE + STATE.P_Z]);
-        // The 'goal'
-        const x_g = glMatrix.vec3.fromValues(
-          boid.force_set[3].x,
-          boid.force_set[3].y,
-          boid.force_set[3].z);
-        // The vector from current to other
-        var x_ij = glMatrix.vec3.create();
-        // The vector from current to predator
-        var x_ip = glMatrix.vec3.create();
-        // The vector from the current to the goal
-        var x_ig = glMatrix.vec3.create();
-        // The directional vector from current to other
-        var x_hat = glMatrix.vec3.create();
-        // The distance from current to other
-        var d_ij = 0;
-        // The distance from current to predator
-        var d_ip = 0;
-        // The distance from current to goal
-        var d_ig = 0;
-        // The angle between current and other
-        var t_ij = 0;
-        // The accumulated acceleration
-        var a_i = glMatrix.vec3.create(); // [a_ij^a, a_ij^v, a_ij^c]
-        // The distance weight
-        var k_d = 0;
-        // The visual field weight
-        var k_t = 1; // 0;
-        for (var i = 0; i < this._p.length; i++) {
-          x_i = glMatrix.vec3.fromValues(
-            s[(this._p[i] * STATE_SIZE) + STATE.P_X],
-            s[(this._p[i] * STATE_SIZE) + STATE.P_Y],
-            s[(this._p[i] * STATE_SIZE) + STATE.P_Z]);
-          glMatrix.vec3.zero(a_i);
-          for (var j = 0; j < this._p.length; j++) {
-            x_j = glMatrix.vec3.fromValues(
-              s[(this._p[j] * STATE_SIZE) + STATE.P_X],
-              s[(this._p[j] * STATE_SIZE) + STATE.P_Y],
-              s[(this._p[j] * STATE_SIZE) + STATE.P_Z]);
-            x_ij = glMatrix.vec3.sub(x_ij, x_j, x_i);
-            d_ij = glMatrix.vec3.length(x_ij);
-            t_ij = glMatrix.vec3.angle(x_ij,
-              glMatrix.vec3.fromValues(
-                s[(this._p[j] * STATE_SIZE) + STATE.V_X],
-                s[(this._p[j] * STATE_SIZE) + STATE.V_Y],
-                s[(this._p[j] * STATE_SIZE) + STATE.V_Z]));
-            x_hat = glMatrix.vec3.scale(x_hat, x_ij, d_ij);
-            // This boid is the current boid, is too far away, or is in a blind spot
-            if (i == j || d_ij == 0 || d_ij > this._r2 || t_ij > this._t2 * 0.5)
-              continue;
-            k_d = d_ij < this._r1 ? 1 : (this._r2 - d_ij) / (this._r2 - this._r1);
-            k_t = t_ij < (this._t1 * 0.5) ? 1 : (this._t2 * 0.5 - t_ij) / (this._t2 * 0.5 - this._t1 * 0.5);
-            /* Collision avoidance */
-            // a_ij^a = -(k_a / d_ij) * x_hat
-            glMatrix.vec3.add(a_i, a_i,
-              glMatrix.vec3.scale(x_hat, x_hat, k_t * k_d * (-1 * this._ka / d_ij)));
-            /* Velocity matching */
-            // a_ij^v = k_v * (v_j - v_i)
-            glMatrix.vec3.add(a_i, a_i,
-              glMatrix.vec3.scale(
-                glMatrix.vec3.create(), // 'out' not needed
-                glMatrix.vec3.sub(
-                  glMatrix.vec3.create(), // 'out' not needed
-                  glMatrix.vec3.fromValues(
-                    s[(this._p[j] * STATE_SIZE) + STATE.V_X],
-                    s[(this._p[j] * STATE_SIZE) + STATE.V_Y],
-                    s[(this._p[j] * STATE_SIZE) + STATE.V_Z]),
-                  glMatrix.vec3.fromValues(
-                    s[(this._p[i] * STATE_SIZE) + STATE.V_X],
-                    s[(this._p[i] * STATE_SIZE) + STATE.V_Y],
-                    s[(this._p[i] * STATE_SIZE) + STATE.V_Z])),
-                k_t * k_d * this._kv));
-            /* Centering */
-            // a_ij^c = k_c * x_ij
-            glMatrix.vec3.add(a_i, a_i,
-              glMatrix.vec3.scale(x_ij, x_ij, k_t * k_d * this._kc));
+    /**
+     * Creates a spring pulling particles towards a point which can be moved,
+     * e.g. to drag a particle with the mouse. Set the point with x, y and z.
+     *
+     * The stiffness and damping are per unit mass, so that particles of any
+     * mass follow the point alike.
+     *
+     * @param {number} k The spring constant, per unit mass.
+     * @param {number} damp The damping of each particle's velocity, per unit
+     *        mass.
+     */
+    init_pick(k, damp) {
+      this._k = k;
+      this._d = damp;
+      return this;
+    }
+
+    /**
+     * Creates a flocking force.
+     *
+     * This approach follows Reynolds' "boids" method of flocking particles,
+     * which is affected by 3* independent, and often competing forces:
+     *  - Separation
+     *  - Alignment
+     *  - Cohesion
+     *
+     * * there can be more forces applied to boids, such as obstacle avoidance
+     * and goal seeking, which are in fact used by this implementation.
+     *
+     * @param {number} min_rad The bois' small (focused) visual radius.
+     * @param {number} max_rad The bois' large (boundary) visual radius.
+     * @param {number} binocular_angle The bois' range of binocular vision (radians).
+     * @param {number} monocular_angle The bois' range of monocular vision (radians).
+     * @param {number} k_a The avoidance hyperparameter.
+     * @param {number} k_v The velocity matching hyperparameter.
+     * @param {number} k_c The centering hyperparameter.
+     * @param {number} k_oa The obstacle-avoidance hyperparameter.
+     * @param {number} k_gs The goal-seeking hyperparameter.
+     * @param {Array<number>=} predators The particles boids should avoid.
+     * @param {Array<(Force|Array<number>)>=} goals The points boids should
+     *        seek: fixed [x, y, z] points, or forces (e.g. attractors) whose
+     *        position may move.
+     */
+    init_boid(min_rad, max_rad, binocular_angle, monocular_angle, k_a, k_v, k_c, k_oa, k_gs, predators = [], goals = []) {
+      this._r1 = min_rad;
+      this._r2 = max_rad;
+      this._t1 = binocular_angle; // θ1
+      this._t2 = monocular_angle; // θ2
+      this._ka = k_a;
+      this._kv = k_v;
+      this._kc = k_c;
+      this._koa = k_oa;
+      this._kgs = k_gs;
+      this._predators = predators;
+      this._goals = goals;
+      return this;
+    }
+
+    /**
+     * Initializes an attractor force.
+     *
+     * @param {number} x The x position of the attractor.
+     * @param {number} y The y position of the attractor.
+     * @param {number} z The z position of the attractor.
+     * @param {number} x The x component of the vector in the direction of the attractor.
+     * @param {number} y The y component of the vector in the direction of the attractor.
+     * @param {number} z The z component of the vector in the direction of the attractor.
+     * @param {number=} p The "tightness" of the pull towards the attractor.
+     * @param {number=} L The length of influence of the attractor.
+     * @param {number=} r The radius of influence of the attractor.
+     */
+    init_attractor(x, y, z, a_x, a_y, a_z, p = 2, L = 0, r = 0) {
+      this._x = x;
+      this._y = y;
+      this._z = z;
+      this._x_a = glMatrix.vec3.fromValues(x, y, z);
+      this._a = glMatrix.vec3.fromValues(a_x, a_y, a_z);
+      this._pow = p;
+      this._L = L;
+      this._r = r;
+      return this;
+    }
+
+    /**
+     * Creates an N-body gravity force.
+     *
+     * Every affected particle attracts every other with a force of
+     * G * m_i * m_j / (d^2 + ε^2), where ε is the softening length, which
+     * keeps close encounters from producing huge forces.
+     *
+     * @param {number=} G The gravitational constant.
+     * @param {number=} softening The softening length ε.
+     * @param {number=} theta The Barnes-Hut opening angle, or 0 to sum over
+     *        every pair of particles exactly.
+     */
+    init_planetary(G = 1, softening = 0.05, theta = 0) {
+      this._G = G;
+      this._softening = softening;
+      this._theta = theta;
+      return this;
+    }
+
+    /**
+     * Initializes a smoothed particle hydrodynamics (SPH) fluid force.
+     *
+     * Each particle's density is smoothed over its neighbors within h, and
+     * stored in its "density" attribute, along with its "pressure", so the
+     * particles' layout must have both.
+     *
+     * @param {number} h The smoothing length, the distance particles interact within.
+     * @param {number} rest_density The density of the fluid at rest.
+     * @param {number} stiffness The gas constant, relating pressure to density.
+     * @param {number=} viscosity The viscosity μ.
+     * @param {number=} surface_tension The surface tension coefficient σ.
+     */
+    init_sph(h, rest_density, stiffness, viscosity = 0, surface_tension = 0) {
+      this._h = h;
+      this._rest_density = rest_density;
+      this._stiffness = stiffness;
+      this._viscosity = viscosity;
+      this._surface_tension = surface_tension;
+      return this;
+    }
+
+    /**
+     * Makes this force wander, jumping to a random position within a box
+     * every so often. Only forces with a position (e.g. attractors) wander.
+     *
+     * @param {number} interval The time between jumps, in seconds.
+     * @param {Array<number>} min The lowest corner of the box, [x, y, z].
+     * @param {Array<number>} max The highest corner of the box, [x, y, z].
+     */
+    init_wander(interval, min, max) {
+      this._wander_interval = interval;
+      this._wander_min = min;
+      this._wander_max = max;
+      // Jump on the first step
+      this._wander_timer = 0;
+      return this;
+    }
+
+    init_set(force_set) {
+      this._set = force_set;
+      return this;
+    }
+
+    /**
+     * Enables this force.
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disables this force.
+     */
+    disable() {
+      this._enabled = false;
+    }
+
+    /**
+     * Saves this force's parameters, for a snapshot.
+     *
+     * The affected particles, and any forces this one refers to, are part of
+     * the scene rather than the force, so they aren't saved.
+     *
+     * @return {!Object} The parameters, as JSON-safe values.
+     */
+    save() {
+      const saved = {};
+      for (const key in this) {
+        if (key == '_type' || key == '_p' || key == '_goals' || key == '_set' || key == '_layout')
+          continue;
+        saved[key] = ArrayBuffer.isView(this[key]) ? Array.from(this[key]) : this[key];
+      }
+      return saved;
+    }
+
+    /**
+     * Loads parameters saved by Force.save().
+     *
+     * @param {!Object} saved The saved parameters.
+     */
+    load(saved) {
+      for (const key in saved) {
+        this[key] = ArrayBuffer.isView(this[key]) ? new Float32Array(saved[key]) : saved[key];
+      }
+    }
+
+    /**
+     * Advances any motion of this force itself, once per timestep.
+     *
+     * @param {number} h The timestep, in seconds.
+     */
+    advance(h) {
+      if (this._wander_interval === undefined)
+        return;
+      this._wander_timer -= h;
+      if (this._wander_timer <= 0) {
+        this._wander_timer = this._wander_interval;
+        // random walk
+        this.x = Random.sim.random() * (this._wander_max[0] - this._wander_min[0]) + this._wander_min[0];
+        this.y = Random.sim.random() * (this._wander_max[1] - this._wander_min[1]) + this._wander_min[1];
+        this.z = Random.sim.random() * (this._wander_max[2] - this._wander_min[2]) + this._wander_min[2];
+      }
+    }
+
+    /**
+     * Applies this force to a given state vector.
+     *
+     * @param {!Float32Array} s The state vector to apply this force to.
+     */
+    apply(s) {
+      const size = this._layout.size;
+      if (!this._enabled)
+        return;
+      switch (this._type) {
+        case FORCE_TYPE.FORCE_SIMP_GRAVITY:
+          for (var i = 0; i < this._p.length; i++) {
+            s[(this._p[i] * size) + STATE.F_Z] += s[(this._p[i] * size) + STATE.MASS] * this.magnitude;
+          }
+          break;
+        case FORCE_TYPE.FORCE_DRAG:
+          for (var i = 0; i < this._p.length; i++) {
+            s[(this._p[i] * size) + STATE.F_X] -= s[(this._p[i] * size) + STATE.V_X] * (this.x * this.magnitude);
+            s[(this._p[i] * size) + STATE.F_Y] -= s[(this._p[i] * size) + STATE.V_Y] * (this.y * this.magnitude);
+            s[(this._p[i] * size) + STATE.F_Z] -= s[(this._p[i] * size) + STATE.V_Z] * (this.z * this.magnitude);
+          }
+          break;
+        case FORCE_TYPE.FORCE_WIND:
+          for (var i = 0; i < this._p.length; i++) {
+            s[(this._p[i] * size) + STATE.F_X] += this.x * this.magnitude * (Random.sim.random() * 2 - 1);
+            s[(this._p[i] * size) + STATE.F_Y] += this.y * this.magnitude * (Random.sim.random() * 2 - 1);
+            s[(this._p[i] * size) + STATE.F_Z] += this.z * this.magnitude * (Random.sim.random() * 2 - 1);
+          }
+          break;
+        case FORCE_TYPE.FORCE_SPRING:
+          // Find the distance between pairs of points
+          var Lx = s[(this._p[1] * size) + STATE.P_X] - s[(this._p[0] * size) + STATE.P_X];
+          var Ly = s[(this._p[1] * size) + STATE.P_Y] - s[(this._p[0] * size) + STATE.P_Y];
+          var Lz = s[(this._p[1] * size) + STATE.P_Z] - s[(this._p[0] * size) + STATE.P_Z];
+          var distance = Math.sqrt(Math.pow(Lx, 2) + Math.pow(Ly, 2) + Math.pow(Lz, 2));
+          if (distance == 0)
+            break;
+          // Find L, the spring displacement length
+          var L = distance - this._lr;
+          // Tear if stretched too far. A torn spring disables itself, and is
+          // removed by its particle system once the current step is done
+          if (this._max_strain > 0 && L > this._max_strain * this._lr) {
+            this._torn = true;
+            this.disable();
+            break;
+          }
+          // Dampen the spring like a dashpot, by the relative velocity of the
+          // particles along the spring: d * ((v_1 - v_0) · L / |L|)
+          var Vx = s[(this._p[1] * size) + STATE.V_X] - s[(this._p[0] * size) + STATE.V_X];
+          var Vy = s[(this._p[1] * size) + STATE.V_Y] - s[(this._p[0] * size) + STATE.V_Y];
+          var Vz = s[(this._p[1] * size) + STATE.V_Z] - s[(this._p[0] * size) + STATE.V_Z];
+          var damping = this._d * (Vx * Lx + Vy * Ly + Vz * Lz) / distance;
+          // Apply Hook's Law, and limit the force if this spring has a limit
+          var F = this._k * L + damping;
+          if (this._limit > 0)
+            F = Math.max(-this._limit, Math.min(F, this._limit));
+          // Normalize the vector [Lx, Ly, Lz] and multiply by the force
+          var Fx = F * Lx / distance;
+          var Fy = F * Ly / distance;
+          var Fz = F * Lz / distance;
+          // Apply force to P0, and inverse force to P1
+          s[(this._p[0] * size) + STATE.F_X] += Fx;
+          s[(this._p[0] * size) + STATE.F_Y] += Fy;
+          s[(this._p[0] * size) + STATE.F_Z] += Fz;
+          s[(this._p[1] * size) + STATE.F_X] += -Fx;
+          s[(this._p[1] * size) + STATE.F_Y] += -Fy;
+          s[(this._p[1] * size) + STATE.F_Z] += -Fz;
+          break;
+        case FORCE_TYPE.FORCE_FLOCK:
+          // Boids only see each other within the boundary radius, so only
+          // neighbors found by the spatial hash need to be considered
+          __spatial_hash.build(s, this._p, this._r2, size);
+          // The positions of the 'goals', which may move between steps
+          const x_g = this._goals.map(goal => Array.isArray(goal) ? goal : [goal.x, goal.y, goal.z]);
+          // The vector from current to other
+          var x_ij = [0, 0, 0];
+          // The distance from current to other
+          var d_ij = 0;
+          // The angle between current and other
+          var t_ij = 0;
+          // The accumulated acceleration
+          var a_i = [0, 0, 0]; // [a_ij^a, a_ij^v, a_ij^c]
+          // The acceleration from the predators and goals, added once per
+          // neighbor seen
+          var a_pg = [0, 0, 0];
+          // The distance weight
+          var k_d = 0;
+          // The visual field weight
+          var k_t = 1; // 0;
+          for (var i = 0; i < this._p.length; i++) {
+            var i0 = this._p[i] * size;
+            a_i[0] = a_i[1] = a_i[2] = 0;
+            a_pg[0] = a_pg[1] = a_pg[2] = 0;
             /* Obstacle Avoidance */
-            // Hardcoded avoidance of particle [BOID_PARTICLE_COUNT - 1]
+            // Avoidance of each predator particle
             // a_ix^oa = -(k_oa / d_ip) * x_ip/d_ip
-            x_ip = glMatrix.vec3.sub(x_ip, x_p, x_i);
-            d_ip = glMatrix.vec3.length(x_ip);
-            glMatrix.vec3.add(a_i, a_i,
-              glMatrix.vec3.scale(x_ip, x_ip, (-1 * this._koa / d_ip) / d_ip));
+            for (var p = 0; p < this._predators.length; p++) {
+              var p0 = this._predators[p] * size;
+              var x_ip = [0, 1, 2].map(k => s[p0 + STATE.P_X + k] - s[i0 + STATE.P_X + k]);
+              var d_ip = Math.hypot(...x_ip);
+              if (d_ip == 0)
+                continue;
+              for (var k = 0; k < 3; k++)
+                a_pg[k] += x_ip[k] * (-1 * this._koa / d_ip) / d_ip;
+            }
             /* Goal Seeking */
-            // Seeks the same goals as the predator's random walk, but will
-            // avoid getting too close to the predator
+            // Seeks each goal (e.g. the same goal as a predator's random walk),
+            // but will avoid getting too close to the predators
             // a_ij^gs = k_gs * x_ig
-            x_ig = glMatrix.vec3.sub(x_ig, x_g, x_i);
-            d_ig = glMatrix.vec3.length(x_ig);
-            glMatrix.vec3.add(a_i, a_i,
-              glMatrix.vec3.scale(x_ig, x_ig, this._kgs / d_ig));
+            for (var g = 0; g < x_g.length; g++) {
+              var x_ig = [0, 1, 2].map(k => x_g[g][k] - s[i0 + STATE.P_X + k]);
+              var d_ig = Math.hypot(...x_ig);
+              if (d_ig == 0)
+                continue;
+              for (var k = 0; k < 3; k++)
+                a_pg[k] += x_ig[k] * this._kgs / d_ig;
+            }
+            const neighbors = __spatial_hash.neighbors(this._p[i], this._r2);
+            for (var n = 0; n < neighbors.length; n++) {
+              var j0 = neighbors[n] * size;
+              x_ij[0] = s[j0 + STATE.P_X] - s[i0 + STATE.P_X];
+              x_ij[1] = s[j0 + STATE.P_Y] - s[i0 + STATE.P_Y];
+              x_ij[2] = s[j0 + STATE.P_Z] - s[i0 + STATE.P_Z];
+              d_ij = Math.hypot(x_ij[0], x_ij[1], x_ij[2]);
+              // This boid is the current boid, or is too far away
+              if (j0 == i0 || d_ij == 0 || d_ij > this._r2)
+                continue;
+              var v_j = Math.hypot(s[j0 + STATE.V_X], s[j0 + STATE.V_Y], s[j0 + STATE.V_Z]);
+              // A boid at rest has no heading, so is seen side-on
+              var cosine = v_j == 0 ? 0 :
+                (x_ij[0] * s[j0 + STATE.V_X] + x_ij[1] * s[j0 + STATE.V_Y] + x_ij[2] * s[j0 + STATE.V_Z]) / (d_ij * v_j);
+              t_ij = Math.acos(Math.max(-1, Math.min(cosine, 1)));
+              // This boid is in a blind spot
+              if (t_ij > this._t2 * 0.5)
+                continue;
+              k_d = d_ij < this._r1 ? 1 : (this._r2 - d_ij) / (this._r2 - this._r1);
+              k_t = t_ij < (this._t1 * 0.5) ? 1 : (this._t2 * 0.5 - t_ij) / (this._t2 * 0.5 - this._t1 * 0.5);
+              for (var k = 0; k < 3; k++) {
+                /* Collision avoidance */
+                // a_ij^a = -(k_a / d_ij) * x_hat, with x_hat = x_ij * d_ij
+                a_i[k] += x_ij[k] * d_ij * (k_t * k_d * (-1 * this._ka / d_ij));
+                /* Velocity matching */
+                // a_ij^v = k_v * (v_j - v_i)
+                a_i[k] += (s[j0 + STATE.V_X + k] - s[i0 + STATE.V_X + k]) * k_t * k_d * this._kv;
+                /* Centering */
+                // a_ij^c = k_c * x_ij
+                a_i[k] += x_ij[k] * k_t * k_d * this._kc;
+                /* Obstacle avoidance and goal seeking */
+                a_i[k] += a_pg[k];
+              }
+            }
+            s[i0 + STATE.F_X] += a_i[0];
+            s[i0 + STATE.F_Y] += a_i[1];
+            s[i0 + STATE.F_Z] += a_i[2];
           }
-          s[(this._p[i] * STATE_SIZE) + STATE.F_X] += a_i[0];
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Y] += a_i[1];
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Z] += a_i[2];
-        }
-        break;
-      case FORCE_TYPE.FORCE_LINE_ATTRACTOR:
-        // attractor position
-        const x_a = this._x_a;
-        // unit vector direction of x_a
-        const a = this._a;
-        // current particle position
-        var x_i = glMatrix.vec3.create();
-        // vector from x_a to x_i
-        var x_ai = glMatrix.vec3.create();
-        // length of x_ai in the direction of a
-        var l_ai = 0;
-        // vector to x_i orthogonal to a
-        var r_ai = glMatrix.vec3.create();
-        // magnitude of r_ai
-        var r = 0;
-        // additive accelerator operator
-        var a_ai = glMatrix.vec3.create();
-        // closest distance to the line attractor an affected particle can be
-        var epsilon = 0.01;
-        for (var i = 0; i < this._p.length; i++) {
-          x_i = glMatrix.vec3.fromValues(
-            s[(this._p[i] * STATE_SIZE) + STATE.P_X],
-            s[(this._p[i] * STATE_SIZE) + STATE.P_Y],
-            s[(this._p[i] * STATE_SIZE) + STATE.P_Z]
-          );
-          x_ai = glMatrix.vec3.sub(x_ai, x_i, x_a);
-          l_ai = glMatrix.vec3.dot(x_ai, a);
-          if (epsilon <= l_ai && l_ai < this._L) {
-            r_ai = glMatrix.vec3.scaleAndAdd(r_ai, x_ai, a, -l_ai);
-            r = glMatrix.vec3.len(r_ai);
-            a_ai = glMatrix.vec3.scale(a_ai, r_ai, -9.8 * Math.pow(r, (this._pow + 1)));
-            s[(this._p[i] * STATE_SIZE) + STATE.F_X] += a_ai[0];
-            s[(this._p[i] * STATE_SIZE) + STATE.F_Y] += a_ai[1];
-            s[(this._p[i] * STATE_SIZE) + STATE.F_Z] += a_ai[2];
+          break;
+        case FORCE_TYPE.FORCE_PLANETARY_GRAVITY:
+          if (this._theta > 0) {
+            // Barnes-Hut: O(n log n), treating distant groups as one body
+            __octree.build(s, this._p, size);
+            var f = [0, 0, 0];
+            for (var i = 0; i < this._p.length; i++) {
+              __octree.force(s, this._p[i], this._G, this._softening, this._theta, f);
+              s[(this._p[i] * size) + STATE.F_X] += f[0];
+              s[(this._p[i] * size) + STATE.F_Y] += f[1];
+              s[(this._p[i] * size) + STATE.F_Z] += f[2];
+            }
+            break;
           }
-        }
-        break;
-      case FORCE_TYPE.FORCE_VORTEX:
-        // vortex position
-        const x_v = this._x_a;
-        // unit vector direction of x_v
-        const v = this._a;
-        // current point position
-        var x_i = glMatrix.vec3.create();
-        // vector from x_v to x_i
-        var x_vi = glMatrix.vec3.create();
-        // length of x_vi in the direction of v
-        var l_vi = 0;
-        // vector to x_i orthogonal to v
-        var r_i = glMatrix.vec3.create();
-        // magnitude of r_i
-        var r = 0;
-        // closest distance to the vortex axis an affected particle can be
-        var epsilon = 0.01;
-        // rotational frequency at the edge of the vortex
-        const f_R = 2;
-        // maximum rotational frequency
-        const f_max = Math.pow(10, f_R + 1);
-        // rotational frequency of x_i at distance r from the vortex-s axis
-        var f_i = 0;
-        // angular velocity
-        var ω = 0;
-        // additive velocity operator
-        var v_vi = glMatrix.vec3.create();
-        for (var i = 0; i < this._p.length; i++) {
-          x_i = glMatrix.vec3.fromValues(
-            s[(this._p[i] * STATE_SIZE) + STATE.P_X],
-            s[(this._p[i] * STATE_SIZE) + STATE.P_Y],
-            s[(this._p[i] * STATE_SIZE) + STATE.P_Z]
-          );
-          x_vi = glMatrix.vec3.sub(x_vi, x_i, x_v);
-          l_vi = glMatrix.vec3.dot(v, x_vi);
-          if (epsilon <= l_vi && l_vi < this._L) {
-            r_i = glMatrix.vec3.scaleAndAdd(r_i, x_vi, v, -l_vi);
-            r = glMatrix.vec3.len(r_i);
-            if (r < this._r) {
-              f_i = Math.min(f_max, Math.pow(this._r / r, this._pow) * f_R);
-              ω = 2 * Math.PI * f_i;
-              v_vi = glMatrix.vec3.rotateZ(v_vi, x_i, x_v, ω);
-              s[(this._p[i] * STATE_SIZE) + STATE.V_X] += v_vi[0] - x_i[0];
-              s[(this._p[i] * STATE_SIZE) + STATE.V_Y] += v_vi[1] - x_i[1];
-              s[(this._p[i] * STATE_SIZE) + STATE.V_Z] += v_vi[2] - x_i[2];
+          // Direct summation: O(n^2), applying each pair's force to both
+          var eps2 = this._softening * this._softening;
+          for (var i = 0; i < this._p.length; i++) {
+            var i0 = this._p[i] * size;
+            for (var j = i + 1; j < this._p.length; j++) {
+              var j0 = this._p[j] * size;
+              var dx = s[j0 + STATE.P_X] - s[i0 + STATE.P_X];
+              var dy = s[j0 + STATE.P_Y] - s[i0 + STATE.P_Y];
+              var dz = s[j0 + STATE.P_Z] - s[i0 + STATE.P_Z];
+              var d2 = dx * dx + dy * dy + dz * dz + eps2;
+              var k = this._G * s[i0 + STATE.MASS] * s[j0 + STATE.MASS] / (d2 * Math.sqrt(d2));
+              s[i0 + STATE.F_X] += dx * k;
+              s[i0 + STATE.F_Y] += dy * k;
+              s[i0 + STATE.F_Z] += dz * k;
+              s[j0 + STATE.F_X] -= dx * k;
+              s[j0 + STATE.F_Y] -= dy * k;
+              s[j0 + STATE.F_Z] -= dz * k;
             }
           }
-        }
-        break;
-      case FORCE_TYPE.FORCE_UNIFORM_POINT_ATTRACTOR:
-        var dir = glMatrix.vec3.create();
-        for (var i = 0; i < this._p.length; i++) {
-          dir = glMatrix.vec3.sub(dir,
-            this._x_a,
-            glMatrix.vec3.fromValues(
-              s[(this._p[i] * STATE_SIZE) + STATE.P_X],
-              s[(this._p[i] * STATE_SIZE) + STATE.P_Y],
-              s[(this._p[i] * STATE_SIZE) + STATE.P_Z]
-            ));
-          s[(this._p[i] * STATE_SIZE) + STATE.F_X] += dir[0];
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Y] += dir[1];
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Z] += dir[2];
-        }
-        break;
-      case FORCE_TYPE.FORCE_POINT_ATTRACTOR:
-        // Vector from attractor to particle position
-        var dir = glMatrix.vec3.create();
-        // Length of dir
-        var len = 0;
-        for (var i = 0; i < this._p.length; i++) {
-          dir = glMatrix.vec3.sub(dir,
-            this._x_a,
-            glMatrix.vec3.fromValues(
-              s[(this._p[i] * STATE_SIZE) + STATE.P_X],
-              s[(this._p[i] * STATE_SIZE) + STATE.P_Y],
-              s[(this._p[i] * STATE_SIZE) + STATE.P_Z]
-            ));
-          len = glMatrix.vec3.length(dir);
-          if (len > this._L)
-            continue;
-          // Using `this._r` because I'm lazy and don't want to include another parameter in the init function
-          dir = glMatrix.vec3.scale(dir, dir, this._r / Math.pow(len, (this._pow + 1)));
-          s[(this._p[i] * STATE_SIZE) + STATE.F_X] += dir[0];
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Y] += dir[1];
-          s[(this._p[i] * STATE_SIZE) + STATE.F_Z] += dir[2];
-        }
-        break;
-      default:
-        console.log("Unimplemented force type: " + this._type);
-        return;
+          break;
+        case FORCE_TYPE.FORCE_SPH:
+          // Müller et al., "Particle-Based Fluid Simulation for Interactive
+          // Applications" (2003)
+          const density = this._layout.offset("density");
+          const pressure = this._layout.offset("pressure");
+          if (density < 0 || pressure < 0) {
+            this.disable();
+            break;
+          }
+          const h = this._h;
+          const h2 = h * h;
+          const h6 = h2 * h2 * h2;
+          // Normalizing constants of the Poly6, Spiky and viscosity kernels,
+          // and the gradient and Laplacian of Poly6
+          const poly6 = 315 / (64 * Math.PI * h6 * h2 * h);
+          const d_poly6 = -945 / (32 * Math.PI * h6 * h2 * h);
+          const d_spiky = -45 / (Math.PI * h6);
+          const dd_viscosity = 45 / (Math.PI * h6);
+          __spatial_hash.build(s, this._p, h, size);
+          if (__neighbors.start.length < this._p.length + 1)
+            __neighbors.start = new Int32Array(2 * (this._p.length + 1));
+          const start = __neighbors.start;
+          var count = 0;
+          for (var i = 0; i < this._p.length; i++) {
+            start[i] = count;
+            const neighbors = __spatial_hash.neighbors(this._p[i], h);
+            if (__neighbors.list.length < count + neighbors.length) {
+              const grown = new Int32Array(2 * (count + neighbors.length));
+              grown.set(__neighbors.list.subarray(0, count));
+              __neighbors.list = grown;
+            }
+            for (var n = 0; n < neighbors.length; n++)
+              __neighbors.list[count++] = neighbors[n];
+          }
+          start[this._p.length] = count;
+          const list = __neighbors.list;
+          /* Density and pressure */
+          // ρ_i = Σ_j m_j W_poly6(x_i - x_j), including the particle itself
+          for (var i = 0; i < this._p.length; i++) {
+            var i0 = this._p[i] * size;
+            var rho = 0;
+            for (var n = start[i]; n < start[i + 1]; n++) {
+              var j0 = list[n] * size;
+              var dx = s[j0 + STATE.P_X] - s[i0 + STATE.P_X];
+              var dy = s[j0 + STATE.P_Y] - s[i0 + STATE.P_Y];
+              var dz = s[j0 + STATE.P_Z] - s[i0 + STATE.P_Z];
+              var w = h2 - (dx * dx + dy * dy + dz * dz);
+              rho += s[j0 + STATE.MASS] * poly6 * w * w * w;
+            }
+            s[i0 + density] = rho;
+            // p_i = k (ρ_i - ρ_0). Negative pressures would pull particles at
+            // the surface, which have few neighbors, into clumps
+            s[i0 + pressure] = Math.max(this._stiffness * (rho - this._rest_density), 0);
+          }
+          /* Pressure, viscosity and surface tension */
+          // Each is a force per unit volume, so is applied to each particle
+          // scaled by its volume m_i / ρ_i
+          var x_ij = [0, 0, 0];
+          var f_i = [0, 0, 0];
+          // The gradient and Laplacian of the color field, which is 1 at each
+          // particle and 0 outside the fluid
+          var n_i = [0, 0, 0];
+          var dd_c = 0;
+          for (var i = 0; i < this._p.length; i++) {
+            var i0 = this._p[i] * size;
+            f_i[0] = f_i[1] = f_i[2] = 0;
+            n_i[0] = n_i[1] = n_i[2] = 0;
+            dd_c = 0;
+            for (var n = start[i]; n < start[i + 1]; n++) {
+              var j0 = list[n] * size;
+              x_ij[0] = s[i0 + STATE.P_X] - s[j0 + STATE.P_X];
+              x_ij[1] = s[i0 + STATE.P_Y] - s[j0 + STATE.P_Y];
+              x_ij[2] = s[i0 + STATE.P_Z] - s[j0 + STATE.P_Z];
+              var r2 = x_ij[0] * x_ij[0] + x_ij[1] * x_ij[1] + x_ij[2] * x_ij[2];
+              // V_j = m_j / ρ_j, the volume of the other particle
+              var V_j = s[j0 + STATE.MASS] / s[j0 + density];
+              // ∇²W_poly6 = d_poly6 (h² - r²) (3h² - 7r²)
+              dd_c += V_j * d_poly6 * (h2 - r2) * (3 * h2 - 7 * r2);
+              if (j0 == i0)
+                continue;
+              // Particles at the same position (e.g. pushed into the same
+              // corner of a box) would never be pushed apart otherwise
+              if (r2 == 0) {
+                separation(this._p[i], list[n], x_ij);
+                for (var k = 0; k < 3; k++)
+                  x_ij[k] *= h * 1e-3;
+                r2 = h2 * 1e-6;
+              }
+              var r = Math.sqrt(r2);
+              // f_i^p = -Σ_j V_j (p_i + p_j) / 2 ∇W_spiky, where
+              // ∇W_spiky = d_spiky (h - r)² x_ij / r
+              var k_p = -V_j * (s[i0 + pressure] + s[j0 + pressure]) * 0.5 * d_spiky * (h - r) * (h - r) / r;
+              // f_i^v = μ Σ_j V_j (v_j - v_i) ∇²W_viscosity, where
+              // ∇²W_viscosity = dd_viscosity (h - r)
+              var k_v = this._viscosity * V_j * dd_viscosity * (h - r);
+              // ∇W_poly6 = d_poly6 (h² - r²)² x_ij
+              var k_n = V_j * d_poly6 * (h2 - r2) * (h2 - r2);
+              for (var k = 0; k < 3; k++) {
+                f_i[k] += x_ij[k] * k_p + (s[j0 + STATE.V_X + k] - s[i0 + STATE.V_X + k]) * k_v;
+                n_i[k] += x_ij[k] * k_n;
+              }
+            }
+            // f_i^s = -σ ∇²c n / |n|, only at the surface, where the color
+            // field changes fast enough that its normal is meaningful
+            var n_len = Math.hypot(n_i[0], n_i[1], n_i[2]);
+            if (this._surface_tension > 0 && n_len * h > SPH_SURFACE_THRESHOLD) {
+              for (var k = 0; k < 3; k++)
+                f_i[k] -= this._surface_tension * dd_c * n_i[k] / n_len;
+            }
+            var V_i = s[i0 + STATE.MASS] / s[i0 + density];
+            s[i0 + STATE.F_X] += f_i[0] * V_i;
+            s[i0 + STATE.F_Y] += f_i[1] * V_i;
+            s[i0 + STATE.F_Z] += f_i[2] * V_i;
+          }
+          break;
+        case FORCE_TYPE.FORCE_LINE_ATTRACTOR:
+          // attractor position
+          const x_a = this._x_a;
+          // unit vector direction of x_a
+          const a = this._a;
+          // current particle position
+          var x_i = glMatrix.vec3.create();
+          // vector from x_a to x_i
+          var x_ai = glMatrix.vec3.create();
+          // length of x_ai in the direction of a
+          var l_ai = 0;
+          // vector to x_i orthogonal to a
+          var r_ai = glMatrix.vec3.create();
+          // magnitude of r_ai
+          var r = 0;
+          // additive accelerator operator
+          var a_ai = glMatrix.vec3.create();
+          // closest distance to the line attractor an affected particle can be
+          var epsilon = 0.01;
+          for (var i = 0; i < this._p.length; i++) {
+            x_i = glMatrix.vec3.fromValues(
+              s[(this._p[i] * size) + STATE.P_X],
+              s[(this._p[i] * size) + STATE.P_Y],
+              s[(this._p[i] * size) + STATE.P_Z]
+            );
+            x_ai = glMatrix.vec3.sub(x_ai, x_i, x_a);
+            l_ai = glMatrix.vec3.dot(x_ai, a);
+            if (epsilon <= l_ai && l_ai < this._L) {
+              r_ai = glMatrix.vec3.scaleAndAdd(r_ai, x_ai, a, -l_ai);
+              r = glMatrix.vec3.len(r_ai);
+              a_ai = glMatrix.vec3.scale(a_ai, r_ai, -9.8 * Math.pow(r, (this._pow + 1)));
+              s[(this._p[i] * size) + STATE.F_X] += a_ai[0];
+              s[(this._p[i] * size) + STATE.F_Y] += a_ai[1];
+              s[(this._p[i] * size) + STATE.F_Z] += a_ai[2];
+            }
+          }
+          break;
+        case FORCE_TYPE.FORCE_VORTEX:
+          // vortex position
+          const x_v = this._x_a;
+          // unit vector direction of x_v
+          const v = this._a;
+          // current point position
+          var x_i = glMatrix.vec3.create();
+          // vector from x_v to x_i
+          var x_vi = glMatrix.vec3.create();
+          // length of x_vi in the direction of v
+          var l_vi = 0;
+          // vector to x_i orthogonal to v
+          var r_i = glMatrix.vec3.create();
+          // magnitude of r_i
+          var r = 0;
+          // closest distance to the vortex axis an affected particle can be
+          var epsilon = 0.01;
+          // rotational frequency at the edge of the vortex
+          const f_R = 2;
+          // maximum rotational frequency
+          const f_max = Math.pow(10, f_R + 1);
+          // rotational frequency of x_i at distance r from the vortex-s axis
+          var f_i = 0;
+          // angular velocity
+          var ω = 0;
+          // additive velocity operator
+          var v_vi = glMatrix.vec3.create();
+          for (var i = 0; i < this._p.length; i++) {
+            x_i = glMatrix.vec3.fromValues(
+              s[(this._p[i] * size) + STATE.P_X],
+              s[(this._p[i] * size) + STATE.P_Y],
+              s[(this._p[i] * size) + STATE.P_Z]
+            );
+            x_vi = glMatrix.vec3.sub(x_vi, x_i, x_v);
+            l_vi = glMatrix.vec3.dot(v, x_vi);
+            if (epsilon <= l_vi && l_vi < this._L) {
+              r_i = glMatrix.vec3.scaleAndAdd(r_i, x_vi, v, -l_vi);
+              r = glMatrix.vec3.len(r_i);
+              if (r < this._r) {
+                f_i = Math.min(f_max, Math.pow(this._r / r, this._pow) * f_R);
+                ω = 2 * Math.PI * f_i;
+                v_vi = glMatrix.vec3.rotateZ(v_vi, x_i, x_v, ω);
+                s[(this._p[i] * size) + STATE.V_X] += v_vi[0] - x_i[0];
+                s[(this._p[i] * size) + STATE.V_Y] += v_vi[1] - x_i[1];
+                s[(this._p[i] * size) + STATE.V_Z] += v_vi[2] - x_i[2];
+              }
+            }
+          }
+          break;
+        case FORCE_TYPE.FORCE_UNIFORM_POINT_ATTRACTOR:
+          var dir = glMatrix.vec3.create();
+          for (var i = 0; i < this._p.length; i++) {
+            dir = glMatrix.vec3.sub(dir,
+              this._x_a,
+              glMatrix.vec3.fromValues(
+                s[(this._p[i] * size) + STATE.P_X],
+                s[(this._p[i] * size) + STATE.P_Y],
+                s[(this._p[i] * size) + STATE.P_Z]
+              ));
+            s[(this._p[i] * size) + STATE.F_X] += dir[0];
+            s[(this._p[i] * size) + STATE.F_Y] += dir[1];
+            s[(this._p[i] * size) + STATE.F_Z] += dir[2];
+          }
+          break;
+        case FORCE_TYPE.FORCE_POINT_ATTRACTOR:
+          // Vector from attractor to particle position
+          var dir = glMatrix.vec3.create();
+          // Length of dir
+          var len = 0;
+          for (var i = 0; i < this._p.length; i++) {
+            dir = glMatrix.vec3.sub(dir,
+              this._x_a,
+              glMatrix.vec3.fromValues(
+                s[(this._p[i] * size) + STATE.P_X],
+                s[(this._p[i] * size) + STATE.P_Y],
+                s[(this._p[i] * size) + STATE.P_Z]
+              ));
+            len = glMatrix.vec3.length(dir);
+            if (len > this._L)
+              continue;
+            // Using `this._r` because I'm lazy and don't want to include another parameter in the init function
+            dir = glMatrix.vec3.scale(dir, dir, this._r / Math.pow(len, (this._pow + 1)));
+            s[(this._p[i] * size) + STATE.F_X] += dir[0];
+            s[(this._p[i] * size) + STATE.F_Y] += dir[1];
+            s[(this._p[i] * size) + STATE.F_Z] += dir[2];
+          }
+          break;
+        case FORCE_TYPE.FORCE_PICK:
+          // F = m * (k * (x_target - x) - d * v)
+          for (var i = 0; i < this._p.length; i++) {
+            var p = this._p[i] * size;
+            s[p + STATE.F_X] += s[p + STATE.MASS] * (this._k * (this._x - s[p + STATE.P_X]) - this._d * s[p + STATE.V_X]);
+            s[p + STATE.F_Y] += s[p + STATE.MASS] * (this._k * (this._y - s[p + STATE.P_Y]) - this._d * s[p + STATE.V_Y]);
+            s[p + STATE.F_Z] += s[p + STATE.MASS] * (this._k * (this._z - s[p + STATE.P_Z]) - this._d * s[p + STATE.V_Z]);
+          }
+          break;
+        default:
+          console.log("Unimplemented force type: " + this._type);
+          return;
+      }
     }
-  }
 
-  /**
-   * Toggles drawing of this force, and updates vertices when it changes.
-   *
-   * @param {!VBOBox} vbo The VBO to update.
-   * @param {number} index The index of this force.
-   * @param {boolean} enabled Whether this force should be drawn.
-   * @param {Array<number>} p0 A point on the line representing this force.
-   * @param {Array<number>} p1 A point on the line representing this force.
-   */
-  draw(vbo, index, enabled, p0, p1) {
-    var r = Math.random();
-    var g = Math.random();
-    var b = Math.random();
-    var epsilon = 0.01;
-    enabled = enabled && this._enabled;
-    switch (this._type) {
-      case FORCE_TYPE.FORCE_SPRING:
-        var len = Math.sqrt(Math.pow(p1[0] - p0[0], 2) + Math.pow(p1[1] - p0[1], 2) + Math.pow(p1[2] - p0[2], 2));
-        if (Math.abs(len - this._lr) < epsilon) {
-          // Approximately natural length
-          r = g = b = 1;
-        } else {
-          var delta = 1 - Math.abs(len - this._lr) / this._lr;
-          if (delta <= 0.33) {
-            g = b = delta;
-            r = 1;
+    /**
+     * Finds the Jacobian of this force w.r.t. particle position.
+     *
+     * Only forces which couple pairs of particles provide a Jacobian; all other
+     * forces return null and are treated explicitly by implicit solvers.
+     *
+     * For a spring between particles i and j, the result is the 3x3 block K
+     * (row-major) such that ∂f_i/∂x_i = ∂f_j/∂x_j = -K and
+     * ∂f_i/∂x_j = ∂f_j/∂x_i = K.
+     *
+     * @param {!Float32Array} s The state vector to linearize about.
+     * @return {?Float32Array} The 3x3 Jacobian block, or null.
+     */
+    jacobian(s) {
+      const size = this._layout.size;
+      if (!this._enabled)
+        return null;
+      switch (this._type) {
+        case FORCE_TYPE.FORCE_SPRING:
+          var Lx = s[(this._p[1] * size) + STATE.P_X] - s[(this._p[0] * size) + STATE.P_X];
+          var Ly = s[(this._p[1] * size) + STATE.P_Y] - s[(this._p[0] * size) + STATE.P_Y];
+          var Lz = s[(this._p[1] * size) + STATE.P_Z] - s[(this._p[0] * size) + STATE.P_Z];
+          var distance = Math.sqrt(Math.pow(Lx, 2) + Math.pow(Ly, 2) + Math.pow(Lz, 2));
+          if (distance == 0)
+            return null;
+          var n = [Lx / distance, Ly / distance, Lz / distance];
+          // K = k * (n n^T + (1 - L_r / |L|) * (I - n n^T))
+          // The transverse term is clamped at 0 so compressed springs can't
+          // make the system indefinite (which would stall conjugate gradient)
+          var t = Math.max(1 - this._lr / distance, 0);
+          var K = new Float32Array(9);
+          for (var r = 0; r < 3; r++) {
+            for (var c = 0; c < 3; c++) {
+              K[r * 3 + c] = this._k * (n[r] * n[c] + t * ((r == c ? 1 : 0) - n[r] * n[c]));
+            }
+          }
+          return K;
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Finds the Jacobian of this force w.r.t. particle velocity.
+     *
+     * As with jacobian(), only springs provide one: the result is the 3x3 block
+     * D (row-major) such that ∂f_i/∂v_i = ∂f_j/∂v_j = -D and
+     * ∂f_i/∂v_j = ∂f_j/∂v_i = D.
+     *
+     * @param {!Float32Array} s The state vector to linearize about.
+     * @return {?Float32Array} The 3x3 Jacobian block, or null.
+     */
+    damping_jacobian(s) {
+      const size = this._layout.size;
+      if (!this._enabled)
+        return null;
+      switch (this._type) {
+        case FORCE_TYPE.FORCE_SPRING:
+          if (this._d == 0)
+            return null;
+          var Lx = s[(this._p[1] * size) + STATE.P_X] - s[(this._p[0] * size) + STATE.P_X];
+          var Ly = s[(this._p[1] * size) + STATE.P_Y] - s[(this._p[0] * size) + STATE.P_Y];
+          var Lz = s[(this._p[1] * size) + STATE.P_Z] - s[(this._p[0] * size) + STATE.P_Z];
+          var distance = Math.sqrt(Math.pow(Lx, 2) + Math.pow(Ly, 2) + Math.pow(Lz, 2));
+          if (distance == 0)
+            return null;
+          var n = [Lx / distance, Ly / distance, Lz / distance];
+          // D = d * n n^T, since only relative velocity along the spring is damped
+          var D = new Float32Array(9);
+          for (var r = 0; r < 3; r++) {
+            for (var c = 0; c < 3; c++) {
+              D[r * 3 + c] = this._d * n[r] * n[c];
+            }
+          }
+          return D;
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Toggles drawing of this force, and updates vertices when it changes.
+     *
+     * @param {!VBOBox} vbo The VBO to update.
+     * @param {number} index The index of this force.
+     * @param {boolean} enabled Whether this force should be drawn.
+     * @param {Array<number>} p0 A point on the line representing this force.
+     * @param {Array<number>} p1 A point on the line representing this force.
+     */
+    draw(vbo, index, enabled, p0, p1) {
+      var r = Random.draw.random();
+      var g = Random.draw.random();
+      var b = Random.draw.random();
+      var epsilon = 0.01;
+      enabled = enabled && this._enabled;
+      switch (this._type) {
+        case FORCE_TYPE.FORCE_SPRING:
+          var len = Math.sqrt(Math.pow(p1[0] - p0[0], 2) + Math.pow(p1[1] - p0[1], 2) + Math.pow(p1[2] - p0[2], 2));
+          if (Math.abs(len - this._lr) < epsilon) {
+            // Approximately natural length
+            r = g = b = 1;
           } else {
-            r = g = delta;
-            b = 1;
+            var delta = 1 - Math.abs(len - this._lr) / this._lr;
+            if (delta <= 0.33) {
+              g = b = delta;
+              r = 1;
+            } else {
+              r = g = delta;
+              b = 1;
+            }
           }
-        }
-        vbo.reload(
-          new Float32Array([
-            p0[0], p0[1], p0[2], r, g, b, enabled | 0,
-            p1[0], p1[1], p1[2], r, g, b, enabled | 0,
-          ]),
-          index * 7 * 2);
-        break;
-      default:
-        break;
+          vbo.reload(
+            new Float32Array([
+              p0[0], p0[1], p0[2], r, g, b, enabled | 0,
+              p1[0], p1[1], p1[2], r, g, b, enabled | 0,
+            ]),
+            index * 7 * 2);
+          break;
+        default:
+          break;
+      }
     }
+
   }
 
-}
+  return {
+    Force,
+    FORCE_TYPE,
+    TIMEOUT_NO_TIMEOUT,
+    TIMEOUT_INSTANT,
+  };
+});
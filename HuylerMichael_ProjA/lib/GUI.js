@@ -22,27 +22,43 @@ var GuiTracker = function() {
   this.gravity = 9.832;
   this.restitution = 1.0;
   this.solver = SOLVER.MIDPOINT;
+  this.seed = Random.seed; // seed of the run, so that it can be repeated
   this.clear = true;
   this.pause = false;
   /* FPS */
   this.fps = 60.0;
-  this.ms = 1000.0 / 60.0; // timestep
+  this.ms = 1000.0 / 60.0; // fixed simulation timestep
   this.prev;
-  this.speed = 1; // speed at which simulation should run
+  this.accumulator = 0; // simulated time not yet consumed by a timestep
+  this.speed = 1; // slow-motion factor: simulated time = real time / speed
+  /* Adaptive timestep */
+  this.adaptive = false;
+  this.tolerance = 0.001; // largest allowed positional error per substep
+  this.substeps = 1; // most substeps taken by any system last timestep
+  this.error = 0; // largest estimated error of any system last timestep
+  /* Recording */
+  this.record = false;
+  this.replay = false; // draw recorded frames instead of simulating
+  this.replay_frame = 0;
+  this.replay_speed = 1; // recorded frames per timestep, negative to rewind
   /**
    * Updatets the FPS in the GUI
+   *
+   * @return {number} The time elapsed since the last call, in ms.
    */
   this.fps_calc = function() {
     var now = Date.now();
-    // prevent instability from switching tabs (since canvas does not update
-    // when not the active tab): cap elapsed time to 266 2/3 ms = ~4 FPS
+    // prevent a long catch-up from switching tabs (since canvas does not
+    // update when not the active tab): cap elapsed time to 266 2/3 ms = ~4 FPS
     var elapsed = Math.min(now - this.prev, 800 / 3.0);
     this.prev = now;
-    this.ms = elapsed / this.speed;
     tracker.fps = 1000.0 / elapsed;
+    return elapsed;
   }
 }
 var tracker = new GuiTracker();
+// The playback timeline, whose length changes with the recording
+var replay_frame_controller;
 var help_visible = false;
 
 /**
@@ -54,25 +70,332 @@ function initGui() {
     hideable: false
   });
   gui.add(tracker, 'fps', 0, 60, 1).name('FPS').listen();
+  gui.add(tracker, 'substeps').name('Substeps').listen();
+  gui.add(tracker, 'error').name('Step error').listen();
   gui.add(tracker, 'clear').name('Clear screen').listen();
   gui.add(tracker, 'pause').name('Pause').listen();
   var globals = gui.addFolder("Simulation Variables");
   globals.add(tracker, 'drag', 0, 1, 0.005);
   globals.add(tracker, 'gravity', 0);
   globals.add(tracker, 'restitution');
-  globals.add(tracker, 'solver', {
-    'Euler': SOLVER.EULER,
-    'Adams-Bashforth': SOLVER.ADAMS_BASHFORTH,
-    '(Explicit) Midpoint': SOLVER.MIDPOINT,
-    '(Implicit) Midpoint': SOLVER.QUADRATIC_MIDPOINT_INVERSE,
-    // 'Verlet': SOLVER.VERLET,
+  globals.add(tracker, 'solver', Object.fromEntries(SOLVER_STRINGS.map((name, i) => [name, i]))).name('solver (all systems)').onChange(function(value) {
+    part_systems.forEach(part_sys => part_sys.solver_type = value);
   });
+  globals.add(tracker, 'ms', 1, 50).name('Timestep (ms)').onChange(function() {
+    tracker.accumulator = 0;
+  });
+  globals.add(tracker, 'adaptive').name('Adaptive timestep');
+  globals.add(tracker, 'tolerance', 0.00001, 0.1).name('Error tolerance');
+  globals.add(tracker, 'seed', 0, 4294967295, 1).name('Random seed').onFinishChange(function(value) {
+    restart(value);
+  });
+  // Bound to the camera itself, so that it follows the keyboard and snapshots
+  var view = gui.addFolder("Camera");
+  view.add(camera, 'mode', Object.fromEntries(CAMERA_MODE_STRINGS.map((name, i) => [name, i]))).name('Mode [G]').listen();
+  view.add(camera, 'smoothing', 0, 1, 0.01).name('Smoothing (s)').listen();
+  var snapshots = gui.addFolder("Snapshots");
+  snapshots.add({save: saveSnapshot}, 'save').name('Save [M]');
+  snapshots.add({load: loadSnapshot}, 'load').name('Restore [R]');
+  snapshots.add({download: downloadSnapshot}, 'download').name('Save to file');
+  snapshots.add({upload: uploadSnapshot}, 'upload').name('Restore from file');
+  var recording = gui.addFolder("Recording");
+  recording.add(tracker, 'record').name('Record [N]').listen();
+  recording.add(tracker, 'replay').name('Play back [B]').listen().onChange(function(value) {
+    setReplay(value);
+  });
+  replay_frame_controller = recording.add(tracker, 'replay_frame', 0, 0, 1).name('Frame').listen().onChange(function() {
+    if (!tracker.replay) setReplay(true);
+  });
+  recording.add(tracker, 'replay_speed', -4, 4, 0.25).name('Playback speed');
+  recording.add({back: () => stepReplay(-1)}, 'back').name('Step back [[]');
+  recording.add({forward: () => stepReplay(1)}, 'forward').name('Step forward []]');
+  recording.add({clear: function() {
+    setReplay(false);
+    recorder.clear();
+  }}, 'clear').name('Clear recording');
   gui.open();
   document.getElementsByClassName('close-bottom')[0].onclick = function() {
     gui_open = !gui_open;
   };
 }
 
+/**
+ * Automatically creates controls for a particle system.
+ *
+ * @param {!PartSys} part_sys The particle system to control.
+ */
+function insertPartSysGui(part_sys) {
+  // Compute hash to distinguish this particle system
+  const hash = hex_sha1(part_sys.toString());
+  var partSysFolder = gui.addFolder(PARTICLE_SYSTEM_STRINGS[part_sys.type] + ' Particle System [' + hash.substring(0, 8) + ']');
+
+  // Integration settings. The solver is bound to the particle system itself,
+  // so that it follows changes made to the global solver
+  partSysFolder.add(part_sys, "solver_type", Object.fromEntries(SOLVER_STRINGS.map((name, i) => [name, i]))).name("Solver").listen();
+  tracker[hash + "_substeps"] = part_sys.substep_count;
+  partSysFolder.add(tracker, hash + "_substeps", 1, 16, 1).name("Substeps").onChange(function(value) {
+    part_sys.substep_count = value;
+  });
+  tracker[hash + "_time_scale"] = part_sys.time_scale;
+  partSysFolder.add(tracker, hash + "_time_scale", 0, 4, 0.05).name("Time scale").onChange(function(value) {
+    part_sys.time_scale = value;
+  });
+
+  if (part_sys.type == PARTICLE_SYSTEM.BOIDS) {
+    tracker[hash + "_radius"] = part_sys.boid_radius;
+    partSysFolder.add(tracker, hash + "_radius").name("Boid Radius").onChange(function(value) {
+      part_sys.boid_radius = Math.max(value, 0);
+    });
+    tracker[hash + "_ka"]  = part_sys.force_set[0]._ka;
+    partSysFolder.add(tracker, hash + "_ka", 0.1, 1, 0.1).name("k<sub>a</sub>").onChange(function(value) {
+      part_sys.force_set[0]._ka = value;
+    });
+    tracker[hash + "_kv"]  = part_sys.force_set[0]._kv;
+    partSysFolder.add(tracker, hash + "_kv", 0.1, 1, 0.1).name("k<sub>v</sub>").onChange(function(value) {
+      part_sys.force_set[0]._kv = value;
+    });
+    tracker[hash + "_kc"]  = part_sys.force_set[0]._kc;
+    partSysFolder.add(tracker, hash + "_kc", 0.1, 1, 0.1).name("k<sub>c</sub>").onChange(function(value) {
+      part_sys.force_set[0]._kc = value;
+    });
+    tracker[hash + "_koa"]  = part_sys.force_set[0]._koa;
+    partSysFolder.add(tracker, hash + "_koa", 0.1, 1, 0.1).name("k<sub>oa</sub>").onChange(function(value) {
+      part_sys.force_set[0]._koa = value;
+    });
+    tracker[hash + "_kgs"]  = part_sys.force_set[0]._kgs;
+    partSysFolder.add(tracker, hash + "_kgs", 0.1, 1, 0.1).name("k<sub>gs</sub>").onChange(function(value) {
+      part_sys.force_set[0]._kgs = value;
+    });
+  }
+
+  // N-body gravity, e.g. of a galaxy
+  const planetary = part_sys.force_set.find(force => force.type == FORCE_TYPE.FORCE_PLANETARY_GRAVITY);
+  if (planetary) {
+    tracker[hash + "_G"] = planetary._G;
+    partSysFolder.add(tracker, hash + "_G", 0, 5, 0.05).name("G").onChange(function(value) {
+      planetary._G = value;
+    });
+    tracker[hash + "_softening"] = planetary._softening;
+    partSysFolder.add(tracker, hash + "_softening", 0, 0.5, 0.01).name("Softening").onChange(function(value) {
+      planetary._softening = value;
+    });
+    tracker[hash + "_theta"] = planetary._theta;
+    partSysFolder.add(tracker, hash + "_theta", 0, 1.5, 0.05).name("Barnes-Hut θ (0 = exact)").onChange(function(value) {
+      planetary._theta = value;
+    });
+  }
+
+  // SPH fluid, e.g. the dam break
+  const sph = part_sys.force_set.find(force => force.type == FORCE_TYPE.FORCE_SPH);
+  if (sph) {
+    tracker[hash + "_rest_density"] = sph._rest_density;
+    partSysFolder.add(tracker, hash + "_rest_density", 100, 2000, 10).name("Rest density").onChange(function(value) {
+      sph._rest_density = value;
+    });
+    tracker[hash + "_stiffness"] = sph._stiffness;
+    partSysFolder.add(tracker, hash + "_stiffness", 0, 50, 1).name("Stiffness").onChange(function(value) {
+      sph._stiffness = value;
+    });
+    tracker[hash + "_viscosity"] = sph._viscosity;
+    partSysFolder.add(tracker, hash + "_viscosity", 0, 50, 1).name("Viscosity").onChange(function(value) {
+      sph._viscosity = value;
+    });
+    tracker[hash + "_surface_tension"] = sph._surface_tension;
+    partSysFolder.add(tracker, hash + "_surface_tension", 0, 5, 0.1).name("Surface tension").onChange(function(value) {
+      sph._surface_tension = value;
+    });
+  }
+
+  // Particle collisions, e.g. of sand or cloth
+  const collision = part_sys.constraint_set.find(constraint => constraint.type == CONSTRAINT_TYPE.PARTICLE_COLLISION);
+  if (collision) {
+    tracker[hash + "_collision_restitution"] = collision.restitution;
+    partSysFolder.add(tracker, hash + "_collision_restitution", 0, 1, 0.05).name("Collision restitution").onChange(function(value) {
+      collision.restitution = value;
+    });
+    tracker[hash + "_collision_friction"] = collision.friction;
+    partSysFolder.add(tracker, hash + "_collision_friction", 0, 1, 0.05).name("Collision friction").onChange(function(value) {
+      collision.friction = value;
+    });
+  }
+
+  // Tearing, e.g. of cloth. Applies to the springs of the current scene, so
+  // that it still works after restarting
+  const is_spring = force => force.type == FORCE_TYPE.FORCE_SPRING;
+  if (part_sys.force_set.some(is_spring)) {
+    tracker[hash + "_max_strain"] = part_sys.force_set.find(is_spring).max_strain;
+    partSysFolder.add(tracker, hash + "_max_strain", 0, 3, 0.05).name("Tear strain (0 = never)").onChange(function(value) {
+      part_sys.force_set.filter(is_spring).forEach(spring => spring.max_strain = value);
+    });
+  }
+
+  // Particle count, of systems where everything acts on every particle. Pooled
+  // systems (with emitters) grow as their emitters give birth
+  if (part_sys.resizable) {
+    tracker[hash + "_count"] = part_sys.max_count;
+    partSysFolder.add(tracker, hash + "_count", 1, Math.max(4 * part_sys.max_count, 100), 1).name("Particles").onChange(function(value) {
+      scene.resize(part_sys, value);
+    });
+  }
+
+  // Spawning, e.g. of snow and fire. Applies to the emitters of the current
+  // scene, so that it still works after restarting
+  part_sys.emitters.forEach((emitter, i) => {
+    tracker[hash + "_rate_" + i] = emitter.rate;
+    partSysFolder.add(tracker, hash + "_rate_" + i, 0, 500, 5).name(EMITTER_SHAPE_STRINGS[emitter.shape] + " spawn rate (0 = on death)").onChange(function(value) {
+      part_sys.emitters[i].rate = value;
+    });
+  });
+
+  partSysFolder.add({focus: () => focusOn(part_sys)}, 'focus').name('Focus camera [F]');
+
+  // Choose whether this particle system is recorded. Not kept in the tracker,
+  // so that restoring a snapshot doesn't change it
+  partSysFolder.add({recorded: false}, "recorded").name("Record").onChange(function(value) {
+    setReplay(false);
+    recorder.select(part_sys, value);
+  });
+
+  // Add a master toggle to hide all of this particle system's constraints
+  tracker[hash + "_drawn"] = true;
+  partSysFolder.add(tracker, hash + "_drawn").name("Show constraints").onChange(function(value) {
+    part_sys.constraint_set.forEach((constraint, i) => {
+      if (VISIBLE_CONSTRAINTS.includes(constraint.type))
+        constraint.draw(vbo_boxes[part_sys.c_vbo], value && tracker["c_" + hash + "_" + hex_sha1(part_sys.constraint_set[i].toString()) + "_drawn"]);
+    });
+  });
+
+  // Add controls for each constraint individually
+  for (var index in part_sys.constraint_set) {
+    if (VISIBLE_CONSTRAINTS.includes(part_sys.constraint_set[index].type)) {
+      const i = index;
+      // Create unique attributes in the tracker object
+      var constraintSubFolder = partSysFolder.addFolder('Constraint ' + i + ': ' + CONSTRAINT_STRINGS[part_sys.constraint_set[index].type]);
+      const c_hash = hex_sha1(part_sys.constraint_set[i].toString());
+      const attr = "c_" + hash + "_" + c_hash;
+
+      // Toggle drawing this constraint
+      var redraw = function(value) {
+        part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], value && tracker[hash + "_drawn"], ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
+      };
+      tracker[attr + "_drawn"] = true;
+      partSysFolder.add(tracker, attr + "_drawn").name("Visible").onChange(redraw);
+
+      switch (part_sys.constraint_set[i].type) {
+        case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
+        case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
+          tracker[attr + "_restitution"] = part_sys.constraint_set[i].restitution;
+          constraintSubFolder.add(tracker, attr + "_restitution").name("restitution").onChange(function() {
+            part_sys.constraint_set[i].restitution = tracker[attr + "_restitution"];
+          });
+        case CONSTRAINT_TYPE.VOLUME_WRAP:
+          // Adjust this constraint's bounds
+          tracker[attr + "_x_min"] = part_sys.constraint_set[i].bounds[0];
+          constraintSubFolder.add(tracker, attr + "_x_min").name("x-min").onChange(function() {
+            if (tracker[attr + "_x_min"] >= tracker[attr + "_x_max"]) {
+              tracker[attr + "_x_min"] = tracker[attr + "_x_max"] - 0.1;
+            }
+            part_sys.constraint_set[i].x_min = tracker[attr + "_x_min"];
+            part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
+          });
+          tracker[attr + "_x_max"] = part_sys.constraint_set[i].bounds[1];
+          constraintSubFolder.add(tracker, attr + "_x_max").name("x-max").onChange(function() {
+            if (tracker[attr + "_x_max"] <= tracker[attr + "_x_min"]) {
+              tracker[attr + "_x_max"] = tracker[attr + "_x_min"] + 0.1;
+            }
+            part_sys.constraint_set[i].x_max = tracker[attr + "_x_max"];
+            part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
+          });
+          tracker[attr + "_y_min"] = part_sys.constraint_set[i].bounds[2];
+          constraintSubFolder.add(tracker, attr + "_y_min").name("y-min").onChange(function() {
+            if (tracker[attr + "_y_min"] >= tracker[attr + "_y_max"]) {
+              tracker[attr + "_y_min"] = tracker[attr + "_y_max"] - 0.1;
+            }
+            part_sys.constraint_set[i].y_min = tracker[attr + "_y_min"];
+            part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
+          });
+          tracker[attr + "_y_max"] = part_sys.constraint_set[i].bounds[3];
+          constraintSubFolder.add(tracker, attr + "_y_max").name("y-max").onChange(function() {
+            if (tracker[attr + "_y_max"] <= tracker[attr + "_y_min"]) {
+              tracker[attr + "_y_max"] = tracker[attr + "_y_min"] + 0.1;
+            }
+            part_sys.constraint_set[i].y_max = tracker[attr + "_y_max"];
+            part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
+          });
+          tracker[attr + "_z_min"] = part_sys.constraint_set[i].bounds[4];
+          constraintSubFolder.add(tracker, attr + "_z_min").name("z-min").onChange(function() {
+            if (tracker[attr + "_z_min"] >= tracker[attr + "_z_max"]) {
+              tracker[attr + "_z_min"] = tracker[attr + "_z_max"] - 0.1;
+            }
+            part_sys.constraint_set[i].z_min = tracker[attr + "_z_min"];
+            part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
+          });
+          tracker[attr + "_z_max"] = part_sys.constraint_set[i].bounds[5];
+          constraintSubFolder.add(tracker, attr + "_z_max").name("z-max").onChange(function() {
+            if (tracker[attr + "_z_max"] <= tracker[attr + "_z_min"]) {
+              tracker[attr + "_z_max"] = tracker[attr + "_z_min"] + 0.1;
+            }
+            part_sys.constraint_set[i].z_max = tracker[attr + "_z_max"];
+            part_sys.constraint_set[i].draw(vbo_boxes[part_sys.c_vbo], tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
+          });
+          tracker[attr + "_enabled"] = true;
+          constraintSubFolder.add(tracker, attr + "_enabled").name("Enabled").onChange(function(value) {
+            value ? part_sys.constraint_set[i].enable() : part_sys.constraint_set[i].disable();
+          });
+          break;
+        case CONSTRAINT_TYPE.SPHERE:
+          tracker[attr + "_x"] = part_sys.constraint_set[i].bounds[0];
+          constraintSubFolder.add(tracker, attr + "_x", -2, 2, 0.125).name("x").onChange(function() {
+            part_sys.constraint_set[i].x = tracker[attr + "_x"];
+            part_sys.constraint_set[i].draw(
+              vbo_boxes[part_sys.c_vbo],
+              tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
+              ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
+          });
+          tracker[attr + "_y"] = part_sys.constraint_set[i].bounds[1];
+          constraintSubFolder.add(tracker, attr + "_y", -2, 2, 0.125).name("y").onChange(function() {
+            part_sys.constraint_set[i].y = tracker[attr + "_y"];
+            part_sys.constraint_set[i].draw(
+              vbo_boxes[part_sys.c_vbo],
+              tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
+              ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
+          });
+          tracker[attr + "_z"] = part_sys.constraint_set[i].bounds[2];
+          constraintSubFolder.add(tracker, attr + "_z", -2, 2, 0.125).name("z").onChange(function() {
+            part_sys.constraint_set[i].z = tracker[attr + "_z"];
+            part_sys.constraint_set[i].draw(
+              vbo_boxes[part_sys.c_vbo],
+              tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
+              ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
+          });
+          tracker[attr + "_r"] = part_sys.constraint_set[i].bounds[3];
+          constraintSubFolder.add(tracker, attr + "_r", 0.125, 2, 0.125).name("radius").onChange(function() {
+            part_sys.constraint_set[i].r = tracker[attr + "_r"];
+            part_sys.constraint_set[i].draw(
+              vbo_boxes[part_sys.c_vbo],
+              tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
+              ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
+          });
+          break;
+        default:
+          break;
+      }
+      tracker[attr + "_color"] = [255, 255, 255];
+      constraintSubFolder.addColor(tracker, attr + "_color").name("Color").onChange(redraw);
+    }
+  }
+}
+
+/**
+ * Updates every control in a GUI folder to show the tracker's current values.
+ *
+ * @param {dat.GUI=} folder The folder to update.
+ */
+function updateGui(folder = gui) {
+  folder.__controllers.forEach(controller => controller.updateDisplay());
+  Object.values(folder.__folders).forEach(subfolder => updateGui(subfolder));
+}
+
 /**
  * Toggles the GUI.
  */
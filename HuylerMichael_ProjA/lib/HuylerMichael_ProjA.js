@@ -15,43 +15,44 @@ var canvas;
 var aspect;
 
 /* VBO Boxes */
-// Ground plane
-var vbo_0;
-// Velocity field (snow)
-var vbo_1;
-// Boids
-var vbo_2;
-// Reeve's Fire
-var vbo_3;
-// Springs
-var vbo_4;
-// Volume constraints
-var vbo_5;
-// Spring forces
-var vbo_6;
-// Array containing all VBOBoxes
+// Array containing all VBOBoxes: the ground plane, one per particle system,
+// then the volume constraints and the spring forces
 const vbo_boxes = [];
 const sprite_locations = {};
 
+/**
+ * Styles a particle system can be drawn in.
+ *
+ * @enum {number}
+ */
+const RENDER_STYLE = {
+  // Textured points, sized by particle radius or a fixed size
+  SPRITE: 0,
+  // Round, depth-tested points, sized by particle radius
+  POINTS: 1,
+};
+
 /* Particle Systems */
-var INIT_VEL = 0.15 * 60.0;
-// Vector Field
-const VEC_FIELD_PARTICLE_COUNT = 600;
-const vfield = new PartSys(VEC_FIELD_PARTICLE_COUNT);
-const top_m = [10, 10, 1];
-const top_a = [1, 2, 9];
-// Boids
-const BOID_PARTICLE_COUNT = 90;
-const boid = new PartSys(BOID_PARTICLE_COUNT);
-var boid_predator_timer = 0;
-// Reve's Fire
-const FIRE_PARTICLE_COUNT = 2000;
-const fire = new PartSys(FIRE_PARTICLE_COUNT);
-// Springs
+// The scene to load, unless another is given with ?scene=<path>
+const DEFAULT_SCENE = 'scenes/default.json';
+// The loaded scene
+var scene;
+// Array containing all particle systems, in the order they are simulated
+var part_systems = [];
+// Particle systems of the default scene with their own keyboard and mouse
+// controls, or null if the loaded scene doesn't have them
+var vfield = null;
+var spring = null;
+// Width of the default scene's cloth, used to hang it vertically
 const CLOTH_WIDTH = 30;
-const CLOTH_HEIGHT = 10;
-const SPRING_PARTICLE_COUNT = CLOTH_WIDTH * CLOTH_HEIGHT;
-const spring = new PartSys(SPRING_PARTICLE_COUNT);
+// Most fixed timesteps to simulate per frame before dropping time
+const MAX_STEPS_PER_FRAME = 8;
+// Records the selected particle systems once per timestep, for playback
+const recorder = new Recorder();
+// Drags particles with the mouse
+const picker = new Picker();
+// The camera, looking along -x at the middle of the default scene
+const camera = new Camera([16, 0, 1], [0, 0, 1]);
 
 /**
  * Initialize global variables, event listeners, etc.
@@ -84,50 +85,219 @@ function main() {
   canvas.onmouseup = function(ev) {
     mouseUp(ev)
   };
+  canvas.onwheel = function(ev) {
+    mouseWheel(ev)
+  };
+  // Right-dragging pans the camera, rather than opening a menu
+  canvas.oncontextmenu = function(ev) {
+    ev.preventDefault();
+  };
   window.addEventListener("keydown", keyDown, false);
   window.addEventListener("keyup", keyUp, false);
+  // Keys released while the page isn't focused would otherwise stay held
+  window.addEventListener("blur", function() {
+    keybindings.releaseAll();
+  }, false);
 
   initGui();
-  initParticleSystems();
+  initKeybindings();
+  writeHelp();
+  const params = new URLSearchParams(window.location.search);
+  // Keys can be rebound by a JSON config, given with ?keys=<path>
+  const keys_url = params.get('keys');
+  if (keys_url != null) {
+    fetch(keys_url)
+      .then(response => response.json())
+      .then(function(config) {
+        keybindings.load(config);
+        writeHelp();
+      }, function(error) {
+        console.log('Failed to load keybindings ' + keys_url + ': ' + error);
+      });
+  }
+  const scene_url = params.get('scene') || DEFAULT_SCENE;
+  fetch(scene_url)
+    .then(response => response.json())
+    .then(start)
+    .catch(function(error) {
+      console.log('Failed to load scene ' + scene_url + ': ' + error);
+    });
+}
+
+/**
+ * Builds a scene, and starts simulating and drawing it.
+ *
+ * @param {!Object} description The parsed scene description.
+ */
+function start(description) {
+  scene = new Scene(description, tracker);
+  part_systems = scene.part_systems;
+  vfield = scene.system('snow');
+  spring = scene.system('cloth');
+  Random.reseed(tracker.seed);
+  scene.init();
   initVBOBoxes();
-  vfield.constraint_set.forEach(constraint => constraint.draw(vfield._c_vbo, true));
-  boid.constraint_set.forEach(constraint => constraint.draw(vfield._c_vbo, true));
-  fire.constraint_set.forEach(constraint => constraint.draw(vfield._c_vbo, true));
-  spring.constraint_set.forEach(constraint => constraint.draw(vfield._c_vbo, true));
+  part_systems.forEach(part_sys => {
+    insertPartSysGui(part_sys);
+    part_sys.constraint_set.forEach(constraint => constraint.draw(vbo_boxes[part_sys.c_vbo], true));
+  });
 
   // There is a significant overhead inherent in setting up the VBOs and
   // particle systems, so we start our timing after the setup has completed
   tracker.prev = Date.now();
 
-  var shouldUpdateFrame = 1;
   var tick = function() {
     updateKeypresses();
     requestAnimationFrame(tick, canvas);
-    if (shouldUpdateFrame >= tracker.speed) {
-      boid_predator_timer -= 1;
-      if (boid_predator_timer <= 0) {
-        boid_predator_timer = 240;
-        // random walk
-        boid.force_set[3].x = Math.random() * Math.abs(boid.constraint_set[0].bounds[1] - boid.constraint_set[0].bounds[0]) + boid.constraint_set[0].bounds[0];
-        boid.force_set[3].y = Math.random() * Math.abs(boid.constraint_set[0].bounds[3] - boid.constraint_set[0].bounds[2]) + boid.constraint_set[0].bounds[2];
-        boid.force_set[3].z = Math.random() * Math.abs(boid.constraint_set[0].bounds[5] - boid.constraint_set[0].bounds[4]) + boid.constraint_set[0].bounds[4];
-      }
-      tracker.fps_calc();
-      drawAll();
-      shouldUpdateFrame = 1;
-    } else {
-      shouldUpdateFrame++;
+    var elapsed = tracker.fps_calc();
+    if (tracker.replay) {
+      replay(elapsed);
+    } else if (!tracker.pause) {
+      simulate(elapsed);
     }
+    camera.update(elapsed * 0.001);
+    drawAll();
   };
   tick();
 }
 
+/**
+ * Restarts the scene from a seed.
+ *
+ * Every random number the simulation uses is drawn from this seed, so
+ * restarting from the same seed repeats a run exactly, as long as the scene
+ * isn't changed with the GUI or keyboard along the way.
+ *
+ * @param {number} seed The seed to restart from.
+ */
+function restart(seed) {
+  Random.reseed(seed);
+  tracker.seed = Random.seed;
+  tracker.accumulator = 0;
+  picker.release();
+  // Rebuild every constraint in the same slots of the constraint VBO
+  Constraint.volume_count = 0;
+  scene.init();
+  part_systems.forEach(part_sys => {
+    part_sys.constraint_set.forEach(constraint => constraint.draw(vbo_boxes[part_sys.c_vbo], true));
+  });
+}
+
+/**
+ * Points the camera at a particle system, far enough away to see all of it.
+ *
+ * @param {!PartSys} part_sys The particle system to focus on.
+ */
+function focusOn(part_sys) {
+  const {min, max} = part_sys.bounds();
+  camera.focus(min, max);
+}
+
+/**
+ * Advances the simulation by the time elapsed since the last frame.
+ *
+ * Simulated time is accumulated and consumed in fixed timesteps of
+ * tracker.ms, so results don't depend on the frame rate. Slow-motion is
+ * achieved by accumulating less time per frame. Any leftover time is used to
+ * interpolate each particle system between its last two states for rendering.
+ *
+ * @param {number} elapsed The wall-clock time since the last frame, in ms.
+ */
+function simulate(elapsed) {
+  tracker.accumulator += elapsed / tracker.speed;
+  var steps = 0;
+  while (tracker.accumulator >= tracker.ms) {
+    if (steps >= MAX_STEPS_PER_FRAME) {
+      // We can't keep up, so drop the time rather than spiral into more and
+      // more steps per frame
+      tracker.accumulator = 0;
+      break;
+    }
+    // The readouts show the last timestep, so they hold on frames without one
+    tracker.substeps = 0;
+    tracker.error = 0;
+    part_systems.forEach(part_sys => part_sys.step());
+    if (tracker.record && !recorder.record()) {
+      console.log("Recording is full after " + recorder.frame_count + " frames");
+      tracker.record = false;
+    }
+    tracker.accumulator -= tracker.ms;
+    steps++;
+  }
+  part_systems.forEach(part_sys => part_sys.interpolate(tracker.accumulator / tracker.ms));
+}
+
+/**
+ * Plays back the recording by the time elapsed since the last frame.
+ *
+ * Frames are recorded once per timestep, so they are played back at one per
+ * tracker.ms, scaled by the playback speed (negative to rewind). Only the
+ * recorded particle systems are drawn from the recording; the rest are drawn
+ * as they were when playback started.
+ *
+ * @param {number} elapsed The wall-clock time since the last frame, in ms.
+ */
+function replay(elapsed) {
+  if (!tracker.pause) {
+    tracker.replay_frame += elapsed / tracker.speed / tracker.ms * tracker.replay_speed;
+  }
+  tracker.replay_frame = Math.max(0, Math.min(tracker.replay_frame, recorder.frame_count - 1));
+  recorder.show(Math.round(tracker.replay_frame));
+}
+
+/**
+ * Starts or stops playing back the recording.
+ *
+ * Stopping returns to the live simulation, which was held while playing back.
+ *
+ * @param {boolean} replaying Whether to play back the recording.
+ */
+function setReplay(replaying) {
+  if (replaying && recorder.frame_count == 0) {
+    console.log("Nothing has been recorded");
+    replaying = false;
+  }
+  tracker.replay = replaying;
+  if (replaying) {
+    tracker.record = false;
+    picker.release();
+    replay_frame_controller.max(recorder.frame_count - 1);
+  } else {
+    part_systems.forEach(part_sys => part_sys.interpolate(tracker.accumulator / tracker.ms));
+  }
+}
+
+/**
+ * Steps the recording forward or back, starting playback if needed.
+ *
+ * @param {number} frames The number of frames to step by.
+ */
+function stepReplay(frames) {
+  if (!tracker.replay) {
+    setReplay(true);
+    tracker.replay_frame = recorder.frame_count - 1;
+  }
+  tracker.replay_frame = Math.round(tracker.replay_frame) + frames;
+}
+
+/**
+ * Sends a particle system's render state to its VBOBox.
+ *
+ * @param {!PartSys} part_sys The particle system to render.
+ * @param {number=} index The index to start substituting data at.
+ */
+function renderPartSys(part_sys, index = 0) {
+  // Send to the VBO box to call WebGLRenderingContext.bufferSubData(). The
+  // render state only holds live particles, so only they are drawn
+  vbo_boxes[part_sys.vbo].vbo = part_sys.sR;
+  vbo_boxes[part_sys.vbo].reload(vbo_boxes[part_sys.vbo].vbo, index);
+}
+
 /**
  * Initializes all of the VBOBoxes.
  */
 function initVBOBoxes() {
   var id;
-  var glTexture;
 
   // Ground plane
   id = 0;
@@ -196,7 +366,7 @@ function initVBOBoxes() {
     verts[i + 5] = 80.0 / 255;
     verts[i + 6] = 80.0 / 255;
   }
-  vbo_0 = new VBOBox(
+  const vbo_0 = new VBOBox(
     vertex_shader_0,
     fragment_shader_0,
     verts,
@@ -210,262 +380,12 @@ function initVBOBoxes() {
   vbo_0.init();
   vbo_boxes.push(vbo_0);
 
-  // Vector Field
-  id = 1;
-  const vertex_shader_1 = `
-    precision highp float;
-
-    uniform mat4 u_model_matrix_${id};
-    uniform mat4 u_view_matrix_${id};
-    uniform mat4 u_projection_matrix_${id};
-
-    attribute vec4 a_position_${id};
-    attribute vec3 a_color_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_PointSize = 16.0;
-  		gl_Position = u_projection_matrix_${id} * u_view_matrix_${id} * u_model_matrix_${id} * a_position_${id};
-  		v_color_${id} = vec4(a_color_${id}, 1.0);
-    }
-  `;
-  const fragment_shader_1 = `
-    precision highp float;
-
-    uniform sampler2D sprite_texture_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_FragColor = texture2D(sprite_texture_${id}, gl_PointCoord) * v_color_${id};
-      // float dist = distance(gl_PointCoord, vec2(0.5, 0.5));
-      // if (dist < 0.5) {
-      //   gl_FragColor = v_color_${id};
-      //   gl_FragColor.rgb *= gl_FragColor.a;
-      // } else { discard; }
-    }
-  `;
-  const snow_sprite = document.getElementById('fluff');
-  const snow_sprite_id = id;
-  glTexture = gl.createTexture();
-  gl.activeTexture(gl.TEXTURE1);
-  gl.bindTexture(gl.TEXTURE_2D, glTexture);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, snow_sprite);
-  gl.generateMipmap(gl.TEXTURE_2D);
-  vbo_1 = new VBOBox(vertex_shader_1,
-    fragment_shader_1,
-    new Float32Array(VEC_FIELD_PARTICLE_COUNT * STATE_SIZE),
-    gl.POINTS,
-    STATE_SIZE, {
-      ['a_position_' + id]: [STATE.P_X, 3],
-      ['a_color_' + id]: [STATE.R, 4],
-    },
-    id,
-    () => {
-      gl.disable(gl.DEPTH_TEST);
-      if (!tracker.pause) {
-        vfield.applyAllForces(vfield.s1);
-        vfield.s1dot = vfield.dotFinder(vfield.s1);
-        vfield.solver(Number(tracker.solver));
-        vfield.doConstraints();
-        gl.uniform1i(sprite_locations[snow_sprite_id], snow_sprite_id);
-        vfield.render();
-        vfield.swap();
-      }
-    });
-  vbo_1.init();
-  sprite_locations[snow_sprite_id] = gl.getUniformLocation(vbo_1.program, `sprite_texture_${snow_sprite_id}`);
-  vbo_boxes.push(vbo_1);
-
-  // Boids
-  id = 2;
-  const vertex_shader_2 = `
-    precision mediump float;
-
-    uniform mat4 u_model_matrix_${id};
-    uniform mat4 u_view_matrix_${id};
-    uniform mat4 u_projection_matrix_${id};
-
-    attribute vec4 a_position_${id};
-    attribute vec4 a_color_${id};
-    attribute float a_radius_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_PointSize = a_radius_${id} * 2.0;
-      gl_Position = u_projection_matrix_${id} * u_view_matrix_${id} * u_model_matrix_${id} * a_position_${id};
-      v_color_${id} = vec4(a_color_${id});
-    }`;
-  const fragment_shader_2 = `
-    precision mediump float;
-
-    uniform sampler2D sprite_texture_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_FragColor = texture2D(sprite_texture_${id}, gl_PointCoord) * v_color_${id};
-    }`;
-  const boid_sprite = document.getElementById('boid');
-  const boid_sprite_id = id;
-  glTexture = gl.createTexture();
-  gl.activeTexture(gl.TEXTURE2);
-  gl.bindTexture(gl.TEXTURE_2D, glTexture);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, boid_sprite);
-  gl.generateMipmap(gl.TEXTURE_2D);
-  vbo_2 = new VBOBox(
-    vertex_shader_2,
-    fragment_shader_2,
-    new Float32Array(BOID_PARTICLE_COUNT * STATE_SIZE),
-    gl.POINTS,
-    STATE_SIZE, {
-      ['a_position_' + id]: [STATE.P_X, 3],
-      ['a_color_' + id]: [STATE.R, 4],
-      ['a_radius_' + id]: [STATE.RADIUS, 1],
-    },
-    id,
-    () => {
-      gl.disable(gl.DEPTH_TEST);
-      if (!tracker.pause) {
-        boid.applyAllForces(boid.s1);
-        boid.s1dot = boid.dotFinder(boid.s1);
-        boid.solver(Number(tracker.solver));
-        boid.doConstraints();
-        gl.uniform1i(sprite_locations[boid_sprite_id], boid_sprite_id);
-        boid.render();
-        boid.swap();
-      }
-    });
-  vbo_2.init();
-  sprite_locations[boid_sprite_id] = gl.getUniformLocation(vbo_2.program, `sprite_texture_${boid_sprite_id}`);
-  vbo_boxes.push(vbo_2);
-
-  // Reeve's Fire
-  id = 3;
-  const vertex_shader_3 = `
-    precision mediump float;
-
-    uniform mat4 u_model_matrix_${id};
-    uniform mat4 u_view_matrix_${id};
-    uniform mat4 u_projection_matrix_${id};
-
-    attribute vec4 a_position_${id};
-    attribute vec4 a_color_${id};
-    attribute float a_radius_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_PointSize = a_radius_${id} * 2.0;
-      gl_Position = u_projection_matrix_${id} * u_view_matrix_${id} * u_model_matrix_${id} * a_position_${id};
-      v_color_${id} = vec4(a_color_${id});
-    }`;
-  const fragment_shader_3 = `
-    precision mediump float;
-
-    uniform sampler2D sprite_texture_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_FragColor = texture2D(sprite_texture_${id}, gl_PointCoord) * v_color_${id};
-    }`;
-  const fire_sprite = document.getElementById('grad');
-  const fire_sprite_id = id;
-  glTexture = gl.createTexture();
-  gl.activeTexture(gl.TEXTURE3);
-  gl.bindTexture(gl.TEXTURE_2D, glTexture);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, fire_sprite);
-  gl.generateMipmap(gl.TEXTURE_2D);
-  vbo_3 = new VBOBox(
-    vertex_shader_3,
-    fragment_shader_3,
-    new Float32Array(FIRE_PARTICLE_COUNT * STATE_SIZE),
-    gl.POINTS,
-    STATE_SIZE, {
-      ['a_position_' + id]: [STATE.P_X, 3],
-      ['a_color_' + id]: [STATE.R, 4],
-      ['a_radius_' + id]: [STATE.RADIUS, 1],
-    },
-    id,
-    () => {
-      gl.disable(gl.DEPTH_TEST);
-      if (!tracker.pause) {
-        fire.applyAllForces(fire.s1);
-        fire.s1dot = fire.dotFinder(fire.s1);
-        fire.solver(Number(tracker.solver));
-        fire.doConstraints();
-        gl.uniform1i(sprite_locations[fire_sprite_id], fire_sprite_id);
-        fire.render();
-        fire.swap();
-      }
-    });
-  vbo_3.init();
-  sprite_locations[fire_sprite_id] = gl.getUniformLocation(vbo_3.program, `sprite_texture_${fire_sprite_id}`);
-  vbo_boxes.push(vbo_3);
-
-  // Springs
-  id = 4;
-  const vertex_shader_4 = `
-    precision mediump float;
-
-    uniform mat4 u_model_matrix_${id};
-    uniform mat4 u_view_matrix_${id};
-    uniform mat4 u_projection_matrix_${id};
-
-    attribute vec4 a_position_${id};
-    attribute vec4 a_color_${id};
-    attribute float a_radius_${id};
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      gl_PointSize = a_radius_${id} * 2.0;
-      gl_Position = u_projection_matrix_${id} * u_view_matrix_${id} * u_model_matrix_${id} * a_position_${id};
-      v_color_${id} = vec4(a_color_${id});
-    }`;
-  const fragment_shader_4 = `
-    precision mediump float;
-
-    varying vec4 v_color_${id};
-
-    void main() {
-      float dist = distance(gl_PointCoord, vec2(0.5, 0.5));
-      if (dist < 0.5) {
-        gl_FragColor = v_color_${id};
-        gl_FragColor.rgb *= gl_FragColor.a;
-      } else { discard; }
-    }`;
-  vbo_4 = new VBOBox(
-    vertex_shader_4,
-    fragment_shader_4,
-    new Float32Array(SPRING_PARTICLE_COUNT * STATE_SIZE),
-    gl.POINTS,
-    STATE_SIZE, {
-      ['a_position_' + id]: [STATE.P_X, 3],
-      ['a_color_' + id]: [STATE.R, 4],
-      ['a_radius_' + id]: [STATE.RADIUS, 1],
-    },
-    id,
-    () => {
-      gl.enable(gl.DEPTH_TEST);
-      if (!tracker.pause) {
-        spring.applyAllForces(spring.s1);
-        spring.s1dot = spring.dotFinder(spring.s1);
-        spring.solver(Number(tracker.solver));
-        spring.doConstraints();
-        spring.render();
-        spring.swap();
-      }
-    });
-  vbo_4.init();
-  vbo_boxes.push(vbo_4);
+  // Particle systems
+  part_systems.forEach(part_sys => vbo_boxes.push(createPartSysVBOBox(part_sys, scene.render(part_sys))));
 
   // Volume constraints
-  id = 5;
-  const vertex_shader_5 = `
+  id = part_systems.length + 1;
+  const vertex_shader_constraints = `
     precision mediump float;
 
     uniform mat4 u_model_matrix_${id};
@@ -484,7 +404,7 @@ function initVBOBoxes() {
       v_color_${id} = a_color_${id};
       v_enabled_${id} = a_enabled_${id};
     }`;
-  const fragment_shader_5 = `
+  const fragment_shader_constraints = `
     precision mediump float;
 
     varying vec3 v_color_${id};
@@ -495,11 +415,11 @@ function initVBOBoxes() {
         gl_FragColor = vec4(v_color_${id}, 1.0);
       } else { discard; }
     }`;
-  vbo_5 = new VBOBox(
-    vertex_shader_5,
-    fragment_shader_5,
+  const vbo_constraints = new VBOBox(
+    vertex_shader_constraints,
+    fragment_shader_constraints,
     // 7 attributes, 12 lines (24 points) per box constraint
-    new Float32Array(7 * (24 * __constraint_volume_index)),
+    new Float32Array(7 * (24 * Constraint.volume_count)),
     gl.LINES,
     7, {
       ['a_position_' + id]: [0, 3],
@@ -508,12 +428,12 @@ function initVBOBoxes() {
     },
     id,
     () => gl.enable(gl.DEPTH_TEST));
-  vbo_5.init();
-  vbo_boxes.push(vbo_5);
+  vbo_constraints.init();
+  vbo_boxes.push(vbo_constraints);
 
   // Spring forces
-  id = 6;
-  const vertex_shader_6 = `
+  id = part_systems.length + 2;
+  const vertex_shader_springs = `
     precision mediump float;
 
     uniform mat4 u_model_matrix_${id};
@@ -532,7 +452,7 @@ function initVBOBoxes() {
       v_color_${id} = a_color_${id};
       v_enabled_${id} = a_enabled_${id};
     }`;
-  const fragment_shader_6 = `
+  const fragment_shader_springs = `
     precision mediump float;
 
     varying vec3 v_color_${id};
@@ -543,12 +463,24 @@ function initVBOBoxes() {
         gl_FragColor = vec4(v_color_${id}, 1.0);
       } else { discard; }
     }`;
-  vbo_6 = new VBOBox(
-    vertex_shader_6,
-    fragment_shader_6,
-    new Float32Array(7 * ( // 7 attributes
-      (SPRING_PARTICLE_COUNT + 2) + // wind for each particle + 1 gravity + 1 drag
-      2 * 6 * CLOTH_WIDTH * CLOTH_HEIGHT)), // 1 line (2 points) per spring, max 6 springs per particle
+  // Springs are drawn for systems which ask for them, each starting after the
+  // previous system's forces
+  const spring_systems = part_systems.filter(part_sys => scene.render(part_sys).springs);
+  const spring_offsets = [];
+  var force_count = 0;
+  spring_systems.forEach(part_sys => {
+    spring_offsets.push(force_count);
+    force_count += part_sys.force_set.length;
+  });
+  spring_offsets.push(force_count);
+  // Lines left over by forces which have since been removed (e.g. torn
+  // springs) are hidden
+  const hidden_line = new Float32Array(7 * 2);
+  const vbo_springs = new VBOBox(
+    vertex_shader_springs,
+    fragment_shader_springs,
+    // 7 attributes, 1 line (2 points) per force
+    new Float32Array(7 * 2 * Math.max(force_count, 1)),
     gl.LINES,
     7, {
       ['a_position_' + id]: [0, 3],
@@ -558,242 +490,119 @@ function initVBOBoxes() {
     id,
     () => {
       gl.enable(gl.DEPTH_TEST);
-      var p = 0;
-      for (var i = 0; i < spring.force_set.length; i++) {
-        if (spring.force_set[i].type == FORCE_TYPE.FORCE_SPRING) {
-          p0 = spring.force_set[i].particles[0] * STATE_SIZE;
-          p1 = spring.force_set[i].particles[1] * STATE_SIZE;
-          spring.force_set[i].draw(
-            vbo_6,
-            i,
-            true,
-            [spring.s2[p0 + STATE.P_X], spring.s2[p0 + STATE.P_Y], spring.s2[p0 + STATE.P_Z]],
-            [spring.s2[p1 + STATE.P_X], spring.s2[p1 + STATE.P_Y], spring.s2[p1 + STATE.P_Z]]
-          );
+      spring_systems.forEach((part_sys, s) => {
+        for (var i = 0; i < part_sys.force_set.length; i++) {
+          if (part_sys.force_set[i].type == FORCE_TYPE.FORCE_SPRING) {
+            var p0 = part_sys.force_set[i].particles[0] * part_sys.layout.size;
+            var p1 = part_sys.force_set[i].particles[1] * part_sys.layout.size;
+            part_sys.force_set[i].draw(
+              vbo_springs,
+              spring_offsets[s] + i,
+              true,
+              [part_sys.sR[p0 + STATE.P_X], part_sys.sR[p0 + STATE.P_Y], part_sys.sR[p0 + STATE.P_Z]],
+              [part_sys.sR[p1 + STATE.P_X], part_sys.sR[p1 + STATE.P_Y], part_sys.sR[p1 + STATE.P_Z]]
+            );
+          }
+        }
+        for (var i = spring_offsets[s] + part_sys.force_set.length; i < spring_offsets[s + 1]; i++) {
+          vbo_springs.reload(hidden_line, i * 7 * 2);
         }
-      }
+      });
     });
-  vbo_6.init();
-  vbo_boxes.push(vbo_6);
+  vbo_springs.init();
+  vbo_boxes.push(vbo_springs);
 
 }
 
 /**
- * Initializes all of the particle systems.
+ * Creates the VBOBox which draws a particle system.
+ *
+ * @param {!PartSys} part_sys The particle system to draw.
+ * @param {!Object} render How to draw the particle system: its "style" (a
+ *        RENDER_STYLE), and for sprites the id of the "sprite" image and an
+ *        optional fixed point "size".
+ * @return {!VBOBox} The initialized VBOBox.
  */
-function initParticleSystems() {
-  var k_s = 30; // spring constant
-  var k_d = 5; // damping coefficient
-  var dist = 0.5; // natural spring length
-  var initial_conditions;
-
-  /* Particle System 1: Snow */
-  particles = [...Array(VEC_FIELD_PARTICLE_COUNT).keys()];
-  initial_conditions = [];
-  for (var i = 0; i < VEC_FIELD_PARTICLE_COUNT * STATE_SIZE; i += STATE_SIZE) {
-    [].push.apply(initial_conditions, [
-      // Position
-      Math.random() * top_m[0] + top_a[0], Math.random() * top_m[1] + top_a[1], Math.random() * top_m[2] + top_a[2],
-      // Velocity
-      0, 0, 0,
-      // Force
-      0, 0, 0,
-      // Color
-      Math.random() * 0.1 + 0.9, Math.random() * 0.1 + 0.9, Math.random() * 0.1 + 0.9, 0.75,
-      // Mass
-      0.5,
-      // Radius
-      Math.random() * 4,
-      // Age
-      i / STATE_SIZE
-    ]);
-  }
-  vfield.init(PARTICLE_SYSTEM.SNOW,
-    1, 5,
-    [
-      // gravity
-      new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, particles).init_vectored(-tracker.gravity),
-      // air drag
-      new Force(FORCE_TYPE.FORCE_DRAG, particles).init_vectored(tracker.drag),
-      // attractor
-      new Force(FORCE_TYPE.FORCE_VORTEX, particles).init_attractor( /* pos */ 6, 7, 0, /* a */ 0, 0, 1, /* τ, L, r */ 0, 10, 4),
-      new Force(FORCE_TYPE.FORCE_POINT_ATTRACTOR, particles).init_attractor(6, 7, 6, /**/ 0, 0, 0, /**/ 0, 4, 20),
-    ],
-    [
-      new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, particles, glMatrix.vec3.fromValues(1, 1, 1), WALL.ALL, 0.1, 1, 11, 2, 12, 0, 10),
-      // new Constraint(CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE, particles, glMatrix.vec3.fromValues(0, 1, 0), WALL.ALL, 1, 6, 6.001, 7, 7.001, 0, 10),
-    ],
-    new Float32Array(initial_conditions)
-  );
-  vfield.force_set[3].disable();
-
-  /* Particle System 2: Boids */
-  particles = [...Array(BOID_PARTICLE_COUNT - 1).keys()];
-  initial_conditions = [];
-  for (var i = 0; i < BOID_PARTICLE_COUNT * STATE_SIZE; i += STATE_SIZE) {
-    [].push.apply(initial_conditions, [
-      // Position
-      Math.random() * 3 - 5, Math.random() * 5 - 3, Math.random() + 2,
-      // Velocity
-      Math.random() * 6 - 3, Math.random(), Math.random() * 6 - 3,
-      // Force
-      0, 0, 0,
-      // Color
-      0.1, 0.1, 0.1, 1,
-      // Mass
-      1,
-      // Radius
-      12,
-      // Age
-      0
-    ]);
-  }
-  initial_conditions[(BOID_PARTICLE_COUNT - 1) * STATE_SIZE + STATE.R] = 1;
-  initial_conditions[(BOID_PARTICLE_COUNT - 1) * STATE_SIZE + STATE.G] = 0.1;
-  initial_conditions[(BOID_PARTICLE_COUNT - 1) * STATE_SIZE + STATE.B] = 0.1;
-  boid.init(PARTICLE_SYSTEM.BOIDS,
-    2, 5,
-    [
-      // boids
-      new Force(FORCE_TYPE.FORCE_FLOCK, particles).init_boid(0.5, 1, (2 * Math.PI) * (1 / 4), (2 * Math.PI) * (1 / 2), 0.8, 0.1, 0.5, 0.1, 0.1),
-      // drag
-      new Force(FORCE_TYPE.FORCE_DRAG, particles).init_vectored(tracker.drag),
-      // wind
-      new Force(FORCE_TYPE.FORCE_WIND, particles).init_vectored(4, 1, 1, 0),
-      // "predator" forces: point attractor, drag
-      new Force(FORCE_TYPE.FORCE_UNIFORM_POINT_ATTRACTOR, [BOID_PARTICLE_COUNT - 1]).init_attractor(0, 0, 0),
-      new Force(FORCE_TYPE.FORCE_DRAG, [BOID_PARTICLE_COUNT - 1]).init_vectored(tracker.drag),
-    ],
-    [
-      // Walls on top and bottom for boids
-      new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, particles, glMatrix.vec3.fromValues(1, 1, 1), WALL.TOP | WALL.BOTTOM, tracker.restitution, -5, -2, -3, 2, 2.025, 3),
-      // Walls on all sides for predator
-      new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [BOID_PARTICLE_COUNT - 1], glMatrix.vec3.fromValues(1, 1, 0.1), WALL.ALL, tracker.restitution, -5, -2, -3, 2, 2.025, 3),
-      // Wraparound for boids
-      new Constraint(CONSTRAINT_TYPE.VOLUME_WRAP, particles, glMatrix.vec3.fromValues(1, 0.1, 0.1), WALL.ALL ^ (WALL.TOP | WALL.BOTTOM), 0, -5, -2, -3, 2, 2.025, 3),
-    ],
-    new Float32Array(initial_conditions)
-  );
-
-  /* Particle System 3: Reeve's Fire */
-  particles = [...Array(FIRE_PARTICLE_COUNT).keys()];
-  initial_conditions = [];
-  for (var i = 0; i < FIRE_PARTICLE_COUNT * STATE_SIZE; i += STATE_SIZE) {
-    [].push.apply(initial_conditions, [
-      // Position
-      -1, -1.5, 1,
-      // Velocity
-      0, 0, 0,
-      // Force
-      0, 0, 0,
-      // Color
-      0.7, 0, 0, 0.5,
-      // Mass
-      0.1,
-      // Radius
-      12,
-      // Age
-      i % 90,
-    ]);
-  }
-  fire.init(PARTICLE_SYSTEM.REEVES_FIRE,
-    3, 5,
-    [
-      // Simulate gravity towards the center of the sphere
-      new Force(FORCE_TYPE.FORCE_LINE_ATTRACTOR, particles).init_attractor(-0.5, -1.5, 1, 0, 0, 0),
-      // air drag
-      new Force(FORCE_TYPE.FORCE_DRAG, particles).init_vectored(tracker.drag),
-      // Fountain effect
-      new Force(FORCE_TYPE.FORCE_WIND, particles).init_vectored(2, 0, 0, 1),
-      new Force(FORCE_TYPE.FORCE_WIND, particles).init_vectored(2, 1, 0, 0),
-      new Force(FORCE_TYPE.FORCE_WIND, particles).init_vectored(2, 0, 1, 0),
-    ],
-    [
-      new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, particles, glMatrix.vec3.fromValues(1, 1, 1), WALL.ALL, 0.2, -2, 1, -3, -0.025, 0, 1.975),
-      new Constraint(CONSTRAINT_TYPE.SPHERE, particles, glMatrix.vec3.fromValues(1, 0.2, 0.2), 0, 0, -0.5, -1.5, 1, 0.25),
-    ],
-    new Float32Array(initial_conditions)
-  );
-
-  /* Particle System 4: Springs */
-  particles = [...Array(SPRING_PARTICLE_COUNT).keys()];
-  k_s = 30;
-  k_d = 5;
-  dist = 0.05;
-  initial_conditions = [];
-  for (var i = 0; i < SPRING_PARTICLE_COUNT; i++) {
-    [].push.apply(initial_conditions, [
-      // Position
-      0, 0.25 + (i % CLOTH_WIDTH) * dist, 1.95 - (i / CLOTH_WIDTH) * dist,
-      // Velocity
-      0, 0, 0,
-      // Force
-      0, 0, 0,
-      // Color
-      1, 1, 1, 1,
-      // Mass
-      0.1,
-      // Radius
-      0.5,
-      // Age
-      0
-    ]);
-  }
-  var cloth_f = [];
-  var cloth_c = [];
-  for (var i = 0; i < CLOTH_WIDTH * CLOTH_HEIGHT; i++) {
-    // Pin the top of the cloth
-    if (i < CLOTH_WIDTH) {
-      cloth_c.push(new Constraint(CONSTRAINT_TYPE.ABSOLUTE, [i], glMatrix.vec3.create(), undefined, tracker.restitution, 0, 0.25 + i * dist, 1.95));
-    }
-    /* Structural Springs */
-    // Horizontal
-    if (i % CLOTH_WIDTH < CLOTH_WIDTH - 1) {
-      cloth_f.push(new Force(FORCE_TYPE.FORCE_SPRING, [i, i + 1]).init_spring(k_s, dist, k_d));
-    }
-    // Vertical
-    if (i < CLOTH_WIDTH * (CLOTH_HEIGHT - 1)) {
-      cloth_f.push(new Force(FORCE_TYPE.FORCE_SPRING, [i, i + CLOTH_WIDTH]).init_spring(k_s, dist, k_d));
-    }
-    /* Shear Springs */
-    // Diagonal left
-    if (i < CLOTH_WIDTH * (CLOTH_HEIGHT - 1) && i % CLOTH_WIDTH < CLOTH_WIDTH - 1) {
-      cloth_f.push(new Force(FORCE_TYPE.FORCE_SPRING, [i, i + CLOTH_WIDTH + 1]).init_spring(k_s, Math.sqrt(dist * dist + dist * dist), k_d));
-    }
-    // Diagonal right
-    if (i < CLOTH_WIDTH * (CLOTH_HEIGHT - 1) && i % CLOTH_WIDTH > 0) {
-      cloth_f.push(new Force(FORCE_TYPE.FORCE_SPRING, [i, i + CLOTH_WIDTH - 1]).init_spring(k_s, Math.sqrt(dist * dist + dist * dist), k_d));
-    }
-    /* Bend Springs */
-    // Horizontal
-    if (i % CLOTH_WIDTH < CLOTH_WIDTH - 2) {
-      cloth_f.push(new Force(FORCE_TYPE.FORCE_SPRING, [i, i + 2]).init_spring(k_s, dist * 2, k_d));
-    }
-    // Vertical
-    if (i < CLOTH_WIDTH * (CLOTH_HEIGHT - 2)) {
-      cloth_f.push(new Force(FORCE_TYPE.FORCE_SPRING, [i, i + (CLOTH_WIDTH * 2)]).init_spring(k_s, dist * 2, k_d));
-    }
+function createPartSysVBOBox(part_sys, render) {
+  const id = part_sys.vbo;
+  const point_size = render.size ? render.size.toFixed(1) : `a_radius_${id} * 2.0`;
+  // A fixed size leaves the radius unused, so the shader won't have it
+  const attributes = part_sys.layout.bindings(render.size ? ["position", "color"] : ["position", "color", "radius"], id);
+  const vertex_shader = `
+    precision mediump float;
+
+    uniform mat4 u_model_matrix_${id};
+    uniform mat4 u_view_matrix_${id};
+    uniform mat4 u_projection_matrix_${id};
+
+    ${VBOBox.declare(attributes)}
+
+    varying vec4 v_color_${id};
+
+    void main() {
+      gl_PointSize = ${point_size};
+      gl_Position = u_projection_matrix_${id} * u_view_matrix_${id} * u_model_matrix_${id} * vec4(a_position_${id}, 1.0);
+      v_color_${id} = vec4(a_color_${id});
+    }`;
+  var fragment_shader;
+  var adjust;
+  var glTexture;
+  switch (RENDER_STYLE[render.style]) {
+    case RENDER_STYLE.SPRITE:
+      fragment_shader = `
+        precision mediump float;
+
+        uniform sampler2D sprite_texture_${id};
+
+        varying vec4 v_color_${id};
+
+        void main() {
+          gl_FragColor = texture2D(sprite_texture_${id}, gl_PointCoord) * v_color_${id};
+        }`;
+      glTexture = gl.createTexture();
+      gl.activeTexture(gl.TEXTURE0 + id);
+      gl.bindTexture(gl.TEXTURE_2D, glTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, document.getElementById(render.sprite));
+      gl.generateMipmap(gl.TEXTURE_2D);
+      adjust = () => {
+        gl.disable(gl.DEPTH_TEST);
+        gl.uniform1i(sprite_locations[id], id);
+        renderPartSys(part_sys);
+      };
+      break;
+    default:
+      console.log("Unknown render style: " + render.style);
+    case RENDER_STYLE.POINTS:
+      fragment_shader = `
+        precision mediump float;
+
+        varying vec4 v_color_${id};
+
+        void main() {
+          float dist = distance(gl_PointCoord, vec2(0.5, 0.5));
+          if (dist < 0.5) {
+            gl_FragColor = v_color_${id};
+            gl_FragColor.rgb *= gl_FragColor.a;
+          } else { discard; }
+        }`;
+      adjust = () => {
+        gl.enable(gl.DEPTH_TEST);
+        renderPartSys(part_sys);
+      };
+      break;
   }
-  spring.init(PARTICLE_SYSTEM.CLOTH,
-    4, 5,
-    [
-      // gravity
-      new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, particles).init_vectored(-tracker.gravity),
-      // air drag
-      new Force(FORCE_TYPE.FORCE_DRAG, particles).init_vectored(tracker.drag * 4),
-      // spring: cloth
-      ...cloth_f,
-    ],
-    [
-      new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, particles, glMatrix.vec3.fromValues(1, 1, 1), WALL.ALL /* ^ WALL.BOTTOM */ , tracker.restitution, -1, 1, 0, 2, 0, 1.975),
-      new Constraint(CONSTRAINT_TYPE.SPHERE, particles, glMatrix.vec3.fromValues(0.5, 0.5, 0.5), 0, tracker.restitution, -0.1, 0.65, 1, 0.5),
-      new Constraint(CONSTRAINT_TYPE.SPHERE, particles, glMatrix.vec3.fromValues(0.5, 0.5, 0.5), 0, tracker.restitution, 0.1, 1.5, 1.3, 0.25),
-      new Constraint(CONSTRAINT_TYPE.SPHERE, particles, glMatrix.vec3.fromValues(0.5, 0.5, 0.5), 0, tracker.restitution, 0.5, 0.75, 0, 0.375),
-      new Constraint(CONSTRAINT_TYPE.SPHERE, particles, glMatrix.vec3.fromValues(0.5, 0.5, 0.5), 0, tracker.restitution, -0.125, 1.25, -0.125, 0.5),
-      ...cloth_c,
-    ],
-    new Float32Array(initial_conditions)
-  );
+  const vbo = new VBOBox(
+    vertex_shader,
+    fragment_shader,
+    new Float32Array(part_sys.capacity * part_sys.layout.size),
+    gl.POINTS,
+    part_sys.layout.size,
+    attributes,
+    id,
+    adjust);
+  vbo.init();
+  sprite_locations[id] = gl.getUniformLocation(vbo.program, `sprite_texture_${id}`);
+  return vbo;
 }
 
 /**
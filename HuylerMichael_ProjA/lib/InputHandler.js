@@ -7,115 +7,216 @@
  * @author Michael Huyler
  */
 
-var keysPressed = {};
+// Every keyboard action, by name, and the keys bound to it
+const keybindings = new Keybindings();
 var keyPollingFrequency = 3; // Frames between key polling
 var shouldUpdateKeypress = 0;
 var clothState = false; // true: reset, false: released
 var mouseClicked = false;
+// Where the mouse was while dragging the camera, and whether it pans
+var cameraDrag = null;
+// The particle system the camera was last focused on
+var focusedSystem = -1;
+// Camera movement per key poll: distance flown, fraction of the view panned,
+// angle turned or orbited (radians), and factor zoomed by
+var flyStep = 0.5;
+var panStep = 0.05;
+var turnStep = 0.05;
+var zoomStep = 1.1;
+
+/**
+ * Registers every keyboard action with its default keys.
+ *
+ * Descriptions follow "Press <key> to" (or "Hold <key> to") in the help menu.
+ */
+function initKeybindings() {
+  keybindings.register("toggle_help", {
+    keys: ["Period"],
+    group: "Menus",
+    description: "toggle this menu",
+    down: toggle_help,
+  });
+  keybindings.register("toggle_gui", {
+    keys: ["Slash"],
+    group: "Menus",
+    description: "toggle the GUI",
+    down: toggle_gui,
+  });
+
+  keybindings.register("camera_mode", {
+    keys: ["KeyG"],
+    group: "Camera",
+    description: "switch between orbiting and flying",
+    down: () => camera.mode = camera.mode == CAMERA_MODE.ORBIT ? CAMERA_MODE.FLY : CAMERA_MODE.ORBIT,
+  });
+  keybindings.register("focus", {
+    keys: ["KeyF"],
+    group: "Camera",
+    description: "focus the camera on the next particle system",
+    down: focusNext,
+  });
+  keybindings.register("forward", {
+    keys: ["KeyW"],
+    group: "Camera",
+    description: "zoom in, or fly forward",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.fly(flyStep, 0) : camera.dolly(1 / zoomStep),
+  });
+  keybindings.register("back", {
+    keys: ["KeyS"],
+    group: "Camera",
+    description: "zoom out, or fly back",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.fly(-flyStep, 0) : camera.dolly(zoomStep),
+  });
+  keybindings.register("left", {
+    keys: ["KeyA"],
+    group: "Camera",
+    description: "pan, or fly, left",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.fly(0, -flyStep) : camera.pan(-panStep, 0),
+  });
+  keybindings.register("right", {
+    keys: ["KeyD"],
+    group: "Camera",
+    description: "pan, or fly, right",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.fly(0, flyStep) : camera.pan(panStep, 0),
+  });
+  keybindings.register("look_up", {
+    keys: ["KeyI"],
+    group: "Camera",
+    description: "orbit down, or look up",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.turn(0, turnStep) : camera.orbit(0, -turnStep),
+  });
+  keybindings.register("look_down", {
+    keys: ["KeyK"],
+    group: "Camera",
+    description: "orbit up, or look down",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.turn(0, -turnStep) : camera.orbit(0, turnStep),
+  });
+  keybindings.register("look_left", {
+    keys: ["KeyJ"],
+    group: "Camera",
+    description: "orbit, or turn, left",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.turn(turnStep, 0) : camera.orbit(-turnStep, 0),
+  });
+  keybindings.register("look_right", {
+    keys: ["KeyL"],
+    group: "Camera",
+    description: "orbit, or turn, right",
+    held: () => camera.mode == CAMERA_MODE.FLY ? camera.turn(-turnStep, 0) : camera.orbit(turnStep, 0),
+  });
+
+  keybindings.register("pause", {
+    keys: ["KeyP"],
+    group: "Simulation",
+    description: "globally pause / unpause animation",
+    down: () => tracker.pause = !tracker.pause,
+  });
+  keybindings.register("slow_mo", {
+    keys: ["KeyO"],
+    group: "Simulation",
+    description: "play in quick slo-mo",
+    down: () => tracker.speed = 4,
+    up: () => tracker.speed = 1,
+  });
+  keybindings.register("speed_up", {
+    keys: ["ArrowUp"],
+    group: "Simulation",
+    description: "speed up, to no faster than real time",
+    down: () => tracker.speed = Math.max(1, parseInt(tracker.speed / 2)),
+  });
+  keybindings.register("slow_down", {
+    keys: ["ArrowDown"],
+    group: "Simulation",
+    description: "slow down, to no slower than 1/16 real time",
+    down: () => tracker.speed = Math.min(16, parseInt(tracker.speed * 2)),
+  });
+  keybindings.register("trails", {
+    keys: ["KeyC"],
+    group: "Simulation",
+    description: "show trails (don't clear the screen between draws)",
+    down: () => tracker.clear = false,
+    up: () => tracker.clear = true,
+  });
+  keybindings.register("reset_cloth", {
+    keys: ["Space"],
+    group: "Simulation",
+    description: "reset the cloth particles and toggle the vortex type",
+    up: resetCloth,
+  });
+
+  keybindings.register("save_snapshot", {
+    keys: ["KeyM"],
+    group: "Snapshots and Recording",
+    description: "save a snapshot",
+    down: saveSnapshot,
+  });
+  keybindings.register("restore_snapshot", {
+    keys: ["KeyR"],
+    group: "Snapshots and Recording",
+    description: "restore the snapshot",
+    down: loadSnapshot,
+  });
+  keybindings.register("record", {
+    keys: ["KeyN"],
+    group: "Snapshots and Recording",
+    description: "start / stop recording the particle systems chosen in the GUI",
+    down: () => tracker.record = !tracker.replay && !tracker.record,
+  });
+  keybindings.register("replay", {
+    keys: ["KeyB"],
+    group: "Snapshots and Recording",
+    description: "start / stop playing back the recording",
+    down: () => setReplay(!tracker.replay),
+  });
+  keybindings.register("step_back", {
+    keys: ["BracketLeft"],
+    group: "Snapshots and Recording",
+    description: "step back through the recording",
+    down: () => stepReplay(-1),
+  });
+  keybindings.register("step_forward", {
+    keys: ["BracketRight"],
+    group: "Snapshots and Recording",
+    description: "step forward through the recording",
+    down: () => stepReplay(1),
+  });
+}
+
+/**
+ * Fills the help menu with the keys bound to every action.
+ */
+function writeHelp() {
+  const help = document.getElementById("help-keys");
+  help.innerHTML = "";
+  keybindings.help().forEach(({group, actions}) => {
+    help.appendChild(document.createTextNode(group));
+    const list = document.createElement("ul");
+    actions.forEach(({keys, description, hold}) => {
+      const item = document.createElement("li");
+      item.appendChild(document.createTextNode(hold ? "Hold " : "Press "));
+      keys.forEach(key => {
+        const code = document.createElement("code");
+        code.textContent = key;
+        item.appendChild(code);
+      });
+      item.appendChild(document.createTextNode(" to " + description));
+      list.appendChild(item);
+    });
+    help.appendChild(list);
+  });
+}
 
 /**
  * Performs an action when a key is pressed.
  */
 function keyDown(kev) {
-  var code;
-  if (!kev.code) {
-    code = "" + kev.keyCode;
-  } else {
-    code = kev.code;
-  }
-  keysPressed[code] = true;
-  switch (code) {
-    case "KeyP":
-    case "80":
-      tracker.pause = !tracker.pause;
-      break;
-    case "KeyO":
-      tracker.speed = 4;
-      break;
-    case "KeyC":
-    case "67":
-      tracker.clear = false;
-      break;
-    case "Period":
-    case "86":
-      toggle_help();
-      break;
-    case "Slash":
-    case "90":
-      toggle_gui();
-      break;
-    case "ArrowUp":
-    case "38":
-      // speed up to no faster than 60 FPS
-      tracker.speed = Math.max(1, parseInt(tracker.speed / 2));
-      break;
-    case "ArrowDown":
-    case "40":
-      // slow down to no slower than 4 FPS
-      tracker.speed = Math.min(16, parseInt(tracker.speed * 2));
-      break;
-    default:
-      // console.log("Unused key: " + code);
-      break;
-  }
+  keybindings.keyDown(keyCode(kev));
 }
 
 /**
  * Performs an action when a key is released.
  */
 function keyUp(kev) {
-  var code;
-  if (!kev.code) {
-    code = "" + kev.keyCode;
-  } else {
-    code = kev.code;
-  }
-  keysPressed[code] = false;
-  switch (code) {
-    case "KeyO": // quick slo-mo
-    case "79":
-      tracker.speed = 1;
-      break;
-    case "KeyC": // show trails (don't clear the screen between draws)
-    case "67":
-      tracker.clear = true;
-      break;
-    case "Space":
-    case "32":
-      clothState = !clothState;
-      if (clothState) {
-        vfield.force_set[2].enable();
-        vfield.force_set[3].disable();
-        var vertical_cloth = [];
-        for (var i = 0; i < SPRING_PARTICLE_COUNT; i++) {
-          [].push.apply(vertical_cloth, [
-            (i / CLOTH_WIDTH) * 0.05, 0.25 + (i % CLOTH_WIDTH) * 0.05, 1.95 + Math.cos(i / CLOTH_WIDTH) * 0.15,
-            0, 0, 0,
-            0, 0, 0,
-            1, 1, 1, 1,
-            0.5,
-            1,
-            0
-          ]);
-        }
-        spring.blink(new Float32Array(vertical_cloth));
-        for (var i = 0; i < spring.constraint_set.length; i++) {
-          if (spring.constraint_set[i].type == CONSTRAINT_TYPE.ABSOLUTE)
-            spring.constraint_set[i].enable();
-        }
-      } else {
-        vfield.force_set[2].disable();
-        vfield.force_set[3].enable();
-        for (var i = 0; i < spring.constraint_set.length; i++) {
-          if (spring.constraint_set[i].type == CONSTRAINT_TYPE.ABSOLUTE)
-            spring.constraint_set[i].disable();
-        }
-      }
-      break;
-    default:
-      // console.log("Unused key: " + code);
-      break;
-  }
+  keybindings.keyUp(keyCode(kev));
 }
 
 /**
@@ -131,112 +232,110 @@ function updateKeypresses() {
     return;
   }
   shouldUpdateKeypress = 0;
-  for (var key in keysPressed) {
-    if (!keysPressed[key]) {
-      continue;
+  keybindings.poll();
+}
+
+/**
+ * Focuses the camera on the particle system after the one it was last focused
+ * on.
+ */
+function focusNext() {
+  if (part_systems.length == 0)
+    return;
+  focusedSystem = (focusedSystem + 1) % part_systems.length;
+  focusOn(part_systems[focusedSystem]);
+}
+
+/**
+ * Hangs the default scene's cloth back up and switches the vortex it falls
+ * through, or lets the cloth go.
+ */
+function resetCloth() {
+  // Only the default scene has a cloth and vortex to toggle
+  if (vfield == null || spring == null)
+    return;
+  clothState = !clothState;
+  if (clothState) {
+    vfield.force_set[2].enable();
+    vfield.force_set[3].disable();
+    var size = spring.layout.size;
+    var vertical_cloth = new Float32Array(spring.s1.length);
+    for (var i = 0; i < spring.count; i++) {
+      vertical_cloth.set([
+        (i / CLOTH_WIDTH) * 0.05, 0.25 + (i % CLOTH_WIDTH) * 0.05, 1.95 + Math.cos(i / CLOTH_WIDTH) * 0.15,
+      ], i * size + STATE.P_X);
+      vertical_cloth.set([1, 1, 1, 1], i * size + STATE.R);
+      vertical_cloth[i * size + STATE.MASS] = 0.5;
+      vertical_cloth[i * size + STATE.RADIUS] = 0.02;
     }
-    switch (key) {
-      case "KeyW":
-      case "87":
-        var D = [
-          (g_perspective_lookat[0] - g_perspective_eye[0]) * 0.5,
-          (g_perspective_lookat[1] - g_perspective_eye[1]) * 0.5,
-          (g_perspective_lookat[2] - g_perspective_eye[2]) * 0.5,
-        ];
-        g_perspective_eye[0] += D[0];
-        g_perspective_lookat[0] += D[0];
-        g_perspective_eye[1] += D[1];
-        g_perspective_lookat[1] += D[1];
-        g_perspective_eye[2] += D[2];
-        g_perspective_lookat[2] += D[2];
-        break;
-      case "KeyA":
-      case "65":
-        var D = [
-          g_perspective_lookat[0] - g_perspective_eye[0],
-          g_perspective_lookat[1] - g_perspective_eye[1],
-          0
-        ];
-        // Cross Product
-        var C = [
-          (D[1] * 1 - D[2] * 0) * 0.5,
-          (D[2] * 0 - D[0] * 1) * 0.5,
-          0 // (D[0] * 0 - D[1] * 0) * 0.5
-        ];
-        g_perspective_eye[0] -= C[0];
-        g_perspective_lookat[0] -= C[0];
-        g_perspective_eye[1] -= C[1];
-        g_perspective_lookat[1] -= C[1];
-        break;
-      case "KeyS":
-      case "83":
-        var D = [
-          (g_perspective_lookat[0] - g_perspective_eye[0]) * 0.5,
-          (g_perspective_lookat[1] - g_perspective_eye[1]) * 0.5,
-          (g_perspective_lookat[2] - g_perspective_eye[2]) * 0.5,
-        ];
-        g_perspective_eye[0] -= D[0];
-        g_perspective_lookat[0] -= D[0];
-        g_perspective_eye[1] -= D[1];
-        g_perspective_lookat[1] -= D[1];
-        g_perspective_eye[2] -= D[2];
-        g_perspective_lookat[2] -= D[2];
-        break;
-      case "KeyD":
-      case "68":
-        var D = [
-          g_perspective_lookat[0] - g_perspective_eye[0],
-          g_perspective_lookat[1] - g_perspective_eye[1],
-          0
-        ];
-        // Cross Product
-        var C = [
-          (D[1] * 1 - D[2] * 0) * 0.5,
-          (D[2] * 0 - D[0] * 1) * 0.5,
-          0 // (D[0] * 0 - D[1] * 0) * 0.5
-        ];
-        g_perspective_eye[0] += C[0];
-        g_perspective_lookat[0] += C[0];
-        g_perspective_eye[1] += C[1];
-        g_perspective_lookat[1] += C[1];
-        break;
-      case "KeyI":
-      case "73":
-        g_perspective_lookat[2] += 0.05;
-        break;
-      case "KeyJ":
-      case "74":
-        theta += 0.05;
-        g_perspective_lookat[0] = g_perspective_eye[0] + Math.cos(theta);
-        g_perspective_lookat[1] = g_perspective_eye[1] + Math.sin(theta);
-        break;
-      case "KeyK":
-      case "75":
-        g_perspective_lookat[2] -= 0.05;
-        break;
-      case "KeyL":
-      case "76":
-        theta -= 0.05;
-        g_perspective_lookat[0] = g_perspective_eye[0] + Math.cos(theta);
-        g_perspective_lookat[1] = g_perspective_eye[1] + Math.sin(theta);
-        break;
-      default:
-        // console.log("Unused key: " + key);
-        break;
+    spring.blink(vertical_cloth);
+    for (var i = 0; i < spring.constraint_set.length; i++) {
+      if (spring.constraint_set[i].type == CONSTRAINT_TYPE.ABSOLUTE)
+        spring.constraint_set[i].enable();
+    }
+  } else {
+    vfield.force_set[2].disable();
+    vfield.force_set[3].enable();
+    for (var i = 0; i < spring.constraint_set.length; i++) {
+      if (spring.constraint_set[i].type == CONSTRAINT_TYPE.ABSOLUTE)
+        spring.constraint_set[i].disable();
     }
   }
-  keysPressed = Object.fromEntries(Object.entries(keysPressed).filter(([k, v]) => v));
+}
+
+/**
+ * Finds the ray from the camera through the mouse, using the matrices the
+ * scene was last drawn with.
+ *
+ * @return {?Object} The ray, as {origin, direction}, or null before the scene
+ *         is drawn.
+ */
+function mouseRay(ev) {
+  if (vbo_boxes.length == 0)
+    return null;
+  const rect = canvas.getBoundingClientRect();
+  const x = (ev.clientX - rect.left) / rect.width * 2 - 1;
+  const y = 1 - (ev.clientY - rect.top) / rect.height * 2;
+  return screenRay(vbo_boxes[0].view_matrix, vbo_boxes[0].projection_matrix, x, y);
 }
 
 function mouseDown(ev) {
   mouseClicked = true;
+  // Grab the particle under the mouse, or else move the camera
+  if (!tracker.replay && picker.pick(part_systems, mouseRay(ev)))
+    return;
+  cameraDrag = {x: ev.clientX, y: ev.clientY, pan: ev.button == 2 || ev.shiftKey};
 }
 
 function mouseUp(ev) {
   mouseClicked = false;
+  picker.release();
+  cameraDrag = null;
 }
 
 function mouseMove(ev) {
+  if (picker.picking) {
+    picker.drag(mouseRay(ev));
+    return;
+  }
+  if (cameraDrag != null) {
+    // Scale so that dragging across the height of the canvas turns the camera
+    // half way around, or pans by as far as can be seen
+    var dx = (ev.clientX - cameraDrag.x) / canvas.clientHeight;
+    var dy = (ev.clientY - cameraDrag.y) / canvas.clientHeight;
+    cameraDrag.x = ev.clientX;
+    cameraDrag.y = ev.clientY;
+    if (cameraDrag.pan) {
+      var view_height = 2 * Math.tan(camera.fov / 2);
+      camera.pan(-dx * view_height, dy * view_height);
+    } else if (camera.mode == CAMERA_MODE.FLY) {
+      camera.turn(-dx * Math.PI, -dy * Math.PI);
+    } else {
+      camera.orbit(-dx * Math.PI, dy * Math.PI);
+    }
+  }
+  if (vfield == null)
+    return;
   if (mouseClicked == false) {
     vfield.force_set[2].pow = 0;
     vfield.force_set[3].pow = 0;
@@ -246,6 +345,17 @@ function mouseMove(ev) {
   }
 }
 
+/**
+ * Zooms the camera in or out, or flies forwards or back in fly mode.
+ */
+function mouseWheel(ev) {
+  ev.preventDefault();
+  if (camera.mode == CAMERA_MODE.FLY)
+    camera.fly(-ev.deltaY * 0.005, 0);
+  else
+    camera.dolly(Math.exp(ev.deltaY * 0.001));
+}
+
 /**
  * Handles page resize events.
  *
@@ -0,0 +1,261 @@
+/**
+ * The Keybindings class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory();
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory());
+  }
+})(this, function() {
+  // Codes (as in KeyboardEvent.code) of keys which older browsers only report
+  // by keyCode, other than letters and digits
+  const LEGACY_KEY_CODES = {
+    8: "Backspace",
+    9: "Tab",
+    13: "Enter",
+    27: "Escape",
+    32: "Space",
+    37: "ArrowLeft",
+    38: "ArrowUp",
+    39: "ArrowRight",
+    40: "ArrowDown",
+    186: "Semicolon",
+    187: "Equal",
+    188: "Comma",
+    189: "Minus",
+    190: "Period",
+    191: "Slash",
+    192: "Backquote",
+    219: "BracketLeft",
+    220: "Backslash",
+    221: "BracketRight",
+    222: "Quote",
+  };
+  // How keys are shown in the help menu, other than letters and digits
+  const KEY_LABELS = {
+    ArrowLeft: "←",
+    ArrowUp: "↑",
+    ArrowRight: "→",
+    ArrowDown: "↓",
+    Semicolon: ";",
+    Equal: "=",
+    Comma: ",",
+    Minus: "-",
+    Period: ".",
+    Slash: "/",
+    Backquote: "`",
+    BracketLeft: "[",
+    Backslash: "\\",
+    BracketRight: "]",
+    Quote: "'",
+  };
+
+  /**
+   * Finds the code of the key of a keyboard event, e.g. "KeyP".
+   *
+   * @param {!KeyboardEvent} kev The keyboard event.
+   * @return {string} The key's code.
+   */
+  function keyCode(kev) {
+    if (kev.code)
+      return kev.code;
+    const n = kev.keyCode;
+    if (n >= 65 && n <= 90)
+      return "Key" + String.fromCharCode(n);
+    if (n >= 48 && n <= 57)
+      return "Digit" + (n - 48);
+    return LEGACY_KEY_CODES[n] || "" + n;
+  }
+
+  /**
+   * Finds how a key is shown to the user, e.g. "P" for "KeyP".
+   *
+   * @param {string} code The key's code.
+   * @return {string} The key's label.
+   */
+  function keyLabel(code) {
+    if (KEY_LABELS[code] !== undefined)
+      return KEY_LABELS[code];
+    const match = /^(Key|Digit)(.)$/.exec(code);
+    return match ? match[2] : code;
+  }
+
+  /**
+   * A registry of named keyboard actions, and the keys bound to each.
+   *
+   * Actions are registered with default keys, which can then be rebound, e.g.
+   * from a JSON config of {action: key or [keys]}. Each action can do
+   * something when one of its keys is pressed, released, or polled while held.
+   * The registered actions describe themselves for the help menu.
+   */
+  class Keybindings {
+    constructor() {
+      this._actions = {};
+      // Codes of the keys held down
+      this._pressed = {};
+    }
+
+    /**
+     * The names of every registered action, in the order registered.
+     */
+    get actions() {
+      return Object.keys(this._actions);
+    }
+
+    /**
+     * Registers an action.
+     *
+     * @param {string} name The name of the action, which configs bind keys to.
+     * @param {!Object} action The action: its default `keys` (codes, as in
+     *        KeyboardEvent.code), the `group` and `description` it's listed
+     *        under in the help menu, and the functions to call when a key is
+     *        pressed (`down`), released (`up`) or polled while held (`held`).
+     */
+    register(name, {keys = [], group = "", description = "", down = null, up = null, held = null}) {
+      if (this._actions[name] !== undefined)
+        console.log("Keybinding registered twice: " + name);
+      this._actions[name] = {keys: [...keys], group, description, down, up, held};
+    }
+
+    /**
+     * Finds the keys bound to an action.
+     *
+     * @param {string} name The name of the action.
+     * @return {Array<string>} The codes of its keys.
+     */
+    keys(name) {
+      return this._actions[name] === undefined ? [] : [...this._actions[name].keys];
+    }
+
+    /**
+     * Binds keys to an action, in place of its current keys.
+     *
+     * @param {string} name The name of the action.
+     * @param {(string|Array<string>)} keys The code of the key, or keys, to
+     *        bind. An empty array unbinds the action.
+     * @return {boolean} Whether the action exists.
+     */
+    bind(name, keys) {
+      if (this._actions[name] === undefined) {
+        console.log("Unknown keybinding: " + name);
+        return false;
+      }
+      this._actions[name].keys = Array.isArray(keys) ? [...keys] : [keys];
+      return true;
+    }
+
+    /**
+     * Rebinds every action named in a config.
+     *
+     * @param {!Object} config The keys for each action to rebind, as
+     *        {name: key or [keys]}.
+     */
+    load(config) {
+      Object.entries(config).forEach(([name, keys]) => this.bind(name, keys));
+    }
+
+    /**
+     * Saves the keys of every action, in the form load() accepts.
+     *
+     * @return {!Object} The keys of each action, as {name: [keys]}.
+     */
+    save() {
+      return Object.fromEntries(Object.entries(this._actions).map(([name, action]) => [name, [...action.keys]]));
+    }
+
+    /**
+     * Performs the actions of a key being pressed.
+     *
+     * Repeated presses from holding a key down are ignored; actions to repeat
+     * while a key is held use poll().
+     *
+     * @param {string} code The key's code.
+     * @return {boolean} Whether any action is bound to the key.
+     */
+    keyDown(code) {
+      const repeat = this._pressed[code] === true;
+      this._pressed[code] = true;
+      const actions = this._bound(code);
+      if (!repeat)
+        actions.forEach(action => action.down != null && action.down());
+      return actions.length > 0;
+    }
+
+    /**
+     * Performs the actions of a key being released.
+     *
+     * @param {string} code The key's code.
+     * @return {boolean} Whether any action is bound to the key.
+     */
+    keyUp(code) {
+      delete this._pressed[code];
+      const actions = this._bound(code);
+      actions.forEach(action => action.up != null && action.up());
+      return actions.length > 0;
+    }
+
+    /**
+     * Releases every key held down, e.g. when the page loses focus and key
+     * releases would be missed.
+     */
+    releaseAll() {
+      Object.keys(this._pressed).forEach(code => this.keyUp(code));
+    }
+
+    /**
+     * Performs the actions of every key held down.
+     */
+    poll() {
+      Object.values(this._actions).forEach(action => {
+        if (action.held != null && action.keys.some(code => this._pressed[code]))
+          action.held();
+      });
+    }
+
+    /**
+     * Describes every action with a description, for the help menu.
+     *
+     * @return {Array<!Object>} Each group of actions, in the order first
+     *         registered, as {group, actions: [{keys, description, hold}]},
+     *         where keys are labels and hold is whether the key is held down
+     *         (the action repeats, or undoes itself when the key is released).
+     */
+    help() {
+      const groups = [];
+      Object.values(this._actions).forEach(action => {
+        if (action.description == "" || action.keys.length == 0)
+          return;
+        var group = groups.find(g => g.group == action.group);
+        if (group === undefined) {
+          group = {group: action.group, actions: []};
+          groups.push(group);
+        }
+        group.actions.push({
+          keys: action.keys.map(keyLabel),
+          description: action.description,
+          hold: action.held != null || (action.down != null && action.up != null),
+        });
+      });
+      return groups;
+    }
+
+    /**
+     * Finds the actions bound to a key.
+     */
+    _bound(code) {
+      return Object.values(this._actions).filter(action => action.keys.includes(code));
+    }
+  }
+
+  return {
+    Keybindings,
+    keyCode,
+    keyLabel,
+  };
+});
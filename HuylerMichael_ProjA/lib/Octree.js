@@ -0,0 +1,264 @@
+/**
+ * The Octree class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./State.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root));
+  }
+})(this, function({STATE, STATE_SIZE}) {
+  // Node contents other than a single particle
+  const EMPTY = -1;
+  const INTERNAL = -2;
+  // Deepest a node can be split. Particles which are still together at this
+  // depth are (nearly) coincident, and share a leaf
+  const MAX_DEPTH = 24;
+  // Nodes room is first made for. It doubles whenever a build needs more
+  const INITIAL_CAPACITY = 64;
+  // Arrays holding one value per node. The children and the stack hold
+  // several per node, and grow along with them
+  const NODE_ARRAYS = ["_cx", "_cy", "_cz", "_half", "_mass", "_mx", "_my", "_mz", "_body"];
+
+  /**
+   * A Barnes-Hut octree over the particles of a state array.
+   *
+   * Each node stores the total mass and center of mass of the particles inside
+   * it, so that a distant group of particles can be treated as one body when
+   * finding the gravitation on a particle. Nodes are kept in flat typed
+   * arrays which are reused between builds, and only grow.
+   */
+  class Octree {
+    constructor() {
+      // Center and half-width of each node's cube
+      this._cx = new Float64Array(0);
+      this._cy = new Float64Array(0);
+      this._cz = new Float64Array(0);
+      this._half = new Float64Array(0);
+      // Total mass of each node, and its mass-weighted (then center of mass)
+      // position
+      this._mass = new Float64Array(0);
+      this._mx = new Float64Array(0);
+      this._my = new Float64Array(0);
+      this._mz = new Float64Array(0);
+      // The particle in each leaf, or EMPTY / INTERNAL
+      this._body = new Int32Array(0);
+      // 8 child node indices per node, or -1 for none
+      this._children = new Int32Array(0);
+      // Nodes waiting to be visited by force(). Each visit replaces one node
+      // with at most 8, so this never holds more than 7 per node, plus the root
+      this._stack = new Int32Array(0);
+      // The number of nodes built, and room has been made for
+      this._count = 0;
+      this._capacity = 0;
+      this._allocate(INITIAL_CAPACITY);
+      // The number of floats each particle takes in the state array
+      this._size = STATE_SIZE;
+    }
+
+    get node_count() {
+      return this._count;
+    }
+
+    /**
+     * Builds this tree over the given particles.
+     *
+     * @param {!Float32Array} s The state array.
+     * @param {Array<number>} particles The particles to insert.
+     * @param {number=} size The number of floats each particle takes in the
+     *        state array.
+     */
+    build(s, particles, size = STATE_SIZE) {
+      this._size = size;
+      this._count = 0;
+      if (particles.length == 0)
+        return;
+
+      // The root is the bounding cube of every particle
+      var min = [Infinity, Infinity, Infinity];
+      var max = [-Infinity, -Infinity, -Infinity];
+      for (var i = 0; i < particles.length; i++) {
+        for (var j = 0; j < 3; j++) {
+          min[j] = Math.min(min[j], s[particles[i] * size + STATE.P_X + j]);
+          max[j] = Math.max(max[j], s[particles[i] * size + STATE.P_X + j]);
+        }
+      }
+      var half = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) * 0.5 * 1.0001 + 1e-6;
+      this._addNode((min[0] + max[0]) * 0.5, (min[1] + max[1]) * 0.5, (min[2] + max[2]) * 0.5, half);
+
+      for (var i = 0; i < particles.length; i++) {
+        this._insert(s, particles[i]);
+      }
+      for (var n = 0; n < this._count; n++) {
+        if (this._mass[n] != 0) {
+          this._mx[n] /= this._mass[n];
+          this._my[n] /= this._mass[n];
+          this._mz[n] /= this._mass[n];
+        }
+      }
+    }
+
+    /**
+     * Finds the softened gravitational force on a particle from every particle
+     * in this tree.
+     *
+     * @param {!Float32Array} s The state array the tree was built from.
+     * @param {number} p The particle to find the force on.
+     * @param {number} G The gravitational constant.
+     * @param {number} softening The softening length.
+     * @param {number} theta The opening angle: nodes smaller than theta times
+     *        their distance are treated as one body. 0 visits every particle.
+     * @param {!Array<number>} out The force, [x, y, z].
+     * @return {!Array<number>} out
+     */
+    force(s, p, G, softening, theta, out) {
+      out[0] = out[1] = out[2] = 0;
+      if (this._count == 0)
+        return out;
+      const x = s[p * this._size + STATE.P_X];
+      const y = s[p * this._size + STATE.P_Y];
+      const z = s[p * this._size + STATE.P_Z];
+      const eps2 = softening * softening;
+      const theta2 = theta * theta;
+      // Read through locals, as this runs once per particle per build
+      const cx = this._cx, cy = this._cy, cz = this._cz, half = this._half;
+      const mass = this._mass, mx = this._mx, my = this._my, mz = this._mz;
+      const body = this._body, children = this._children, stack = this._stack;
+      var fx = 0, fy = 0, fz = 0;
+      var top = 0;
+      stack[top++] = 0;
+      while (top > 0) {
+        var n = stack[--top];
+        if (mass[n] == 0 || body[n] == p)
+          continue;
+        var dx = mx[n] - x;
+        var dy = my[n] - y;
+        var dz = mz[n] - z;
+        var d2 = dx * dx + dy * dy + dz * dz;
+        var width = half[n] * 2;
+        // A node holding p is always opened, or p would pull on itself
+        // through the node's center of mass
+        if (body[n] != INTERNAL || (width * width < theta2 * d2 &&
+            !(Math.abs(x - cx[n]) <= half[n] && Math.abs(y - cy[n]) <= half[n] && Math.abs(z - cz[n]) <= half[n]))) {
+          var r2 = d2 + eps2;
+          var f = G * mass[n] / (r2 * Math.sqrt(r2));
+          fx += dx * f;
+          fy += dy * f;
+          fz += dz * f;
+        } else {
+          for (var c = n * 8; c < n * 8 + 8; c++) {
+            if (children[c] >= 0)
+              stack[top++] = children[c];
+          }
+        }
+      }
+      const m = s[p * this._size + STATE.MASS];
+      out[0] = fx * m;
+      out[1] = fy * m;
+      out[2] = fz * m;
+      return out;
+    }
+
+    /**
+     * Inserts a particle, adding its mass to every node on the way down.
+     */
+    _insert(s, p) {
+      const x = s[p * this._size + STATE.P_X];
+      const y = s[p * this._size + STATE.P_Y];
+      const z = s[p * this._size + STATE.P_Z];
+      const m = s[p * this._size + STATE.MASS];
+      var n = 0;
+      for (var depth = 0; ; depth++) {
+        this._mass[n] += m;
+        this._mx[n] += m * x;
+        this._my[n] += m * y;
+        this._mz[n] += m * z;
+        if (this._body[n] == EMPTY) {
+          this._body[n] = p;
+          return;
+        }
+        if (this._body[n] != INTERNAL) {
+          if (depth >= MAX_DEPTH)
+            return;
+          // Split the leaf, moving its particle down a level
+          var q = this._body[n];
+          var c = this._child(n, s[q * this._size + STATE.P_X], s[q * this._size + STATE.P_Y], s[q * this._size + STATE.P_Z]);
+          var m_q = s[q * this._size + STATE.MASS];
+          this._body[c] = q;
+          this._mass[c] = m_q;
+          this._mx[c] = m_q * s[q * this._size + STATE.P_X];
+          this._my[c] = m_q * s[q * this._size + STATE.P_Y];
+          this._mz[c] = m_q * s[q * this._size + STATE.P_Z];
+          this._body[n] = INTERNAL;
+        }
+        n = this._child(n, x, y, z);
+      }
+    }
+
+    /**
+     * Finds (creating if needed) the child of a node containing a point.
+     */
+    _child(n, x, y, z) {
+      const octant = (x >= this._cx[n] ? 1 : 0) | (y >= this._cy[n] ? 2 : 0) | (z >= this._cz[n] ? 4 : 0);
+      if (this._children[n * 8 + octant] < 0) {
+        const half = this._half[n] * 0.5;
+        // Adding a node can replace the arrays, so only store it afterwards
+        const child = this._addNode(
+          this._cx[n] + (octant & 1 ? half : -half),
+          this._cy[n] + (octant & 2 ? half : -half),
+          this._cz[n] + (octant & 4 ? half : -half),
+          half);
+        this._children[n * 8 + octant] = child;
+      }
+      return this._children[n * 8 + octant];
+    }
+
+    /**
+     * Adds an empty node, making room for more first if needed.
+     *
+     * @return {number} The index of the node.
+     */
+    _addNode(x, y, z, half) {
+      const n = this._count++;
+      if (n == this._capacity)
+        this._allocate(n * 2);
+      this._cx[n] = x;
+      this._cy[n] = y;
+      this._cz[n] = z;
+      this._half[n] = half;
+      this._mass[n] = 0;
+      this._mx[n] = 0;
+      this._my[n] = 0;
+      this._mz[n] = 0;
+      this._body[n] = EMPTY;
+      this._children.fill(-1, n * 8, n * 8 + 8);
+      return n;
+    }
+
+    /**
+     * Makes room for a number of nodes, keeping the nodes already built.
+     *
+     * @param {number} capacity The number of nodes to make room for.
+     */
+    _allocate(capacity) {
+      const grow = (name, length) => {
+        const grown = new this[name].constructor(length);
+        grown.set(this[name]);
+        this[name] = grown;
+      };
+      NODE_ARRAYS.forEach(name => grow(name, capacity));
+      grow("_children", capacity * 8);
+      grow("_stack", capacity * 7 + 1);
+      this._capacity = capacity;
+    }
+  }
+
+  return {
+    Octree,
+  };
+});
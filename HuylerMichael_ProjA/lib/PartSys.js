@@ -4,628 +4,1143 @@
  * @author Michael Huyler
  */
 
-/**
- * Types of particle systems.
- *
- * @enum {number}
- */
-const PARTICLE_SYSTEM = {
-  SNOW: 0,
-  CLOTH: 1,
-  BOIDS: 2,
-  REEVES_FIRE: 3,
-};
-const PARTICLE_SYSTEM_STRINGS = ["Snow", "Cloth Simulation", "Boids", "Reeve's Fire"];
-
-/**
- * States stored in a state array.
- *
- * @enum {number}
- */
-const STATE = {
-  P_X: 0,
-  P_Y: 1,
-  P_Z: 2,
-  V_X: 3,
-  V_Y: 4,
-  V_Z: 5,
-  F_X: 6,
-  F_Y: 7,
-  F_Z: 8,
-  R: 9,
-  G: 10,
-  B: 11,
-  A: 12,
-  MASS: 13,
-  RADIUS: 14,
-  AGE: 15,
-};
-const STATE_SIZE = 16;
-
-/**
- * Types of solvers.
- *
- * @enum {number}
- */
-const SOLVER = {
-  EULER: 0,
-  MIDPOINT: 1,
-  QUADRATIC_MIDPOINT_INVERSE: 2,
-  ADAMS_BASHFORTH: 3,
-  VERLET: 4,
-};
-
-/**
- * Abstract Particle System.
- */
-class PartSys {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./State.js'), require('./Force.js'), require('./Random.js'),
+      require('./Constraint.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root, root, root, root));
+  }
+})(this, function({STATE, DEFAULT_LAYOUT}, {Force}, {Random}, {CONSTRAINT_TYPE}) {
   /**
-   * @param {number} PARTICLE_COUNT The number of particles to initialize.
+   * Types of particle systems.
+   *
+   * @enum {number}
    */
-  constructor(PARTICLE_COUNT) {
-    this._type = -1;
-    this._PARTICLE_COUNT = PARTICLE_COUNT;
-    this._vbo = null;
-    this._c_vbo = -1;
-    this._s1 = new Float32Array(PARTICLE_COUNT * STATE_SIZE);
-    for (var i = 0; i < PARTICLE_COUNT * STATE_SIZE; i += STATE_SIZE) {
-      this._s1[i + STATE.P_X] = Math.random() * 2 - 1;
-      this._s1[i + STATE.P_Y] = Math.random() * 2 - 1;
-      this._s1[i + STATE.P_Z] = Math.random() * 2;
-      this._s1[i + STATE.MASS] = 1;
-      this._s1[i + STATE.R] = Math.random();
-      this._s1[i + STATE.G] = Math.random();
-      this._s1[i + STATE.B] = Math.random();
-      this._s1[i + STATE.A] = 1;
-    }
-    this._s0 = this._s1.slice();
-    this._s0dot = this._s1.slice();
-    this._s1dot = this._s1.slice();
-    this._s2 = this._s1.slice();
-    this._s2dot = this._s1.slice();
-    this._sM = this._s1.slice();
-    this._sMdot = this._s1.slice();
-    this._s3 = this._s1.slice();
-    this._sErr = this._s1.slice();
-    this._force_set = [];
-    this._constraint_set = [];
-  }
-
-  get type() {
-    return this._type;
-  }
-  get s1() {
-    return this._s1;
-  }
-  get s1dot() {
-    return this._s1dot;
-  }
-  get s2() {
-    return this._s2;
-  }
-  get s2dot() {
-    return this._s2dot;
-  }
-  get sM() {
-    return this._sM;
-  }
-  get sMdot() {
-    return this._sMdot;
-  }
-  get s3() {
-    return this._s3;
-  }
-  get sErr() {
-    return this._sErr;
-  }
-  get s0() {
-    return this._s0;
-  }
-  get s0dot() {
-    return this._s0dot;
-  }
-  get force_set() {
-    return this._force_set;
-  }
-  get constraint_set() {
-    return this._constraint_set;
-  }
-
-  set s1(s) {
-    this._s1 = s;
-  }
-  set s1dot(s) {
-    this._s1dot = s;
-  }
-  set s2(s) {
-    this._s2 = s;
-  }
-  set s2dot(s) {
-    this._s2dot = s;
-  }
-  set sM(s) {
-    this._sM = s;
-  }
-  set sMdot(s) {
-    this._sMdot = s;
-  }
-  set s3(s) {
-    this._s3 = s;
-  }
-  set sErr(s) {
-    this._sErr = s;
-  }
-  set s0(s) {
-    this._s0 = s;
-  }
-  set s0dot(s) {
-    this._s0dot = s;
-  }
-  set force_set(f) {
-    if (f instanceof Force) {
-      this._force_set.push(f);
-    } else if (Array.isArray(f)) {
-      this._force_set = f;
-    } else {
-      console.error("improper force: " + typeof(f));
-    }
-  }
-  set constraint_set(c) {
-    this._constraint_set = c;
-  }
+  const PARTICLE_SYSTEM = {
+    SNOW: 0,
+    CLOTH: 1,
+    BOIDS: 2,
+    REEVES_FIRE: 3,
+    GALAXY: 4,
+    FLUID: 5,
+    GRANULAR: 6,
+  };
+  const PARTICLE_SYSTEM_STRINGS = ["Snow", "Cloth Simulation", "Boids", "Reeve's Fire", "Galaxy", "Fluid", "Granular"];
 
   /**
-   * Sets up a particular particle system, influencing its general behavior.
+   * Types of solvers.
    *
-   * @param {!PARTICLE_SYSTEM} part_sys_type The type of particle system to create.
-   * @param {VBOBox} my_vbo The VBO to render this particle system in.
-   * @param {VBOBox} constraint_vbo The VBO to render constraints in.
-   * @param {Array<Force>} force_set The set of initial forces acting on this particle system.
-   * @param {Array<Constraint>} constraint_set The set of initial constraints limiting this particle system.
-   * @param {?Float32Array} initial_conditions The first state of this particle system.
+   * @enum {number}
    */
-  init(part_sys_type, my_vbo, constraint_vbo, force_set, constraint_set, initial_conditions) {
-    this._type = part_sys_type;
-    this.force_set = force_set;
-    this.constraint_set = constraint_set;
-    this._vbo = my_vbo;
-    this._c_vbo = constraint_vbo;
-    this._boid_radius = 0.5;
-    this.blink(initial_conditions);
-    this.insertGui();
-  }
+  const SOLVER = {
+    EULER: 0,
+    MIDPOINT: 1,
+    QUADRATIC_MIDPOINT_INVERSE: 2,
+    ADAMS_BASHFORTH: 3,
+    VERLET: 4,
+    VELOCITY_VERLET: 5,
+    RK4: 6,
+    IMPLICIT_EULER: 7,
+  };
+  const SOLVER_STRINGS = [
+    "Euler",
+    "(Explicit) Midpoint",
+    "(Implicit) Midpoint",
+    "Adams-Bashforth",
+    "Verlet",
+    "Velocity Verlet",
+    "Runge-Kutta (RK4)",
+    "Implicit (Backward Euler)",
+  ];
+  // Upper bound on conjugate gradient iterations per implicit step
+  const CG_MAX_ITERATIONS = 50;
+  // Upper bound on adaptive substeps per frame
+  const ADAPTIVE_MAX_SUBSTEPS = 64;
+  // The order of each solver, i.e. how its local error shrinks (as h^(order+1))
+  // with the timestep, indexed by SOLVER
+  const SOLVER_ORDERS = [1, 2, 2, 2, 2, 2, 4, 1];
+  // State arrays which hold every particle, and so are pooled. The
+  // derivatives aren't, as they are recomputed before each use. s0 is the
+  // state before s1, sHalf the state halfway through an adaptive substep,
+  // sPrev the state before the latest step, and sR the state interpolated for
+  // rendering
+  const POOLED_STATES = ["_s0", "_s1", "_s2", "_sM", "_s3", "_sErr", "_sHalf", "_sPrev", "_sR"];
 
   /**
-   * Instantaneously applys a state to this particle system.
+   * Creates the default simulation settings shared by particle systems.
    *
-   * Calling this function will instantaneously transition this particle system
-   * to the state passed in (in the *blink* of an eye). This clears the
-   * previous state variables too, to prevent any weird effects caused by the
-   * retention of a previous (and potentially wildly different) state.
+   * The browser demo passes its GUI tracker instead, which has the same fields.
    *
-   * @param {?Float32Array} state The state to "blink" to.
+   * @return {Object} A fresh settings object.
    */
-  blink(state) {
-    if (state != undefined) {
-      this._s1 = state.slice();
-      this._s1dot = state.slice();
-      this._s2 = state.slice();
-      this._sM = state.slice();
-      this._sMdot = state.slice();
-    }
+  function createSettings() {
+    return {
+      drag: 0.985,
+      gravity: 9.832,
+      restitution: 1.0,
+      ms: 1000.0 / 60.0, // fixed simulation timestep
+      adaptive: false,
+      tolerance: 0.001, // largest allowed positional error per substep
+      substeps: 0, // most substeps taken by any system since last reset
+      error: 0, // largest estimated error of any system since last reset
+    };
   }
 
   /**
-   * Applys all forces in forceArray, modifying state array s.
-   *
-   * @param {!Float32Array} s The state array to be modified.
+   * Abstract Particle System.
    */
-  applyAllForces(s) {
-    for (var i = 0; i < s.length; i += STATE_SIZE) {
-      s[i + STATE.F_X] = 0;
-      s[i + STATE.F_Y] = 0;
-      s[i + STATE.F_Z] = 0;
+  class PartSys {
+    /**
+     * @param {number} PARTICLE_COUNT The number of particles to initialize.
+     * @param {Object=} settings The simulation settings shared with other systems.
+     * @param {Layout=} layout The attributes of each particle.
+     */
+    constructor(PARTICLE_COUNT, settings = createSettings(), layout = DEFAULT_LAYOUT) {
+      this._type = -1;
+      this._settings = settings;
+      this._layout = layout;
+      this._PARTICLE_COUNT = PARTICLE_COUNT;
+      this._solver = SOLVER.MIDPOINT;
+      this._substep_count = 1;
+      this._time_scale = 1;
+      this._vbo = null;
+      this._c_vbo = -1;
+      // Every pooled state array is a view of the first count particles of
+      // storage with room for capacity particles (see resize())
+      this._capacity = 0;
+      this._count = 0;
+      this._storage = {};
+      POOLED_STATES.forEach(name => this[name] = new Float32Array(0));
+      // The index of every particle, shared by the forces, constraints and
+      // emitters which act on all of them, so that they follow the count
+      this._particles = [];
+      this._allocate(PARTICLE_COUNT);
+      this._max_count = PARTICLE_COUNT;
+      for (var i = 0; i < PARTICLE_COUNT * layout.size; i += layout.size) {
+        this._s1[i + STATE.P_X] = Random.sim.random() * 2 - 1;
+        this._s1[i + STATE.P_Y] = Random.sim.random() * 2 - 1;
+        this._s1[i + STATE.P_Z] = Random.sim.random() * 2;
+        this._s1[i + STATE.MASS] = 1;
+        this._s1[i + STATE.R] = Random.sim.random();
+        this._s1[i + STATE.G] = Random.sim.random();
+        this._s1[i + STATE.B] = Random.sim.random();
+        this._s1[i + STATE.A] = 1;
+      }
+      // The initial conditions new particles are copied from
+      this._initial = this._s1.slice();
+      POOLED_STATES.forEach(name => this[name].set(this._s1));
+      this._s0dot = this._s1.slice();
+      this._s1dot = this._s1.slice();
+      this._s2dot = this._s1.slice();
+      this._sMdot = this._s1.slice();
+      // Timesteps used to produce s2 and s1, needed by position Verlet
+      this._h = 0;
+      this._prev_h = 0;
+      // Adaptive timestep state
+      this._adaptive_h = 0;
+      this._substeps = 0;
+      this._error = 0;
+      this._force_set = [];
+      // Every force this system was given, including any since removed (e.g.
+      // torn springs), so that snapshots can restore them
+      this._all_forces = [];
+      this._constraint_set = [];
+      this._emitters = [];
     }
-    this.force_set.forEach((force, _) => force.apply(s));
-  }
 
-  /**
-   * Finds the derivative w.r.t. time of state s.
-   *
-   * @param {!Float32Array} s The state array to apply the derivative to.
-   */
-  dotFinder(s) {
-    var dot = s.slice();
-    var inverse_mass = 0;
-    for (var i = 0; i < s.length; i += STATE_SIZE) {
-      inverse_mass = 1.0 / s[i + STATE.MASS];
-      dot[i + STATE.P_X] = s[i + STATE.V_X];
-      dot[i + STATE.P_Y] = s[i + STATE.V_Y];
-      dot[i + STATE.P_Z] = s[i + STATE.V_Z];
-      dot[i + STATE.V_X] = s[i + STATE.F_X] * inverse_mass;
-      dot[i + STATE.V_Y] = s[i + STATE.F_Y] * inverse_mass;
-      dot[i + STATE.V_Z] = s[i + STATE.F_Z] * inverse_mass;
-      dot[i + STATE.F_X] = 0;
-      dot[i + STATE.F_Y] = 0;
-      dot[i + STATE.F_Z] = 0;
-      dot[i + STATE.R] = 0;
-      dot[i + STATE.G] = 0;
-      dot[i + STATE.B] = 0;
-      dot[i + STATE.A] = 0;
-      dot[i + STATE.MASS] = 0;
-      dot[i + STATE.RADIUS] = 0;
-      dot[i + STATE.AGE] = 0;
-    }
-    return dot;
-  }
+    get type() {
+      return this._type;
+    }
+    get settings() {
+      return this._settings;
+    }
+    get layout() {
+      return this._layout;
+    }
+    get vbo() {
+      return this._vbo;
+    }
+    get c_vbo() {
+      return this._c_vbo;
+    }
+    get boid_radius() {
+      return this._boid_radius;
+    }
+    get solver_type() {
+      return this._solver;
+    }
+    get substep_count() {
+      return this._substep_count;
+    }
+    get time_scale() {
+      return this._time_scale;
+    }
+    get s1() {
+      return this._s1;
+    }
+    get s1dot() {
+      return this._s1dot;
+    }
+    get s2() {
+      return this._s2;
+    }
+    get s2dot() {
+      return this._s2dot;
+    }
+    get sM() {
+      return this._sM;
+    }
+    get sMdot() {
+      return this._sMdot;
+    }
+    get s3() {
+      return this._s3;
+    }
+    get sErr() {
+      return this._sErr;
+    }
+    get s0() {
+      return this._s0;
+    }
+    get s0dot() {
+      return this._s0dot;
+    }
+    get sR() {
+      return this._sR;
+    }
+    get force_set() {
+      return this._force_set;
+    }
+    get constraint_set() {
+      return this._constraint_set;
+    }
+    get emitters() {
+      return this._emitters;
+    }
+    /**
+     * The number of live particles.
+     */
+    get count() {
+      return this._count;
+    }
+    /**
+     * The number of particles room has been allocated for.
+     */
+    get capacity() {
+      return this._capacity;
+    }
+    /**
+     * The most live particles, which emitters give birth to as they can.
+     */
+    get max_count() {
+      return this._max_count;
+    }
+    /**
+     * The index of every live particle. The same list is kept up to date as
+     * the count changes.
+     */
+    get particles() {
+      return this._particles;
+    }
+    /**
+     * Whether the count can be changed, i.e. every force, constraint and
+     * emitter acts on every particle, rather than on particular ones.
+     */
+    get resizable() {
+      return [...this._all_forces, ...this._constraint_set, ...this._emitters]
+        .every(item => item.particles === this._particles);
+    }
+    /**
+     * Whether this system's particles live and die, i.e. it can be resized and
+     * has emitters. Dead particles are removed, and emitters give birth to new
+     * ones up to max_count.
+     */
+    get pooled() {
+      return this._emitters.length > 0 && this.resizable;
+    }
 
-  /**
-   * Creates s2 by approximating integration of s1 over a single timestep.
-   *
-   * @param {!SOLVER} solver_type The type of solver to use.
-   */
-  solver(solver_type) {
-    switch (solver_type) {
-      case SOLVER.EULER:
-        this.s2.map((v, i) => {
-          this.s2[i] = this.s1[i] + this.s1dot[i] * (tracker.ms * 0.001);
-        });
-        break;
-      case SOLVER.MIDPOINT:
-        this.sM.map((v, i) => {
-          this.sM[i] = this.s1[i] + this.s1dot[i] * (tracker.ms * 0.0005);
-        });
-        this.sMdot = this.dotFinder(this.sM);
-        this.s2.map((v, i) => {
-          this.s2[i] = this.s1[i] + this.sMdot[i] * (tracker.ms * 0.001);
-        });
-        break;
-      case SOLVER.QUADRATIC_MIDPOINT_INVERSE:
-        // Forward
-        this.sM.map((v, i) => {
-          this.sM[i] = this.s1[i] + this.s1dot[i] * (tracker.ms * 0.0005);
-        });
-        this.sMdot = this.dotFinder(this.sM);
-        this.s2.map((v, i) => {
-          this.s2[i] = this.s1[i] + this.sMdot[i] * (tracker.ms * 0.001);
-        });
-        // Backward
-        this.s2dot = this.dotFinder(this.s2);
-        this.sM.map((v, i) => {
-          this.sM[i] = this.s2[i] - this.s2dot[i] * (tracker.ms * 0.0005);
-        });
-        this.sMdot = this.dotFinder(this.sM);
-        this.s3.map((v, i) => {
-          this.s3[i] = this.s2[i] - this.sMdot[i] * (tracker.ms * 0.001);
-        });
-        this.sErr.map((v, i) => {
-          this.sErr[i] = this.s3[i] - this.s1[i];
-        });
-        this.s2.map((v, i) => {
-          this.s2[i] -= this.sErr[i] * 0.5;
+    set solver_type(solver_type) {
+      this._solver = Number(solver_type);
+    }
+    set substep_count(n) {
+      this._substep_count = Math.max(1, Math.round(n));
+    }
+    set time_scale(scale) {
+      this._time_scale = Math.max(0, scale);
+    }
+    set boid_radius(r) {
+      this._boid_radius = r;
+    }
+    set s1(s) {
+      this._s1 = s;
+    }
+    set s1dot(s) {
+      this._s1dot = s;
+    }
+    set s2(s) {
+      this._s2 = s;
+    }
+    set s2dot(s) {
+      this._s2dot = s;
+    }
+    set sM(s) {
+      this._sM = s;
+    }
+    set sMdot(s) {
+      this._sMdot = s;
+    }
+    set s3(s) {
+      this._s3 = s;
+    }
+    set sErr(s) {
+      this._sErr = s;
+    }
+    set s0(s) {
+      this._s0 = s;
+    }
+    set s0dot(s) {
+      this._s0dot = s;
+    }
+    set force_set(f) {
+      if (f instanceof Force) {
+        this._force_set.push(f);
+        this._all_forces.push(f);
+      } else if (Array.isArray(f)) {
+        this._force_set = f;
+        this._all_forces = f.slice();
+      } else {
+        console.error("improper force: " + typeof(f));
+      }
+    }
+    set constraint_set(c) {
+      this._constraint_set = c;
+    }
+
+    /**
+     * Sets up a particular particle system, influencing its general behavior.
+     *
+     * @param {!PARTICLE_SYSTEM} part_sys_type The type of particle system to create.
+     * @param {number} my_vbo The index of the VBO to render this particle system in.
+     * @param {number} constraint_vbo The index of the VBO to render constraints in.
+     * @param {Array<Force>} force_set The set of initial forces acting on this particle system.
+     * @param {Array<Constraint>} constraint_set The set of initial constraints limiting this particle system.
+     * @param {?Float32Array} initial_conditions The first state of this particle system.
+     * @param {SOLVER=} solver_type The solver used to integrate this particle system.
+     * @param {number=} substep_count The number of solver steps per timestep.
+     * @param {number=} time_scale The rate of this system's simulated time relative to the others.
+     * @param {Array<Emitter>=} emitters The emitters giving birth to this system's particles.
+     */
+    init(part_sys_type, my_vbo, constraint_vbo, force_set, constraint_set, initial_conditions,
+      solver_type = SOLVER.MIDPOINT, substep_count = 1, time_scale = 1, emitters = []) {
+      this._type = part_sys_type;
+      this.solver_type = solver_type;
+      this.substep_count = substep_count;
+      this.time_scale = time_scale;
+      this.force_set = force_set;
+      this.constraint_set = constraint_set;
+      this._vbo = my_vbo;
+      this._c_vbo = constraint_vbo;
+      this._boid_radius = 0.5;
+      this._emitters = emitters;
+      [...this._all_forces, ...this._constraint_set, ...this._emitters].forEach(item => item.layout = this._layout);
+      if (initial_conditions != undefined) {
+        this._initial = initial_conditions.slice();
+        this._max_count = initial_conditions.length / this._layout.size;
+      }
+      this.blink(initial_conditions);
+      this._emitters.forEach(emitter => emitter.reset(this._s1));
+    }
+
+    /**
+     * Instantaneously applys a state to this particle system.
+     *
+     * Calling this function will instantaneously transition this particle system
+     * to the state passed in (in the *blink* of an eye). This clears the
+     * previous state variables too, to prevent any weird effects caused by the
+     * retention of a previous (and potentially wildly different) state.
+     *
+     * @param {?Float32Array} state The state to "blink" to.
+     */
+    blink(state) {
+      if (state != undefined) {
+        this._allocate(state.length / this._layout.size);
+        POOLED_STATES.forEach(name => this[name].set(state));
+        this._s1dot = state.slice();
+        this._sMdot = state.slice();
+        this._prev_h = 0;
+      }
+    }
+
+    /**
+     * Changes how many particles this system has.
+     *
+     * Particles past the new count are removed. New particles are copied from
+     * the initial conditions, or for pooled systems, are left for the
+     * emitters to give birth to up to the new count. Only resizable systems
+     * can be resized.
+     *
+     * @param {number} count The new number of particles.
+     * @param {?Float32Array=} initial_conditions Initial conditions of at
+     *        least count particles, for new particles to be copied from.
+     *        Otherwise the current initial conditions are repeated.
+     * @return {boolean} Whether the system could be resized.
+     */
+    resize(count, initial_conditions = null) {
+      if (!this.resizable) {
+        console.log("Particle system can't be resized: " + this.toString());
+        return false;
+      }
+      if (initial_conditions != null)
+        this._initial = initial_conditions.slice();
+      this._max_count = Math.max(0, Math.round(count));
+      if (!this.pooled || this._max_count < this._count)
+        this._fill(this._max_count);
+      return true;
+    }
+
+    /**
+     * Sets the number of live particles, copying any new ones from the
+     * initial conditions.
+     *
+     * @param {number} count The new number of particles.
+     */
+    _fill(count) {
+      const size = this._layout.size;
+      const from = this._count;
+      this._allocate(count);
+      const n = this._initial.length / size;
+      for (var i = from; i < count && n > 0; i++) {
+        const start = (i % n) * size;
+        const particle = this._initial.subarray(start, start + size);
+        POOLED_STATES.forEach(name => this[name].set(particle, i * size));
+      }
+    }
+
+    /**
+     * Sets the number of live particles, without initializing any new ones.
+     *
+     * Storage grows to at least double its capacity, so that a growing system
+     * is rarely copied, and never shrinks.
+     *
+     * @param {number} count The new number of particles.
+     */
+    _allocate(count) {
+      const size = this._layout.size;
+      if (count > this._capacity) {
+        this._capacity = Math.max(count, this._capacity * 2);
+        POOLED_STATES.forEach(name => {
+          const storage = new Float32Array(this._capacity * size);
+          storage.set(this[name]);
+          this._storage[name] = storage;
         });
-        break;
-      case SOLVER.ADAMS_BASHFORTH:
-        this.s0dot = this.dotFinder(this.s0);
-        this.s2.map((v, i) => {
-          this.s2[i] = this.s1[i] + this.s1dot[i] * (tracker.ms * 0.0015) - this.s0dot[i] * (tracker.ms * 0.0005);
+      }
+      this._count = count;
+      POOLED_STATES.forEach(name => this[name] = this._storage[name].subarray(0, count * size));
+      this._particles.length = count;
+      for (var i = 0; i < count; i++) {
+        this._particles[i] = i;
+      }
+    }
+
+    /**
+     * Applys all forces in forceArray, modifying state array s.
+     *
+     * @param {!Float32Array} s The state array to be modified.
+     */
+    applyAllForces(s) {
+      for (var i = 0; i < s.length; i += this._layout.size) {
+        s[i + STATE.F_X] = 0;
+        s[i + STATE.F_Y] = 0;
+        s[i + STATE.F_Z] = 0;
+      }
+      this.force_set.forEach((force, _) => force.apply(s));
+    }
+
+    /**
+     * Finds the derivative w.r.t. time of state s.
+     *
+     * @param {!Float32Array} s The state array to apply the derivative to.
+     */
+    dotFinder(s) {
+      // Only positions and velocities are integrated; every other attribute
+      // is left as it is
+      var dot = new Float32Array(s.length);
+      var inverse_mass = 0;
+      for (var i = 0; i < s.length; i += this._layout.size) {
+        inverse_mass = 1.0 / s[i + STATE.MASS];
+        dot[i + STATE.P_X] = s[i + STATE.V_X];
+        dot[i + STATE.P_Y] = s[i + STATE.V_Y];
+        dot[i + STATE.P_Z] = s[i + STATE.V_Z];
+        dot[i + STATE.V_X] = s[i + STATE.F_X] * inverse_mass;
+        dot[i + STATE.V_Y] = s[i + STATE.F_Y] * inverse_mass;
+        dot[i + STATE.V_Z] = s[i + STATE.F_Z] * inverse_mass;
+      }
+      return dot;
+    }
+
+    /**
+     * Creates s2 by approximating integration of s1 over a single timestep.
+     *
+     * @param {!SOLVER} solver_type The type of solver to use.
+     * @param {number=} h The timestep, in seconds. Defaults to the frame time.
+     */
+    solver(solver_type, h = this._settings.ms * 0.001) {
+      const size = this._layout.size;
+      this._h = h;
+      switch (solver_type) {
+        case SOLVER.EULER:
+          this.s2.map((v, i) => {
+            this.s2[i] = this.s1[i] + this.s1dot[i] * h;
+          });
+          break;
+        case SOLVER.MIDPOINT:
+          this.sM.map((v, i) => {
+            this.sM[i] = this.s1[i] + this.s1dot[i] * (h * 0.5);
+          });
+          this.sMdot = this.dotFinder(this.sM);
+          this.s2.map((v, i) => {
+            this.s2[i] = this.s1[i] + this.sMdot[i] * h;
+          });
+          break;
+        case SOLVER.QUADRATIC_MIDPOINT_INVERSE:
+          // Forward
+          this.sM.map((v, i) => {
+            this.sM[i] = this.s1[i] + this.s1dot[i] * (h * 0.5);
+          });
+          this.sMdot = this.dotFinder(this.sM);
+          this.s2.map((v, i) => {
+            this.s2[i] = this.s1[i] + this.sMdot[i] * h;
+          });
+          // Backward
+          this.s2dot = this.dotFinder(this.s2);
+          this.sM.map((v, i) => {
+            this.sM[i] = this.s2[i] - this.s2dot[i] * (h * 0.5);
+          });
+          this.sMdot = this.dotFinder(this.sM);
+          // s3 holds how far the round trip misses s1
+          this.s3.map((v, i) => {
+            this.s3[i] = this.s2[i] - this.sMdot[i] * h - this.s1[i];
+          });
+          this.s2.map((v, i) => {
+            this.s2[i] -= this.s3[i] * 0.5;
+          });
+          break;
+        case SOLVER.ADAMS_BASHFORTH:
+          this.s0dot = this.dotFinder(this.s0);
+          this.s2.map((v, i) => {
+            this.s2[i] = this.s1[i] + this.s1dot[i] * (h * 1.5) - this.s0dot[i] * (h * 0.5);
+          });
+          break;
+        case SOLVER.VERLET:
+          // Position Verlet: x2 = x1 + (x1 - x0) * (h / h0) + a1 * h * (h + h0) / 2
+          // The ratio h / h0 corrects for the variable frame timestep. The first
+          // step after a blink has no history, so it takes a Taylor step instead.
+          var ratio = this._prev_h > 0 ? h / this._prev_h : 0;
+          this.s2.set(this.s1);
+          for (var i = 0; i < this.s2.length; i += size) {
+            for (var j = 0; j < 3; j++) {
+              var dx = ratio > 0 ?
+                (this.s1[i + STATE.P_X + j] - this.s0[i + STATE.P_X + j]) * ratio +
+                  this.s1dot[i + STATE.V_X + j] * h * (h + this._prev_h) * 0.5 :
+                this.s1[i + STATE.V_X + j] * h + this.s1dot[i + STATE.V_X + j] * h * h * 0.5;
+              this.s2[i + STATE.P_X + j] = this.s1[i + STATE.P_X + j] + dx;
+              // Velocity is only implied by position, so estimate it backwards
+              this.s2[i + STATE.V_X + j] = (this.s2[i + STATE.P_X + j] - this.s1[i + STATE.P_X + j]) / h;
+            }
+          }
+          break;
+        case SOLVER.VELOCITY_VERLET:
+          // x2 = x1 + v1 * h + 0.5 * a1 * h^2
+          // v2 = v1 + 0.5 * (a1 + a2) * h
+          this.s2.set(this.s1);
+          for (var i = 0; i < this.s2.length; i += size) {
+            for (var j = 0; j < 3; j++) {
+              this.s2[i + STATE.P_X + j] = this.s1[i + STATE.P_X + j] + this.s1[i + STATE.V_X + j] * h + this.s1dot[i + STATE.V_X + j] * h * h * 0.5;
+              // Predict v2 so velocity-dependent forces (drag) see a sane value
+              this.s2[i + STATE.V_X + j] = this.s1[i + STATE.V_X + j] + this.s1dot[i + STATE.V_X + j] * h;
+            }
+          }
+          this.applyAllForces(this.s2);
+          this.s2dot = this.dotFinder(this.s2);
+          for (var i = 0; i < this.s2.length; i += size) {
+            for (var j = 0; j < 3; j++) {
+              this.s2[i + STATE.V_X + j] = this.s1[i + STATE.V_X + j] + (this.s1dot[i + STATE.V_X + j] + this.s2dot[i + STATE.V_X + j]) * h * 0.5;
+            }
+          }
+          break;
+        case SOLVER.RK4:
+          // k1 = f(s1), already computed as s1dot
+          // k2 = f(s1 + k1 * h/2)
+          this.sM.map((v, i) => {
+            this.sM[i] = this.s1[i] + this.s1dot[i] * (h * 0.5);
+          });
+          this.applyAllForces(this.sM);
+          var k2 = this.dotFinder(this.sM);
+          // k3 = f(s1 + k2 * h/2)
+          this.sM.map((v, i) => {
+            this.sM[i] = this.s1[i] + k2[i] * (h * 0.5);
+          });
+          this.applyAllForces(this.sM);
+          var k3 = this.dotFinder(this.sM);
+          // k4 = f(s1 + k3 * h)
+          this.s3.map((v, i) => {
+            this.s3[i] = this.s1[i] + k3[i] * h;
+          });
+          this.applyAllForces(this.s3);
+          var k4 = this.dotFinder(this.s3);
+          // s2 = s1 + (k1 + 2 * k2 + 2 * k3 + k4) * h/6
+          this.s2.map((v, i) => {
+            this.s2[i] = this.s1[i] + (this.s1dot[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) * (h / 6.0);
+          });
+          break;
+        case SOLVER.IMPLICIT_EULER:
+          this.backwardEuler(h);
+          break;
+        default:
+          console.log('unknown solver: ' + solver_type);
+          break;
+      }
+    }
+
+    /**
+     * Creates s2 from s1 using linearized backward Euler integration.
+     *
+     * Following Baraff & Witkin, solves
+     *   (M - h ∂f/∂v - h^2 ∂f/∂x) Δv = h (f1 + h ∂f/∂x v1)
+     * for the change in velocity using conjugate gradient, then steps position
+     * with the new velocity. The Jacobians are assembled from every force which
+     * provides them (see Force.jacobian() and Force.damping_jacobian()); the
+     * rest only contribute to f1, and so are effectively integrated explicitly.
+     *
+     * Expects the forces in s1 to have already been applied.
+     *
+     * @param {number} h The timestep, in seconds.
+     */
+    backwardEuler(h) {
+      const size = this._layout.size;
+      const n = this.s1.length / size;
+      // Gather Jacobian blocks of every force that provides them
+      var blocks = [];
+      var damping_blocks = [];
+      this.force_set.forEach((force, _) => {
+        var K = force.jacobian(this.s1);
+        if (K != null)
+          blocks.push({i: force.particles[0], j: force.particles[1], K: K});
+        var D = force.damping_jacobian(this.s1);
+        if (D != null)
+          damping_blocks.push({i: force.particles[0], j: force.particles[1], K: D});
+      });
+      // out = J v, for the Jacobian made of the given blocks
+      var multiply = function(blocks, out, v) {
+        out.fill(0);
+        blocks.forEach((block, _) => {
+          for (var r = 0; r < 3; r++) {
+            var f = 0;
+            for (var c = 0; c < 3; c++) {
+              f += block.K[r * 3 + c] * (v[block.j * 3 + c] - v[block.i * 3 + c]);
+            }
+            out[block.i * 3 + r] += f;
+            out[block.j * 3 + r] -= f;
+          }
         });
-        break;
-      case SOLVER.VERLET:
-        // TODO
-        break;
-      default:
-        console.log('unknown solver: ' + solver_type);
-        break;
-    }
-    // For Snow, we care about age
-    if (this._type == PARTICLE_SYSTEM.SNOW) {
-      for (var i = 0; i < this.s2.length / STATE_SIZE; i++) {
-        // Decrement age
-        this.s2[(i * STATE_SIZE) + STATE.AGE] -= 1;
-        if (this.s2[(i * STATE_SIZE) + STATE.AGE] < 0) {
-          // Reset age
-          this.s2[(i * STATE_SIZE) + STATE.AGE] = 300;
-          // Make it fall again
-          this.s2[(i * STATE_SIZE) + STATE.P_X] = Math.random() * top_m[0] + top_a[0];
-          this.s2[(i * STATE_SIZE) + STATE.P_Y] = Math.random() * top_m[1] + top_a[1];
-          this.s2[(i * STATE_SIZE) + STATE.P_Z] = Math.random() * top_m[2] + top_a[2];
-          this.s2[(i * STATE_SIZE) + STATE.V_X] = 0;
-          this.s2[(i * STATE_SIZE) + STATE.V_Y] = 0;
-          this.s2[(i * STATE_SIZE) + STATE.V_Z] = 0;
+        return out;
+      };
+      // out = (∂f/∂x) v
+      var dfdx = (out, v) => multiply(blocks, out, v);
+      // out = A v = (M - h ∂f/∂v - h^2 ∂f/∂x) v
+      var dfdv_v = new Float32Array(n * 3);
+      var A = function(out, v) {
+        dfdx(out, v);
+        multiply(damping_blocks, dfdv_v, v);
+        for (var k = 0; k < n * 3; k++) {
+          out[k] = this.s1[(Math.floor(k / 3) * size) + STATE.MASS] * v[k] - h * dfdv_v[k] - h * h * out[k];
+        }
+        return out;
+      }.bind(this);
+
+      // b = h (f1 + h ∂f/∂x v1)
+      var v1 = new Float32Array(n * 3);
+      for (var i = 0; i < n; i++) {
+        v1[i * 3 + 0] = this.s1[(i * size) + STATE.V_X];
+        v1[i * 3 + 1] = this.s1[(i * size) + STATE.V_Y];
+        v1[i * 3 + 2] = this.s1[(i * size) + STATE.V_Z];
+      }
+      var b = dfdx(new Float32Array(n * 3), v1);
+      for (var i = 0; i < n; i++) {
+        b[i * 3 + 0] = h * (this.s1[(i * size) + STATE.F_X] + h * b[i * 3 + 0]);
+        b[i * 3 + 1] = h * (this.s1[(i * size) + STATE.F_Y] + h * b[i * 3 + 1]);
+        b[i * 3 + 2] = h * (this.s1[(i * size) + STATE.F_Z] + h * b[i * 3 + 2]);
+      }
+
+      // Conjugate gradient, starting from Δv = 0
+      var dv = new Float32Array(n * 3);
+      var r = b.slice();
+      var d = r.slice();
+      var q = new Float32Array(n * 3);
+      var dot = function(x, y) {
+        var sum = 0;
+        for (var k = 0; k < x.length; k++) sum += x[k] * y[k];
+        return sum;
+      };
+      var delta = dot(r, r);
+      const tolerance = 1e-12 * Math.max(delta, 1);
+      for (var iter = 0; iter < CG_MAX_ITERATIONS && delta > tolerance; iter++) {
+        A(q, d);
+        var alpha = delta / dot(d, q);
+        for (var k = 0; k < dv.length; k++) {
+          dv[k] += alpha * d[k];
+          r[k] -= alpha * q[k];
+        }
+        var delta_new = dot(r, r);
+        for (var k = 0; k < d.length; k++) {
+          d[k] = r[k] + (delta_new / delta) * d[k];
         }
+        delta = delta_new;
+      }
+
+      // v2 = v1 + Δv, x2 = x1 + h v2
+      this.s2.set(this.s1);
+      for (var i = 0; i < n; i++) {
+        this.s2[(i * size) + STATE.V_X] = v1[i * 3 + 0] + dv[i * 3 + 0];
+        this.s2[(i * size) + STATE.V_Y] = v1[i * 3 + 1] + dv[i * 3 + 1];
+        this.s2[(i * size) + STATE.V_Z] = v1[i * 3 + 2] + dv[i * 3 + 2];
+        this.s2[(i * size) + STATE.P_X] = this.s1[(i * size) + STATE.P_X] + h * this.s2[(i * size) + STATE.V_X];
+        this.s2[(i * size) + STATE.P_Y] = this.s1[(i * size) + STATE.P_Y] + h * this.s2[(i * size) + STATE.V_Y];
+        this.s2[(i * size) + STATE.P_Z] = this.s1[(i * size) + STATE.P_Z] + h * this.s2[(i * size) + STATE.V_Z];
       }
     }
-    // For Reeve's fire, alpha depends on z position, and we care about age
-    if (this._type == PARTICLE_SYSTEM.REEVES_FIRE) {
-      var sphere = this.constraint_set[1].bounds;
-      var r = sphere[3];
-      var min = this.constraint_set[0].bounds[4];
-      var max = this.constraint_set[0].bounds[5];
-      for (var i = 0; i < this.s2.length / STATE_SIZE; i++) {
-        // Decrement age
-        this.s2[(i * STATE_SIZE) + STATE.AGE] -= 1;
-        if (this.s2[(i * STATE_SIZE) + STATE.AGE] < 0) {
-          // Reset age, color
-          this.s2[(i * STATE_SIZE) + STATE.AGE] = 60;
-          this.s2[(i * STATE_SIZE) + STATE.R] = 1;
-          this.s2[(i * STATE_SIZE) + STATE.G] = 1;
-          this.s2[(i * STATE_SIZE) + STATE.B] = 1;
-          // Place on the surface of the sphere
-          var z = Math.random() * (sphere[3] + sphere[3]) - sphere[3];
-          var φ = Math.random() * 2 * Math.PI;
-          var θ = Math.acos(z / r);
-          this.s2[(i * STATE_SIZE) + STATE.P_X] = r * Math.sin(θ) * Math.cos(φ) + sphere[0];
-          this.s2[(i * STATE_SIZE) + STATE.P_Y] = r * Math.sin(θ) * Math.sin(φ) + sphere[1];
-          this.s2[(i * STATE_SIZE) + STATE.P_Z] = Math.min(Math.max(z + sphere[2], min), max);
+
+    /**
+     * Advances this particle system by one fixed timestep.
+     *
+     * The timestep is scaled by this system's time scale and split evenly into
+     * its substep count. Forces which move (e.g. wandering goals) move first.
+     * Then for each substep, applies forces, integrates, emits and
+     * constrains s1 to produce s2, then swaps so that s1 holds the newest state
+     * and removes any forces which tore and any particles which died.
+     * When adaptive timestepping is enabled the substeps are instead chosen to
+     * meet the error tolerance.
+     */
+    step() {
+      this._sPrev.set(this.s1);
+      const h = this._settings.ms * 0.001 * this._time_scale;
+      if (h <= 0)
+        return;
+      this._force_set.forEach(force => force.advance(h));
+      if (this._settings.adaptive) {
+        this.adaptiveStep(h);
+        return;
+      }
+      for (var i = 0; i < this._substep_count; i++) {
+        this.applyAllForces(this.s1);
+        this.s1dot = this.dotFinder(this.s1);
+        this.solver(this._solver, h / this._substep_count);
+        this.emit(h / this._substep_count);
+        this.doConstraints();
+        this.swap();
+        this.removeTornForces();
+        this.compact();
+      }
+      this._settings.substeps = Math.max(this._settings.substeps, this._substep_count);
+    }
+
+    /**
+     * Advances this particle system by one timestep, using as many substeps as
+     * the error tolerance requires.
+     *
+     * The local error of each substep is estimated by step doubling (see
+     * estimateError()). Steps whose error exceeds settings.tolerance are retried
+     * with a smaller timestep, and the timestep is allowed to grow again once
+     * the error is comfortably low.
+     *
+     * @param {number} frame_h The timestep to cover, in seconds.
+     */
+    adaptiveStep(frame_h) {
+      var remaining = frame_h;
+      var h = this._adaptive_h > 0 ? this._adaptive_h : frame_h;
+      this._substeps = 0;
+      this._error = 0;
+      while (remaining > 1e-9 && this._substeps < ADAPTIVE_MAX_SUBSTEPS) {
+        h = Math.min(h, remaining);
+        // The final allowed substep has to cover what is left of the frame
+        if (this._substeps == ADAPTIVE_MAX_SUBSTEPS - 1)
+          h = remaining;
+        this.applyAllForces(this.s1);
+        this.s1dot = this.dotFinder(this.s1);
+        this.solver(this._solver, h);
+        var error = this.estimateError(h);
+        // Scale the step by the usual (tolerance / error)^(1/(order+1)) rule,
+        // limited so a single bad estimate can't shrink or grow it too
+        // aggressively
+        var scale = error > 0 ?
+          0.9 * Math.pow(this._settings.tolerance / error, 1 / (SOLVER_ORDERS[this._solver] + 1)) : 2;
+        scale = Math.min(Math.max(scale, 0.2), 2);
+        if (error > this._settings.tolerance && h > frame_h / ADAPTIVE_MAX_SUBSTEPS && this._substeps < ADAPTIVE_MAX_SUBSTEPS - 1) {
+          // Reject, and retry with a smaller step
+          h *= scale;
+          continue;
         }
-        // Older particles cool off (become less white)
-        this.s2[(i * STATE_SIZE) + STATE.R] *= 1;
-        this.s2[(i * STATE_SIZE) + STATE.G] *= 0.97;
-        this.s2[(i * STATE_SIZE) + STATE.B] *= 0.7;
-        // Set alpha according to distance from edge of sphere
-        var dist = glMatrix.vec3.distance(
-          glMatrix.vec3.fromValues(
-            sphere[0],
-            sphere[1],
-            sphere[2]),
-          glMatrix.vec3.fromValues(
-            this.s2[(i * STATE_SIZE) + STATE.P_X],
-            this.s2[(i * STATE_SIZE) + STATE.P_Y],
-            this.s2[(i * STATE_SIZE) + STATE.P_Z])) - r;
-        this.s2[(i * STATE_SIZE) + STATE.A] = 0.7 - (dist / (1.5 * r));
-        if (this.s2[(i * STATE_SIZE) + STATE.A] < 0.2)
-          this.s2[(i * STATE_SIZE) + STATE.A] = 0.2;
-        if (this.s2[(i * STATE_SIZE) + STATE.A] > 0.7)
-          this.s2[(i * STATE_SIZE) + STATE.A] = 0.7;
+        this.emit(h);
+        this.doConstraints();
+        this.swap();
+        this.removeTornForces();
+        this.compact();
+        remaining -= h;
+        this._substeps++;
+        this._error = Math.max(this._error, error);
+        h *= scale;
       }
+      // Remember the step size for next frame, so calm systems stay cheap
+      this._adaptive_h = Math.min(h, frame_h);
+      this._settings.substeps = Math.max(this._settings.substeps, this._substeps);
+      this._settings.error = Math.max(this._settings.error, this._error);
     }
-  }
 
-  /**
-   * Applies all constraints for a given system.
-   */
-  doConstraints() {
-    this.constraint_set.forEach((constraint, _) => {
-      constraint.constrain(this.s1, this.s2);
-    });
-  }
+    /**
+     * Estimates the local error of the last call to solver(), by step doubling.
+     *
+     * The same solver takes two steps of h / 2 from s1, and positions in s2 are
+     * compared against where they end up. Both approximate the same
+     * trajectory, so their difference measures the solver's own error, whatever
+     * its order. The differences are kept in sErr; s0, s1 and s2 are left as
+     * they were.
+     *
+     * @param {number} h The timestep used to produce s2, in seconds.
+     * @return {number} The largest positional error of any particle.
+     */
+    estimateError(h) {
+      const [s0, s1, s1dot, s2, prev_h] = [this.s0, this.s1, this.s1dot, this.s2, this._prev_h];
+      // The first half step, into sHalf
+      this.s2 = this._sHalf;
+      this.solver(this._solver, h * 0.5);
+      // The second, from sHalf into sErr. Its previous state is s1
+      this.s0 = s1;
+      this.s1 = this._sHalf;
+      this.s2 = this._sErr;
+      this._prev_h = h * 0.5;
+      this.applyAllForces(this.s1);
+      this.s1dot = this.dotFinder(this.s1);
+      this.solver(this._solver, h * 0.5);
+      [this.s0, this.s1, this.s1dot, this.s2, this._prev_h, this._h] = [s0, s1, s1dot, s2, prev_h, h];
+      var error = 0;
+      for (var i = 0; i < this.s2.length; i += this._layout.size) {
+        for (var j = STATE.P_X; j <= STATE.P_Z; j++) {
+          this.sErr[i + j] = this.s2[i + j] - this.sErr[i + j];
+          error = Math.max(error, Math.abs(this.sErr[i + j]));
+        }
+      }
+      return error;
+    }
 
-  /**
-   * Updates values for transferring to the GPU.
-   *
-   * @param {number=} index The index to start substituting data at.
-   */
-  render(index = 0) {
-    // Send to the VBO box to call WebGLRenderingContext.bufferSubData()
-    vbo_boxes[this._vbo].vbo = this.s2;
-    vbo_boxes[this._vbo].reload(vbo_boxes[this._vbo].vbo, index);
-  }
+    /**
+     * Prepares the render state by interpolating between the last two steps.
+     *
+     * Positions are blended between the state before the latest step and the
+     * latest state; everything else is taken from the latest state.
+     *
+     * @param {number} alpha How far past the latest step to render, in [0, 1).
+     */
+    interpolate(alpha) {
+      this._sR.set(this.s1);
+      for (var i = 0; i < this._sR.length; i += this._layout.size) {
+        for (var j = STATE.P_X; j <= STATE.P_Z; j++) {
+          this._sR[i + j] = this._sPrev[i + j] + (this.s1[i + j] - this._sPrev[i + j]) * alpha;
+        }
+      }
+    }
 
-  /**
-   * Swaps state vectors.
-   *
-   * Moves each state vector we care about back one timestep, so that the
-   * values can be retained for the next timestep.
-   */
-  swap() {
-    this.s0.set(this.s1);
-    this.s1.set(this.s2);
-  }
+    /**
+     * Ages the particles in s2, and gives birth to any which died, with every
+     * emitter. Emitters of pooled systems also give birth to new particles,
+     * up to max_count.
+     *
+     * Only called for accepted steps, so that a step retried by adaptive
+     * timestepping doesn't age particles or draw random numbers twice.
+     *
+     * @param {number} h The timestep used to produce s2, in seconds.
+     */
+    emit(h) {
+      const size = this._layout.size;
+      // Ages are measured in frames, so substeps only age particles partially
+      const age_step = h / (this._settings.ms * 0.001);
+      const pooled = this.pooled;
+      this._emitters.forEach(emitter => {
+        emitter.emit(this.s2, h, age_step);
+        const from = this._count;
+        const born = emitter.births(pooled ? this._max_count - from : 0);
+        if (born == 0)
+          return;
+        this._fill(from + born);
+        for (var i = from; i < this._count; i++) {
+          emitter.spawn(this.s2, i);
+          emitter.follow(this.s2, i);
+          // New particles have no past to integrate or interpolate from
+          const particle = this.s2.subarray(i * size, (i + 1) * size);
+          this.s1.set(particle, i * size);
+          this._sPrev.set(particle, i * size);
+          this._sR.set(particle, i * size);
+        }
+      });
+    }
 
-  /**
-   * Enables a force.
-   *
-   * @param {number} i The index of the force to be enabled.
-   */
-  enableForce(i) {
-    this.force_set[i].enable();
-  }
+    /**
+     * Removes the particles of a pooled system which have died (those with a
+     * negative AGE), by moving the last particles into their places.
+     *
+     * Particles are reordered, so only pooled systems, where everything acts
+     * on every particle, are compacted.
+     */
+    compact() {
+      const size = this._layout.size;
+      if (!this.pooled)
+        return;
+      var count = this._count;
+      for (var i = 0; i < count;) {
+        if (this.s1[i * size + STATE.AGE] >= 0) {
+          i++;
+          continue;
+        }
+        count--;
+        if (i < count) {
+          [this.s0, this.s1, this._sPrev, this._sR].forEach(s =>
+            s.copyWithin(i * size, count * size, (count + 1) * size));
+          this._emitters.forEach(emitter => emitter.move(count, i));
+        }
+      }
+      if (count < this._count)
+        this._allocate(count);
+    }
 
-  /**
-   * Disables a force.
-   *
-   * @param {number} i The index of the force to be disabled.
-   */
-  disableForce(i) {
-    this.force_set[i].disable();
-  }
+    /**
+     * Applies all constraints for a given system.
+     */
+    doConstraints() {
+      this.constraint_set.forEach((constraint, _) => {
+        constraint.constrain(this.s1, this.s2, this._settings, this.constraint_set);
+      });
+    }
 
-  /**
-   * Enables a constraint.
-   *
-   * @param {number} i The index of the constraint to be enabled.
-   */
-  enableConstraint(i) {
-    this.constraint_set[i].enable();
-  }
+    /**
+     * Swaps state vectors.
+     *
+     * Moves each state vector we care about back one timestep, so that the
+     * values can be retained for the next timestep.
+     */
+    swap() {
+      this.s0.set(this.s1);
+      this.s1.set(this.s2);
+      this._prev_h = this._h;
+      if (this._solver == SOLVER.VERLET) {
+        // Position Verlet takes its velocity from x1 - x0, so rebuild x0 from
+        // the velocity constraints and emitters left, or a bounce would be lost
+        const size = this._layout.size;
+        for (var i = 0; i < this.s1.length; i += size) {
+          for (var j = 0; j < 3; j++)
+            this.s0[i + STATE.P_X + j] = this.s1[i + STATE.P_X + j] - this.s1[i + STATE.V_X + j] * this._h;
+        }
+      }
+    }
 
-  /**
-   * Disables a constraint.
-   *
-   * @param {number} i The index of the constraint to be disabled.
-   */
-  disableConstraint(i) {
-    this.constraint_set[i].disable();
-  }
+    /**
+     * Adds a temporary force, e.g. for dragging a particle with the mouse.
+     *
+     * Temporary forces aren't part of the scene, so they aren't saved in
+     * snapshots, and loading a snapshot removes them.
+     *
+     * @param {!Force} force The force to add.
+     */
+    addForce(force) {
+      force.layout = this._layout;
+      this._force_set.push(force);
+    }
 
-  /**
-   * Creates a string representation of a particle system.
-   *
-   * Concatinates the particle count with the set of constraints.
-   *
-   * @return {string} This particle system's text representation.
-   */
-  toString() {
-    var partSysString = "" + this._PARTICLE_COUNT;
-    for (var constraint in this.constraint_set) {
-      partSysString += constraint.toString();
+    /**
+     * Removes a temporary force added by addForce().
+     *
+     * @param {!Force} force The force to remove.
+     */
+    removeForce(force) {
+      const i = this._force_set.indexOf(force);
+      if (i >= 0)
+        this._force_set.splice(i, 1);
     }
-    return partSysString;
-  }
 
-  /**
-   * Automatically creates controls for this particle system.
-   */
-  insertGui() {
-    // Compute hash to distinguish this particle system
-    const hash = hex_sha1(this.toString());
-    var partSysFolder = gui.addFolder(PARTICLE_SYSTEM_STRINGS[this.type] + ' Particle System [' + hash.substring(0, 8) + ']');
-
-    if (this._type == PARTICLE_SYSTEM.BOIDS) {
-      tracker[hash + "_radius"] = this._boid_radius;
-      partSysFolder.add(tracker, hash + "_radius").name("Boid Radius").onChange(function(value) {
-        this._boid_radius = Math.max(value, 0);
-      }.bind(this));
-      tracker[hash + "_ka"]  = this.force_set[0]._ka;
-      partSysFolder.add(tracker, hash + "_ka", 0.1, 1, 0.1).name("k<sub>a</sub>").onChange(function(value) {
-        this.force_set[0]._ka = value;
-      }.bind(this));
-      tracker[hash + "_kv"]  = this.force_set[0]._kv;
-      partSysFolder.add(tracker, hash + "_kv", 0.1, 1, 0.1).name("k<sub>v</sub>").onChange(function(value) {
-        this.force_set[0]._kv = value;
-      }.bind(this));
-      tracker[hash + "_kc"]  = this.force_set[0]._kc;
-      partSysFolder.add(tracker, hash + "_kc", 0.1, 1, 0.1).name("k<sub>c</sub>").onChange(function(value) {
-        this.force_set[0]._kc = value;
-      }.bind(this));
-      tracker[hash + "_koa"]  = this.force_set[0]._koa;
-      partSysFolder.add(tracker, hash + "_koa", 0.1, 1, 0.1).name("k<sub>oa</sub>").onChange(function(value) {
-        this.force_set[0]._koa = value;
-      }.bind(this));
-      tracker[hash + "_kgs"]  = this.force_set[0]._kgs;
-      partSysFolder.add(tracker, hash + "_kgs", 0.1, 1, 0.1).name("k<sub>gs</sub>").onChange(function(value) {
-        this.force_set[0]._kgs = value;
-      }.bind(this));
-    }
-
-    // Add a master toggle to hide all of this particle system's constraints
-    tracker[hash + "_drawn"] = true;
-    partSysFolder.add(tracker, hash + "_drawn").name("Show constraints").onChange(function(value) {
-      this.constraint_set.forEach((constraint, i) => {
-        if (VISIBLE_CONSTRAINTS.includes(constraint.type))
-          constraint.draw(this._c_vbo, value && tracker["c_" + hash + "_" + hex_sha1(this.constraint_set[i].toString()) + "_drawn"]);
-      });
-    }.bind(this));
-
-    // Add controls for each constraint individually
-    for (var index in this.constraint_set) {
-      if (VISIBLE_CONSTRAINTS.includes(this.constraint_set[index].type)) {
-        const i = index;
-        // Create unique attributes in the tracker object
-        var constraintSubFolder = partSysFolder.addFolder('Constraint ' + i + ': ' + CONSTRAINT_STRINGS[this.constraint_set[index].type]);
-        const c_hash = hex_sha1(this.constraint_set[i].toString());
-        const attr = "c_" + hash + "_" + c_hash;
-
-        // Toggle drawing this constraint
-        var redraw = function(value) {
-          this.constraint_set[i].draw(this._c_vbo, value && tracker[hash + "_drawn"], ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
-        };
-        tracker[attr + "_drawn"] = true;
-        partSysFolder.add(tracker, attr + "_drawn").name("Visible").onChange(redraw.bind(this));
-
-        switch (this.constraint_set[i].type) {
+    /**
+     * Removes forces which have torn (see Force.torn) from the force set.
+     *
+     * Forces tear while being applied, so they are only removed between
+     * substeps, rather than while the force set is being iterated over.
+     */
+    removeTornForces() {
+      if (this._force_set.some(force => force.torn))
+        this._force_set = this._force_set.filter(force => !force.torn);
+    }
+
+    /**
+     * Enables a force.
+     *
+     * @param {number} i The index of the force to be enabled.
+     */
+    enableForce(i) {
+      this.force_set[i].enable();
+    }
+
+    /**
+     * Disables a force.
+     *
+     * @param {number} i The index of the force to be disabled.
+     */
+    disableForce(i) {
+      this.force_set[i].disable();
+    }
+
+    /**
+     * Enables a constraint.
+     *
+     * @param {number} i The index of the constraint to be enabled.
+     */
+    enableConstraint(i) {
+      this.constraint_set[i].enable();
+    }
+
+    /**
+     * Disables a constraint.
+     *
+     * @param {number} i The index of the constraint to be disabled.
+     */
+    disableConstraint(i) {
+      this.constraint_set[i].disable();
+    }
+
+    /**
+     * Finds a box around this particle system: around its volume and sphere
+     * constraints, or around its particles if it has neither.
+     *
+     * @return {!Object} The smallest and largest corners of the box, as
+     *         {min, max}.
+     */
+    bounds() {
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      var extend = function(lo, hi) {
+        for (var i = 0; i < 3; i++) {
+          min[i] = Math.min(min[i], lo[i]);
+          max[i] = Math.max(max[i], hi[i]);
+        }
+      };
+      this._constraint_set.forEach(constraint => {
+        const b = constraint.bounds;
+        switch (constraint.type) {
           case CONSTRAINT_TYPE.VOLUME_IMPULSIVE:
           case CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE:
-            tracker[attr + "_restitution"] = this.constraint_set[i].restitution;
-            constraintSubFolder.add(tracker, attr + "_restitution").name("restitution").onChange(function() {
-              this.constraint_set[i].restitution = tracker[attr + "_restitution"];
-            }.bind(this));
           case CONSTRAINT_TYPE.VOLUME_WRAP:
-            // Adjust this constraint's bounds
-            tracker[attr + "_x_min"] = this.constraint_set[i].bounds[0];
-            constraintSubFolder.add(tracker, attr + "_x_min").name("x-min").onChange(function() {
-              if (tracker[attr + "_x_min"] >= tracker[attr + "_x_max"]) {
-                tracker[attr + "_x_min"] = tracker[attr + "_x_max"] - 0.1;
-              }
-              this.constraint_set[i].x_min = tracker[attr + "_x_min"];
-              this.constraint_set[i].draw(this._c_vbo, tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
-            }.bind(this));
-            tracker[attr + "_x_max"] = this.constraint_set[i].bounds[1];
-            constraintSubFolder.add(tracker, attr + "_x_max").name("x-max").onChange(function() {
-              if (tracker[attr + "_x_max"] <= tracker[attr + "_x_min"]) {
-                tracker[attr + "_x_max"] = tracker[attr + "_x_min"] + 0.1;
-              }
-              this.constraint_set[i].x_max = tracker[attr + "_x_max"];
-              this.constraint_set[i].draw(this._c_vbo, tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
-            }.bind(this));
-            tracker[attr + "_y_min"] = this.constraint_set[i].bounds[2];
-            constraintSubFolder.add(tracker, attr + "_y_min").name("y-min").onChange(function() {
-              if (tracker[attr + "_y_min"] >= tracker[attr + "_y_max"]) {
-                tracker[attr + "_y_min"] = tracker[attr + "_y_max"] - 0.1;
-              }
-              this.constraint_set[i].y_min = tracker[attr + "_y_min"];
-              this.constraint_set[i].draw(this._c_vbo, tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
-            }.bind(this));
-            tracker[attr + "_y_max"] = this.constraint_set[i].bounds[3];
-            constraintSubFolder.add(tracker, attr + "_y_max").name("y-max").onChange(function() {
-              if (tracker[attr + "_y_max"] <= tracker[attr + "_y_min"]) {
-                tracker[attr + "_y_max"] = tracker[attr + "_y_min"] + 0.1;
-              }
-              this.constraint_set[i].y_max = tracker[attr + "_y_max"];
-              this.constraint_set[i].draw(this._c_vbo, tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
-            }.bind(this));
-            tracker[attr + "_z_min"] = this.constraint_set[i].bounds[4];
-            constraintSubFolder.add(tracker, attr + "_z_min").name("z-min").onChange(function() {
-              if (tracker[attr + "_z_min"] >= tracker[attr + "_z_max"]) {
-                tracker[attr + "_z_min"] = tracker[attr + "_z_max"] - 0.1;
-              }
-              this.constraint_set[i].z_min = tracker[attr + "_z_min"];
-              this.constraint_set[i].draw(this._c_vbo, tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
-            }.bind(this));
-            tracker[attr + "_z_max"] = this.constraint_set[i].bounds[5];
-            constraintSubFolder.add(tracker, attr + "_z_max").name("z-max").onChange(function() {
-              if (tracker[attr + "_z_max"] <= tracker[attr + "_z_min"]) {
-                tracker[attr + "_z_max"] = tracker[attr + "_z_min"] + 0.1;
-              }
-              this.constraint_set[i].z_max = tracker[attr + "_z_max"];
-              this.constraint_set[i].draw(this._c_vbo, tracker[attr + "_drawn"] && tracker[hash + "_drawn"]);
-            }.bind(this));
-            tracker[attr + "_enabled"] = true;
-            constraintSubFolder.add(tracker, attr + "_enabled").name("Enabled").onChange(function(value) {
-              value ? this.constraint_set[i].enable() : this.constraint_set[i].disable();
-            }.bind(this));
+            extend([b[0], b[2], b[4]], [b[1], b[3], b[5]]);
             break;
           case CONSTRAINT_TYPE.SPHERE:
-            tracker[attr + "_x"] = this.constraint_set[i].bounds[0];
-            constraintSubFolder.add(tracker, attr + "_x", -2, 2, 0.125).name("x").onChange(function() {
-              this.constraint_set[i].x = tracker[attr + "_x"];
-              this.constraint_set[i].draw(
-                this._c_vbo,
-                tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
-                ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
-            }.bind(this));
-            tracker[attr + "_y"] = this.constraint_set[i].bounds[1];
-            constraintSubFolder.add(tracker, attr + "_y", -2, 2, 0.125).name("y").onChange(function() {
-              this.constraint_set[i].y = tracker[attr + "_y"];
-              this.constraint_set[i].draw(
-                this._c_vbo,
-                tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
-                ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
-            }.bind(this));
-            tracker[attr + "_z"] = this.constraint_set[i].bounds[2];
-            constraintSubFolder.add(tracker, attr + "_z", -2, 2, 0.125).name("z").onChange(function() {
-              this.constraint_set[i].z = tracker[attr + "_z"];
-              this.constraint_set[i].draw(
-                this._c_vbo,
-                tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
-                ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
-            }.bind(this));
-            tracker[attr + "_r"] = this.constraint_set[i].bounds[3];
-            constraintSubFolder.add(tracker, attr + "_r", 0.125, 2, 0.125).name("radius").onChange(function() {
-              this.constraint_set[i].r = tracker[attr + "_r"];
-              this.constraint_set[i].draw(
-                this._c_vbo,
-                tracker[attr + "_drawn"] && tracker[hash + "_drawn"],
-                ...[...tracker[attr + "_color"].map(c => c / 255.0)]);
-            }.bind(this));
+            extend([b[0] - b[3], b[1] - b[3], b[2] - b[3]], [b[0] + b[3], b[1] + b[3], b[2] + b[3]]);
             break;
           default:
             break;
         }
-        tracker[attr + "_color"] = [255, 255, 255];
-        constraintSubFolder.addColor(tracker, attr + "_color").name("Color").onChange(redraw.bind(this));
+      });
+      if (min[0] == Infinity) {
+        for (var i = 0; i < this.s1.length; i += this._layout.size) {
+          var p = [this.s1[i + STATE.P_X], this.s1[i + STATE.P_Y], this.s1[i + STATE.P_Z]];
+          extend(p, p);
+        }
+      }
+      return {
+        min,
+        max,
+      };
+    }
+
+    /**
+     * Saves this particle system's state and parameters, for a snapshot.
+     *
+     * @return {!Object} The saved particle system, as JSON-safe values.
+     */
+    save() {
+      return {
+        solver: this._solver,
+        substep_count: this._substep_count,
+        time_scale: this._time_scale,
+        boid_radius: this._boid_radius,
+        h: this._h,
+        prev_h: this._prev_h,
+        adaptive_h: this._adaptive_h,
+        max_count: this._max_count,
+        attributes: this._layout.save(),
+        s0: Array.from(this._s0),
+        s1: Array.from(this._s1),
+        forces: this._all_forces.map(force => force.save()),
+        constraints: this._constraint_set.map(constraint => constraint.save()),
+        emitters: this._emitters.map(emitter => emitter.save()),
+      };
+    }
+
+    /**
+     * Loads a particle system saved by PartSys.save().
+     *
+     * The snapshot must come from the same scene, i.e. have the same number of
+     * forces, constraints, emitters and particle attributes, and unless this
+     * system is resizable, of particles.
+     *
+     * @param {!Object} saved The saved particle system.
+     * @return {boolean} Whether the snapshot could be loaded.
+     */
+    load(saved) {
+      if ((saved.s1.length != this._s1.length && !this.resizable) ||
+        JSON.stringify(saved.attributes || []) != JSON.stringify(this._layout.save()) ||
+        saved.forces.length != this._all_forces.length ||
+        saved.constraints.length != this._constraint_set.length ||
+        (saved.emitters || []).length != this._emitters.length) {
+        console.log("Snapshot does not match particle system: " + this.toString());
+        return false;
       }
+      this.blink(new Float32Array(saved.s1));
+      this._s0.set(saved.s0);
+      this._solver = saved.solver;
+      this._substep_count = saved.substep_count;
+      this._time_scale = saved.time_scale;
+      this._boid_radius = saved.boid_radius;
+      this._h = saved.h;
+      this._prev_h = saved.prev_h;
+      this._adaptive_h = saved.adaptive_h;
+      this._max_count = saved.max_count === undefined ? this._count : saved.max_count;
+      saved.forces.forEach((force, i) => this._all_forces[i].load(force));
+      this._force_set = this._all_forces.filter(force => !force.torn);
+      saved.constraints.forEach((constraint, i) => this._constraint_set[i].load(constraint));
+      (saved.emitters || []).forEach((emitter, i) => this._emitters[i].load(emitter));
+      return true;
     }
+
+    /**
+     * Creates a string representation of a particle system.
+     *
+     * Concatinates the particle count with the set of constraints.
+     *
+     * @return {string} This particle system's text representation.
+     */
+    toString() {
+      var partSysString = "" + this._PARTICLE_COUNT;
+      this.constraint_set.forEach(constraint => {
+        partSysString += constraint.toString();
+      });
+      return partSysString;
+    }
+
   }
-}
+
+  return {
+    PartSys,
+    PARTICLE_SYSTEM,
+    PARTICLE_SYSTEM_STRINGS,
+    SOLVER,
+    SOLVER_STRINGS,
+    createSettings,
+  };
+});
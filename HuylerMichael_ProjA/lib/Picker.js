@@ -0,0 +1,157 @@
+/**
+ * The Picker class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./gl-matrix.js'), require('./State.js'), require('./Force.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root.glMatrix, root, root));
+  }
+})(this, function(glMatrix, {STATE}, {Force, FORCE_TYPE}) {
+  // Largest angle between the cursor ray and a particle, as seen from the
+  // camera, at which the particle can be picked (radians)
+  const PICK_ANGLE = 0.02;
+  // Stiffness (per unit mass) of the spring dragging the picked particle, which
+  // is critically damped
+  const PICK_K = 200;
+  const PICK_DAMP = 2 * Math.sqrt(PICK_K);
+
+  /**
+   * Finds the ray from the camera through a point on the screen.
+   *
+   * @param {!mat4} view The view matrix.
+   * @param {!mat4} projection The projection matrix.
+   * @param {number} x The x position of the point, in normalized device
+   *        coordinates (-1 at the left of the screen, 1 at the right).
+   * @param {number} y The y position of the point, in normalized device
+   *        coordinates (-1 at the bottom of the screen, 1 at the top).
+   * @return {?Object} The ray's origin on the near plane and its unit
+   *         direction, as {origin, direction}, or null if the matrices can't
+   *         be inverted.
+   */
+  function screenRay(view, projection, x, y) {
+    const inverse = glMatrix.mat4.multiply(glMatrix.mat4.create(), projection, view);
+    if (glMatrix.mat4.invert(inverse, inverse) == null)
+      return null;
+    const origin = glMatrix.vec3.transformMat4(glMatrix.vec3.create(), [x, y, -1], inverse);
+    const far = glMatrix.vec3.transformMat4(glMatrix.vec3.create(), [x, y, 1], inverse);
+    const direction = glMatrix.vec3.sub(glMatrix.vec3.create(), far, origin);
+    glMatrix.vec3.normalize(direction, direction);
+    return {
+      origin,
+      direction,
+    };
+  }
+
+  /**
+   * Picks particles along a ray (e.g. from the mouse), and drags them.
+   *
+   * The picked particle is pulled towards a point on the ray, at the distance
+   * it was picked at, by a temporary spring force added to its particle system.
+   * Releasing it removes the force, keeping whatever velocity it was given.
+   */
+  class Picker {
+    /**
+     * @param {number=} k The stiffness of the dragging spring, per unit mass.
+     * @param {number=} damp The damping of the dragging spring, per unit mass.
+     * @param {number=} angle The largest angle from the ray at which particles
+     *        can be picked (radians).
+     */
+    constructor(k = PICK_K, damp = PICK_DAMP, angle = PICK_ANGLE) {
+      this._k = k;
+      this._damp = damp;
+      this._angle = angle;
+      this._part_sys = null;
+      this._particle = -1;
+      this._force = null;
+      this._depth = 0;
+    }
+
+    get part_sys() {
+      return this._part_sys;
+    }
+    get particle() {
+      return this._particle;
+    }
+    get picking() {
+      return this._part_sys != null;
+    }
+
+    /**
+     * Picks the particle nearest a ray, as drawn, and starts dragging it.
+     *
+     * @param {Array<PartSys>} part_systems The particle systems to pick from.
+     * @param {?Object} ray The ray, as {origin, direction} from screenRay().
+     * @return {boolean} Whether a particle was picked.
+     */
+    pick(part_systems, ray) {
+      this.release();
+      if (ray == null)
+        return false;
+      const o = ray.origin;
+      const d = ray.direction;
+      var best = this._angle;
+      part_systems.forEach(part_sys => {
+        const s = part_sys.sR;
+        const size = part_sys.layout.size;
+        for (var i = 0; i < s.length / size; i++) {
+          var x = s[i * size + STATE.P_X] - o[0];
+          var y = s[i * size + STATE.P_Y] - o[1];
+          var z = s[i * size + STATE.P_Z] - o[2];
+          // Distance along the ray, then angle away from it
+          var t = x * d[0] + y * d[1] + z * d[2];
+          if (t <= 0)
+            continue;
+          var angle = Math.sqrt(Math.max(x * x + y * y + z * z - t * t, 0)) / t;
+          if (angle < best) {
+            best = angle;
+            this._part_sys = part_sys;
+            this._particle = i;
+            this._depth = t;
+          }
+        }
+      });
+      if (this._part_sys == null)
+        return false;
+      this._force = new Force(FORCE_TYPE.FORCE_PICK, [this._particle]).init_pick(this._k, this._damp);
+      this._part_sys.addForce(this._force);
+      this.drag(ray);
+      return true;
+    }
+
+    /**
+     * Moves the point the picked particle is dragged towards onto a ray.
+     *
+     * @param {?Object} ray The ray, as {origin, direction} from screenRay().
+     */
+    drag(ray) {
+      if (this._force == null || ray == null)
+        return;
+      this._force.x = ray.origin[0] + ray.direction[0] * this._depth;
+      this._force.y = ray.origin[1] + ray.direction[1] * this._depth;
+      this._force.z = ray.origin[2] + ray.direction[2] * this._depth;
+    }
+
+    /**
+     * Lets go of the picked particle, if any.
+     */
+    release() {
+      if (this._force != null)
+        this._part_sys.removeForce(this._force);
+      this._part_sys = null;
+      this._particle = -1;
+      this._force = null;
+      this._depth = 0;
+    }
+  }
+
+  return {
+    Picker,
+    screenRay,
+  };
+});
@@ -0,0 +1,112 @@
+/**
+ * The Random class.
+ *
+ * A seedable pseudo-random number generator, so that a run of the simulation
+ * can be reproduced exactly from its seed.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory();
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory());
+  }
+})(this, function() {
+  /**
+   * A stream of pseudo-random numbers (mulberry32).
+   *
+   * The simulation draws from the shared stream `Random.sim`. Anything which
+   * happens once per rendered frame rather than once per timestep draws from
+   * `Random.draw` instead, so that the frame rate can't change the simulation.
+   */
+  class Random {
+    /**
+     * @param {number} seed The seed of this stream, as a 32-bit unsigned int.
+     */
+    constructor(seed) {
+      this.seed = seed;
+    }
+
+    get seed() {
+      return this._seed;
+    }
+
+    /**
+     * Restarts this stream from a new seed.
+     */
+    set seed(seed) {
+      this._seed = seed >>> 0;
+      this._state = this._seed;
+    }
+
+    /**
+     * The position in this stream, so that it can be saved and resumed.
+     */
+    get state() {
+      return this._state;
+    }
+
+    set state(state) {
+      this._state = state >>> 0;
+    }
+
+    /**
+     * Draws the next number in this stream.
+     *
+     * @return {number} A number in the range [0, 1), like Math.random().
+     */
+    random() {
+      this._state = (this._state + 0x6D2B79F5) >>> 0;
+      var t = this._state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * The stream used by the simulation.
+     */
+    static get sim() {
+      return __sim_random;
+    }
+
+    /**
+     * The stream used when drawing.
+     */
+    static get draw() {
+      return __draw_random;
+    }
+
+    /**
+     * The seed of the shared streams.
+     */
+    static get seed() {
+      return __sim_random.seed;
+    }
+
+    /**
+     * Restarts both shared streams from a new seed.
+     *
+     * @param {number} seed The new seed.
+     */
+    static reseed(seed) {
+      __sim_random.seed = seed;
+      // Offset the draw stream so that the two aren't identical
+      __draw_random.seed = __sim_random.seed ^ 0x9E3779B9;
+    }
+  }
+
+  // Pick a new seed every time the page loads; it is shown in the GUI so that
+  // an interesting run can be repeated
+  const __sim_random = new Random(0);
+  const __draw_random = new Random(0);
+  Random.reseed(Math.floor(Math.random() * 4294967296));
+
+  return {
+    Random,
+  };
+});
@@ -0,0 +1,209 @@
+/**
+ * The Recorder class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./State.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root));
+  }
+})(this, function({STATE}) {
+  // The slots of each particle which are drawn, and so are recorded
+  const RECORDED_SLOTS = [STATE.P_X, STATE.P_Y, STATE.P_Z, STATE.R, STATE.G, STATE.B, STATE.A, STATE.RADIUS];
+  // Every this many frames, each system is recorded in full rather than as a
+  // delta, so that seeking only has to replay a few frames
+  const KEYFRAME_INTERVAL = 60;
+  // Most frames to record, about a minute at 60 FPS
+  const DEFAULT_MAX_FRAMES = 3600;
+
+  /**
+   * Records the states of particle systems once per timestep, and plays them
+   * back.
+   *
+   * Each frame stores, per recorded system, either the drawn slots of every
+   * particle (a keyframe) or only the slots which changed since the previous
+   * frame (a delta). A system whose count changed is always stored in full.
+   * Playback writes a frame into each system's render state, so it is drawn
+   * without running the solver.
+   */
+  class Recorder {
+    /**
+     * @param {number=} max_frames The most frames to record.
+     */
+    constructor(max_frames = DEFAULT_MAX_FRAMES) {
+      this._max_frames = max_frames;
+      this._part_systems = [];
+      this.clear();
+    }
+
+    get part_systems() {
+      return this._part_systems;
+    }
+    get frame_count() {
+      return this._frames.length;
+    }
+    get max_frames() {
+      return this._max_frames;
+    }
+    get full() {
+      return this._frames.length >= this._max_frames;
+    }
+
+    /**
+     * Adds a particle system to, or removes it from, the recording.
+     *
+     * Changing which systems are recorded clears the recording.
+     *
+     * @param {!PartSys} part_sys The particle system.
+     * @param {boolean} recorded Whether to record the particle system.
+     */
+    select(part_sys, recorded) {
+      const i = this._part_systems.indexOf(part_sys);
+      if (recorded && i < 0) {
+        this._part_systems.push(part_sys);
+      } else if (!recorded && i >= 0) {
+        this._part_systems.splice(i, 1);
+      } else {
+        return;
+      }
+      this.clear();
+    }
+
+    /**
+     * Deletes every recorded frame.
+     */
+    clear() {
+      this._frames = [];
+      // Drawn slots of each system in the last recorded frame
+      this._last = this._part_systems.map(part_sys => pack(part_sys.s1, part_sys.layout.size));
+      // Drawn slots of each system in the frame last seeked to
+      this._decoded = this._last.map(packed => new Float32Array(packed.length));
+      this._decoded_index = -1;
+    }
+
+    /**
+     * Records the latest state of every selected system as the next frame.
+     *
+     * @return {boolean} False if the recording is full, and nothing was recorded.
+     */
+    record() {
+      if (this.full) return false;
+      const keyframe = this._frames.length % KEYFRAME_INTERVAL == 0;
+      this._frames.push(this._part_systems.map((part_sys, s) => {
+        const packed = pack(part_sys.s1, part_sys.layout.size);
+        const last = this._last[s];
+        this._last[s] = packed;
+        if (!keyframe && packed.length == last.length) {
+          const indices = [];
+          for (var i = 0; i < packed.length; i++) {
+            if (packed[i] !== last[i]) indices.push(i);
+          }
+          // A delta takes two words per slot, so only use one if it's smaller
+          if (indices.length * 2 < packed.length) {
+            return {
+              indices: Uint32Array.from(indices),
+              values: Float32Array.from(indices, i => packed[i]),
+            };
+          }
+        }
+        return {
+          indices: null,
+          values: packed,
+        };
+      }));
+      return true;
+    }
+
+    /**
+     * Draws a recorded frame, by writing it into each system's render state.
+     *
+     * Particles recorded beyond a system's current count aren't drawn, and
+     * particles beyond the recorded count are hidden.
+     *
+     * @param {number} index The index of the frame.
+     */
+    show(index) {
+      this.seek(index);
+      this._part_systems.forEach((part_sys, s) => unpack(this._decoded[s], part_sys.sR, part_sys.layout.size));
+    }
+
+    /**
+     * Decodes a recorded frame.
+     *
+     * @param {number} index The index of the frame.
+     * @return {!Array<!Float32Array>} The drawn slots of each recorded system.
+     */
+    seek(index) {
+      if (this._frames.length == 0) return this._decoded;
+      index = Math.max(0, Math.min(index, this._frames.length - 1));
+      // Continue from the frame last seeked to if possible, or else start
+      // again from the keyframe before this one
+      var from = this._decoded_index + 1;
+      if (index < this._decoded_index || index - from > index % KEYFRAME_INTERVAL) {
+        from = index - index % KEYFRAME_INTERVAL;
+      }
+      for (var f = from; f <= index; f++) {
+        this._frames[f].forEach((entry, s) => {
+          if (entry.indices == null) {
+            if (this._decoded[s].length != entry.values.length)
+              this._decoded[s] = new Float32Array(entry.values.length);
+            this._decoded[s].set(entry.values);
+          } else {
+            for (var i = 0; i < entry.indices.length; i++) {
+              this._decoded[s][entry.indices[i]] = entry.values[i];
+            }
+          }
+        });
+      }
+      this._decoded_index = index;
+      return this._decoded;
+    }
+  }
+
+  /**
+   * Copies the drawn slots of every particle out of a state array.
+   *
+   * @param {!Float32Array} s The state array.
+   * @param {number} size The number of floats each particle takes.
+   * @return {!Float32Array} The drawn slots, packed together.
+   */
+  function pack(s, size) {
+    const count = s.length / size;
+    const packed = new Float32Array(count * RECORDED_SLOTS.length);
+    for (var i = 0; i < count; i++) {
+      for (var j = 0; j < RECORDED_SLOTS.length; j++) {
+        packed[i * RECORDED_SLOTS.length + j] = s[i * size + RECORDED_SLOTS[j]];
+      }
+    }
+    return packed;
+  }
+
+  /**
+   * Copies packed drawn slots back into a state array, hiding any particles
+   * which weren't packed.
+   *
+   * @param {!Float32Array} packed The drawn slots, from pack().
+   * @param {!Float32Array} s The state array to write into.
+   * @param {number} size The number of floats each particle takes.
+   */
+  function unpack(packed, s, size) {
+    const count = Math.min(s.length / size, packed.length / RECORDED_SLOTS.length);
+    for (var i = 0; i < count; i++) {
+      for (var j = 0; j < RECORDED_SLOTS.length; j++) {
+        s[i * size + RECORDED_SLOTS[j]] = packed[i * RECORDED_SLOTS.length + j];
+      }
+    }
+    for (var i = count * size; i < s.length; i += size) {
+      s[i + STATE.A] = 0;
+    }
+  }
+
+  return {
+    Recorder,
+  };
+});
@@ -0,0 +1,547 @@
+/**
+ * The Scene class.
+ *
+ * Builds particle systems from a declarative (JSON) scene description, so that
+ * new effects can be authored without editing any JavaScript. See
+ * scenes/README.md for the format.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./State.js'), require('./Force.js'),
+      require('./Constraint.js'), require('./Emitter.js'), require('./PartSys.js'), require('./Random.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root, root, root, root, root, root));
+  }
+})(this, function({STATE, Layout}, {Force, FORCE_TYPE}, {Constraint, CONSTRAINT_TYPE, WALL},
+  {Emitter, EMITTER_SHAPE}, {PartSys, PARTICLE_SYSTEM, SOLVER, createSettings}, {Random}) {
+  /**
+   * Resolves a particle selection to a list of particle indices.
+   *
+   * A selection is either omitted (every particle), a list of indices, or a
+   * range {"from": a, "to": b} which excludes b. Negative indices count back
+   * from the end of the system.
+   *
+   * @param {(Array<number>|Object|undefined)} particles The selection.
+   * @param {number} count The number of particles in the system.
+   * @param {Array<number>=} all The system's list of every particle, which
+   *        follows its count, to select when the selection is omitted.
+   * @return {Array<number>} The selected particles.
+   */
+  function selectParticles(particles, count, all = null) {
+    var wrap = p => p < 0 ? count + p : p;
+    if (particles === undefined)
+      return all || [...Array(count).keys()];
+    if (Array.isArray(particles))
+      return particles.map(wrap);
+    var from = wrap(particles.from || 0);
+    var to = particles.to === undefined ? count : wrap(particles.to);
+    return [...Array(Math.max(to - from, 0)).keys()].map(p => p + from);
+  }
+
+  /**
+   * Generates an initial condition for one particle.
+   *
+   * A value is either a constant (a number, or a list of numbers), a random
+   * range {"min": ..., "max": ...}, "index" for the particle's index, or
+   * {"modulo": n} for the particle's index modulo n.
+   *
+   * @param {(number|Array<number>|string|Object)} value The value to generate.
+   * @param {number} size The number of values to generate.
+   * @param {number} i The index of the particle.
+   * @return {Array<number>} The generated values.
+   */
+  function generate(value, size, i) {
+    var out = [];
+    for (var j = 0; j < size; j++) {
+      if (typeof value === 'number') {
+        out.push(value);
+      } else if (Array.isArray(value)) {
+        out.push(value[j]);
+      } else if (value === 'index') {
+        out.push(i);
+      } else if (value.modulo !== undefined) {
+        out.push(i % value.modulo);
+      } else {
+        var min = Array.isArray(value.min) ? value.min[j] : value.min;
+        var max = Array.isArray(value.max) ? value.max[j] : value.max;
+        out.push(Random.sim.random() * (max - min) + min);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Builds one or more forces from a force description.
+   *
+   * @param {!Object} def The force description.
+   * @param {number} count The number of particles in the system.
+   * @param {Array<number>} all The system's list of every particle.
+   * @return {Array<Force>} The forces described.
+   */
+  function createForces(def, count, all) {
+    var p = selectParticles(def.particles, count, all);
+    var force;
+    switch (def.type) {
+      case "SIMP_GRAVITY":
+      case "DRAG":
+      case "WIND":
+        force = new Force(FORCE_TYPE["FORCE_" + def.type], p).init_vectored(def.magnitude, def.x, def.y, def.z);
+        break;
+      case "SPRING":
+        force = new Force(FORCE_TYPE.FORCE_SPRING, p).init_spring(def.k, def.length, def.damping || 0, def.limit || 0, def.max_strain || 0);
+        break;
+      case "CLOTH":
+        return createCloth(def, count);
+      case "FLOCK":
+        force = new Force(FORCE_TYPE.FORCE_FLOCK, p).init_boid(def.min_radius, def.max_radius,
+          def.binocular_angle * Math.PI / 180, def.monocular_angle * Math.PI / 180,
+          def.k_a, def.k_v, def.k_c, def.k_oa || 0, def.k_gs || 0,
+          selectParticles(def.predators || [], count));
+        break;
+      case "PLANETARY_GRAVITY":
+        force = new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, p).init_planetary(def.G, def.softening, def.theta);
+        break;
+      case "SPH":
+        force = new Force(FORCE_TYPE.FORCE_SPH, p).init_sph(def.radius, def.rest_density, def.stiffness,
+          def.viscosity, def.surface_tension);
+        break;
+      case "LINE_ATTRACTOR":
+      case "VORTEX":
+      case "UNIFORM_POINT_ATTRACTOR":
+      case "POINT_ATTRACTOR":
+        var axis = def.axis || [0, 0, 0];
+        force = new Force(FORCE_TYPE["FORCE_" + def.type], p).init_attractor(...def.position, ...axis,
+          def.power, def.length, def.radius);
+        if (def.wander !== undefined)
+          force.init_wander(def.wander.interval, def.wander.bounds.min, def.wander.bounds.max);
+        break;
+      default:
+        console.log("Unknown force type in scene: " + def.type);
+        return [];
+    }
+    if (def.enabled === false)
+      force.disable();
+    return [force];
+  }
+
+  /**
+   * Builds the structural, shear and bend springs of a rectangular cloth,
+   * laid out row by row.
+   *
+   * @param {!Object} def The cloth description.
+   * @param {number} count The number of particles in the system.
+   * @return {Array<Force>} The springs of the cloth.
+   */
+  function createCloth(def, count) {
+    const w = def.width;
+    const h = Math.floor(count / w);
+    const d = def.spacing;
+    var springs = [];
+    var spring = (a, b, length) => springs.push(
+      new Force(FORCE_TYPE.FORCE_SPRING, [a, b]).init_spring(def.k, length, def.damping || 0, def.limit || 0, def.max_strain || 0));
+    for (var i = 0; i < w * h; i++) {
+      /* Structural Springs */
+      if (i % w < w - 1)
+        spring(i, i + 1, d);
+      if (i < w * (h - 1))
+        spring(i, i + w, d);
+      /* Shear Springs */
+      if (i < w * (h - 1) && i % w < w - 1)
+        spring(i, i + w + 1, Math.SQRT2 * d);
+      if (i < w * (h - 1) && i % w > 0)
+        spring(i, i + w - 1, Math.SQRT2 * d);
+      /* Bend Springs */
+      if (i % w < w - 2)
+        spring(i, i + 2, d * 2);
+      if (i < w * (h - 2))
+        spring(i, i + w * 2, d * 2);
+    }
+    return springs;
+  }
+
+  /**
+   * Finds which walls of a volume constraint are enabled.
+   *
+   * @param {(Array<string>|string|undefined)} walls The names of the walls.
+   * @return {number} The enabled walls, as a WALL bitmask.
+   */
+  function selectWalls(walls) {
+    if (walls === undefined)
+      return WALL.NONE;
+    return [].concat(walls).reduce((mask, wall) => mask | WALL[wall], WALL.NONE);
+  }
+
+  /**
+   * Builds one or more constraints from a constraint description.
+   *
+   * @param {!Object} def The constraint description.
+   * @param {number} count The number of particles in the system.
+   * @param {!Float32Array} initial_conditions The system's initial state, used
+   *        to pin particles where they start.
+   * @param {Array<number>} all The system's list of every particle.
+   * @param {!Layout} layout The layout of the system's particles.
+   * @return {Array<Constraint>} The constraints described.
+   */
+  function createConstraints(def, count, initial_conditions, all, layout) {
+    var p = selectParticles(def.particles, count, all);
+    var color = def.color || [1, 1, 1];
+    var restitution = def.restitution === undefined ? 1 : def.restitution;
+    var constraints;
+    switch (def.type) {
+      case "VOLUME_IMPULSIVE":
+      case "VOLUME_VELOCITY_REVERSE":
+      case "VOLUME_WRAP":
+      case "EXTERNAL_VOLUME_IMPULSIVE":
+        var min = def.bounds.min;
+        var max = def.bounds.max;
+        constraints = [new Constraint(CONSTRAINT_TYPE[def.type], p, color, selectWalls(def.walls), restitution,
+          min[0], max[0], min[1], max[1], min[2], max[2])];
+        break;
+      case "SPHERE":
+        constraints = [new Constraint(CONSTRAINT_TYPE.SPHERE, p, color, WALL.NONE, restitution,
+          ...def.center, def.radius)];
+        break;
+      case "ABSOLUTE":
+        // Without a position, each particle is pinned where it starts
+        constraints = p.map(i => new Constraint(CONSTRAINT_TYPE.ABSOLUTE, [i], color, WALL.NONE, restitution,
+          ...(def.position || initial_conditions.slice(i * layout.size + STATE.P_X, i * layout.size + STATE.P_Z + 1))));
+        break;
+      case "PARTICLE_COLLISION":
+        constraints = [new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, p, color, WALL.NONE, restitution,
+          def.friction, def.iterations)];
+        break;
+      default:
+        console.log("Unknown constraint type in scene: " + def.type);
+        return [];
+    }
+    if (def.enabled === false)
+      constraints.forEach(constraint => constraint.disable());
+    return constraints;
+  }
+
+  /**
+   * Builds an emitter from an emitter description.
+   *
+   * @param {!Object} def The emitter description.
+   * @param {number} count The number of particles in the system.
+   * @param {Array<number>} all The system's list of every particle.
+   * @return {Array<Emitter>} The emitter described, if any.
+   */
+  function createEmitters(def, count, all) {
+    var p = selectParticles(def.particles, count, all);
+    var emitter = new Emitter(EMITTER_SHAPE[def.shape], p);
+    switch (def.shape) {
+      case "POINT":
+        emitter.init_point(def.position);
+        break;
+      case "BOX":
+        emitter.init_box(def.bounds.min, def.bounds.max);
+        break;
+      case "SPHERE":
+        emitter.init_sphere(def.center, def.radius);
+        break;
+      case "DISC":
+        emitter.init_disc(def.center, def.normal || [0, 0, 1], def.radius);
+        break;
+      case "MESH":
+        emitter.init_mesh(def.vertices, def.triangles);
+        break;
+      default:
+        console.log("Unknown emitter shape in scene: " + def.shape);
+        return [];
+    }
+    var range = value => typeof value === 'number' ? [value, value] : [value.min, value.max];
+    if (def.lifetime !== undefined)
+      emitter.init_lifetime(...range(def.lifetime));
+    if (def.velocity !== undefined)
+      emitter.init_velocity(def.velocity.direction || [0, 0, 1], (def.velocity.spread || 0) * Math.PI / 180,
+        ...range(def.velocity.speed || 0));
+    emitter.init_color_curve(def.color || null).init_size_curve(def.size || null);
+    emitter.rate = def.rate || 0;
+    if (def.enabled === false)
+      emitter.disable();
+    return [emitter];
+  }
+
+  /**
+   * Lays particles out in a disc, each in a circular orbit about its center.
+   *
+   * The orbital speed of each particle comes from the mass of every particle
+   * in the system nearer the center than it is, so a heavy particle placed at
+   * the center by an override holds the disc together.
+   *
+   * @param {!Float32Array} s The initial state of the system.
+   * @param {!Object} disc The disc description.
+   * @param {number} count The number of particles in the system.
+   * @param {number} size The number of floats each particle takes.
+   */
+  function createDisc(s, disc, count, size) {
+    var c = disc.center || [0, 0, 0];
+    var thickness = disc.thickness || 0;
+    var G = disc.G === undefined ? 1 : disc.G;
+    var eps2 = Math.pow(disc.softening || 0, 2);
+    var spin = disc.spin === undefined ? 1 : disc.spin;
+    // The disc lies in the plane spanned by u and v, about its normal n
+    var normalize = a => a.map(x => x / Math.hypot(...a));
+    var cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    var n = normalize(disc.normal || [0, 0, 1]);
+    var u = normalize(cross(Math.abs(n[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0], n));
+    var v = cross(n, u);
+    var orbiting = selectParticles(disc.particles, count);
+    orbiting.forEach(i => {
+      var r = generate(disc.radius, 1, i)[0];
+      var angle = Random.sim.random() * 2 * Math.PI;
+      var h = (Random.sim.random() - 0.5) * thickness;
+      for (var j = 0; j < 3; j++) {
+        s[i * size + STATE.P_X + j] = c[j] + r * Math.cos(angle) * u[j] + r * Math.sin(angle) * v[j] + h * n[j];
+      }
+    });
+    // The offset of each particle from the center, within the plane
+    var radial = i => {
+      var d = [0, 1, 2].map(j => s[i * size + STATE.P_X + j] - c[j]);
+      var h = d[0] * n[0] + d[1] * n[1] + d[2] * n[2];
+      return d.map((x, j) => x - h * n[j]);
+    };
+    var distance = [...Array(count).keys()].map(i => Math.hypot(...radial(i)));
+    var by_distance = [...Array(count).keys()].sort((a, b) => distance[a] - distance[b]);
+    orbiting = new Set(orbiting);
+    var enclosed = 0;
+    by_distance.forEach(i => {
+      var r = distance[i];
+      if (orbiting.has(i) && r > 0) {
+        // Circular orbit under softened gravity: v^2 = G M r^2 / (r^2 + ε^2)^1.5
+        var speed = spin * Math.sqrt(G * enclosed * r * r / Math.pow(r * r + eps2, 1.5));
+        var t = cross(n, radial(i));
+        for (var j = 0; j < 3; j++) {
+          s[i * size + STATE.V_X + j] += speed * t[j] / r;
+        }
+      }
+      enclosed += s[i * size + STATE.MASS];
+    });
+  }
+
+  /**
+   * Generates the initial conditions of a system.
+   *
+   * Every attribute of the system's particles but their force can be given an
+   * initial condition by name. Particles are placed by the "position"
+   * condition, laid out in rows by a "grid" generator, or set orbiting by a
+   * "disc" generator. Any particle can be given different conditions with an
+   * override.
+   *
+   * @param {!Object} def The initial conditions description.
+   * @param {number} count The number of particles in the system.
+   * @param {!Layout} layout The layout of the system's particles.
+   * @return {!Float32Array} The initial state of the system.
+   */
+  function createInitialConditions(def, count, layout) {
+    var size = layout.size;
+    var s = new Float32Array(count * size);
+    var conditions = Object.assign({mass: 1, color: [1, 1, 1, 1]}, def);
+    var attributes = layout.attributes.filter(attribute => attribute.name != "force");
+    for (var i = 0; i < count; i++) {
+      attributes.forEach(({name, size: n, offset}) => {
+        if (conditions[name] !== undefined)
+          s.set(generate(conditions[name], n, i), i * size + offset);
+      });
+      if (def.generator === "grid") {
+        var grid = def.grid;
+        var col = i % grid.width;
+        var row = Math.floor(i / grid.width);
+        // With a height, rows are stacked into layers to fill a block
+        var layer = 0;
+        if (grid.height !== undefined) {
+          layer = Math.floor(row / grid.height);
+          row %= grid.height;
+        }
+        for (var j = 0; j < 3; j++) {
+          s[i * size + STATE.P_X + j] = grid.origin[j] +
+            (col * grid.across[j] + row * grid.down[j] + layer * (grid.back || [0, 0, 0])[j]) * grid.spacing;
+        }
+      }
+    }
+    (def.overrides || []).forEach(override => {
+      selectParticles(override.particles, count).forEach(i => {
+        attributes.forEach(({name, size: n, offset}) => {
+          if (override[name] !== undefined)
+            s.set(generate(override[name], n, i), i * size + offset);
+        });
+      });
+    });
+    // Orbits depend on the masses, so the disc is laid out last
+    if (def.generator === "disc")
+      createDisc(s, def.disc, count, size);
+    return s;
+  }
+
+  /**
+   * Finds every type, solver and shape in a scene description which isn't
+   * one of its enum's names, so that a typo fails when the scene is loaded
+   * rather than on every step.
+   *
+   * @param {!Object} description The parsed scene description.
+   * @return {Array<string>} A description of each unknown name.
+   */
+  function findUnknownNames(description) {
+    const known = (names, name) => Object.prototype.hasOwnProperty.call(names, name);
+    const unknown = [];
+    description.systems.forEach(def => {
+      const where = ' in system "' + def.name + '"';
+      if (!known(PARTICLE_SYSTEM, def.type))
+        unknown.push('system type "' + def.type + '"' + where);
+      if (def.solver !== undefined && !known(SOLVER, def.solver))
+        unknown.push('solver "' + def.solver + '"' + where);
+      (def.forces || []).forEach(force_def => {
+        // Cloth is expanded into springs rather than being a force itself, and
+        // picking is only ever added by the mouse
+        const scene_force = force_def.type == "CLOTH" ||
+          (force_def.type != "PICK" && known(FORCE_TYPE, "FORCE_" + force_def.type));
+        if (!scene_force)
+          unknown.push('force type "' + force_def.type + '"' + where);
+      });
+      (def.constraints || []).forEach(constraint_def => {
+        if (!known(CONSTRAINT_TYPE, constraint_def.type))
+          unknown.push('constraint type "' + constraint_def.type + '"' + where);
+        [].concat(constraint_def.walls || []).forEach(wall => {
+          if (!known(WALL, wall))
+            unknown.push('wall "' + wall + '"' + where);
+        });
+      });
+      (def.emitters || []).forEach(emitter_def => {
+        if (!known(EMITTER_SHAPE, emitter_def.shape))
+          unknown.push('emitter shape "' + emitter_def.shape + '"' + where);
+      });
+    });
+    return unknown;
+  }
+
+  /**
+   * A set of particle systems built from a scene description.
+   *
+   * Particle systems are created once, and can be re-initialized from the
+   * description any number of times (e.g. after reseeding the random number
+   * generator) without replacing them.
+   *
+   * Systems are drawn by the VBOBox following the ground plane's, in order,
+   * and their constraints by the VBOBox after the last system's.
+   */
+  class Scene {
+    /**
+     * @param {!Object} description The parsed scene description.
+     * @param {Object=} settings The simulation settings shared by every system.
+     */
+    constructor(description, settings = createSettings()) {
+      this._description = description;
+      this._part_systems = description.systems.map(def =>
+        new PartSys(def.count, settings, new Layout(def.attributes || [])));
+    }
+
+    get name() {
+      return this._description.name;
+    }
+    get description() {
+      return this._description;
+    }
+    get part_systems() {
+      return this._part_systems;
+    }
+
+    /**
+     * Finds a particle system by its name in the scene description.
+     *
+     * @param {string} name The name of the particle system.
+     * @return {?PartSys} The particle system, or null if there is none.
+     */
+    system(name) {
+      const i = this._description.systems.findIndex(def => def.name == name);
+      return i < 0 ? null : this._part_systems[i];
+    }
+
+    /**
+     * Finds how a particle system should be drawn.
+     *
+     * @param {!PartSys} part_sys The particle system.
+     * @return {!Object} The system's render description.
+     */
+    render(part_sys) {
+      return this._description.systems[this._part_systems.indexOf(part_sys)].render || {};
+    }
+
+    /**
+     * (Re-)initializes every particle system from the scene description.
+     *
+     * Systems which have been resized keep their new count.
+     *
+     * @throws {Error} If the description names a type, solver or shape which
+     *         doesn't exist.
+     */
+    init() {
+      const unknown = findUnknownNames(this._description);
+      if (unknown.length > 0)
+        throw new Error('Unknown names in scene "' + this.name + '": ' + unknown.join(", "));
+      const constraint_vbo = this._part_systems.length + 1;
+      this._description.systems.forEach((def, index) => {
+        const part_sys = this._part_systems[index];
+        const count = part_sys.max_count;
+        const all = part_sys.particles;
+        const initial_conditions = createInitialConditions(def.initial || {}, count, part_sys.layout);
+        // Forces may refer to other forces by name
+        const named = {};
+        const goals = [];
+        const force_set = [];
+        (def.forces || []).forEach(force_def => {
+          const forces = createForces(force_def, count, all);
+          if (forces.length && force_def.name !== undefined)
+            named[force_def.name] = forces[0];
+          if (forces.length && force_def.goals !== undefined)
+            goals.push([forces[0], force_def.goals]);
+          force_set.push(...forces);
+        });
+        // Resolve goals once every force has been named. A goal is either the
+        // name of a force, or a fixed point
+        goals.forEach(([force, names]) => force.goals = names.map(name => {
+          if (Array.isArray(name))
+            return name;
+          if (named[name] === undefined)
+            console.log("Unknown goal in scene: " + name);
+          return named[name];
+        }).filter(goal => goal !== undefined));
+        const constraint_set = [];
+        (def.constraints || []).forEach(constraint_def => {
+          constraint_set.push(...createConstraints(constraint_def, count, initial_conditions, all, part_sys.layout));
+        });
+        const emitters = [];
+        (def.emitters || []).forEach(emitter_def => emitters.push(...createEmitters(emitter_def, count, all)));
+        part_sys.init(PARTICLE_SYSTEM[def.type], index + 1, constraint_vbo,
+          force_set, constraint_set, initial_conditions,
+          SOLVER[def.solver || "MIDPOINT"], def.substeps, def.time_scale, emitters);
+      });
+    }
+
+    /**
+     * Changes how many particles a system has, without re-initializing it.
+     *
+     * New particles are given initial conditions from the scene description,
+     * as if the system had been described with that many. Only systems whose
+     * forces, constraints and emitters act on every particle can be resized
+     * (see PartSys.resizable).
+     *
+     * @param {!PartSys} part_sys The particle system.
+     * @param {number} count The new number of particles.
+     * @return {boolean} Whether the system could be resized.
+     */
+    resize(part_sys, count) {
+      const def = this._description.systems[this._part_systems.indexOf(part_sys)];
+      return part_sys.resize(count, createInitialConditions(def.initial || {}, Math.max(0, Math.round(count)), part_sys.layout));
+    }
+  }
+
+  return {
+    Scene,
+  };
+});
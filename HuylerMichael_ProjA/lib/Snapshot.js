@@ -0,0 +1,103 @@
+/**
+ * Snapshot manager.
+ *
+ * Captures and restores the whole scene: every particle system, the GUI
+ * settings and the camera. Snapshots are kept in localStorage, and can also
+ * be downloaded to and loaded from a file.
+ *
+ * @author Michael Huyler
+ */
+
+// localStorage key of the saved snapshot
+const SNAPSHOT_KEY = 'HuylerMichael_ProjA.snapshot';
+// Tracker fields which are measured, or belong to the recording, so aren't saved
+const SNAPSHOT_UNSAVED = ['fps', 'prev', 'accumulator', 'substeps', 'error', 'record', 'replay', 'replay_frame'];
+
+/**
+ * Captures the current state of the scene.
+ *
+ * @return {!Object} The snapshot, as JSON-safe values.
+ */
+function takeSnapshot() {
+  return {
+    scene: scene.name,
+    random: Random.sim.state,
+    tracker: Object.fromEntries(Object.entries(tracker).filter(([key, value]) =>
+      typeof value != 'function' && !SNAPSHOT_UNSAVED.includes(key))),
+    camera: camera.save(),
+    systems: part_systems.map(part_sys => part_sys.save()),
+  };
+}
+
+/**
+ * Returns the scene to the state captured in a snapshot.
+ *
+ * @param {!Object} snapshot A snapshot taken of the current scene.
+ */
+function restoreSnapshot(snapshot) {
+  if (snapshot.scene != scene.name || snapshot.systems.length != part_systems.length) {
+    console.log("Snapshot is of a different scene: " + snapshot.scene);
+    return;
+  }
+  Object.assign(tracker, snapshot.tracker);
+  tracker.accumulator = 0;
+  picker.release();
+  Random.sim.state = snapshot.random;
+  camera.load(snapshot.camera);
+  part_systems.forEach((part_sys, i) => {
+    part_sys.load(snapshot.systems[i]);
+    part_sys.constraint_set.forEach(constraint => constraint.draw(vbo_boxes[part_sys.c_vbo], true));
+  });
+  updateGui();
+}
+
+/**
+ * Saves a snapshot of the scene to localStorage, replacing the last one.
+ */
+function saveSnapshot() {
+  try {
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(takeSnapshot()));
+  } catch (e) {
+    console.log("Failed to save snapshot: " + e);
+  }
+}
+
+/**
+ * Restores the snapshot saved in localStorage.
+ */
+function loadSnapshot() {
+  const saved = localStorage.getItem(SNAPSHOT_KEY);
+  if (saved == null) {
+    console.log("No snapshot saved");
+    return;
+  }
+  restoreSnapshot(JSON.parse(saved));
+}
+
+/**
+ * Downloads a snapshot of the scene as a JSON file.
+ */
+function downloadSnapshot() {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([JSON.stringify(takeSnapshot())], {
+    type: 'application/json'
+  }));
+  link.download = scene.name + '.snapshot.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Asks for a snapshot file, and restores it.
+ */
+function uploadSnapshot() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.onchange = function() {
+    input.files[0].text()
+      .then(text => restoreSnapshot(JSON.parse(text)))
+      .catch(e => console.log("Failed to load snapshot: " + e));
+  };
+  input.click();
+}
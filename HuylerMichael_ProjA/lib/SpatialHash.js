@@ -0,0 +1,190 @@
+/**
+ * The SpatialHash class.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory(require('./State.js'));
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory(root));
+  }
+})(this, function({STATE, STATE_SIZE}) {
+  /**
+   * Finds the particles near a point, by hashing particles into a uniform grid
+   * of cells.
+   *
+   * Building takes O(n), and a query only visits the cells overlapping its
+   * radius, so finding the neighbors of every particle is O(n) rather than
+   * O(n^2) when particles are spread out. The grid is unbounded: each cell is
+   * hashed into a table about twice the number of particles, and cells which
+   * share a slot of the table are told apart by distance.
+   *
+   * Build the hash from the state array being worked on, then query it with
+   * that same state array.
+   */
+  class SpatialHash {
+    /**
+     * @param {number=} cell_size The width of each cell, ideally about the
+     *        radius most queries use.
+     */
+    constructor(cell_size = 1) {
+      this._cell_size = cell_size;
+      this._s = null;
+      // The number of floats each particle takes in the state array
+      this._size = STATE_SIZE;
+      // The particles in each slot of the table are entries
+      // [_start[slot], _start[slot + 1])
+      this._start = new Int32Array(1);
+      this._entries = new Int32Array(0);
+      this._slots = new Int32Array(0);
+      // The query each slot was last visited by, so that a slot shared by
+      // several cells is only searched once per query
+      this._visited = new Int32Array(0);
+      this._query = 0;
+      this._results = [];
+    }
+
+    get cell_size() {
+      return this._cell_size;
+    }
+    set cell_size(cell_size) {
+      this._cell_size = cell_size;
+    }
+
+    /**
+     * Hashes particles into the grid.
+     *
+     * @param {!Float32Array} s The state array.
+     * @param {Array<number>} particles The particles to hash.
+     * @param {number=} cell_size The width of each cell.
+     * @param {number=} size The number of floats each particle takes in the
+     *        state array.
+     */
+    build(s, particles, cell_size = this._cell_size, size = STATE_SIZE) {
+      this._s = s;
+      this._cell_size = cell_size;
+      this._size = size;
+      // A power of two at least twice the number of particles
+      var table_size = 1;
+      while (table_size < particles.length * 2) table_size *= 2;
+      if (this._start.length != table_size + 1) {
+        this._start = new Int32Array(table_size + 1);
+        this._visited = new Int32Array(table_size);
+      } else {
+        this._start.fill(0);
+      }
+      if (this._entries.length != particles.length) {
+        this._entries = new Int32Array(particles.length);
+        this._slots = new Int32Array(particles.length);
+      }
+
+      // Counting sort of the particles by slot
+      for (var i = 0; i < particles.length; i++) {
+        var p = particles[i] * size;
+        this._slots[i] = this._slot(this._cell(s[p + STATE.P_X]), this._cell(s[p + STATE.P_Y]), this._cell(s[p + STATE.P_Z]));
+        this._start[this._slots[i]]++;
+      }
+      // Running totals give the end of each slot's entries, which become the
+      // start as each slot is filled from its end
+      for (var slot = 1; slot < table_size; slot++) {
+        this._start[slot] += this._start[slot - 1];
+      }
+      this._start[table_size] = particles.length;
+      for (var i = particles.length - 1; i >= 0; i--) {
+        this._entries[--this._start[this._slots[i]]] = particles[i];
+      }
+    }
+
+    /**
+     * Finds the particles within a distance of a point.
+     *
+     * @param {number} x The x position of the point.
+     * @param {number} y The y position of the point.
+     * @param {number} z The z position of the point.
+     * @param {number} radius The distance to search within.
+     * @return {!Array<number>} The particles found, including any at the point
+     *         itself. The array is reused by the next query.
+     */
+    query(x, y, z, radius) {
+      const s = this._s;
+      const results = this._results;
+      results.length = 0;
+      if (s == null)
+        return results;
+      const radius2 = radius * radius;
+      const x_min = this._cell(x - radius);
+      const y_min = this._cell(y - radius);
+      const z_min = this._cell(z - radius);
+      const x_max = this._cell(x + radius);
+      const y_max = this._cell(y + radius);
+      const z_max = this._cell(z + radius);
+      var visit = (slot) => {
+        for (var e = this._start[slot]; e < this._start[slot + 1]; e++) {
+          var p = this._entries[e] * this._size;
+          var dx = s[p + STATE.P_X] - x;
+          var dy = s[p + STATE.P_Y] - y;
+          var dz = s[p + STATE.P_Z] - z;
+          if (dx * dx + dy * dy + dz * dz <= radius2)
+            results.push(this._entries[e]);
+        }
+      };
+      // A radius much larger than the cells covers more cells than the table
+      // has slots, so just search every slot
+      if ((x_max - x_min + 1) * (y_max - y_min + 1) * (z_max - z_min + 1) > this._visited.length) {
+        for (var slot = 0; slot < this._visited.length; slot++) {
+          visit(slot);
+        }
+        return results;
+      }
+      this._query++;
+      for (var cx = x_min; cx <= x_max; cx++) {
+        for (var cy = y_min; cy <= y_max; cy++) {
+          for (var cz = z_min; cz <= z_max; cz++) {
+            var slot = this._slot(cx, cy, cz);
+            if (this._visited[slot] == this._query)
+              continue;
+            this._visited[slot] = this._query;
+            visit(slot);
+          }
+        }
+      }
+      return results;
+    }
+
+    /**
+     * Finds the particles within a distance of a particle.
+     *
+     * @param {number} p The particle.
+     * @param {number} radius The distance to search within.
+     * @return {!Array<number>} The particles found, including p. The array is
+     *         reused by the next query.
+     */
+    neighbors(p, radius) {
+      const s = this._s;
+      return this.query(s[p * this._size + STATE.P_X], s[p * this._size + STATE.P_Y], s[p * this._size + STATE.P_Z], radius);
+    }
+
+    /**
+     * Finds the cell containing a coordinate.
+     */
+    _cell(x) {
+      return Math.floor(x / this._cell_size);
+    }
+
+    /**
+     * Hashes a cell to a slot of the table.
+     */
+    _slot(cx, cy, cz) {
+      const h = Math.imul(cx, 73856093) ^ Math.imul(cy, 19349663) ^ Math.imul(cz, 83492791);
+      return (h >>> 0) & (this._visited.length - 1);
+    }
+  }
+
+  return {
+    SpatialHash,
+  };
+});
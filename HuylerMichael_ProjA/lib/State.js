@@ -0,0 +1,161 @@
+/**
+ * The particle state layout.
+ *
+ * Shared by particle systems, forces and constraints, which all index into
+ * the same flat state arrays. Each system's layout can add attributes of its
+ * own after the built-in ones.
+ *
+ * @author Michael Huyler
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node: export as a CommonJS module
+    module.exports = factory();
+  } else {
+    // Browser: expose as globals
+    Object.assign(root, factory());
+  }
+})(this, function() {
+  /**
+   * Slots of the built-in attributes of each particle in a state array.
+   *
+   * @enum {number}
+   */
+  const STATE = {
+    P_X: 0,
+    P_Y: 1,
+    P_Z: 2,
+    V_X: 3,
+    V_Y: 4,
+    V_Z: 5,
+    F_X: 6,
+    F_Y: 7,
+    F_Z: 8,
+    R: 9,
+    G: 10,
+    B: 11,
+    A: 12,
+    MASS: 13,
+    RADIUS: 14,
+    AGE: 15,
+  };
+  /**
+   * The attributes every particle has, and how many floats each takes, in the
+   * order of their slots in STATE.
+   */
+  const BUILT_IN_ATTRIBUTES = [
+    {name: "position", size: 3},
+    {name: "velocity", size: 3},
+    {name: "force", size: 3},
+    {name: "color", size: 4},
+    {name: "mass", size: 1},
+    {name: "radius", size: 1},
+    {name: "age", size: 1},
+  ];
+
+  /**
+   * The attributes of each particle in a state array, and where each one is
+   * stored.
+   *
+   * The built-in attributes always come first, so STATE holds their slots in
+   * every layout. Any others (e.g. charge, temperature, or anything a force
+   * needs to keep per particle) follow in the order declared, and are found
+   * by name with offset(). Only position and velocity are integrated; the
+   * rest are left for forces, constraints and emitters to change.
+   */
+  class Layout {
+    /**
+     * @param {Array<!Object>=} attributes The attributes to add after the
+     *        built-in ones, as {name, size}, where size (default 1) is how
+     *        many floats the attribute takes.
+     */
+    constructor(attributes = []) {
+      this._attributes = [];
+      this._offsets = {};
+      this._size = 0;
+      [...BUILT_IN_ATTRIBUTES, ...attributes].forEach(({name, size = 1}) => {
+        if (this._offsets[name] !== undefined) {
+          console.log("Particle attribute declared twice: " + name);
+          return;
+        }
+        this._attributes.push({name, size, offset: this._size});
+        this._offsets[name] = this._size;
+        this._size += size;
+      });
+    }
+
+    /**
+     * The number of floats each particle takes.
+     */
+    get size() {
+      return this._size;
+    }
+    /**
+     * Every attribute, as {name, size, offset}, in the order stored.
+     */
+    get attributes() {
+      return this._attributes.map(attribute => Object.assign({}, attribute));
+    }
+
+    /**
+     * Finds whether particles have an attribute.
+     *
+     * @param {string} name The name of the attribute.
+     * @return {boolean} Whether the attribute exists.
+     */
+    has(name) {
+      return this._offsets[name] !== undefined;
+    }
+
+    /**
+     * Finds where an attribute is stored within each particle.
+     *
+     * @param {string} name The name of the attribute.
+     * @return {number} The slot of the attribute's first float, or -1 if there
+     *         is no such attribute.
+     */
+    offset(name) {
+      if (this._offsets[name] === undefined) {
+        console.log("Unknown particle attribute: " + name);
+        return -1;
+      }
+      return this._offsets[name];
+    }
+
+    /**
+     * Finds where shader attributes read from each particle, for a VBOBox.
+     *
+     * @param {Array<string>} names The names of the attributes to read.
+     * @param {number} id The index of the VBOBox, which each shader attribute
+     *        name ends with.
+     * @return {!Object} The slot and size of each shader attribute, as
+     *         {a_<name>_<id>: [offset, size]}.
+     */
+    bindings(names, id) {
+      return Object.fromEntries(this._attributes.filter(attribute => names.includes(attribute.name))
+        .map(attribute => ["a_" + attribute.name + "_" + id, [attribute.offset, attribute.size]]));
+    }
+
+    /**
+     * Saves the attributes added after the built-in ones, in the form the
+     * constructor accepts.
+     *
+     * @return {Array<!Object>} The added attributes, as {name, size}.
+     */
+    save() {
+      return this._attributes.slice(BUILT_IN_ATTRIBUTES.length).map(({name, size}) => ({name, size}));
+    }
+  }
+
+  // The layout of particles with only the built-in attributes
+  const DEFAULT_LAYOUT = new Layout();
+  const STATE_SIZE = DEFAULT_LAYOUT.size;
+
+  return {
+    STATE,
+    STATE_SIZE,
+    Layout,
+    DEFAULT_LAYOUT,
+  };
+});
@@ -4,16 +4,6 @@
  * @author Michael Huyler
  */
 
-/* Camera variables */
-// where the camera is
-var g_perspective_eye = [16, 0, 1];
-// where the camera is pointing
-var g_perspective_lookat = [15, 0, 1];
-// the camera's up axis
-var g_perspective_up = [0, 0, 1];
-// rotation step
-var theta = 3.14;
-
 /**
  * A complete encapsulation of a VBO and its corresponding shader program.
  *
@@ -41,14 +31,16 @@ class VBOBox {
     this._vbo = vertex_array;
 
     /* VBO metadata */
-    // Number of vertices in the VBO
+    // Number of floats each vertex has
+    this.attribute_count = attribute_count;
+    // Number of vertices to draw, which follows the length of the vbo array
     this.vertex_count = this._vbo.length / attribute_count;
     // Number of bytes each float requires
     this.FSIZE = this._vbo.BYTES_PER_ELEMENT;
-    // Total size of the VBO in bytes
+    // Total size of the VBO in bytes, which grows as needed by reload()
     this.vbo_size = this._vbo.length * this.FSIZE;
     // Size of a single vertex in bytes
-    this.vbo_stride = this.vbo_size / this.vertex_count;
+    this.vbo_stride = attribute_count * this.FSIZE;
     // How to interpret the vertices
     this.draw_method = draw_method;
 
@@ -109,11 +101,26 @@ class VBOBox {
   }
   set vbo(vbo) {
     this._vbo = vbo;
+    this.vertex_count = vbo.length / this.attribute_count;
   }
   set view_matrix(matrix) {
     this._view_matrix = matrix;
   }
 
+  /**
+   * Declares attributes in a vertex shader, with a GLSL type for their size.
+   *
+   * @param {[string: number]} attributes A dictionary of attributes, in the
+   *        form the constructor accepts.
+   * @return {string} The GLSL attribute declarations.
+   */
+  static declare(attributes) {
+    return Object.keys(attributes).map(name => {
+      const count = attributes[name][1];
+      return `attribute ${count == 1 ? 'float' : 'vec' + count} ${name};`;
+    }).join('\n    ');
+  }
+
   /**
    * Initializes a VBOBox, finds GPU locaiton of all variables.
    */
@@ -218,13 +225,8 @@ class VBOBox {
    */
   adjust() {
     this.custom_adjust();
-    glMatrix.mat4.perspective(this.projection_matrix, 30 * Math.PI / 180, aspect, 1, 100);
-    glMatrix.mat4.lookAt(
-      this.view_matrix,
-      glMatrix.vec3.fromValues(g_perspective_eye[0], g_perspective_eye[1], g_perspective_eye[2]),
-      glMatrix.vec3.fromValues(g_perspective_lookat[0], g_perspective_lookat[1], g_perspective_lookat[2]),
-      glMatrix.vec3.fromValues(g_perspective_up[0], g_perspective_up[1], g_perspective_up[2]),
-    );
+    camera.projection(this.projection_matrix, aspect);
+    camera.view(this.view_matrix);
     glMatrix.mat4.identity(this.model_matrix);
     gl.uniformMatrix4fv(this.u_model_matrix_loc, false, this.model_matrix);
     gl.uniformMatrix4fv(this.u_view_matrix_loc, false, this.view_matrix);
@@ -248,12 +250,21 @@ class VBOBox {
    * Useful if independent vertices should move. Modifications to this VBOBox's
    * vbo array will be substituted into the GPU's VBO.
    *
+   * If the data doesn't fit, the GPU's VBO is reallocated at (at least) double
+   * the size, e.g. when a particle system grows. Reallocating discards its
+   * contents, so data which may not fit should be reloaded from index 0.
+   *
    * @param {!Float32Array} data The data to sub into the VBO.
    * @param {number=} index The index to start substituting data at.
    */
   reload(data, index = 0) {
     gl.useProgram(this.shader_loc);
     gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo_loc);
+    const size = (index + data.length) * this.FSIZE;
+    if (size > this.vbo_size) {
+      this.vbo_size = Math.max(size, this.vbo_size * 2);
+      gl.bufferData(gl.ARRAY_BUFFER, this.vbo_size, gl.DYNAMIC_DRAW);
+    }
     gl.bufferSubData(gl.ARRAY_BUFFER, index * this.FSIZE, data);
   }
 }
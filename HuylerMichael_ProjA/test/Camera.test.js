@@ -0,0 +1,131 @@
+/**
+ * Tests for moving the camera.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const glMatrix = require('../lib/gl-matrix.js');
+const {Camera, CAMERA_MODE} = require('../lib/Camera.js');
+const {Scene} = require('../lib/Scene.js');
+
+/**
+ * Asserts that two points are within a distance of each other.
+ */
+function assertNear(actual, expected, epsilon = 1e-6) {
+  assert.ok(glMatrix.vec3.distance(actual, expected) < epsilon, `${actual} is not ${expected}`);
+}
+
+/**
+ * Finds where a point is drawn by a camera, in normalized device coordinates.
+ */
+function project(camera, aspect, point) {
+  const clip = glMatrix.mat4.multiply(glMatrix.mat4.create(),
+    camera.projection(glMatrix.mat4.create(), aspect), camera.view(glMatrix.mat4.create()));
+  return glMatrix.vec3.transformMat4(glMatrix.vec3.create(), point, clip);
+}
+
+test('the view matrix looks from the eye at the target', () => {
+  const camera = new Camera([16, 0, 1], [0, 0, 1]);
+  assertNear(camera.eye, [16, 0, 1]);
+  assertNear(camera.target, [0, 0, 1]);
+  const expected = glMatrix.mat4.lookAt(glMatrix.mat4.create(), [16, 0, 1], [0, 0, 1], [0, 0, 1]);
+  const view = camera.view(glMatrix.mat4.create());
+  assert.ok(view.every((x, i) => Math.abs(x - expected[i]) < 1e-6));
+});
+
+test('orbiting keeps the target and distance, and never flips over', () => {
+  const camera = new Camera([4, 0, 1], [0, 0, 1]);
+  camera.orbit(Math.PI / 2, 0);
+  camera.jump();
+  // Turning left moves the eye round to the camera's right
+  assertNear(camera.eye, [0, 4, 1]);
+  camera.orbit(0, 10);
+  camera.jump();
+  assertNear(camera.target, [0, 0, 1]);
+  assert.ok(Math.abs(glMatrix.vec3.distance(camera.eye, camera.target) - 4) < 1e-6);
+  assert.ok(camera.eye[2] > 4.99 && camera.eye[2] < 5);
+});
+
+test('panning moves the eye and target together, and dollying only the eye', () => {
+  const camera = new Camera([4, 0, 1], [0, 0, 1]);
+  camera.pan(0.5, 0.25);
+  camera.jump();
+  // Looking along -x, right is +y
+  assertNear(camera.target, [0, 2, 2]);
+  assertNear(camera.eye, [4, 2, 2]);
+  camera.dolly(0.5);
+  camera.jump();
+  assertNear(camera.target, [0, 2, 2]);
+  assertNear(camera.eye, [2, 2, 2]);
+  camera.dolly(1e-6);
+  camera.jump();
+  assert.ok(glMatrix.vec3.distance(camera.eye, camera.target) > 0);
+});
+
+test('flying moves the eye and target together, and turning keeps the eye', () => {
+  const camera = new Camera([16, 0, 1], [15, 0, 1]);
+  camera.mode = CAMERA_MODE.FLY;
+  camera.fly(0.5, 1);
+  camera.jump();
+  assertNear(camera.eye, [15.5, 1, 1]);
+  assertNear(camera.target, [14.5, 1, 1]);
+  camera.turn(-Math.PI / 2, 0);
+  camera.jump();
+  assertNear(camera.eye, [15.5, 1, 1]);
+  assertNear(camera.target, [15.5, 2, 1]);
+});
+
+test('movement is smoothed over time', () => {
+  const camera = new Camera([4, 0, 1], [0, 0, 1]);
+  camera.smoothing = 0.1;
+  camera.pan(0, 1);
+  camera.update(0.1);
+  // 1 - 1/e of the way there after one smoothing time
+  assert.ok(Math.abs(camera.target[2] - (1 + 4 * (1 - Math.exp(-1)))) < 1e-6);
+  camera.update(10);
+  assertNear(camera.target, [0, 0, 5]);
+
+  camera.smoothing = 0;
+  camera.dolly(2);
+  camera.update(0);
+  assertNear(camera.eye, [8, 0, 5]);
+});
+
+test('focusing on a particle system shows all of it', () => {
+  const scenes = [new Scene(require('../scenes/default.json')), new Scene(require('../scenes/galaxy.json'))];
+  scenes.forEach(scene => {
+    scene.init();
+    scene.part_systems.forEach(part_sys => {
+      const camera = new Camera();
+      camera.mode = CAMERA_MODE.FLY;
+      const {min, max} = part_sys.bounds();
+      assert.ok(min.every((x, i) => x < max[i]));
+      camera.focus(min, max);
+      camera.jump();
+      assert.strictEqual(camera.mode, CAMERA_MODE.ORBIT);
+      for (var corner = 0; corner < 8; corner++) {
+        const point = [0, 1, 2].map(i => (corner >> i) & 1 ? max[i] : min[i]);
+        const ndc = project(camera, 1.5, point);
+        assert.ok(ndc.every(x => Math.abs(x) <= 1), `${point} is drawn at ${ndc}`);
+      }
+    });
+  });
+});
+
+test('a saved camera is restored, as are cameras saved before it could orbit', () => {
+  const camera = new Camera([3, 4, 5], [1, 1, 1]);
+  camera.mode = CAMERA_MODE.FLY;
+  camera.smoothing = 0.5;
+  const loaded = new Camera();
+  loaded.load(JSON.parse(JSON.stringify(camera.save())));
+  assertNear(loaded.eye, [3, 4, 5], 1e-5);
+  assertNear(loaded.target, [1, 1, 1], 1e-5);
+  assert.strictEqual(loaded.mode, CAMERA_MODE.FLY);
+  assert.strictEqual(loaded.smoothing, 0.5);
+
+  loaded.load({eye: [16, 0, 1], lookat: [15, 0, 1], up: [0, 0, 1], theta: 3.14});
+  assertNear(loaded.eye, [16, 0, 1]);
+  assertNear(loaded.target, [15, 0, 1]);
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for each type of constraint.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, STATE_SIZE} = require('../lib/State.js');
+const {Constraint, CONSTRAINT_TYPE, WALL} = require('../lib/Constraint.js');
+const {createState, place, get} = require('./helpers.js');
+
+const settings = {drag: 0.9};
+
+/**
+ * Applies a single constraint to a particle which moved from p1 to p2.
+ */
+function constrain(constraint, p1, v1, p2, v2) {
+  const s1 = createState(1);
+  const s2 = createState(1);
+  place(s1, 0, p1, v1);
+  place(s2, 0, p2, v2);
+  constraint.constrain(s1, s2, settings);
+  return s2;
+}
+
+test('VOLUME_IMPULSIVE bounces off the floor with restitution', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2);
+  const s = constrain(constraint, [0, 0, 0.1], [0, 0, -4], [0, 0, -0.1], [0, 0, -4.2]);
+  assert.strictEqual(get(s, 0, STATE.P_Z), 0);
+  assert.ok(Math.abs(get(s, 0, STATE.V_Z) - 4 * settings.drag * 0.5) < 1e-6);
+});
+
+test('VOLUME_IMPULSIVE puts back particles already moving inwards, without bouncing them', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2);
+  const s = constrain(constraint, [0, 0, 0.1], [0, 0, 1], [0, 0, -0.1], [0, 0, 1]);
+  assert.strictEqual(get(s, 0, STATE.P_Z), 0);
+  assert.strictEqual(get(s, 0, STATE.V_Z), 1);
+});
+
+test('VOLUME_IMPULSIVE ignores disabled walls', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0], null, WALL.TOP, 0.5, -1, 1, -1, 1, 0, 2);
+  const s = constrain(constraint, [0, 0, 0.1], [0, 0, -4], [0, 0, -0.1], [0, 0, -4.2]);
+  assert.ok(Math.abs(get(s, 0, STATE.P_Z) + 0.1) < 1e-6);
+  assert.ok(Math.abs(get(s, 0, STATE.V_Z) + 4.2) < 1e-6);
+});
+
+test('VOLUME_VELOCITY_REVERSE reverses velocity with restitution', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.VOLUME_VELOCITY_REVERSE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2);
+  const s = constrain(constraint, [0.9, 0, 1], [2, 0, 0], [1.1, 0, 1], [2, 0, 0]);
+  assert.strictEqual(get(s, 0, STATE.V_X), -1);
+  assert.ok(Math.abs(get(s, 0, STATE.P_X) - 1.1) < 1e-6);
+});
+
+test('SPHERE pushes particles out to its surface', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.SPHERE, [0], null, WALL.NONE, 1, 0, 0, 0, 1);
+  const s = constrain(constraint, [0, 0, 1.1], [0, 0, -2], [0, 0, 0.9], [0, 0, -2]);
+  assert.ok(Math.abs(get(s, 0, STATE.P_Z) - 1) < 1e-6);
+  assert.ok(Math.abs(get(s, 0, STATE.V_Z) - 2) < 1e-6);
+});
+
+test('ABSOLUTE pins particles in place', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.ABSOLUTE, [0], null, WALL.NONE, 1, 1, 2, 3);
+  const s = constrain(constraint, [0, 0, 0], [1, 1, 1], [0.1, 0.1, 0.1], [1, 1, 1]);
+  assert.deepStrictEqual(Array.from(s.slice(STATE.P_X, STATE.V_Z + 1)), [1, 2, 3, 0, 0, 0]);
+});
+
+test('VOLUME_WRAP wraps particles to the opposite wall', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.VOLUME_WRAP, [0], null, WALL.ALL, 1, -1, 1, -1, 1, 0, 2);
+  const s = constrain(constraint, [0, 0.9, 1], [0, 2, 0], [0, 1.1, 1], [0, 2, 0]);
+  assert.strictEqual(get(s, 0, STATE.P_Y), -1);
+  assert.strictEqual(get(s, 0, STATE.V_Y), 2);
+});
+
+test('EXTERNAL_VOLUME_IMPULSIVE keeps particles out of the volume', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.EXTERNAL_VOLUME_IMPULSIVE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2);
+  const s = constrain(constraint, [-1.1, 0, 1], [2, 0, 0], [-0.9, 0, 1], [2, 0, 0]);
+  assert.strictEqual(get(s, 0, STATE.P_X), -1);
+  assert.ok(Math.abs(get(s, 0, STATE.V_X) + 2 * settings.drag * 0.5) < 1e-6);
+});
+
+/**
+ * Applies a particle collision constraint to two particles of radius 0.5,
+ * along with the rest of a constraint set as a particle system would.
+ */
+function collide(constraint, p, v, masses = [1, 1], constraint_set = [constraint]) {
+  const s1 = createState(2);
+  const s2 = createState(2);
+  for (var i = 0; i < 2; i++) {
+    place(s2, i, p[i], v[i]);
+    s2[i * STATE_SIZE + STATE.MASS] = masses[i];
+    s2[i * STATE_SIZE + STATE.RADIUS] = 0.5;
+  }
+  constraint_set.forEach(constraint => constraint.constrain(s1, s2, settings, constraint_set));
+  return s2;
+}
+
+test('PARTICLE_COLLISION pushes overlapping particles apart, the heavier less', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 1);
+  const s = collide(constraint, [[0, 0, 0], [0.7, 0, 0]], [[0, 0, 0], [0, 0, 0]], [1, 2]);
+  assert.ok(Math.abs(get(s, 0, STATE.P_X) + 0.2) < 1e-6);
+  assert.ok(Math.abs(get(s, 1, STATE.P_X) - 0.8) < 1e-6);
+  // Particles at rest aren't set moving
+  assert.strictEqual(get(s, 0, STATE.V_X), 0);
+  assert.strictEqual(get(s, 1, STATE.V_X), 0);
+  // Particles which don't overlap aren't touched
+  const apart = collide(constraint, [[0, 0, 0], [1.1, 0, 0]], [[1, 0, 0], [0, 0, 0]]);
+  assert.strictEqual(get(apart, 0, STATE.P_X), 0);
+  assert.strictEqual(get(apart, 0, STATE.V_X), 1);
+});
+
+test('PARTICLE_COLLISION bounces approaching particles with restitution, conserving momentum', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 0.5);
+  const s = collide(constraint, [[0, 0, 0], [0.9, 0, 0]], [[2, 0, 0], [-1, 0, 0]], [1, 2]);
+  const v = [get(s, 0, STATE.V_X), get(s, 1, STATE.V_X)];
+  assert.ok(Math.abs(v[0] + 2 * v[1]) < 1e-6);
+  // They separate at half the speed they approached at
+  assert.ok(Math.abs((v[1] - v[0]) - 1.5) < 1e-6);
+  // Particles already moving apart keep their velocities
+  const leaving = collide(constraint, [[0, 0, 0], [0.9, 0, 0]], [[-1, 0, 0], [1, 0, 0]]);
+  assert.strictEqual(get(leaving, 0, STATE.V_X), -1);
+  assert.strictEqual(get(leaving, 1, STATE.V_X), 1);
+});
+
+test('PARTICLE_COLLISION slows particles sliding past each other with friction', () => {
+  const smooth = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 0);
+  const rough = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 0, 0.5);
+  const p = [[0, 0, 0], [0, 0, 0.9]];
+  const v = [[0, 0, 0], [1, 0, -1]];
+  assert.ok(Math.abs(get(collide(smooth, p, v), 1, STATE.V_X) - 1) < 1e-6);
+  // The normal impulse is 0.5, so friction's is at most 0.25
+  const s = collide(rough, p, v);
+  assert.ok(Math.abs(get(s, 1, STATE.V_X) - 0.75) < 1e-6);
+  assert.ok(Math.abs(get(s, 0, STATE.V_X) - 0.25) < 1e-6);
+  // But never enough to reverse their sliding
+  const stuck = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 0, 10);
+  const t = collide(stuck, p, v);
+  assert.ok(Math.abs(get(t, 1, STATE.V_X) - get(t, 0, STATE.V_X)) < 1e-6);
+});
+
+test('PARTICLE_COLLISION separates particles at the same position', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 1);
+  const s = collide(constraint, [[1, 1, 1], [1, 1, 1]], [[0, 0, 0], [0, 0, 0]]);
+  assert.ok(Math.abs(get(s, 0, STATE.P_Z) - 0.5) < 1e-6);
+  assert.ok(Math.abs(get(s, 1, STATE.P_Z) - 1.5) < 1e-6);
+});
+
+test('PARTICLE_COLLISION keeps particles inside walls, whichever order they are listed in', () => {
+  const collision = new Constraint(CONSTRAINT_TYPE.PARTICLE_COLLISION, [0, 1], null, WALL.NONE, 0.5);
+  const floor = new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0, 1], null, WALL.BOTTOM, 0.5, -1, 1, -1, 1, 0, 2);
+  const p = [[0, 0, 0], [0, 0, 0.7]];
+  const v = [[0, 0, 0], [0, 0, -1]];
+  const first = collide(collision, p, v, [1, 1], [collision, floor]);
+  const last = collide(collision, p, v, [1, 1], [floor, collision]);
+  assert.deepStrictEqual(first, last);
+  // The particle on the floor is held there, so the other moves away instead
+  assert.strictEqual(get(first, 0, STATE.P_Z), 0);
+  assert.ok(Math.abs(get(first, 1, STATE.P_Z) - 1) < 1e-6);
+  assert.ok(get(first, 1, STATE.V_Z) > 0);
+});
+
+test('disabled constraints do nothing', () => {
+  const constraint = new Constraint(CONSTRAINT_TYPE.ABSOLUTE, [0], null, WALL.NONE, 1, 1, 2, 3);
+  constraint.disable();
+  const s = constrain(constraint, [0, 0, 0], [0, 0, 0], [0.5, 0, 0], [0, 0, 0]);
+  assert.strictEqual(get(s, 0, STATE.P_X), 0.5);
+});
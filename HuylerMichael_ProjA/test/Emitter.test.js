@@ -0,0 +1,204 @@
+/**
+ * Tests for giving birth to particles with emitters.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, STATE_SIZE} = require('../lib/State.js');
+const {Emitter, EMITTER_SHAPE} = require('../lib/Emitter.js');
+const {PartSys, PARTICLE_SYSTEM, SOLVER} = require('../lib/PartSys.js');
+const {Random} = require('../lib/Random.js');
+const {Scene} = require('../lib/Scene.js');
+const {createState, get, createSystem} = require('./helpers.js');
+
+/**
+ * Finds the position of a particle in a state array.
+ */
+function position(s, i) {
+  return [STATE.P_X, STATE.P_Y, STATE.P_Z].map(slot => get(s, i, slot));
+}
+
+/**
+ * Kills every particle of an emitter, and has it give birth to them again.
+ */
+function respawn(emitter, count) {
+  const s = createState(count);
+  for (var i = 0; i < count; i++)
+    s[i * STATE_SIZE + STATE.AGE] = -1;
+  emitter.emit(s, 1 / 60, 0);
+  return s;
+}
+
+test('particles are born on the emitter\'s shape', () => {
+  const count = 200;
+  var s = respawn(new Emitter(EMITTER_SHAPE.POINT, [0]).init_point([1, 2, 3]), 1);
+  assert.deepStrictEqual(position(s, 0), [1, 2, 3]);
+
+  s = respawn(new Emitter(EMITTER_SHAPE.BOX, [...Array(count).keys()]).init_box([0, 1, 2], [1, 3, 5]), count);
+  for (var i = 0; i < count; i++)
+    position(s, i).forEach((x, j) => assert.ok(x >= [0, 1, 2][j] && x <= [1, 3, 5][j]));
+
+  s = respawn(new Emitter(EMITTER_SHAPE.SPHERE, [...Array(count).keys()]).init_sphere([1, 1, 1], 0.5), count);
+  for (var i = 0; i < count; i++)
+    assert.ok(Math.abs(Math.hypot(...position(s, i).map(x => x - 1)) - 0.5) < 1e-5);
+
+  s = respawn(new Emitter(EMITTER_SHAPE.DISC, [...Array(count).keys()]).init_disc([0, 0, 1], [1, 0, 0], 2), count);
+  for (var i = 0; i < count; i++) {
+    const [x, y, z] = position(s, i);
+    assert.ok(Math.abs(x) < 1e-6);
+    assert.ok(Math.hypot(y, z - 1) <= 2 + 1e-5);
+  }
+
+  // A unit square in the z = 2 plane, and a sliver of a triangle which is
+  // almost never picked
+  const vertices = [[0, 0, 2], [1, 0, 2], [1, 1, 2], [0, 1, 2], [5, 5, 5], [5, 5, 5.001], [5, 5.001, 5]];
+  s = respawn(new Emitter(EMITTER_SHAPE.MESH, [...Array(count).keys()]).init_mesh(vertices, [[0, 1, 2], [0, 2, 3], [4, 5, 6]]), count);
+  for (var i = 0; i < count; i++) {
+    const [x, y, z] = position(s, i);
+    assert.ok(x >= 0 && x <= 1 && y >= 0 && y <= 1 && Math.abs(z - 2) < 1e-6);
+  }
+});
+
+test('particles are born moving within the velocity cone, and live their lifetime', () => {
+  const count = 200;
+  const emitter = new Emitter(EMITTER_SHAPE.POINT, [...Array(count).keys()]).init_point([0, 0, 0])
+    .init_velocity([0, 0, 2], 0.3, 1, 2).init_lifetime(30, 40);
+  const s = respawn(emitter, count);
+  for (var i = 0; i < count; i++) {
+    const v = [STATE.V_X, STATE.V_Y, STATE.V_Z].map(slot => get(s, i, slot));
+    const speed = Math.hypot(...v);
+    assert.ok(speed >= 1 - 1e-5 && speed <= 2 + 1e-5);
+    assert.ok(Math.acos(v[2] / speed) <= 0.3 + 1e-5);
+    assert.ok(get(s, i, STATE.AGE) >= 30 && get(s, i, STATE.AGE) <= 40);
+  }
+});
+
+test('a spawn rate limits how many particles are born, and hides the dead', () => {
+  const s = createState(10);
+  const emitter = new Emitter(EMITTER_SHAPE.POINT, [...Array(10).keys()]).init_point([0, 0, 1]).init_lifetime(100);
+  emitter.rate = 60;
+  emitter.reset(s);
+  // Every particle starts dead, and one is born per 1/60 s
+  for (var i = 0; i < 10; i++)
+    s[i * STATE_SIZE + STATE.AGE] = -1;
+  emitter.emit(s, 1 / 60, 1);
+  emitter.emit(s, 1 / 60, 1);
+  const born = [...Array(10).keys()].filter(i => get(s, i, STATE.AGE) > 0);
+  assert.strictEqual(born.length, 2);
+  born.forEach(i => {
+    assert.strictEqual(get(s, i, STATE.A), 1);
+    assert.deepStrictEqual(position(s, i), [0, 0, 1]);
+  });
+  assert.ok([...Array(10).keys()].filter(i => !born.includes(i)).every(i => get(s, i, STATE.A) == 0));
+
+  // Nothing is born while disabled, or owed for the time spent disabled
+  emitter.disable();
+  emitter.emit(s, 1, 1);
+  assert.strictEqual([...Array(10).keys()].filter(i => get(s, i, STATE.AGE) > 0).length, 2);
+  emitter.enable();
+  emitter.emit(s, 1 / 60, 1);
+  assert.strictEqual([...Array(10).keys()].filter(i => get(s, i, STATE.AGE) > 0).length, 3);
+});
+
+test('color and size follow curves over each particle\'s life', () => {
+  const s = createState(1);
+  const emitter = new Emitter(EMITTER_SHAPE.POINT, [0]).init_point([0, 0, 0]).init_lifetime(10)
+    .init_color_curve([[0, 1, 1, 1, 1], [0.5, 1, 0, 0, 1], [1, 0, 0, 0, 0]])
+    .init_size_curve([[0, 2], [1, 4]]);
+  s[STATE.AGE] = -1;
+  emitter.emit(s, 1 / 60, 0);
+  assert.deepStrictEqual([STATE.R, STATE.G, STATE.B, STATE.A, STATE.RADIUS].map(slot => get(s, 0, slot)), [1, 1, 1, 1, 2]);
+  // A quarter of the way through its life
+  emitter.emit(s, 1 / 60, 2.5);
+  assert.deepStrictEqual([STATE.R, STATE.G, STATE.B, STATE.A, STATE.RADIUS].map(slot => get(s, 0, slot)), [1, 0.5, 0.5, 1, 2.5]);
+  emitter.emit(s, 1 / 60, 5);
+  assert.deepStrictEqual([STATE.R, STATE.G, STATE.B, STATE.A].map(slot => get(s, 0, slot)), [0.5, 0, 0, 0.5]);
+});
+
+test('pooled systems remove dead particles, and give birth to new ones up to their count', () => {
+  const s = createState(10);
+  for (var i = 0; i < 10; i++)
+    s[i * STATE_SIZE + STATE.AGE] = 0.5;
+  const part_sys = new PartSys(10);
+  const emitter = new Emitter(EMITTER_SHAPE.POINT, part_sys.particles).init_point([0, 0, 1]).init_lifetime(30)
+    .init_color_curve([[0, 1, 1, 1, 1], [1, 0, 0, 0, 1]]);
+  // Two per step
+  emitter.rate = 120;
+  part_sys.init(PARTICLE_SYSTEM.SNOW, 0, 0, [], [], s, SOLVER.EULER, 1, 1, [emitter]);
+  assert.ok(part_sys.pooled);
+  // Every particle dies at once, and only two are born again
+  part_sys.step();
+  assert.strictEqual(part_sys.count, 2);
+  assert.deepStrictEqual(part_sys.particles, [0, 1]);
+  part_sys.step();
+  assert.strictEqual(part_sys.count, 4);
+  const alive = i => get(part_sys.s1, i, STATE.AGE) > 0 && get(part_sys.s1, i, STATE.A) == 1;
+  assert.ok([0, 1, 2, 3].every(alive));
+  assert.deepStrictEqual(position(part_sys.s1, 3), [0, 0, 1]);
+  assert.deepStrictEqual(position(part_sys.sR, 3), [0, 0, 1]);
+  // Those born first are further along the color curve
+  assert.ok(get(part_sys.s1, 0, STATE.G) < get(part_sys.s1, 3, STATE.G));
+
+  part_sys.resize(3);
+  assert.strictEqual(part_sys.count, 3);
+  part_sys.step();
+  assert.strictEqual(part_sys.count, 3);
+  // No more than one particle is owed from while there was no room
+  part_sys.resize(8);
+  part_sys.step();
+  assert.strictEqual(part_sys.count, 6);
+  part_sys.step();
+  part_sys.step();
+  assert.strictEqual(part_sys.count, 8);
+  assert.ok([0, 1, 2, 3, 4, 5, 6, 7].every(alive));
+});
+
+test('emitters attached to a particle system are saved in its snapshots', () => {
+  const s = createState(50);
+  for (var i = 0; i < 50; i++)
+    s[i * STATE_SIZE + STATE.AGE] = i % 7;
+  const emitter = () => new Emitter(EMITTER_SHAPE.BOX, [...Array(50).keys()]).init_box([0, 0, 0], [1, 1, 1])
+    .init_velocity([0, 0, 1], 0.5, 1).init_lifetime(5, 10);
+  const part_sys = createSystem(s, [], [], SOLVER.EULER);
+  part_sys.init(part_sys.type, 0, 0, [], [], s, SOLVER.EULER, 1, 1, [emitter()]);
+  part_sys.emitters[0].rate = 100;
+  for (var i = 0; i < 20; i++)
+    part_sys.step();
+  const saved = JSON.parse(JSON.stringify(part_sys.save()));
+  const random = Random.sim.state;
+  for (var i = 0; i < 20; i++)
+    part_sys.step();
+  const expected = part_sys.s1.slice();
+
+  const loaded = createSystem(s, [], [], SOLVER.EULER);
+  loaded.init(loaded.type, 0, 0, [], [], s, SOLVER.EULER, 1, 1, [emitter()]);
+  assert.ok(loaded.load(saved));
+  Random.sim.state = random;
+  assert.strictEqual(loaded.emitters[0].rate, 100);
+  for (var i = 0; i < 20; i++)
+    loaded.step();
+  assert.deepStrictEqual(loaded.s1, expected);
+
+  // A system without the same emitters can't load it
+  assert.strictEqual(createSystem(s, [], [], SOLVER.EULER).load(saved), false);
+});
+
+test('scenes attach emitters to their systems', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  const snow = scene.system('snow');
+  assert.strictEqual(snow.emitters.length, 1);
+  assert.strictEqual(snow.emitters[0].shape, EMITTER_SHAPE.BOX);
+  assert.strictEqual(scene.system('fire').emitters[0].shape, EMITTER_SHAPE.SPHERE);
+  assert.strictEqual(scene.system('cloth').emitters.length, 0);
+  // Snow falls, and is born again at the top of its box
+  for (var i = 0; i < 300; i++)
+    snow.step();
+  const s = snow.s1;
+  for (var i = 0; i < s.length / STATE_SIZE; i++) {
+    assert.ok(get(s, i, STATE.AGE) >= 0 && get(s, i, STATE.AGE) <= 300);
+  }
+  assert.ok([...Array(s.length / STATE_SIZE).keys()].some(i => get(s, i, STATE.P_Z) >= 9));
+});
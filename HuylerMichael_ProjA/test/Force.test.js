@@ -0,0 +1,312 @@
+/**
+ * Tests for each type of force.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, Layout} = require('../lib/State.js');
+const {Force, FORCE_TYPE} = require('../lib/Force.js');
+const {createState, place, get} = require('./helpers.js');
+
+/**
+ * Applies a single force to a state array, with forces zeroed beforehand.
+ */
+function applyForce(force, s) {
+  force.apply(s);
+  return s;
+}
+
+test('FORCE_SIMP_GRAVITY pulls down in proportion to mass', () => {
+  const s = createState(2);
+  s[STATE.MASS] = 2;
+  applyForce(new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0, 1]).init_vectored(-9.8), s);
+  assert.strictEqual(Math.fround(get(s, 0, STATE.F_Z)), Math.fround(-19.6));
+  assert.strictEqual(Math.fround(get(s, 1, STATE.F_Z)), Math.fround(-9.8));
+  assert.strictEqual(get(s, 0, STATE.F_X), 0);
+});
+
+test('FORCE_DRAG opposes velocity', () => {
+  const s = createState(1);
+  place(s, 0, [0, 0, 0], [1, -2, 4]);
+  applyForce(new Force(FORCE_TYPE.FORCE_DRAG, [0]).init_vectored(0.5), s);
+  assert.deepStrictEqual([get(s, 0, STATE.F_X), get(s, 0, STATE.F_Y), get(s, 0, STATE.F_Z)], [-0.5, 1, -2]);
+});
+
+test('FORCE_WIND stays within its magnitude along each axis', () => {
+  const force = new Force(FORCE_TYPE.FORCE_WIND, [0]).init_vectored(2, 1, 0, 0.5);
+  for (let i = 0; i < 100; i++) {
+    const s = applyForce(force, createState(1));
+    assert.ok(Math.abs(get(s, 0, STATE.F_X)) <= 2);
+    assert.strictEqual(get(s, 0, STATE.F_Y), 0);
+    assert.ok(Math.abs(get(s, 0, STATE.F_Z)) <= 1);
+  }
+});
+
+test('FORCE_SPRING obeys Hooke\'s law with equal and opposite forces', () => {
+  const s = createState(2);
+  place(s, 1, [0, 0, 1.2]);
+  applyForce(new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(10, 1, 0), s);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - 2) < 1e-5);
+  assert.ok(Math.abs(get(s, 1, STATE.F_Z) + 2) < 1e-5);
+  assert.strictEqual(get(s, 0, STATE.F_X), 0);
+});
+
+test('FORCE_SPRING damps relative velocity along the spring only', () => {
+  const s = createState(2);
+  // At rest length, separating at 2 along the spring and sliding at 3 across it
+  place(s, 0, [0, 0, 0], [0, 0, -1]);
+  place(s, 1, [0, 0, 1], [3, 0, 1]);
+  applyForce(new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(10, 1, 0.5), s);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - 1) < 1e-5);
+  assert.ok(Math.abs(get(s, 1, STATE.F_Z) + 1) < 1e-5);
+  assert.strictEqual(get(s, 0, STATE.F_X), 0);
+  assert.strictEqual(get(s, 1, STATE.F_X), 0);
+});
+
+test('FORCE_SPRING is only limited when given a limit', () => {
+  const stretched = () => {
+    const s = createState(2);
+    place(s, 1, [0, 3, 4]);
+    return s;
+  };
+  const s = applyForce(new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(10, 1, 0), stretched());
+  assert.ok(Math.abs(get(s, 0, STATE.F_Y) - 24) < 1e-4);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - 32) < 1e-4);
+  // Limited along the spring, rather than in each axis
+  const limited = applyForce(new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(10, 1, 0, 5), stretched());
+  assert.ok(Math.abs(get(limited, 0, STATE.F_Y) - 3) < 1e-5);
+  assert.ok(Math.abs(get(limited, 0, STATE.F_Z) - 4) < 1e-5);
+  assert.ok(Math.abs(get(limited, 1, STATE.F_Z) + 4) < 1e-5);
+});
+
+test('FORCE_SPRING tears when stretched past its max strain', () => {
+  const s = createState(2);
+  place(s, 1, [0, 0, 1.4]);
+  const spring = new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(10, 1, 0, 0, 0.5);
+  applyForce(spring, s);
+  assert.strictEqual(spring.torn, false);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - 4) < 1e-5);
+
+  place(s, 1, [0, 0, 1.6]);
+  s.fill(0, 6, 9);
+  applyForce(spring, s);
+  assert.strictEqual(spring.torn, true);
+  assert.strictEqual(get(s, 0, STATE.F_Z), 0);
+  // A torn spring stays torn, even once no longer stretched
+  place(s, 1, [0, 0, 1]);
+  applyForce(spring, s);
+  assert.strictEqual(spring.jacobian(s), null);
+});
+
+test('FORCE_FLOCK separates boids that are too close', () => {
+  const s = createState(2);
+  // Flying side by side, well inside the focused radius
+  place(s, 0, [0, 0, 0], [0, 1, 0]);
+  place(s, 1, [0.1, 0, 0], [0, 1, 0]);
+  applyForce(new Force(FORCE_TYPE.FORCE_FLOCK, [0, 1]).init_boid(0.5, 1, 2 * Math.PI, 2 * Math.PI, 1, 0, 0, 0, 0), s);
+  assert.ok(get(s, 0, STATE.F_X) < 0);
+  assert.ok(get(s, 1, STATE.F_X) > 0);
+});
+
+test('FORCE_FLOCK avoids every predator and seeks every goal', () => {
+  const s = createState(4);
+  place(s, 0, [0, 0, 0], [0, 1, 0]);
+  place(s, 1, [0.1, 0, 0], [0, 1, 0]);
+  place(s, 2, [-1, 0, 0]);
+  place(s, 3, [0, 0, -1]);
+  // Avoidance is applied once per neighbor seen, here once
+  applyForce(new Force(FORCE_TYPE.FORCE_FLOCK, [0, 1]).init_boid(0.5, 1, 2 * Math.PI, 2 * Math.PI, 0, 0, 0, 1, 0, [2, 3]), s);
+  assert.ok(Math.abs(get(s, 0, STATE.F_X) - 1) < 1e-5);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - 1) < 1e-5);
+
+  const goal = new Force(FORCE_TYPE.FORCE_UNIFORM_POINT_ATTRACTOR, [2]).init_attractor(0, 0, 3, 0, 0, 0);
+  const t = createState(2);
+  place(t, 0, [0, 0, 0], [0, 1, 0]);
+  place(t, 1, [0.1, 0, 0], [0, 1, 0]);
+  applyForce(new Force(FORCE_TYPE.FORCE_FLOCK, [0, 1]).init_boid(0.5, 1, 2 * Math.PI, 2 * Math.PI, 0, 0, 0, 0, 1, [], [[0, 2, 0], goal]), t);
+  assert.deepStrictEqual([get(t, 0, STATE.F_X), get(t, 0, STATE.F_Y), get(t, 0, STATE.F_Z)], [0, 1, 1]);
+});
+
+test('a wandering force jumps around its box at each interval', () => {
+  const force = new Force(FORCE_TYPE.FORCE_UNIFORM_POINT_ATTRACTOR, [0]).init_attractor(5, 5, 5, 0, 0, 0)
+    .init_wander(1, [0, 0, 0], [1, 2, 3]);
+  const position = () => [force.x, force.y, force.z];
+  force.advance(0.5);
+  const first = position();
+  assert.ok(first.every((x, i) => x >= 0 && x <= i + 1));
+  force.advance(0.5);
+  assert.deepStrictEqual(position(), first);
+  force.advance(0.5);
+  assert.notDeepStrictEqual(position(), first);
+  // Applied from where it has wandered to
+  const s = applyForce(force, createState(1));
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - force.z) < 1e-6);
+});
+
+test('FORCE_PLANETARY_GRAVITY is a softened inverse-square law between each pair', () => {
+  const s = createState(3);
+  s[STATE.MASS] = 2;
+  place(s, 1, [0, 0, 2]);
+  place(s, 2, [0, 3, 0]);
+  applyForce(new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, [0, 1]).init_planetary(1.5, 0.1), s);
+  // F = G m_0 m_1 d / (d^2 + ε^2)^1.5
+  const f = 1.5 * 2 * 1 * 2 / Math.pow(4 + 0.01, 1.5);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z) - f) < 1e-5);
+  assert.ok(Math.abs(get(s, 1, STATE.F_Z) + f) < 1e-5);
+  // Particle 2 isn't affected
+  assert.strictEqual(get(s, 0, STATE.F_Y), 0);
+  assert.strictEqual(get(s, 2, STATE.F_Y), 0);
+});
+
+test('FORCE_PLANETARY_GRAVITY with Barnes-Hut approximates the exact sum', () => {
+  const count = 200;
+  const s = createState(count);
+  for (let i = 0; i < count; i++) {
+    place(s, i, [Math.sin(i * 1.3) * 2, Math.cos(i * 0.7) * 2, Math.sin(i * 0.1)]);
+  }
+  const p = [...Array(count).keys()];
+  const exact = applyForce(new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, p).init_planetary(1, 0.05, 0), s.slice());
+  const visit_all = applyForce(new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, p).init_planetary(1, 0.05, 1e-9), s.slice());
+  const approximate = applyForce(new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, p).init_planetary(1, 0.05, 0.5), s.slice());
+  var error = 0;
+  var total = 0;
+  for (let i = 0; i < count; i++) {
+    for (const slot of [STATE.F_X, STATE.F_Y, STATE.F_Z]) {
+      // With a tiny opening angle the tree visits every particle
+      assert.ok(Math.abs(get(visit_all, i, slot) - get(exact, i, slot)) < 1e-3 * (1 + Math.abs(get(exact, i, slot))));
+      error += Math.abs(get(approximate, i, slot) - get(exact, i, slot));
+      total += Math.abs(get(exact, i, slot));
+    }
+  }
+  assert.ok(error / total < 0.02);
+});
+
+/**
+ * Creates a fluid's state array, of particles at rest with the given
+ * positions and mass.
+ */
+function createFluid(layout, positions, mass = 1) {
+  const s = new Float32Array(positions.length * layout.size);
+  positions.forEach((p, i) => {
+    s.set(p, i * layout.size + STATE.P_X);
+    s[i * layout.size + STATE.MASS] = mass;
+  });
+  return s;
+}
+
+test('FORCE_SPH smooths density over neighbors, and pushes compressed particles apart', () => {
+  const layout = new Layout([{name: "density"}, {name: "pressure"}]);
+  const at = (s, i, slot) => s[i * layout.size + slot];
+  const sph = () => {
+    const force = new Force(FORCE_TYPE.FORCE_SPH, [0, 1, 2]).init_sph(1, 0.1, 10, 0.5);
+    force.layout = layout;
+    return force;
+  };
+  // Particle 2 is beyond the smoothing length of the others
+  const s = createFluid(layout, [[0, 0, 0], [0.5, 0, 0], [3, 0, 0]]);
+  s[STATE.V_Y] = 1;
+  applyForce(sph(), s);
+  // ρ = Σ m W_poly6, with W_poly6(r) = 315 / (64π h^9) (h² - r²)³
+  const alone = 315 / (64 * Math.PI);
+  const rho = alone * (1 + Math.pow(1 - 0.25, 3));
+  assert.ok(Math.abs(at(s, 0, layout.offset("density")) - rho) < 1e-5);
+  assert.ok(Math.abs(at(s, 2, layout.offset("density")) - alone) < 1e-5);
+  assert.ok(Math.abs(at(s, 0, layout.offset("pressure")) - 10 * (rho - 0.1)) < 1e-4);
+  // Equal and opposite, along the line between them
+  assert.ok(at(s, 0, STATE.F_X) < 0);
+  assert.ok(Math.abs(at(s, 0, STATE.F_X) + at(s, 1, STATE.F_X)) < 1e-5);
+  // Viscosity slows particle 0 and drags particle 1 along with it
+  assert.ok(at(s, 0, STATE.F_Y) < 0);
+  assert.ok(Math.abs(at(s, 0, STATE.F_Y) + at(s, 1, STATE.F_Y)) < 1e-5);
+  assert.deepStrictEqual([STATE.F_X, STATE.F_Y, STATE.F_Z].map(slot => at(s, 2, slot)), [0, 0, 0]);
+
+  // Particles at the same position are pushed apart in opposite directions
+  const t = applyForce(sph(), createFluid(layout, [[0, 0, 0], [0, 0, 0], [3, 0, 0]]));
+  const f = [STATE.F_X, STATE.F_Y, STATE.F_Z].map(slot => at(t, 0, slot));
+  assert.ok(Math.hypot(...f) > 0);
+  f.forEach((x, k) => assert.ok(Math.abs(x + at(t, 1, STATE.F_X + k)) < 1e-4));
+});
+
+test('FORCE_SPH finds a fluid at rest has its rest density', () => {
+  const layout = new Layout([{name: "density"}, {name: "pressure"}]);
+  const spacing = 0.1;
+  const positions = [];
+  for (let i = 0; i < 7 * 7 * 7; i++)
+    positions.push([i % 7, Math.floor(i / 7) % 7, Math.floor(i / 49)].map(x => x * spacing));
+  const s = createFluid(layout, positions, 1000 * Math.pow(spacing, 3));
+  const force = new Force(FORCE_TYPE.FORCE_SPH, [...Array(positions.length).keys()]).init_sph(2 * spacing, 1000, 20);
+  force.layout = layout;
+  applyForce(force, s);
+  // The particle in the middle has every neighbor, so is at about the rest
+  // density, and is pushed equally from every side
+  const middle = (3 * 49 + 3 * 7 + 3) * layout.size;
+  assert.ok(Math.abs(s[middle + layout.offset("density")] - 1000) < 20);
+  [STATE.F_X, STATE.F_Y, STATE.F_Z].forEach(slot => assert.ok(Math.abs(s[middle + slot]) < 1e-3));
+  // Particles in a corner have fewer neighbors, and no negative pressure
+  assert.ok(s[layout.offset("density")] < 1000);
+  assert.strictEqual(s[layout.offset("pressure")], 0);
+});
+
+test('FORCE_SPH needs density and pressure attributes', () => {
+  const force = new Force(FORCE_TYPE.FORCE_SPH, [0, 1]).init_sph(1, 1, 1);
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    const s = createState(2);
+    place(s, 1, [0.1, 0, 0]);
+    applyForce(force, s);
+    assert.strictEqual(get(s, 0, STATE.F_X), 0);
+  } finally {
+    console.log = log;
+  }
+  assert.deepStrictEqual(logged, ["Unknown particle attribute: density", "Unknown particle attribute: pressure"]);
+});
+
+test('FORCE_LINE_ATTRACTOR pulls towards its axis', () => {
+  const s = createState(1);
+  place(s, 0, [0.5, 0, 1]);
+  applyForce(new Force(FORCE_TYPE.FORCE_LINE_ATTRACTOR, [0]).init_attractor(0, 0, 0, 0, 0, 1, 2, 10), s);
+  assert.ok(get(s, 0, STATE.F_X) < 0);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Y)) < 1e-6);
+  assert.ok(Math.abs(get(s, 0, STATE.F_Z)) < 1e-6);
+});
+
+test('FORCE_VORTEX only affects particles within its radius', () => {
+  const force = new Force(FORCE_TYPE.FORCE_VORTEX, [0, 1]).init_attractor(0, 0, 0, 0, 0, 1, 0, 10, 1);
+  const s = createState(2);
+  place(s, 0, [0.5, 0, 1]);
+  place(s, 1, [5, 0, 1]);
+  applyForce(force, s);
+  assert.notStrictEqual(get(s, 0, STATE.V_X) + get(s, 0, STATE.V_Y), 0);
+  assert.deepStrictEqual([get(s, 1, STATE.V_X), get(s, 1, STATE.V_Y)], [0, 0]);
+});
+
+test('FORCE_UNIFORM_POINT_ATTRACTOR pulls towards its point', () => {
+  const s = createState(1);
+  place(s, 0, [1, 2, 3]);
+  applyForce(new Force(FORCE_TYPE.FORCE_UNIFORM_POINT_ATTRACTOR, [0]).init_attractor(0, 0, 0), s);
+  assert.deepStrictEqual([get(s, 0, STATE.F_X), get(s, 0, STATE.F_Y), get(s, 0, STATE.F_Z)], [-1, -2, -3]);
+});
+
+test('FORCE_POINT_ATTRACTOR falls off with distance and is limited in range', () => {
+  const force = new Force(FORCE_TYPE.FORCE_POINT_ATTRACTOR, [0, 1, 2]).init_attractor(0, 0, 0, 0, 0, 0, 1, 4, 1);
+  const s = createState(3);
+  place(s, 0, [1, 0, 0]);
+  place(s, 1, [2, 0, 0]);
+  place(s, 2, [5, 0, 0]);
+  applyForce(force, s);
+  // |F| = r / d^p
+  assert.ok(Math.abs(get(s, 0, STATE.F_X) + 1) < 1e-6);
+  assert.ok(Math.abs(get(s, 1, STATE.F_X) + 0.5) < 1e-6);
+  assert.strictEqual(get(s, 2, STATE.F_X), 0);
+});
+
+test('disabled forces do nothing', () => {
+  const force = new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(-9.8);
+  force.disable();
+  const s = applyForce(force, createState(1));
+  assert.strictEqual(get(s, 0, STATE.F_Z), 0);
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for binding keys to named actions.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Keybindings, keyCode, keyLabel} = require('../lib/Keybindings.js');
+
+/**
+ * Registers actions which count how often each of their functions is called.
+ */
+function createBindings() {
+  const calls = {down: 0, up: 0, held: 0, pause: 0};
+  const keybindings = new Keybindings();
+  keybindings.register("slow_mo", {
+    keys: ["KeyO"],
+    group: "Simulation",
+    description: "play in slo-mo",
+    down: () => calls.down++,
+    up: () => calls.up++,
+  });
+  keybindings.register("pause", {
+    keys: ["KeyP"],
+    group: "Simulation",
+    description: "pause",
+    down: () => calls.pause++,
+  });
+  keybindings.register("forward", {
+    keys: ["KeyW", "ArrowUp"],
+    group: "Camera",
+    description: "fly forward",
+    held: () => calls.held++,
+  });
+  keybindings.register("hidden", {
+    keys: ["KeyH"],
+  });
+  return {keybindings, calls};
+}
+
+test('key codes are found from legacy key events', () => {
+  assert.strictEqual(keyCode({code: "KeyP", keyCode: 80}), "KeyP");
+  assert.strictEqual(keyCode({keyCode: 80}), "KeyP");
+  assert.strictEqual(keyCode({keyCode: 51}), "Digit3");
+  assert.strictEqual(keyCode({keyCode: 190}), "Period");
+  assert.strictEqual(keyCode({keyCode: 32}), "Space");
+  assert.strictEqual(keyCode({keyCode: 999}), "999");
+  assert.strictEqual(keyLabel("KeyP"), "P");
+  assert.strictEqual(keyLabel("Digit3"), "3");
+  assert.strictEqual(keyLabel("BracketLeft"), "[");
+  assert.strictEqual(keyLabel("Space"), "Space");
+});
+
+test('pressing, holding and releasing a key performs its actions', () => {
+  const {keybindings, calls} = createBindings();
+  assert.ok(keybindings.keyDown("KeyO"));
+  // Repeated presses from holding the key down are ignored
+  keybindings.keyDown("KeyO");
+  keybindings.poll();
+  assert.strictEqual(calls.down, 1);
+  assert.strictEqual(calls.held, 0);
+  assert.ok(keybindings.keyUp("KeyO"));
+  assert.strictEqual(calls.up, 1);
+  assert.strictEqual(keybindings.keyDown("KeyQ"), false);
+
+  keybindings.keyDown("ArrowUp");
+  keybindings.poll();
+  keybindings.poll();
+  assert.strictEqual(calls.held, 2);
+  keybindings.keyDown("KeyO");
+  keybindings.releaseAll();
+  keybindings.poll();
+  assert.strictEqual(calls.held, 2);
+  assert.strictEqual(calls.up, 2);
+});
+
+test('keys are rebound by name from a config, and saved in the same form', () => {
+  const {keybindings, calls} = createBindings();
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    keybindings.load({pause: "Space", forward: [], missing: "KeyX"});
+  } finally {
+    console.log = log;
+  }
+  assert.deepStrictEqual(logged, ["Unknown keybinding: missing"]);
+  assert.deepStrictEqual(keybindings.keys("pause"), ["Space"]);
+  keybindings.keyDown("KeyP");
+  keybindings.keyDown("Space");
+  assert.strictEqual(calls.pause, 1);
+  keybindings.keyDown("KeyW");
+  keybindings.poll();
+  assert.strictEqual(calls.held, 0);
+
+  const loaded = createBindings().keybindings;
+  loaded.load(JSON.parse(JSON.stringify(keybindings.save())));
+  keybindings.actions.forEach(name => assert.deepStrictEqual(loaded.keys(name), keybindings.keys(name)));
+});
+
+test('the help menu lists the keys of every described action, by group', () => {
+  const {keybindings} = createBindings();
+  keybindings.bind("pause", ["KeyP", "Space"]);
+  assert.deepStrictEqual(keybindings.help(), [{
+    group: "Simulation",
+    actions: [
+      {keys: ["O"], description: "play in slo-mo", hold: true},
+      {keys: ["P", "Space"], description: "pause", hold: false},
+    ],
+  }, {
+    group: "Camera",
+    actions: [
+      {keys: ["W", "↑"], description: "fly forward", hold: true},
+    ],
+  }]);
+  // Unbound actions aren't listed
+  keybindings.bind("forward", []);
+  assert.strictEqual(keybindings.help().length, 1);
+});
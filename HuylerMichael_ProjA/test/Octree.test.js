@@ -0,0 +1,98 @@
+/**
+ * Tests for the Barnes-Hut octree.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE} = require('../lib/State.js');
+const {Octree} = require('../lib/Octree.js');
+const {createState, place} = require('./helpers.js');
+
+test('each node holds the mass and center of mass of its particles', () => {
+  const s = createState(3);
+  place(s, 0, [-1, -1, -1]);
+  place(s, 1, [1, 1, 1]);
+  place(s, 2, [1, 1, 0.5]);
+  s[2 * 16 + STATE.MASS] = 3;
+  const tree = new Octree();
+  tree.build(s, [0, 1, 2]);
+  assert.strictEqual(tree._mass[0], 5);
+  assert.ok(Math.abs(tree._mz[0] - (-1 + 1 + 1.5) / 5) < 1e-6);
+  // Particles 1 and 2 share an octant of the root, so it is split again
+  assert.ok(tree.node_count > 3);
+});
+
+test('a distant group is treated as one body', () => {
+  const s = createState(3);
+  place(s, 1, [10, 1, 1]);
+  place(s, 2, [10, 1.2, 1]);
+  const tree = new Octree();
+  tree.build(s, [0, 1, 2]);
+  const out = tree.force(s, 0, 1, 0, 0.7, [0, 0, 0]);
+  // Both particles pull as a mass of 2 at (10, 1.1, 1)
+  const d = Math.hypot(10, 1.1, 1);
+  assert.ok(Math.abs(out[0] - 2 * 10 / Math.pow(d, 3)) < 1e-7);
+  assert.ok(Math.abs(out[1] - 2 * 1.1 / Math.pow(d, 3)) < 1e-7);
+  // Opened fully, the result is the exact sum instead
+  const exact = tree.force(s, 0, 1, 0, 0, [0, 0, 0]);
+  assert.notStrictEqual(exact[1], out[1]);
+});
+
+test('a particle never feels its own mass, even through a node holding it', () => {
+  const s = createState(3);
+  place(s, 1, [1, 1, 1]);
+  place(s, 2, [0.9, 1, 1]);
+  s[1 * 16 + STATE.MASS] = s[2 * 16 + STATE.MASS] = 5;
+  const tree = new Octree();
+  tree.build(s, [0, 1, 2]);
+  // The root holds particle 0, yet at θ = 0.8 it is small enough, for its
+  // distance from particle 0, to be treated as one body
+  const out = tree.force(s, 0, 1, 0, 0.8, [0, 0, 0]);
+  const direct = [0, 0, 0];
+  [1, 2].forEach(q => {
+    const d = [STATE.P_X, STATE.P_Y, STATE.P_Z].map(slot => s[q * 16 + slot]);
+    const r = Math.hypot(...d);
+    for (var k = 0; k < 3; k++)
+      direct[k] += 5 * d[k] / (r * r * r);
+  });
+  for (var k = 0; k < 3; k++)
+    assert.ok(Math.abs(out[k] - direct[k]) < Math.abs(direct[k]) * 0.01);
+});
+
+test('coincident particles do not split forever', () => {
+  const s = createState(3);
+  const tree = new Octree();
+  tree.build(s, [0, 1, 2]);
+  assert.strictEqual(tree._mass[0], 3);
+  const out = tree.force(s, 0, 1, 0.1, 0.5, [0, 0, 0]);
+  assert.ok(out.every(Number.isFinite));
+});
+
+test('a tree grows to hold more particles, and is reused when rebuilt', () => {
+  const count = 500;
+  const s = createState(count);
+  for (var i = 0; i < count; i++)
+    place(s, i, [Math.sin(i * 1.3), Math.cos(i * 0.7), Math.sin(i * 0.31) * 2]);
+  const particles = [...Array(count).keys()];
+  const tree = new Octree();
+  tree.build(s, [0, 1]);
+  tree.build(s, particles);
+  assert.ok(tree.node_count > count);
+  assert.strictEqual(tree._mass[0], count);
+  // Opened fully, the result is the exact sum
+  const out = tree.force(s, 0, 1, 0.1, 0, [0, 0, 0]);
+  const direct = [0, 0, 0];
+  for (var q = 1; q < count; q++) {
+    const d = [STATE.P_X, STATE.P_Y, STATE.P_Z].map(slot => s[q * 16 + slot] - s[slot]);
+    const r2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2] + 0.01;
+    for (var k = 0; k < 3; k++)
+      direct[k] += d[k] / (r2 * Math.sqrt(r2));
+  }
+  for (var k = 0; k < 3; k++)
+    assert.ok(Math.abs(out[k] - direct[k]) < 1e-6 * Math.max(1, Math.abs(direct[k])));
+  // A smaller build reuses the nodes
+  tree.build(s, [0, 1, 2]);
+  assert.ok(tree.node_count < 10);
+});
@@ -0,0 +1,330 @@
+/**
+ * Tests for each solver, against analytic solutions.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, STATE_SIZE, Layout} = require('../lib/State.js');
+const {Force, FORCE_TYPE} = require('../lib/Force.js');
+const {Constraint, CONSTRAINT_TYPE, WALL} = require('../lib/Constraint.js');
+const {PartSys, PARTICLE_SYSTEM, SOLVER, SOLVER_STRINGS} = require('../lib/PartSys.js');
+const {createState, place, get, createSystem} = require('./helpers.js');
+
+const G = -9.8;
+
+/**
+ * Runs a system for a number of seconds, calling `observe` after every step.
+ */
+function run(part_sys, seconds, observe = () => {}) {
+  const steps = Math.round(seconds / (part_sys.settings.ms * 0.001));
+  for (var i = 0; i < steps; i++) {
+    part_sys.step();
+    observe(part_sys.s1, (i + 1) * part_sys.settings.ms * 0.001);
+  }
+}
+
+for (const solver of Object.values(SOLVER)) {
+  test(`${SOLVER_STRINGS[solver]} matches free fall under FORCE_SIMP_GRAVITY`, () => {
+    const s = createState(1);
+    place(s, 0, [0, 0, 10], [1, 0, 0]);
+    const part_sys = createSystem(s,
+      [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(G)], [], solver, {ms: 4});
+    run(part_sys, 1);
+    // z = z0 + g * t^2 / 2, x = x0 + v * t
+    assert.ok(Math.abs(get(part_sys.s1, 0, STATE.P_Z) - (10 + G * 0.5)) < 0.03);
+    // Euler and position Verlet are only first order in velocity
+    assert.ok(Math.abs(get(part_sys.s1, 0, STATE.V_Z) - G) < 0.05);
+    assert.ok(Math.abs(get(part_sys.s1, 0, STATE.P_X) - 1) < 1e-4);
+  });
+
+  test(`${SOLVER_STRINGS[solver]} matches the period of a spring`, () => {
+    const k = 20;
+    const s = createState(2);
+    place(s, 0, [0, 0, -0.55]);
+    place(s, 1, [0, 0, 0.55]);
+    const part_sys = createSystem(s,
+      [new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(k, 1, 0)], [], solver, {ms: 1});
+    // Find the times at which the spring passes through its rest length
+    const crossings = [];
+    var last = 0.1;
+    run(part_sys, 2, (s1, t) => {
+      const stretch = get(s1, 1, STATE.P_Z) - get(s1, 0, STATE.P_Z) - 1;
+      if (Math.sign(stretch) != Math.sign(last))
+        crossings.push(t);
+      last = stretch;
+    });
+    // T = 2π * sqrt(μ / k), with reduced mass μ = m / 2
+    const period = 2 * Math.PI * Math.sqrt(0.5 / k);
+    assert.ok(crossings.length >= 3);
+    assert.ok(Math.abs((crossings[2] - crossings[0]) - period) < period * 0.02);
+  });
+}
+
+test('restitution is applied after a bounce off the floor', () => {
+  const s = createState(1);
+  place(s, 0, [0, 0, 1]);
+  const part_sys = createSystem(s,
+    [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(G)],
+    [new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2)],
+    SOLVER.MIDPOINT, {ms: 1, drag: 1});
+  var bounce_speed = 0;
+  run(part_sys, 0.5, (s1) => {
+    if (bounce_speed == 0 && get(s1, 0, STATE.V_Z) > 0)
+      bounce_speed = get(s1, 0, STATE.V_Z);
+  });
+  // Impact speed is sqrt(2gh)
+  const impact_speed = Math.sqrt(2 * -G * 1);
+  assert.ok(Math.abs(bounce_speed - impact_speed * 0.5) < impact_speed * 0.01);
+});
+
+test('Verlet keeps the velocity of a bounce off the floor', () => {
+  const s = createState(1);
+  place(s, 0, [0, 0, 1]);
+  const part_sys = createSystem(s,
+    [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(G)],
+    [new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2)],
+    SOLVER.VERLET, {ms: 1, drag: 1});
+  var bounced = false;
+  var height = 0;
+  run(part_sys, 0.8, (s1) => {
+    bounced = bounced || get(s1, 0, STATE.V_Z) > 0;
+    if (bounced)
+      height = Math.max(height, get(s1, 0, STATE.P_Z));
+  });
+  // Half the impact speed rises to a quarter of the drop height
+  assert.ok(Math.abs(height - 0.25) < 0.01);
+});
+
+test('substeps and time scale do not change the trajectory', () => {
+  const positions = [[1, 1], [4, 1], [2, 0.5]].map(([substeps, scale]) => {
+    const s = createState(1);
+    place(s, 0, [0, 0, 10]);
+    const part_sys = createSystem(s,
+      [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(G)], [], SOLVER.RK4, {ms: 1});
+    part_sys.substep_count = substeps;
+    part_sys.time_scale = scale;
+    run(part_sys, 1 / scale);
+    return get(part_sys.s1, 0, STATE.P_Z);
+  });
+  assert.ok(Math.abs(positions[1] - positions[0]) < 1e-3);
+  assert.ok(Math.abs(positions[2] - positions[0]) < 1e-3);
+});
+
+for (const solver of Object.values(SOLVER)) {
+  test(`${SOLVER_STRINGS[solver]} subdivides a stiff spring, and grows its step back as it settles`, () => {
+    const s = createState(2);
+    place(s, 0, [0, 0, -1]);
+    place(s, 1, [0, 0, 1]);
+    const part_sys = createSystem(s,
+      [new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(2000, 1, 20)], [], solver,
+      {adaptive: true, tolerance: 1e-4});
+    const substeps = [];
+    for (var i = 0; i < 120; i++) {
+      part_sys.settings.substeps = 0;
+      part_sys.settings.error = 0;
+      part_sys.step();
+      substeps.push(part_sys.settings.substeps);
+      assert.ok(part_sys.settings.error <= 1e-4);
+    }
+    // Subdivided, but well short of the cap, while the spring rings
+    assert.ok(substeps[0] > 1);
+    assert.ok(substeps[0] < 64);
+    // And back to a step or a few once it has settled
+    assert.ok(Math.max(...substeps.slice(-10)) <= substeps[0] / 2);
+    assert.ok(Math.abs(get(part_sys.s1, 1, STATE.P_Z) - get(part_sys.s1, 0, STATE.P_Z) - 1) < 1e-3);
+  });
+}
+
+test('step doubling estimates the local error, and leaves the states as they were', () => {
+  const h = 0.1;
+  const errors = [SOLVER.EULER, SOLVER.RK4].map(solver => {
+    const s = createState(1);
+    place(s, 0, [0, 0, 10], [1, 0, 0]);
+    const part_sys = createSystem(s,
+      [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(G)], [], solver);
+    part_sys.applyAllForces(part_sys.s1);
+    part_sys.s1dot = part_sys.dotFinder(part_sys.s1);
+    part_sys.solver(solver, h);
+    const [s1, s2] = [part_sys.s1.slice(), part_sys.s2.slice()];
+    const error = part_sys.estimateError(h);
+    assert.deepStrictEqual(part_sys.s1, s1);
+    assert.deepStrictEqual(part_sys.s2, s2);
+    return error;
+  });
+  // Two half steps of Euler fall a further g h^2 / 4 than one whole step
+  assert.ok(Math.abs(errors[0] - -G * h * h / 4) < 1e-5);
+  // RK4 is exact under constant acceleration
+  assert.ok(errors[1] < 1e-5);
+});
+
+test('rendering interpolates positions between the last two steps', () => {
+  const s = createState(1);
+  place(s, 0, [0, 0, 10], [1, 0, 0]);
+  const part_sys = createSystem(s,
+    [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [0]).init_vectored(G)], [], SOLVER.RK4, {ms: 100});
+  part_sys.step();
+  [0, 0.25, 1].forEach(alpha => {
+    part_sys.interpolate(alpha);
+    assert.ok(Math.abs(get(part_sys.sR, 0, STATE.P_X) - alpha * 0.1) < 1e-6);
+    assert.ok(Math.abs(get(part_sys.sR, 0, STATE.P_Z) - (10 + alpha * (get(part_sys.s1, 0, STATE.P_Z) - 10))) < 1e-5);
+    // Everything else is the latest state's
+    assert.strictEqual(get(part_sys.sR, 0, STATE.V_Z), get(part_sys.s1, 0, STATE.V_Z));
+  });
+});
+
+test('Implicit (Backward Euler) damps a stiff spring at a large timestep', () => {
+  const s = createState(2);
+  s[STATE.MASS] = s[STATE_SIZE + STATE.MASS] = 0.1;
+  place(s, 0, [0, 0, -0.6]);
+  place(s, 1, [0, 0, 0.6]);
+  // h * d / μ is well past what explicit solvers can damp stably
+  const part_sys = createSystem(s,
+    [new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(30, 1, 5)], [], SOLVER.IMPLICIT_EULER, {ms: 1000 / 30});
+  var max_stretch = 0;
+  run(part_sys, 2, (s1) => {
+    max_stretch = Math.max(max_stretch, Math.abs(get(s1, 1, STATE.P_Z) - get(s1, 0, STATE.P_Z) - 1));
+  });
+  assert.ok(max_stretch <= 0.2);
+  assert.ok(Math.abs(get(part_sys.s1, 1, STATE.P_Z) - get(part_sys.s1, 0, STATE.P_Z) - 1) < 1e-3);
+});
+
+test('torn springs are removed from the force set, and restored by loading', () => {
+  const s = createState(3);
+  place(s, 1, [0, 0, 1]);
+  place(s, 2, [0, 0, 2], [0, 0, 5]);
+  const springs = [
+    new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(10, 1, 0, 0, 0.5),
+    new Force(FORCE_TYPE.FORCE_SPRING, [1, 2]).init_spring(10, 1, 0, 0, 0.5),
+  ];
+  const part_sys = createSystem(s, springs.slice(), [], SOLVER.MIDPOINT, {ms: 10});
+  const saved = part_sys.save();
+  run(part_sys, 0.5);
+  assert.deepStrictEqual(part_sys.force_set, [springs[0]]);
+  assert.ok(springs[1].torn);
+
+  assert.ok(part_sys.load(JSON.parse(JSON.stringify(saved))));
+  assert.deepStrictEqual(part_sys.force_set, springs);
+  assert.strictEqual(springs[1].torn, false);
+});
+
+test('resizing a system changes its live particles, within storage that grows', () => {
+  const s = createState(3);
+  [0, 1, 2].forEach(i => place(s, i, [i, 0, 0]));
+  const part_sys = new PartSys(3);
+  const particles = part_sys.particles;
+  part_sys.init(PARTICLE_SYSTEM.SNOW, 0, 0,
+    [new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, particles).init_vectored(G)], [], s, SOLVER.EULER);
+  assert.ok(part_sys.resizable);
+  assert.ok(part_sys.resize(5));
+  assert.strictEqual(part_sys.count, 5);
+  assert.strictEqual(part_sys.capacity, 6);
+  assert.strictEqual(part_sys.s1.length, 5 * STATE_SIZE);
+  assert.strictEqual(part_sys.sR.length, 5 * STATE_SIZE);
+  // The forces' list of every particle follows the count
+  assert.strictEqual(part_sys.particles, particles);
+  assert.deepStrictEqual(particles, [0, 1, 2, 3, 4]);
+  // New particles repeat the initial conditions
+  assert.deepStrictEqual([3, 4].map(i => get(part_sys.s1, i, STATE.P_X)), [0, 1]);
+  part_sys.step();
+  assert.ok([0, 1, 2, 3, 4].every(i => get(part_sys.s1, i, STATE.V_Z) < 0));
+
+  const v = get(part_sys.s1, 1, STATE.V_Z);
+  assert.ok(part_sys.resize(2));
+  assert.strictEqual(part_sys.count, 2);
+  assert.strictEqual(part_sys.capacity, 6);
+  assert.deepStrictEqual(particles, [0, 1]);
+  assert.strictEqual(get(part_sys.s1, 1, STATE.V_Z), v);
+
+  // Springs act on particular particles, which resizing could remove
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    const cloth = createSystem(createState(2), [new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(1, 1)], [], SOLVER.EULER);
+    assert.strictEqual(cloth.resizable, false);
+    assert.strictEqual(cloth.resize(4), false);
+    assert.strictEqual(cloth.count, 2);
+  } finally {
+    console.log = log;
+  }
+  assert.strictEqual(logged.length, 1);
+});
+
+test('attributes added to a layout are carried along, but not integrated', () => {
+  const count = 6;
+  const s = createState(count);
+  for (var i = 0; i < count; i++)
+    place(s, i, [i * 0.3, (i % 2) * 0.2, 1 + i * 0.1], [0, 0.1 * i, 0]);
+  const forces = () => [
+    new Force(FORCE_TYPE.FORCE_SIMP_GRAVITY, [...Array(count).keys()]).init_vectored(G),
+    new Force(FORCE_TYPE.FORCE_SPRING, [0, 1]).init_spring(20, 0.2, 0.5),
+    new Force(FORCE_TYPE.FORCE_FLOCK, [0, 1, 2, 3]).init_boid(0.2, 0.6, 2 * Math.PI, 2 * Math.PI, 1, 0.5, 0.5, 0, 0),
+    new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, [2, 3, 4, 5]).init_planetary(0.1, 0.05, 0.5),
+  ];
+  const floor = () => [new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [...Array(count).keys()], [1, 1, 1], WALL.ALL, 0.5,
+    -5, 5, -5, 5, 0, 5)];
+  const layout = new Layout([{name: "charge"}, {name: "rotation", size: 4}]);
+  const wide = new Float32Array(count * layout.size);
+  for (var i = 0; i < count; i++) {
+    wide.set(s.subarray(i * STATE_SIZE, (i + 1) * STATE_SIZE), i * layout.size);
+    wide[i * layout.size + layout.offset("charge")] = i;
+    wide.set([0, 0, 0, 1], i * layout.size + layout.offset("rotation"));
+  }
+  for (const solver of [SOLVER.EULER, SOLVER.RK4, SOLVER.IMPLICIT_EULER]) {
+    const expected = createSystem(s, forces(), floor(), solver);
+    const part_sys = new PartSys(count, expected.settings, layout);
+    part_sys.init(PARTICLE_SYSTEM.CLOTH, 0, 0, forces(), floor(), wide, solver);
+    assert.strictEqual(part_sys.force_set[1].layout, layout);
+    run(part_sys, 0.5);
+    run(expected, 0.5);
+    for (var i = 0; i < count; i++) {
+      assert.deepStrictEqual(part_sys.s1.slice(i * layout.size, i * layout.size + STATE_SIZE),
+        expected.s1.slice(i * STATE_SIZE, (i + 1) * STATE_SIZE));
+      assert.strictEqual(part_sys.s1[i * layout.size + layout.offset("charge")], i);
+      assert.deepStrictEqual(Array.from(part_sys.s1.slice(i * layout.size + layout.offset("rotation"), (i + 1) * layout.size)),
+        [0, 0, 0, 1]);
+    }
+  }
+
+  // Snapshots only load into systems with the same attributes
+  const part_sys = new PartSys(count, undefined, layout);
+  part_sys.init(PARTICLE_SYSTEM.CLOTH, 0, 0, [], [], wide, SOLVER.EULER);
+  const saved = JSON.parse(JSON.stringify(part_sys.save()));
+  assert.ok(part_sys.load(saved));
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    const other = new PartSys(count, undefined, new Layout([{name: "charge"}, {name: "rotation", size: 3}, {name: "spin"}]));
+    other.init(PARTICLE_SYSTEM.CLOTH, 0, 0, [], [], wide, SOLVER.EULER);
+    assert.strictEqual(other.load(saved), false);
+  } finally {
+    console.log = log;
+  }
+  assert.strictEqual(logged.length, 1);
+});
+
+test('a circular orbit under FORCE_PLANETARY_GRAVITY keeps its radius', () => {
+  const s = createState(2);
+  s[STATE_SIZE + STATE.MASS] = 1e-6;
+  place(s, 1, [1, 0, 0], [0, 1, 0]);
+  const part_sys = createSystem(s,
+    [new Force(FORCE_TYPE.FORCE_PLANETARY_GRAVITY, [0, 1]).init_planetary(1, 0)], [], SOLVER.VELOCITY_VERLET, {ms: 4});
+  var max_error = 0;
+  // One period of the orbit, T = 2π * sqrt(r^3 / (G M))
+  run(part_sys, 2 * Math.PI, (s1) => {
+    const r = Math.hypot(get(s1, 1, STATE.P_X) - get(s1, 0, STATE.P_X), get(s1, 1, STATE.P_Y) - get(s1, 0, STATE.P_Y));
+    max_error = Math.max(max_error, Math.abs(r - 1));
+  });
+  assert.ok(max_error < 0.01);
+  assert.ok(Math.abs(get(part_sys.s1, 1, STATE.P_X) - 1) < 0.02);
+});
+
+test('toString() includes each constraint, not just its index', () => {
+  const s = createState(1);
+  const wall = new Constraint(CONSTRAINT_TYPE.VOLUME_IMPULSIVE, [0], null, WALL.ALL, 0.5, -1, 1, -1, 1, 0, 2);
+  const part_sys = createSystem(s, [], [wall], SOLVER.EULER, {ms: 4});
+  assert.strictEqual(part_sys.toString(), "1" + wall.toString());
+});
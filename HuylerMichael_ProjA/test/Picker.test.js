@@ -0,0 +1,86 @@
+/**
+ * Tests for picking and dragging particles with the mouse.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const glMatrix = require('../lib/gl-matrix.js');
+const {STATE} = require('../lib/State.js');
+const {SOLVER} = require('../lib/PartSys.js');
+const {Picker, screenRay} = require('../lib/Picker.js');
+const {createState, place, get, createSystem} = require('./helpers.js');
+
+/**
+ * Creates the view and projection matrices of a camera, as VBOBox.adjust()
+ * does.
+ */
+function camera(eye, lookat) {
+  const projection = glMatrix.mat4.perspective(glMatrix.mat4.create(), 30 * Math.PI / 180, 1.5, 1, 100);
+  const view = glMatrix.mat4.lookAt(glMatrix.mat4.create(), eye, lookat, [0, 0, 1]);
+  return {view, projection};
+}
+
+/**
+ * Finds where a point is drawn, in normalized device coordinates.
+ */
+function project({view, projection}, point) {
+  const clip = glMatrix.mat4.multiply(glMatrix.mat4.create(), projection, view);
+  return glMatrix.vec3.transformMat4(glMatrix.vec3.create(), point, clip);
+}
+
+test('the ray through where a point is drawn passes through the point', () => {
+  const matrices = camera([16, 0, 1], [15, 0, 1]);
+  const point = [0.5, -1, 2];
+  const ndc = project(matrices, point);
+  const ray = screenRay(matrices.view, matrices.projection, ndc[0], ndc[1]);
+  assert.ok(Math.abs(glMatrix.vec3.length(ray.direction) - 1) < 1e-6);
+  const to_point = glMatrix.vec3.sub(glMatrix.vec3.create(), point, ray.origin);
+  const t = glMatrix.vec3.dot(to_point, ray.direction);
+  assert.ok(glMatrix.vec3.distance(point, glMatrix.vec3.scaleAndAdd(glMatrix.vec3.create(), ray.origin, ray.direction, t)) < 1e-4);
+});
+
+test('picks the particle nearest the ray, and only near the ray', () => {
+  const s = createState(3);
+  place(s, 0, [0, 0, 0]);
+  place(s, 1, [0, 0.5, 0]);
+  place(s, 2, [-5, 0.05, 0]);
+  const part_sys = createSystem(s, [], [], SOLVER.MIDPOINT);
+  const picker = new Picker();
+  const ray = {origin: [10, 0, 0], direction: [-1, 0, 0]};
+  assert.ok(picker.pick([part_sys], ray));
+  assert.strictEqual(picker.part_sys, part_sys);
+  assert.strictEqual(picker.particle, 0);
+  assert.strictEqual(part_sys.force_set.length, 1);
+
+  assert.strictEqual(picker.pick([part_sys], {origin: [10, 2, 0], direction: [-1, 0, 0]}), false);
+  assert.ok(!picker.picking);
+  assert.strictEqual(part_sys.force_set.length, 0);
+});
+
+test('a dragged particle follows the ray, and keeps its velocity when released', () => {
+  const s = createState(1);
+  const part_sys = createSystem(s, [], [], SOLVER.MIDPOINT, {ms: 10});
+  const picker = new Picker();
+  picker.pick([part_sys], {origin: [10, 0, 0], direction: [-1, 0, 0]});
+  const saved = part_sys.save();
+  // Move the ray up, so the particle should be pulled up at the same depth
+  picker.drag({origin: [10, 0, 1], direction: [-1, 0, 0]});
+  for (var i = 0; i < 100; i++)
+    part_sys.step();
+  assert.ok(Math.abs(get(part_sys.s1, 0, STATE.P_Z) - 1) < 0.01);
+  assert.ok(Math.abs(get(part_sys.s1, 0, STATE.P_X)) < 1e-6);
+
+  picker.drag({origin: [10, 0, 2], direction: [-1, 0, 0]});
+  for (var i = 0; i < 5; i++)
+    part_sys.step();
+  picker.release();
+  assert.strictEqual(part_sys.force_set.length, 0);
+  const v = get(part_sys.s1, 0, STATE.V_Z);
+  assert.ok(v > 1);
+  part_sys.step();
+  assert.strictEqual(get(part_sys.s1, 0, STATE.V_Z), v);
+  // The dragging force isn't part of a snapshot
+  assert.strictEqual(saved.forces.length, 0);
+});
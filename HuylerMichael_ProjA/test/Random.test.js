@@ -0,0 +1,56 @@
+/**
+ * Tests for the seeded random number generator.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Force, FORCE_TYPE} = require('../lib/Force.js');
+const {Random} = require('../lib/Random.js');
+const {SOLVER} = require('../lib/PartSys.js');
+const {createState, place, createSystem} = require('./helpers.js');
+
+/**
+ * Draws a number of values from a stream.
+ */
+function draw(random, count) {
+  return [...Array(count)].map(() => random.random());
+}
+
+test('the same seed gives the same sequence', () => {
+  assert.deepStrictEqual(draw(new Random(42), 100), draw(new Random(42), 100));
+  assert.notDeepStrictEqual(draw(new Random(42), 100), draw(new Random(43), 100));
+});
+
+test('values are in the range [0, 1)', () => {
+  for (const value of draw(new Random(7), 10000)) {
+    assert.ok(0 <= value && value < 1);
+  }
+});
+
+test('reseeding restarts the shared streams', () => {
+  Random.reseed(1234);
+  assert.strictEqual(Random.seed, 1234);
+  const sim = draw(Random.sim, 10);
+  const drawn = draw(Random.draw, 10);
+  assert.notDeepStrictEqual(sim, drawn);
+  Random.reseed(1234);
+  assert.deepStrictEqual(draw(Random.sim, 10), sim);
+  assert.deepStrictEqual(draw(Random.draw, 10), drawn);
+});
+
+test('a run is reproducible from its seed', () => {
+  const runs = [0, 1].map(() => {
+    Random.reseed(99);
+    const s = createState(10);
+    for (var i = 0; i < 10; i++)
+      place(s, i, [Random.sim.random(), Random.sim.random(), Random.sim.random()]);
+    const part_sys = createSystem(s,
+      [new Force(FORCE_TYPE.FORCE_WIND, [...Array(10).keys()]).init_vectored(5)], [], SOLVER.RK4);
+    for (var i = 0; i < 100; i++)
+      part_sys.step();
+    return part_sys.s1;
+  });
+  assert.deepStrictEqual(runs[0], runs[1]);
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for recording and playing back particle systems.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, STATE_SIZE} = require('../lib/State.js');
+const {Random} = require('../lib/Random.js');
+const {Recorder} = require('../lib/Recorder.js');
+const {Scene} = require('../lib/Scene.js');
+
+const DRAWN_SLOTS = [STATE.P_X, STATE.P_Y, STATE.P_Z, STATE.R, STATE.G, STATE.B, STATE.A, STATE.RADIUS];
+
+/**
+ * Asserts that two state arrays have the same drawn slots.
+ */
+function assertDrawnEqual(actual, expected) {
+  for (var i = 0; i < expected.length; i += STATE_SIZE) {
+    DRAWN_SLOTS.forEach(slot => assert.strictEqual(actual[i + slot], expected[i + slot]));
+  }
+}
+
+/**
+ * Records a number of steps of the default scene's boids and cloth.
+ *
+ * @return {!Object} The recorder, the recorded systems, and each system's
+ *     state after every step.
+ */
+function record(steps) {
+  const scene = new Scene(require('../scenes/default.json'));
+  Random.reseed(4);
+  scene.init();
+  const recorder = new Recorder();
+  const part_systems = [scene.system('boids'), scene.system('cloth')];
+  part_systems.forEach(part_sys => recorder.select(part_sys, true));
+  const states = [];
+  for (var i = 0; i < steps; i++) {
+    part_systems.forEach(part_sys => part_sys.step());
+    recorder.record();
+    states.push(part_systems.map(part_sys => part_sys.s1.slice()));
+  }
+  return {recorder, part_systems, states};
+}
+
+test('every recorded frame is played back exactly', () => {
+  const {recorder, part_systems, states} = record(150);
+  assert.strictEqual(recorder.frame_count, 150);
+  // Forwards, backwards, and seeking across keyframes
+  for (const index of [0, 1, 2, 59, 60, 61, 149, 148, 30, 120, 0]) {
+    recorder.show(index);
+    part_systems.forEach((part_sys, s) => assertDrawnEqual(part_sys.sR, states[index][s]));
+  }
+});
+
+test('frames are delta-encoded when few slots change', () => {
+  const {recorder} = record(2);
+  const [key, delta] = recorder._frames.map(frame => frame[1]);
+  // The top row of the cloth is pinned, and only positions change
+  assert.strictEqual(key.indices, null);
+  assert.ok(delta.indices != null);
+  assert.ok(delta.values.length < key.values.length / 2);
+});
+
+test('recording stops when full', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  const recorder = new Recorder(3);
+  recorder.select(scene.system('cloth'), true);
+  assert.ok([1, 2, 3].every(() => recorder.record()));
+  assert.ok(recorder.full);
+  assert.strictEqual(recorder.record(), false);
+  assert.strictEqual(recorder.frame_count, 3);
+});
+
+test('changing the recorded systems clears the recording', () => {
+  const {recorder, part_systems} = record(5);
+  recorder.select(part_systems[0], true);
+  assert.strictEqual(recorder.frame_count, 5);
+  recorder.select(part_systems[0], false);
+  assert.strictEqual(recorder.frame_count, 0);
+  assert.deepStrictEqual(recorder.part_systems, [part_systems[1]]);
+});
+
+test('systems whose count changes are recorded in full', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  const snow = scene.system('snow');
+  const recorder = new Recorder();
+  recorder.select(snow, true);
+  const states = [];
+  const steps = count => {
+    scene.resize(snow, count);
+    for (var i = 0; i < 3; i++) {
+      snow.step();
+      recorder.record();
+      states.push(snow.s1.slice());
+    }
+  };
+  steps(600);
+  steps(300);
+  assert.strictEqual(recorder._frames[3][0].indices, null);
+  assert.strictEqual(recorder._frames[3][0].values.length, 300 * 8);
+
+  // Only as many particles as are live are drawn, and the rest are hidden
+  recorder.show(1);
+  assertDrawnEqual(snow.sR, states[1].subarray(0, 300 * STATE_SIZE));
+  steps(600);
+  recorder.show(4);
+  assertDrawnEqual(snow.sR.subarray(0, 300 * STATE_SIZE), states[4]);
+  for (var i = 300; i < 600; i++) {
+    assert.strictEqual(snow.sR[i * STATE_SIZE + STATE.A], 0);
+  }
+  recorder.show(8);
+  assertDrawnEqual(snow.sR, states[8]);
+});
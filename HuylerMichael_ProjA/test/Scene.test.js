@@ -0,0 +1,293 @@
+/**
+ * Tests for building particle systems from scene descriptions.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, STATE_SIZE} = require('../lib/State.js');
+const {FORCE_TYPE} = require('../lib/Force.js');
+const {CONSTRAINT_TYPE, WALL} = require('../lib/Constraint.js');
+const {PARTICLE_SYSTEM, SOLVER} = require('../lib/PartSys.js');
+const {Random} = require('../lib/Random.js');
+const {Scene} = require('../lib/Scene.js');
+const {get} = require('./helpers.js');
+
+/**
+ * Builds and initializes a scene with a single system.
+ */
+function createScene(system) {
+  const scene = new Scene({name: "Test", systems: [Object.assign({name: "test", type: "CLOTH", count: 4}, system)]});
+  scene.init();
+  return scene;
+}
+
+test('the default scene builds every system', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  assert.deepStrictEqual(scene.part_systems.map(part_sys => part_sys.type),
+    [PARTICLE_SYSTEM.SNOW, PARTICLE_SYSTEM.BOIDS, PARTICLE_SYSTEM.REEVES_FIRE, PARTICLE_SYSTEM.CLOTH, PARTICLE_SYSTEM.FLUID]);
+  assert.strictEqual(scene.system('cloth').solver_type, SOLVER.IMPLICIT_EULER);
+  assert.deepStrictEqual(scene.system('boids').force_set[0].goals, [scene.system('boids').force_set[3]]);
+  assert.deepStrictEqual(scene.system('boids').force_set[0].predators, [89]);
+  assert.strictEqual(scene.system('missing'), null);
+});
+
+test('systems are drawn by consecutive VBOBoxes', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  assert.deepStrictEqual(scene.part_systems.map(part_sys => part_sys.vbo), [1, 2, 3, 4, 5]);
+  assert.ok(scene.part_systems.every(part_sys => part_sys.c_vbo == 6));
+  assert.strictEqual(scene.render(scene.system('cloth')).style, "POINTS");
+});
+
+test('initial conditions are constants, ranges, indices or grids', () => {
+  Random.reseed(3);
+  const scene = createScene({
+    initial: {
+      generator: "grid",
+      grid: {width: 2, spacing: 0.5, origin: [0, 0, 1], across: [1, 0, 0], down: [0, 0, -1]},
+      velocity: {min: [-1, -1, -1], max: [1, 1, 1]},
+      mass: 2,
+      age: {modulo: 3},
+      overrides: [{particles: [-1], mass: 4}],
+    },
+  });
+  const s = scene.part_systems[0].s1;
+  assert.deepStrictEqual([get(s, 3, STATE.P_X), get(s, 3, STATE.P_Y), get(s, 3, STATE.P_Z)], [0.5, 0, 0.5]);
+  assert.ok(Math.abs(get(s, 2, STATE.V_Y)) <= 1);
+  assert.deepStrictEqual([0, 1, 2, 3].map(i => get(s, i, STATE.AGE)), [0, 1, 2, 0]);
+  assert.deepStrictEqual([0, 1, 2, 3].map(i => get(s, i, STATE.MASS)), [2, 2, 2, 4]);
+});
+
+test('systems can declare attributes of their own, with initial conditions', () => {
+  const scene = createScene({
+    attributes: [{name: "charge"}, {name: "rotation", size: 4}],
+    initial: {
+      position: [1, 2, 3],
+      charge: {modulo: 2},
+      rotation: [0, 0, 0, 1],
+      overrides: [{particles: [-1], charge: -1}],
+    },
+  });
+  const part_sys = scene.part_systems[0];
+  const layout = part_sys.layout;
+  assert.strictEqual(layout.size, STATE_SIZE + 5);
+  assert.strictEqual(part_sys.s1.length, 4 * layout.size);
+  const s = part_sys.s1;
+  assert.deepStrictEqual([0, 1, 2, 3].map(i => s[i * layout.size + layout.offset("charge")]), [0, 1, 0, -1]);
+  assert.deepStrictEqual(Array.from(s.slice(2 * layout.size + layout.offset("rotation"), 3 * layout.size)), [0, 0, 0, 1]);
+  assert.deepStrictEqual(Array.from(s.slice(3 * layout.size + STATE.P_X, 3 * layout.size + STATE.P_Z + 1)), [1, 2, 3]);
+  assert.strictEqual(s[3 * layout.size + STATE.MASS], 1);
+});
+
+test('a fluid dam breaks, and settles in its box without passing through the spheres', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  const fluid = scene.system('fluid');
+  const size = fluid.layout.size;
+  const position = i => [STATE.P_X, STATE.P_Y, STATE.P_Z].map(slot => fluid.s1[i * size + slot]);
+  assert.strictEqual(fluid.force_set[1].type, FORCE_TYPE.FORCE_SPH);
+  // The dam is a block of layers of rows
+  assert.deepStrictEqual(position(0).map(x => Math.fround(x)), [-0.95, 0.05, 0.75].map(Math.fround));
+  assert.deepStrictEqual(position(20 * 8 + 21).map(x => +x.toFixed(4)), [-0.85, 0.15, 0.65]);
+  for (var i = 0; i < 180; i++)
+    fluid.step();
+  const spheres = fluid.constraint_set.filter(constraint => constraint.type == CONSTRAINT_TYPE.SPHERE);
+  var x_mean = 0;
+  for (var i = 0; i < fluid.count; i++) {
+    const p = position(i);
+    assert.ok(p.every(isFinite));
+    assert.ok(p[0] >= -1 && p[0] <= 1 && p[1] >= 0 && p[1] <= 2 && p[2] >= 0 && p[2] <= 1.975);
+    spheres.forEach(sphere => assert.ok(Math.hypot(...p.map((x, k) => x - sphere.bounds[k])) > sphere.bounds[3] * 0.9));
+    // The fluid is no more than slightly compressed
+    assert.ok(fluid.s1[i * size + fluid.layout.offset("density")] < 1600);
+    x_mean += p[0] / fluid.count;
+  }
+  // It has spread out across the floor
+  assert.ok(x_mean > -0.3);
+});
+
+test('poured sand piles up in its bin without the grains overlapping', () => {
+  const scene = new Scene(require('../scenes/sand.json'));
+  scene.init();
+  const sand = scene.system('sand');
+  const size = sand.layout.size;
+  const [bin, collision] = sand.constraint_set;
+  assert.strictEqual(collision.type, CONSTRAINT_TYPE.PARTICLE_COLLISION);
+  assert.deepStrictEqual([collision.restitution, collision.friction, collision.iterations], [0.1, 0.6, 4]);
+  const position = i => [STATE.P_X, STATE.P_Y, STATE.P_Z].map(slot => sand.s1[i * size + slot]);
+  // Grains pushed by others stay in the bin, though it is listed first
+  const inside = p => [0, 1, 2].every(k => p[k] >= bin.bounds[2 * k] && p[k] <= bin.bounds[2 * k + 1]);
+  for (var i = 0; i < 300; i++)
+    sand.step();
+  var z_max = 0;
+  for (var i = 0; i < sand.count; i++) {
+    const p = position(i);
+    assert.ok(p.every(isFinite));
+    assert.ok(inside(p));
+    z_max = Math.max(z_max, p[2]);
+    // Grains may sink into each other a little under the weight of those above
+    for (var j = i + 1; j < sand.count; j++)
+      assert.ok(Math.hypot(...p.map((x, k) => x - position(j)[k])) > 0.07);
+  }
+  // The grains have landed, stacked several deep
+  assert.ok(z_max < 0.4);
+  assert.ok(z_max > 0.15);
+  // And the settled pile stays in the bin
+  for (var i = 0; i < 120; i++) {
+    sand.step();
+    for (var j = 0; j < sand.count; j++)
+      assert.ok(inside(position(j)));
+  }
+});
+
+test('unknown types, solvers and shapes are rejected when the scene is loaded', () => {
+  const scene = new Scene({name: "Typos", systems: [{
+    name: "test", type: "CLOTH", count: 4, solver: "MIDPIONT",
+    forces: [{type: "CLOTH", width: 2, spacing: 1, k: 1}, {type: "GRAVITY", magnitude: -9.8}, {type: "PICK"}],
+    constraints: [{type: "toString"}, {type: "VOLUME_IMPULSIVE", walls: ["BOTTOM", "FLOOR"]}],
+    emitters: [{shape: "CUBE"}],
+  }]});
+  assert.throws(() => scene.init(), {
+    message: 'Unknown names in scene "Typos": solver "MIDPIONT" in system "test", ' +
+      'force type "GRAVITY" in system "test", force type "PICK" in system "test", ' +
+      'constraint type "toString" in system "test", wall "FLOOR" in system "test", ' +
+      'emitter shape "CUBE" in system "test"',
+  });
+  assert.throws(() => createScene({type: "SMOKE"}), /system type "SMOKE" in system "test"/);
+});
+
+test('forces are built with named parameters and particle selections', () => {
+  const scene = createScene({
+    forces: [
+      {type: "DRAG", particles: {from: 1, to: -1}, magnitude: 0.5},
+      {type: "SPRING", particles: [0, -1], k: 10, length: 1},
+      {type: "POINT_ATTRACTOR", position: [1, 2, 3], power: 1, length: 4, radius: 5, enabled: false},
+    ],
+  });
+  const [drag, spring, attractor] = scene.part_systems[0].force_set;
+  assert.deepStrictEqual(drag.particles, [1, 2]);
+  assert.strictEqual(drag.magnitude, 0.5);
+  assert.strictEqual(spring.type, FORCE_TYPE.FORCE_SPRING);
+  assert.deepStrictEqual(spring.particles, [0, 3]);
+  assert.deepStrictEqual([attractor.x, attractor.y, attractor.z, attractor.pow], [1, 2, 3, 1]);
+});
+
+test('a cloth is expanded into structural, shear and bend springs', () => {
+  const scene = createScene({
+    count: 9,
+    forces: [{type: "CLOTH", width: 3, spacing: 1, k: 10}],
+  });
+  // 12 structural, 8 shear and 6 bend springs in a 3x3 grid
+  const springs = scene.part_systems[0].force_set;
+  assert.strictEqual(springs.length, 26);
+  assert.ok(springs.every(spring => spring.type == FORCE_TYPE.FORCE_SPRING));
+});
+
+test('constraints are built with named bounds and walls', () => {
+  const scene = createScene({
+    initial: {position: [1, 2, 3]},
+    constraints: [
+      {type: "VOLUME_IMPULSIVE", walls: ["TOP", "BOTTOM"], bounds: {min: [-1, -2, -3], max: [1, 2, 3]}},
+      {type: "ABSOLUTE", particles: [0, 1]},
+    ],
+  });
+  const [volume, ...pins] = scene.part_systems[0].constraint_set;
+  assert.strictEqual(volume.type, CONSTRAINT_TYPE.VOLUME_IMPULSIVE);
+  assert.deepStrictEqual(volume.bounds, [-1, 1, -2, 2, -3, 3]);
+  assert.strictEqual(volume._walls, WALL.TOP | WALL.BOTTOM);
+  assert.strictEqual(pins.length, 2);
+  assert.ok(pins.every(pin => pin.type == CONSTRAINT_TYPE.ABSOLUTE));
+});
+
+test('re-initializing from the same seed repeats the scene', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  Random.reseed(8);
+  scene.init();
+  const first = scene.part_systems.map(part_sys => part_sys.s1.slice());
+  Random.reseed(8);
+  scene.init();
+  assert.deepStrictEqual(scene.part_systems.map(part_sys => part_sys.s1), first);
+});
+
+test('a disc is laid out in circular orbits about its center', () => {
+  const scene = createScene({
+    count: 50,
+    initial: {
+      generator: "disc",
+      disc: {particles: {from: 1}, center: [1, 2, 3], normal: [1, 0, 0], radius: {min: 0.5, max: 2}, G: 2, softening: 0.1},
+      mass: 0.01,
+      overrides: [{particles: [0], position: [1, 2, 3], mass: 10}],
+    },
+  });
+  const s = scene.part_systems[0].s1;
+  const slots = slot => [0, 1, 2].map(j => get(s, 0, slot + j));
+  assert.deepStrictEqual(slots(STATE.V_X), [0, 0, 0]);
+  // Particles nearer the center than a particle add to the mass it orbits
+  const radius = i => Math.hypot(get(s, i, STATE.P_Y) - 2, get(s, i, STATE.P_Z) - 3);
+  for (let i = 1; i < 50; i++) {
+    const r = radius(i);
+    assert.ok(r >= 0.5 - 1e-5 && r <= 2 + 1e-5);
+    assert.ok(Math.abs(get(s, i, STATE.P_X) - 1) < 1e-6);
+    var enclosed = 10;
+    for (let j = 1; j < 50; j++) {
+      if (radius(j) < r) enclosed += 0.01;
+    }
+    const speed = Math.hypot(get(s, i, STATE.V_X), get(s, i, STATE.V_Y), get(s, i, STATE.V_Z));
+    const expected = Math.sqrt(2 * enclosed * r * r / Math.pow(r * r + 0.01, 1.5));
+    assert.ok(Math.abs(speed - expected) < 1e-4 * expected);
+    // Moving around the normal, not towards the center
+    assert.ok(Math.abs(get(s, i, STATE.V_X)) < 1e-6);
+    assert.ok(Math.abs((get(s, i, STATE.P_Y) - 2) * get(s, i, STATE.V_Y) + (get(s, i, STATE.P_Z) - 3) * get(s, i, STATE.V_Z)) < 1e-4);
+  }
+});
+
+test('the galaxy scene builds an N-body system', () => {
+  const scene = new Scene(require('../scenes/galaxy.json'));
+  scene.init();
+  const galaxy = scene.system('galaxy');
+  assert.strictEqual(galaxy.type, PARTICLE_SYSTEM.GALAXY);
+  assert.strictEqual(galaxy.force_set[0].type, FORCE_TYPE.FORCE_PLANETARY_GRAVITY);
+  assert.strictEqual(galaxy.force_set[0].particles.length, 2000);
+});
+
+test('flocks can have several predators and goals', () => {
+  const scene = createScene({
+    count: 10,
+    forces: [
+      {type: "FLOCK", particles: {from: 1, to: -1}, min_radius: 0.5, max_radius: 1, binocular_angle: 90, monocular_angle: 180,
+        k_a: 1, k_v: 1, k_c: 1, predators: [0, -1], goals: [[1, 2, 3], "target"]},
+      {name: "target", type: "POINT_ATTRACTOR", particles: [], position: [0, 0, 0],
+        wander: {interval: 2, bounds: {min: [0, 0, 0], max: [1, 1, 1]}}},
+    ],
+  });
+  const [flock, target] = scene.part_systems[0].force_set;
+  assert.deepStrictEqual(flock.predators, [0, 9]);
+  assert.deepStrictEqual(flock.goals, [[1, 2, 3], target]);
+  assert.strictEqual(target._wander_interval, 2);
+});
+
+test('systems where everything acts on every particle can be resized', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  const snow = scene.system('snow');
+  assert.ok(snow.resizable && snow.pooled);
+  assert.strictEqual(scene.system('cloth').resizable, false);
+  assert.strictEqual(scene.system('boids').resizable, false);
+
+  // Snow is born again as soon as it dies, so it fills up at once
+  assert.ok(scene.resize(snow, 1000));
+  assert.strictEqual(snow.count, 600);
+  snow.step();
+  assert.strictEqual(snow.count, 1000);
+  assert.strictEqual(snow.force_set[0].particles.length, 1000);
+  for (var i = 600; i < 1000; i++) {
+    assert.ok(get(snow.s1, i, STATE.P_Z) >= 9 && get(snow.s1, i, STATE.AGE) > 0);
+  }
+  // Restarting keeps the new count
+  scene.init();
+  assert.strictEqual(snow.count, 1000);
+  assert.strictEqual(snow.s1.length, 1000 * STATE_SIZE);
+});
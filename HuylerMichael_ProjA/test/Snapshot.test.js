@@ -0,0 +1,72 @@
+/**
+ * Tests for saving and loading particle systems.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Random} = require('../lib/Random.js');
+const {Scene} = require('../lib/Scene.js');
+
+/**
+ * Steps every system in a scene a number of times.
+ */
+function run(scene, steps) {
+  for (var i = 0; i < steps; i++)
+    scene.part_systems.forEach(part_sys => part_sys.step());
+}
+
+/**
+ * Saves every system in a scene, through JSON as when saved to a file.
+ */
+function save(scene) {
+  return JSON.parse(JSON.stringify({
+    random: Random.sim.state,
+    systems: scene.part_systems.map(part_sys => part_sys.save()),
+  }));
+}
+
+test('loading a snapshot restores the state and parameters', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  Random.reseed(5);
+  scene.init();
+  run(scene, 10);
+  const snapshot = save(scene);
+  const cloth = scene.system('cloth');
+  const s1 = cloth.s1.slice();
+  run(scene, 10);
+  cloth.force_set[0].magnitude = 0;
+  cloth.constraint_set[1].x = 5;
+  cloth.substep_count = 3;
+
+  assert.ok(scene.part_systems.every((part_sys, i) => part_sys.load(snapshot.systems[i])));
+  assert.deepStrictEqual(cloth.s1, s1);
+  assert.strictEqual(cloth.force_set[0].magnitude, -9.832);
+  assert.deepStrictEqual(cloth.constraint_set[1].bounds.map(Math.fround), [-0.1, 0.65, 1, 0.5].map(Math.fround));
+  assert.strictEqual(cloth.substep_count, 1);
+});
+
+test('a run continues the same after loading a snapshot', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  Random.reseed(6);
+  scene.init();
+  run(scene, 10);
+  const snapshot = save(scene);
+  run(scene, 20);
+  const expected = scene.part_systems.map(part_sys => part_sys.s1.slice());
+
+  scene.part_systems.forEach((part_sys, i) => part_sys.load(snapshot.systems[i]));
+  Random.sim.state = snapshot.random;
+  run(scene, 20);
+  assert.deepStrictEqual(scene.part_systems.map(part_sys => part_sys.s1), expected);
+});
+
+test('a snapshot of a different system is not loaded', () => {
+  const scene = new Scene(require('../scenes/default.json'));
+  scene.init();
+  const snow = scene.system('snow');
+  const s1 = snow.s1.slice();
+  assert.strictEqual(snow.load(scene.system('cloth').save()), false);
+  assert.deepStrictEqual(snow.s1, s1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the spatial hash neighbor finder.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE} = require('../lib/State.js');
+const {Random} = require('../lib/Random.js');
+const {SpatialHash} = require('../lib/SpatialHash.js');
+const {createState, place, get} = require('./helpers.js');
+
+/**
+ * Scatters particles randomly through a cube.
+ */
+function scatter(count, size) {
+  const s = createState(count);
+  const random = new Random(count);
+  for (let i = 0; i < count; i++) {
+    place(s, i, [0, 1, 2].map(() => (random.random() - 0.5) * size));
+  }
+  return s;
+}
+
+/**
+ * Finds the particles within a distance of a point by checking every one.
+ */
+function bruteForce(s, count, point, radius) {
+  return [...Array(count).keys()].filter(i =>
+    Math.hypot(get(s, i, STATE.P_X) - point[0], get(s, i, STATE.P_Y) - point[1], get(s, i, STATE.P_Z) - point[2]) <= radius);
+}
+
+test('queries find exactly the particles within their radius', () => {
+  const count = 500;
+  const s = scatter(count, 10);
+  const hash = new SpatialHash();
+  hash.build(s, [...Array(count).keys()], 1);
+  for (const radius of [0.5, 1, 2.5]) {
+    for (let i = 0; i < count; i += 25) {
+      const point = [get(s, i, STATE.P_X), get(s, i, STATE.P_Y), get(s, i, STATE.P_Z)];
+      assert.deepStrictEqual([...hash.neighbors(i, radius)].sort((a, b) => a - b), bruteForce(s, count, point, radius));
+    }
+  }
+});
+
+test('a radius larger than the grid searches every particle once', () => {
+  const count = 50;
+  const s = scatter(count, 10);
+  const hash = new SpatialHash(0.01);
+  hash.build(s, [...Array(count).keys()]);
+  assert.deepStrictEqual([...hash.query(0, 0, 0, 100)].sort((a, b) => a - b), [...Array(count).keys()]);
+});
+
+test('only the hashed particles are found', () => {
+  const s = createState(4);
+  place(s, 1, [0.1, 0, 0]);
+  place(s, 2, [0, -0.1, 0]);
+  const hash = new SpatialHash(1);
+  hash.build(s, [0, 2, 3]);
+  assert.deepStrictEqual([...hash.query(0, 0, 0, 0.5)].sort(), [0, 2, 3]);
+  hash.build(s, []);
+  assert.deepStrictEqual(hash.query(0, 0, 0, 0.5), []);
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for laying out particle attributes in state arrays.
+ *
+ * @author Michael Huyler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {STATE, STATE_SIZE, Layout, DEFAULT_LAYOUT} = require('../lib/State.js');
+
+test('built-in attributes keep their slots, and others follow them', () => {
+  assert.strictEqual(DEFAULT_LAYOUT.size, STATE_SIZE);
+  assert.deepStrictEqual(DEFAULT_LAYOUT.save(), []);
+
+  const layout = new Layout([{name: "charge"}, {name: "rotation", size: 4}]);
+  assert.strictEqual(layout.size, STATE_SIZE + 5);
+  assert.strictEqual(layout.offset("position"), STATE.P_X);
+  assert.strictEqual(layout.offset("color"), STATE.R);
+  assert.strictEqual(layout.offset("age"), STATE.AGE);
+  assert.strictEqual(layout.offset("charge"), STATE_SIZE);
+  assert.strictEqual(layout.offset("rotation"), STATE_SIZE + 1);
+  assert.ok(layout.has("rotation"));
+  assert.strictEqual(layout.has("temperature"), false);
+  assert.deepStrictEqual(layout.save(), [{name: "charge", size: 1}, {name: "rotation", size: 4}]);
+  assert.strictEqual(new Layout(layout.save()).size, layout.size);
+});
+
+test('unknown and repeated attributes are reported', () => {
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  var layout;
+  try {
+    layout = new Layout([{name: "charge"}, {name: "charge", size: 2}, {name: "mass"}]);
+    assert.strictEqual(layout.offset("temperature"), -1);
+  } finally {
+    console.log = log;
+  }
+  assert.strictEqual(layout.size, STATE_SIZE + 1);
+  assert.deepStrictEqual(logged, [
+    "Particle attribute declared twice: charge",
+    "Particle attribute declared twice: mass",
+    "Unknown particle attribute: temperature",
+  ]);
+});
+
+test('shader attributes are bound to the slots of the named attributes', () => {
+  const layout = new Layout([{name: "rotation", size: 4}]);
+  assert.deepStrictEqual(layout.bindings(["position", "color", "rotation"], 3), {
+    a_position_3: [STATE.P_X, 3],
+    a_color_3: [STATE.R, 4],
+    a_rotation_3: [STATE_SIZE, 4],
+  });
+});
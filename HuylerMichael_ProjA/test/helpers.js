@@ -0,0 +1,77 @@
+/**
+ * Helpers shared by the simulation tests.
+ *
+ * @author Michael Huyler
+ */
+
+const {STATE, STATE_SIZE} = require('../lib/State.js');
+const {PartSys, PARTICLE_SYSTEM, createSettings} = require('../lib/PartSys.js');
+
+/**
+ * Creates a state array of particles at rest at the origin, with unit mass.
+ *
+ * @param {number} count The number of particles.
+ * @return {!Float32Array} The state array.
+ */
+function createState(count) {
+  const s = new Float32Array(count * STATE_SIZE);
+  for (let i = 0; i < count; i++) {
+    s[i * STATE_SIZE + STATE.MASS] = 1;
+    s[i * STATE_SIZE + STATE.A] = 1;
+  }
+  return s;
+}
+
+/**
+ * Sets a particle's position and (optionally) velocity in a state array.
+ *
+ * @param {!Float32Array} s The state array to modify.
+ * @param {number} i The index of the particle.
+ * @param {Array<number>} p The particle's position.
+ * @param {Array<number>=} v The particle's velocity.
+ */
+function place(s, i, p, v = [0, 0, 0]) {
+  s[i * STATE_SIZE + STATE.P_X] = p[0];
+  s[i * STATE_SIZE + STATE.P_Y] = p[1];
+  s[i * STATE_SIZE + STATE.P_Z] = p[2];
+  s[i * STATE_SIZE + STATE.V_X] = v[0];
+  s[i * STATE_SIZE + STATE.V_Y] = v[1];
+  s[i * STATE_SIZE + STATE.V_Z] = v[2];
+}
+
+/**
+ * Reads a slot of a particle from a state array.
+ *
+ * @param {!Float32Array} s The state array.
+ * @param {number} i The index of the particle.
+ * @param {!STATE} slot The slot to read.
+ * @return {number} The value in the slot.
+ */
+function get(s, i, slot) {
+  return s[i * STATE_SIZE + slot];
+}
+
+/**
+ * Creates and initializes a particle system for testing.
+ *
+ * @param {!Float32Array} initial_conditions The first state of the system.
+ * @param {Array<Force>} force_set The forces acting on the system.
+ * @param {Array<Constraint>} constraint_set The constraints on the system.
+ * @param {!SOLVER} solver_type The solver to integrate with.
+ * @param {Object=} settings Overrides for the default settings.
+ * @return {!PartSys} The particle system.
+ */
+function createSystem(initial_conditions, force_set, constraint_set, solver_type, settings = {}) {
+  const part_sys = new PartSys(initial_conditions.length / STATE_SIZE,
+    Object.assign(createSettings(), settings));
+  part_sys.init(PARTICLE_SYSTEM.CLOTH, 0, 0, force_set, constraint_set,
+    initial_conditions, solver_type);
+  return part_sys;
+}
+
+module.exports = {
+  createState,
+  place,
+  get,
+  createSystem,
+};